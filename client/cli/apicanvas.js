@@ -0,0 +1,318 @@
+// ============================================================
+// apicanvas.js — Headless Runner CLI
+// ============================================================
+// Runs an exported collection or flow outside the browser,
+// through the same request building, pm.* scripts, expected
+// snapshots, schema checks and reports as the web app
+// (lib/requestBuilder + lib/collectionRunner + lib/runReports).
+// Works on exported JSON files only — no Firestore, no proxy:
+//   • collections — Collections page → Export (Postman v2.1),
+//     or any Postman v2.0/v2.1 / Insomnia v4 file
+//   • flows       — Visualizer → Export ({ nodes, edges })
+//
+// Build:  npm run build:cli   (→ dist-cli/apicanvas.mjs, the
+//         package's `apicanvas` bin)
+// Usage:  apicanvas run <file> [options] — see USAGE below
+// Exit codes: 0 everything passed, 1 a request or assertion
+// failed (or the run was interrupted or broke unexpectedly),
+// 2 bad arguments or an unreadable input file.
+// ============================================================
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { parseCollectionFile } from "../src/lib/collectionFormats.js";
+import { isFlowDocument, FlowCycleError } from "../src/lib/flowRunner.js";
+import { variablesToObject } from "../src/lib/variables.js";
+import {
+  runCollection,
+  runFlow,
+  parseDataFile,
+  MAX_ITERATIONS,
+  MAX_DELAY_MS,
+} from "../src/lib/collectionRunner.js";
+import { formatReport, reportFileName, REPORT_FORMATS } from "../src/lib/runReports.js";
+import { sendDirectRequest } from "./httpClient.js";
+import { createConsoleReporter } from "./consoleReporter.js";
+
+const EXIT_PASSED = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const REPORTERS = ["console", ...REPORT_FORMATS.map((f) => f.id)];
+
+const USAGE = `Usage: apicanvas run <collection-or-flow.json> [options]
+
+Options:
+  -e, --environment <file>   Environment file (Postman environment export,
+                             { variables: [{ key, value }] } or { key: value })
+      --env-var <key=value>  Set a variable; repeatable, wins over the file
+  -d, --data <file>          CSV or JSON iteration data, one row per iteration
+  -n, --iterations <n>       Iterations to run (default: data rows, or 1)
+      --delay <ms>           Wait between requests
+      --bail                 Stop at the first failure
+      --collection <name>    Which collection to run when the file has several
+  -r, --reporters <list>     Comma-separated: ${REPORTERS.join(", ")} (default: console)
+  -o, --out <dir>            Where report files are written (default: apicanvas-reports)
+      --export-environment <file>
+                             Write the variables, with pm.environment changes,
+                             as a Postman environment when the run ends
+      --no-color             Plain console output
+  -h, --help                 Show this help
+
+Exit codes: 0 passed, 1 failures, 2 usage or input errors`;
+
+// Bad arguments or unreadable input — exit code 2
+class UsageError extends Error {}
+
+function readFile(file, label) {
+  try {
+    return fs.readFileSync(file, "utf-8");
+  } catch (err) {
+    throw new UsageError(`Cannot read the ${label} ${file}: ${err.code === "ENOENT" ? "no such file" : err.message}`);
+  }
+}
+
+function readJson(file, label) {
+  try {
+    return JSON.parse(readFile(file, label));
+  } catch (err) {
+    if (err instanceof UsageError) throw err;
+    throw new UsageError(`The ${label} ${file} is not valid JSON`);
+  }
+}
+
+// Iteration rows from a CSV / JSON data file
+function readDataFile(file) {
+  try {
+    return parseDataFile(readFile(file, "data file"), file);
+  } catch (err) {
+    throw new UsageError(err instanceof UsageError ? err.message : `${file}: ${err.message}`);
+  }
+}
+
+// Key-value pairs without the ones switched off
+const enabledPairs = (pairs) =>
+  variablesToObject(pairs.filter((pair) => pair && pair.enabled !== false && !pair.disabled));
+
+// --------------------------------------------------
+// Environment file → { name, variables }. Accepts a
+// Postman environment ({ values }), an ApiCanvas-style
+// { name, variables: [{ key, value }] } or a plain object.
+// --------------------------------------------------
+function loadEnvironment(file) {
+  const data = readJson(file, "environment file");
+  const name = (typeof data?.name === "string" && data.name) || path.basename(file);
+  if (Array.isArray(data?.values)) return { name, variables: enabledPairs(data.values) };
+  if (Array.isArray(data?.variables)) return { name, variables: enabledPairs(data.variables) };
+  if (data && typeof data === "object" && !Array.isArray(data)) {
+    return {
+      name,
+      variables: Object.fromEntries(
+        Object.entries(data).map(([key, value]) => [key, typeof value === "object" ? JSON.stringify(value) : String(value)])
+      ),
+    };
+  }
+  throw new UsageError(`Unrecognised environment file ${file}`);
+}
+
+// --env-var key=value pairs → object
+function parseEnvVars(list = []) {
+  return Object.fromEntries(
+    list.map((entry) => {
+      const index = entry.indexOf("=");
+      if (index < 1) throw new UsageError(`--env-var expects key=value, got "${entry}"`);
+      return [entry.slice(0, index).trim(), entry.slice(index + 1)];
+    })
+  );
+}
+
+// --------------------------------------------------
+// The file to run → { kind: "collection", name,
+// requests, variables } or { kind: "flow", name, flow }
+// --------------------------------------------------
+function loadTarget(file, collectionName) {
+  const text = readFile(file, "file");
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new UsageError(`${file} is not valid JSON`);
+  }
+
+  if (isFlowDocument(data)) {
+    const name = data.name || path.basename(file, path.extname(file));
+    return { kind: "flow", name, flow: { name, nodes: data.nodes, edges: data.edges } };
+  }
+
+  let collections;
+  try {
+    collections = parseCollectionFile(text);
+  } catch (err) {
+    throw new UsageError(`${file}: ${err.message}`);
+  }
+
+  let chosen = collections[0];
+  if (collectionName) {
+    chosen = collections.find((c) => c.name === collectionName);
+    if (!chosen) throw new UsageError(`No collection named "${collectionName}" in ${file}`);
+  } else if (collections.length > 1) {
+    throw new UsageError(
+      `${file} holds ${collections.length} collections — pick one with --collection (${collections.map((c) => `"${c.name}"`).join(", ")})`
+    );
+  }
+
+  if (chosen.skipped?.length) {
+    console.warn(`Skipping unsupported requests: ${chosen.skipped.join(", ")}`);
+  }
+  if (chosen.requests.length === 0) throw new UsageError(`${file} has no requests to run`);
+  return { kind: "collection", name: chosen.name, requests: chosen.requests, variables: enabledPairs(chosen.variables) };
+}
+
+// Whole number within [min, max], or a UsageError
+function parseInteger(value, option, min, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new UsageError(`${option} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+// Variables as a Postman environment file
+const toPostmanEnvironment = (name, variables) => ({
+  name,
+  values: Object.entries(variables).map(([key, value]) => ({ key, value, enabled: true })),
+  _postman_variable_scope: "environment",
+});
+
+async function main(argv) {
+  const { values: options, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      environment: { type: "string", short: "e" },
+      "env-var": { type: "string", multiple: true },
+      data: { type: "string", short: "d" },
+      iterations: { type: "string", short: "n" },
+      delay: { type: "string" },
+      bail: { type: "boolean" },
+      collection: { type: "string" },
+      reporters: { type: "string", short: "r" },
+      out: { type: "string", short: "o" },
+      "export-environment": { type: "string" },
+      "no-color": { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_PASSED;
+  }
+  const [command, file, ...extra] = positionals;
+  if (!command) throw new UsageError("Nothing to do");
+  if (command !== "run") throw new UsageError(`Unknown command "${command}"`);
+  if (!file) throw new UsageError("Missing the file to run");
+  if (extra.length) throw new UsageError(`Unexpected argument "${extra[0]}"`);
+
+  const reporters = (options.reporters || "console").split(",").map((r) => r.trim()).filter(Boolean);
+  const unknown = reporters.find((r) => !REPORTERS.includes(r));
+  if (unknown) throw new UsageError(`Unknown reporter "${unknown}" — use ${REPORTERS.join(", ")}`);
+
+  // ── Inputs ──
+  const target = loadTarget(file, options.collection);
+  const environment = options.environment ? loadEnvironment(options.environment) : null;
+  const data = options.data ? readDataFile(options.data) : [];
+  const iterations =
+    options.iterations !== undefined
+      ? parseInteger(options.iterations, "--iterations", 1, MAX_ITERATIONS)
+      : Math.min(Math.max(data.length, 1), MAX_ITERATIONS);
+  const delayMs = options.delay !== undefined ? parseInteger(options.delay, "--delay", 0, MAX_DELAY_MS) : 0;
+
+  // Collection variables < environment < --env-var
+  const variables = {
+    ...(target.variables || {}),
+    ...(environment?.variables || {}),
+    ...parseEnvVars(options["env-var"]),
+  };
+
+  // ── Run ──
+  const consoleReporter = reporters.includes("console")
+    ? createConsoleReporter({ color: options["no-color"] ? false : undefined })
+    : null;
+  const controller = new AbortController();
+  const interrupt = () => controller.abort();
+  process.once("SIGINT", interrupt);
+
+  consoleReporter?.start(target.name, target.kind);
+  const runOptions = {
+    iterations,
+    data,
+    dataFile: options.data ? path.basename(options.data) : null,
+    delayMs,
+    stopOnFailure: Boolean(options.bail),
+    variables,
+    environment: environment?.name || null,
+    signal: controller.signal,
+    onProgress: consoleReporter?.progress,
+    send: sendDirectRequest,
+  };
+
+  let run;
+  try {
+    run =
+      target.kind === "flow"
+        ? await runFlow({ flow: target.flow, ...runOptions })
+        : await runCollection({ collection: { name: target.name }, requests: target.requests, ...runOptions });
+  } catch (err) {
+    // A flow with a cycle can't be ordered — a problem with the
+    // input file; anything else is a failure of the run
+    throw err instanceof FlowCycleError ? new UsageError(err.message) : err;
+  } finally {
+    process.removeListener("SIGINT", interrupt);
+  }
+  const { report, environmentUpdates } = run;
+  consoleReporter?.finish(report);
+
+  // ── Outputs ──
+  const fileReporters = reporters.filter((r) => r !== "console");
+  if (fileReporters.length) {
+    const outDir = options.out || "apicanvas-reports";
+    fs.mkdirSync(outDir, { recursive: true });
+    fileReporters.forEach((format) => {
+      const outFile = path.join(outDir, reportFileName(report, format));
+      fs.writeFileSync(outFile, formatReport(report, format));
+      console.log(`Wrote ${outFile}`);
+    });
+  }
+
+  if (options["export-environment"]) {
+    const finalVariables = { ...variables };
+    Object.entries(environmentUpdates).forEach(([key, value]) => {
+      if (value === null) delete finalVariables[key];
+      else finalVariables[key] = value;
+    });
+    fs.writeFileSync(
+      options["export-environment"],
+      JSON.stringify(toPostmanEnvironment(environment?.name || target.name, finalVariables), null, 2)
+    );
+    console.log(`Wrote ${options["export-environment"]}`);
+  }
+
+  const passed = report.summary.failed === 0 && !report.stopped;
+  return passed ? EXIT_PASSED : EXIT_FAILED;
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error(`apicanvas: ${err.message}`);
+    if (err instanceof UsageError || err.code?.startsWith("ERR_PARSE_ARGS")) {
+      console.error("Run apicanvas --help for usage.");
+      process.exitCode = EXIT_USAGE;
+    } else {
+      process.exitCode = EXIT_FAILED;
+    }
+  });
@@ -0,0 +1,80 @@
+// ============================================================
+// consoleReporter.js — Terminal Output for the CLI
+// ============================================================
+// Prints each request as it finishes (fed by the runner's
+// onProgress snapshots), then the steps a flow skipped and the
+// run summary. Colour is used on a TTY unless NO_COLOR is set.
+// ============================================================
+
+export function createConsoleReporter({ stream = process.stdout, color } = {}) {
+  const useColor = color ?? (Boolean(stream.isTTY) && !process.env.NO_COLOR);
+  const paint = (code) => (text) => (useColor ? `\x1b[${code}m${text}\x1b[0m` : String(text));
+  const bold = paint(1);
+  const dim = paint(2);
+  const red = paint(31);
+  const green = paint(32);
+  const yellow = paint(33);
+
+  const write = (line = "") => stream.write(`${line}\n`);
+  const mark = (passed) => (passed ? green("✓") : red("✗"));
+
+  // Results already printed, per iteration index
+  const printed = new Map();
+
+  const printResult = (result) => {
+    const status = result.status ? (result.status < 400 ? green(result.status) : red(result.status)) : red("—");
+    write(`  ${mark(result.passed)} ${result.name} ${dim(`${result.method} ${result.url}`)} ${status} ${dim(`${result.responseTime} ms`)}`);
+    result.assertions.forEach((assertion) =>
+      write(`      ${mark(assertion.passed)} ${assertion.name}${!assertion.passed && assertion.error ? dim(` — ${assertion.error}`) : ""}`)
+    );
+    if (result.error && result.assertions.every((assertion) => assertion.passed)) {
+      write(`      ${red(result.error)}`);
+    }
+  };
+
+  // Print whatever finished since the last snapshot
+  const progress = (report) => {
+    report.iterations.forEach((iteration) => {
+      if (!printed.has(iteration.index)) {
+        if (report.options.iterations > 1) {
+          const data = iteration.data ? dim(` ${JSON.stringify(iteration.data)}`) : "";
+          write();
+          write(`${bold(`Iteration ${iteration.index}`)}${data}`);
+        }
+        printed.set(iteration.index, 0);
+      }
+      iteration.results.slice(printed.get(iteration.index)).forEach(printResult);
+      printed.set(iteration.index, iteration.results.length);
+    });
+  };
+
+  return {
+    start(name, kind) {
+      write(bold(`${kind === "flow" ? "Flow" : "Collection"}: ${name}`));
+    },
+
+    progress,
+
+    finish(report) {
+      progress(report);
+      const { summary } = report;
+
+      report.iterations
+        .filter((iteration) => iteration.skipped?.length)
+        .forEach((iteration) => {
+          write();
+          write(yellow(`Skipped${report.options.iterations > 1 ? ` in iteration ${iteration.index}` : ""}:`));
+          iteration.skipped.forEach((step) => write(`  – ${step.name} ${dim(`(${step.reason})`)}`));
+        });
+
+      write();
+      const counts = [green(`${summary.passed} passed`), summary.failed ? red(`${summary.failed} failed`) : "0 failed"];
+      if (summary.skipped) counts.push(yellow(`${summary.skipped} skipped`));
+      write(`${bold("Requests")}    ${summary.requests} run · ${counts.join(", ")}`);
+      write(`${bold("Assertions")}  ${summary.assertions - summary.failedAssertions}/${summary.assertions} passed`);
+      write(`${bold("Timing")}      ${summary.averageResponseTime} ms average · ${(report.durationMs / 1000).toFixed(1)} s total`);
+      if (report.stopped === "failure") write(red("Stopped at the first failure"));
+      if (report.stopped === "cancelled") write(yellow("Cancelled"));
+    },
+  };
+}
@@ -0,0 +1,198 @@
+// ============================================================
+// httpClient.js — Direct Request Sender for the CLI
+// ============================================================
+// In the app every request goes through the proxy server. The
+// CLI has no proxy, so it passes sendDirectRequest to
+// executeRequest as `send`: it takes the same payload
+// (buildProxyPayload) and resolves in the same response shape
+// as POST /api/proxy, with the same body encodings, request
+// settings (timeout, redirects, TLS verification, response
+// size limit) and text / JSON / base64 decoding.
+// Differences from the proxy: no SSRF filtering (the CLI runs
+// on your machine and may call localhost), HTTP/2 requests are
+// sent over HTTP/1.1 and no redirect chain is recorded.
+// ============================================================
+
+import http from "node:http";
+import https from "node:https";
+import axios from "axios";
+import { DEFAULT_REQUEST_SETTINGS } from "../src/lib/requestBuilder.js";
+
+// Only used when a request turns TLS verification off
+const insecureHttpsAgent = new https.Agent({ rejectUnauthorized: false });
+
+// Case-insensitive header helpers on a plain object
+const findHeaderKey = (headers, name) =>
+  Object.keys(headers).find((h) => h.toLowerCase() === name.toLowerCase());
+
+const setDefaultHeader = (headers, name, value) => {
+  if (!findHeaderKey(headers, name)) headers[name] = value;
+};
+
+// --------------------------------------------------
+// Outgoing axios `data` for a body encoding (mutates
+// `headers` like the proxy's buildOutgoingBody)
+// --------------------------------------------------
+function buildOutgoingBody(encoding, body, headers) {
+  if (body === undefined || body === null || body === "") return undefined;
+
+  switch (encoding) {
+    case "text":
+      setDefaultHeader(headers, "Content-Type", "text/plain");
+      return String(body);
+
+    case "urlencoded":
+      setDefaultHeader(headers, "Content-Type", "application/x-www-form-urlencoded");
+      return new URLSearchParams(
+        body.filter((f) => f && f.key).map((f) => [String(f.key), String(f.value ?? "")])
+      ).toString();
+
+    case "form-data": {
+      const form = new FormData();
+      body.forEach((field) => {
+        if (!field || !field.key) return;
+        if (field.type === "file") {
+          const blob = new Blob([Buffer.from(field.data || "", "base64")], {
+            type: field.contentType || "application/octet-stream",
+          });
+          form.append(String(field.key), blob, field.fileName || "file");
+        } else {
+          form.append(String(field.key), String(field.value ?? ""));
+        }
+      });
+      // axios sets multipart/form-data with the boundary itself
+      const contentTypeKey = findHeaderKey(headers, "Content-Type");
+      if (contentTypeKey) delete headers[contentTypeKey];
+      return form;
+    }
+
+    case "binary":
+      setDefaultHeader(headers, "Content-Type", body.contentType || "application/octet-stream");
+      return Buffer.from(body.data || "", "base64");
+
+    default:
+      // json — axios serialises objects as JSON
+      return body;
+  }
+}
+
+// --------------------------------------------------
+// Raw bytes → { data, encoding } exactly as the proxy
+// decodes them: textual content types (and untyped
+// bodies that are valid UTF-8) as text, JSON parsed,
+// everything else base64
+// --------------------------------------------------
+const TEXT_CONTENT_TYPES = [
+  /^text\//,
+  /^application\/(json|xml|javascript|ecmascript|x-www-form-urlencoded|graphql|x-yaml|yaml|x-ndjson)\b/,
+  /\+(json|xml)\b/,
+  /^image\/svg\+xml\b/,
+];
+
+const decodeText = (buffer, charset, fatal = false) => {
+  try {
+    return new TextDecoder(charset || "utf-8", { fatal }).decode(buffer);
+  } catch (error) {
+    if (fatal) throw error;
+    return new TextDecoder("utf-8").decode(buffer); // unknown charset label
+  }
+};
+
+function decodeResponseBody(buffer, contentType) {
+  const type = String(contentType || "").toLowerCase();
+  const charset = type.match(/charset="?([\w.:-]+)"?/)?.[1];
+  let text = null;
+
+  if (TEXT_CONTENT_TYPES.some((pattern) => pattern.test(type))) {
+    text = decodeText(buffer, charset);
+  } else if (!type && !buffer.subarray(0, 1024).includes(0)) {
+    try {
+      text = decodeText(buffer, "utf-8", true);
+    } catch {
+      text = null;
+    }
+  }
+
+  if (text === null) return { data: buffer.toString("base64"), encoding: "base64" };
+  try {
+    return { data: JSON.parse(text), encoding: "utf-8" };
+  } catch {
+    return { data: text, encoding: "utf-8" };
+  }
+}
+
+// Readable message for a failed send
+function describeError(error, settings) {
+  if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT" || error.message?.includes("timeout")) {
+    return `Request timed out after ${settings.timeoutMs / 1000}s`;
+  }
+  if (error.message?.includes("maxContentLength")) {
+    return `Response exceeded the ${settings.maxResponseMB} MB limit`;
+  }
+  if (error.code === "ERR_FR_TOO_MANY_REDIRECTS") {
+    return `Stopped after ${settings.maxRedirects} redirect${settings.maxRedirects !== 1 ? "s" : ""}`;
+  }
+  if (error.code === "ENOTFOUND" || error.code === "ECONNREFUSED") {
+    return `Unable to reach the API (${error.code})`;
+  }
+  return error.message || "Request failed";
+}
+
+// --------------------------------------------------
+// Send a buildProxyPayload() payload. Always resolves;
+// failures come back like the app's proxy errors
+// (status 0, data.error, proxyError).
+// --------------------------------------------------
+export async function sendDirectRequest(payload) {
+  const settings = { ...DEFAULT_REQUEST_SETTINGS, ...payload.settings };
+  const headers = { ...(payload.headers || {}) };
+  const startTime = Date.now();
+
+  try {
+    const data = buildOutgoingBody(payload.bodyEncoding || "json", payload.body, headers);
+    const response = await axios({
+      method: payload.method,
+      url: payload.url,
+      params: payload.params || {},
+      headers,
+      data,
+      timeout: settings.timeoutMs,
+      validateStatus: () => true, // Don't throw on 4xx/5xx responses
+      responseType: "arraybuffer",
+      transformResponse: [(raw) => raw],
+      maxContentLength: Math.round(settings.maxResponseMB * 1024 * 1024),
+      maxRedirects: settings.followRedirects ? settings.maxRedirects : 0,
+      ...(settings.verifyTls ? {} : { httpsAgent: insecureHttpsAgent }),
+    });
+
+    const rawBody = Buffer.from(response.data);
+    const contentType = response.headers["content-type"] || "";
+    const { data: body, encoding } = decodeResponseBody(rawBody, contentType);
+
+    return {
+      status: response.status,
+      statusText: response.statusText || http.STATUS_CODES[response.status] || "",
+      headers: { ...response.headers },
+      data: body,
+      encoding,
+      contentType,
+      responseTime: Date.now() - startTime,
+      responseSize: rawBody.length,
+      redirects: [],
+      finalUrl: response.request?.res?.responseUrl || payload.url,
+      httpVersion: "1.1",
+      receivedAt: Date.now(),
+    };
+  } catch (error) {
+    return {
+      status: 0,
+      statusText: "Network Error",
+      headers: {},
+      data: { error: describeError(error, settings) },
+      responseTime: Date.now() - startTime,
+      responseSize: 0,
+      proxyError: true,
+      receivedAt: Date.now(),
+    };
+  }
+}
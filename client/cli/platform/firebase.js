@@ -0,0 +1,13 @@
+// ============================================================
+// firebase.js — Node Stand-in for src/lib/firebase.js
+// ============================================================
+// The CLI build (vite.cli.config.js) swaps the Firebase client
+// for this module. The CLI runs exported files and never talks
+// to Firestore or the proxy, so nobody is signed in.
+// ============================================================
+
+const app = null;
+const db = null;
+const auth = { currentUser: null };
+
+export { app, db, auth };
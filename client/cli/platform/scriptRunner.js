@@ -0,0 +1,58 @@
+// ============================================================
+// scriptRunner.js — Node Stand-in for src/lib/scriptRunner.js
+// ============================================================
+// The CLI build (vite.cli.config.js) swaps the Web Worker
+// sandbox for this module. It runs the very same sandboxWorker
+// body in a fresh node:vm context, so pm.* scripts behave as
+// they do in the app. Data crosses in and out of the context
+// as JSON only. node:vm keeps scripts away from the CLI's
+// globals but is not a security boundary — run files you trust.
+// ============================================================
+
+import vm from "node:vm";
+import { sandboxWorker } from "../../src/lib/scriptRunner.js";
+
+// Maximum time a script may run before it's interrupted
+const SCRIPT_TIMEOUT_MS = 5000;
+
+// Worker body plus a `self` whose postMessage stores the
+// result as JSON, then one message from `messageJson`
+const SOURCE = `
+const self = { postMessage: (data) => { globalThis.resultJson = JSON.stringify(data); } };
+(${sandboxWorker.toString()})();
+self.onmessage({ data: JSON.parse(messageJson) });
+`;
+
+// --------------------------------------------------
+// Same contract as the browser runner:
+// context: { request, variables, response? }
+// Resolves with { request, variables, environmentUpdates,
+// tests, logs, error } — never rejects.
+// --------------------------------------------------
+export function runScript(code, context, { timeout = SCRIPT_TIMEOUT_MS } = {}) {
+  const empty = {
+    request: context.request,
+    variables: context.variables,
+    environmentUpdates: {},
+    tests: [],
+    logs: [],
+  };
+
+  if (!code?.trim()) return Promise.resolve({ ...empty, error: null });
+
+  const sandbox = vm.createContext({ messageJson: JSON.stringify({ code, context }), resultJson: null });
+  try {
+    vm.runInContext(SOURCE, sandbox, { timeout });
+  } catch (err) {
+    const error =
+      err?.code === "ERR_SCRIPT_EXECUTION_TIMEOUT"
+        ? `Script timed out after ${timeout / 1000}s`
+        : err?.message || "Script failed to run";
+    return Promise.resolve({ ...empty, error });
+  }
+
+  if (typeof sandbox.resultJson !== "string") {
+    return Promise.resolve({ ...empty, error: "Script failed to run" });
+  }
+  return Promise.resolve(JSON.parse(sandbox.resultJson));
+}
@@ -0,0 +1,74 @@
+import vm from "node:vm";
+import { describe, expect, it } from "vitest";
+import { sandboxWorker } from "../../src/lib/scriptRunner.js";
+import { runScript } from "./scriptRunner.js";
+
+// A stand-in worker scope with the APIs a browser worker has
+const workerScope = () => {
+  const scope = {
+    fetch: () => {},
+    XMLHttpRequest: function XMLHttpRequest() {},
+    WebSocket: function WebSocket() {},
+    EventSource: function EventSource() {},
+    indexedDB: { open: () => {} },
+    caches: {},
+    importScripts: () => {},
+    BroadcastChannel: function BroadcastChannel() {},
+    Worker: function Worker() {},
+    navigator: {},
+    result: null,
+  };
+  scope.postMessage = (data) => {
+    scope.result = data;
+  };
+  return scope;
+};
+
+// Run the worker body in `scope` and send it one script
+const runInWorkerScope = (scope, code) => {
+  vm.runInContext(
+    `globalThis.self = globalThis;
+    (${sandboxWorker.toString()})();
+    self.onmessage({ data: ${JSON.stringify({ code, context: { request: {}, variables: {} } })} });`,
+    vm.createContext(scope)
+  );
+  return scope.result;
+};
+
+describe("script sandbox", () => {
+  it("removes network, storage and messaging globals before scripts run", () => {
+    const result = runInWorkerScope(workerScope(), `
+      pm.test("fetch", () => pm.expect(typeof globalThis.fetch).to.equal("undefined"));
+      pm.test("indexedDB", () => pm.expect(typeof indexedDB).to.equal("undefined"));
+      pm.test("Function", () => pm.expect(typeof Function("return this")().XMLHttpRequest).to.equal("undefined"));
+      pm.test("others", () =>
+        ["WebSocket", "EventSource", "caches", "importScripts", "BroadcastChannel", "Worker", "navigator", "postMessage"]
+          .forEach((name) => pm.expect(typeof globalThis[name]).to.equal("undefined")));
+    `);
+    expect(result.error).toBeNull();
+    expect(result.tests).toEqual([
+      { name: "fetch", passed: true },
+      { name: "indexedDB", passed: true },
+      { name: "Function", passed: true },
+      { name: "others", passed: true },
+    ]);
+  });
+
+  it("refuses to run scripts when a global can't be removed", () => {
+    const scope = workerScope();
+    Object.defineProperty(scope, "fetch", { value: () => {}, configurable: false });
+    const result = runInWorkerScope(scope, `pm.environment.set("ran", "yes");`);
+    expect(result.error).toMatch(/fetch can't be removed/);
+    expect(result.environmentUpdates).toEqual({});
+  });
+
+  it("runs pm scripts in the CLI's node:vm context", async () => {
+    const result = await runScript(
+      `pm.environment.set("token", "abc"); pm.test("fetch", () => pm.expect(typeof globalThis.fetch).to.equal("undefined"));`,
+      { request: { method: "GET" }, variables: {} }
+    );
+    expect(result.error).toBeNull();
+    expect(result.environmentUpdates).toEqual({ token: "abc" });
+    expect(result.tests).toEqual([{ name: "fetch", passed: true }]);
+  });
+});
@@ -2,7 +2,8 @@
 // App.jsx — Root Component & Route Configuration
 // ============================================================
 // Gray-900 base background. Green-800 spinner accent.
-// "/" shows the public Landing page. Auth routes are public.
+// "/" shows the public Landing page. Auth routes are public,
+// and so are published API docs (/docs/:docId).
 // All app routes are protected behind ProtectedRoute.
 // ============================================================
 
@@ -18,6 +19,10 @@ import Collections from "./pages/Collections";
 import History from "./pages/History";
 import CodeGenerator from "./pages/CodeGenerator";
 import Visualizer from "./pages/Visualizer";
+import Realtime from "./pages/Realtime";
+import Monitors from "./pages/Monitors";
+import Mocks from "./pages/Mocks";
+import PublishedDocs from "./pages/PublishedDocs";
 
 // ProtectedRoute — guards routes that require authentication
 function ProtectedRoute({ children }) {
@@ -59,6 +64,7 @@ function App() {
           <Route path="/" element={<Landing />} />
           <Route path="/login" element={<Navigate to="/" />} />
           <Route path="/register" element={<Navigate to="/" />} />
+          <Route path="/docs/:docId" element={<PublishedDocs />} />
 
           {/* Protected routes — require authentication */}
           <Route path="/workspace" element={<ProtectedRoute><Workspace /></ProtectedRoute>} />
@@ -66,6 +72,9 @@ function App() {
           <Route path="/history" element={<ProtectedRoute><History /></ProtectedRoute>} />
           <Route path="/generator" element={<ProtectedRoute><CodeGenerator /></ProtectedRoute>} />
           <Route path="/visualizer" element={<ProtectedRoute><Visualizer /></ProtectedRoute>} />
+          <Route path="/realtime" element={<ProtectedRoute><Realtime /></ProtectedRoute>} />
+          <Route path="/monitors" element={<ProtectedRoute><Monitors /></ProtectedRoute>} />
+          <Route path="/mocks" element={<ProtectedRoute><Mocks /></ProtectedRoute>} />
         </Routes>
       </BrowserRouter>
     </div>
@@ -0,0 +1,121 @@
+// ============================================================
+// CodeSnippetModal.jsx — "Code" Panel for the Request Builder
+// ============================================================
+// Shows the current request as cURL, fetch, axios, Python
+// requests, Go net/http and HTTPie, with a copy button.
+// Snippets come from lib/codeSnippets (same payload as Send).
+// Mounted / unmounted via AnimatePresence in RequestBuilder.
+// ============================================================
+
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { Light as SyntaxHighlighter } from "react-syntax-highlighter";
+import bash from "react-syntax-highlighter/dist/esm/languages/hljs/bash";
+import javascript from "react-syntax-highlighter/dist/esm/languages/hljs/javascript";
+import python from "react-syntax-highlighter/dist/esm/languages/hljs/python";
+import go from "react-syntax-highlighter/dist/esm/languages/hljs/go";
+import { atomOneDark } from "react-syntax-highlighter/dist/esm/styles/hljs";
+import { SNIPPET_LANGUAGES, generateSnippet } from "../lib/codeSnippets";
+
+SyntaxHighlighter.registerLanguage("bash", bash);
+SyntaxHighlighter.registerLanguage("javascript", javascript);
+SyntaxHighlighter.registerLanguage("python", python);
+SyntaxHighlighter.registerLanguage("go", go);
+
+function CodeSnippetModal({ request, variables, onClose }) {
+  const [language, setLanguage] = useState(SNIPPET_LANGUAGES[0].id);
+  const [copied, setCopied] = useState(false);
+
+  const current = SNIPPET_LANGUAGES.find((l) => l.id === language);
+  // Invalid request data (e.g. GraphQL variables) shows the reason instead
+  let code;
+  try {
+    code = generateSnippet(language, request, variables);
+  } catch (err) {
+    code = `# ${err.message}`;
+  }
+
+  // Copy the snippet to clipboard
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      console.error("Failed to copy to clipboard");
+    }
+  };
+
+  return (
+    <motion.div
+      className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm flex items-center justify-center"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <motion.div
+        className="bg-gray-800 border border-gray-700 rounded-xl w-full max-w-2xl mx-4 flex flex-col max-h-[80vh]"
+        initial={{ opacity: 0, scale: 0.95, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        exit={{ opacity: 0, scale: 0.95, y: 20 }}
+        transition={{ duration: 0.2 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header — language tabs + close */}
+        <div className="flex items-center justify-between px-5 pt-4 border-b border-gray-700">
+          <div className="flex gap-4">
+            {SNIPPET_LANGUAGES.map((l) => (
+              <button
+                key={l.id}
+                onClick={() => setLanguage(l.id)}
+                className={`pb-3 text-sm transition-colors ${
+                  language === l.id
+                    ? "text-gray-50 border-b-2 border-green-600"
+                    : "text-gray-500 hover:text-gray-300"
+                }`}
+              >
+                {l.label}
+              </button>
+            ))}
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-300 transition-colors pb-3">
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Snippet */}
+        <div className="relative p-5 overflow-auto">
+          <button
+            onClick={handleCopy}
+            className="absolute top-7 right-7 z-10 bg-gray-700 hover:bg-gray-600 text-gray-300 text-xs px-2 py-1 rounded transition-all duration-200"
+          >
+            {copied ? "Copied!" : "Copy"}
+          </button>
+          <SyntaxHighlighter
+            language={current.highlight}
+            style={atomOneDark}
+            customStyle={{
+              background: "#1f2937",
+              borderRadius: "0.375rem",
+              border: "1px solid #374151",
+              padding: "1rem",
+              fontSize: "0.8rem",
+              margin: 0,
+            }}
+            wrapLongLines
+          >
+            {code}
+          </SyntaxHighlighter>
+          <p className="text-gray-500 text-xs mt-3">
+            Includes auth headers and resolved {"{{variables}}"} from the active environment.
+          </p>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default CodeSnippetModal;
@@ -0,0 +1,441 @@
+// ============================================================
+// CollectionRunnerModal.jsx — Run a Whole Collection
+// ============================================================
+// Collections page modal around lib/collectionRunner: pick and
+// order the requests (the order is saved on the collection),
+// set iterations, a delay and stop-on-failure, optionally load
+// a CSV / JSON data file, then run with live results. The
+// report can be exported as JSON, JUnit XML or HTML.
+// WebSocket / SSE sessions can't be run and are left out.
+// ============================================================
+
+import { useRef, useState } from "react";
+import { motion } from "framer-motion";
+import { doc, updateDoc } from "firebase/firestore";
+import { db } from "../lib/firebase";
+import useStore from "../store/useStore";
+import { useActiveEnvironment } from "../hooks/useActiveEnvironment";
+import { isStreamRequest } from "../lib/streamClient";
+import { parseDataFile, runCollection, MAX_ITERATIONS, MAX_DELAY_MS } from "../lib/collectionRunner";
+import { REPORT_FORMATS, downloadReport } from "../lib/runReports";
+
+// Method text colors — text only, no colored backgrounds
+const METHOD_COLOR = {
+  GET: "text-green-400",
+  POST: "text-blue-400",
+  PUT: "text-yellow-400",
+  DELETE: "text-red-400",
+  PATCH: "text-orange-400",
+};
+
+const INPUT_CLASS = `w-24 bg-gray-700 border border-gray-700 text-gray-50 rounded px-3 py-1.5 text-sm font-mono
+                     focus:border-green-600 focus:outline-none disabled:opacity-50`;
+
+const toMillis = (ts) => (ts?.toDate?.() || new Date(ts || 0)).getTime();
+
+// Keep a number input within [min, max]
+const clamp = (value, min, max) => Math.min(max, Math.max(min, Math.floor(Number(value) || 0)));
+
+// ============================================================
+// CollectionRunnerModal Component
+// ============================================================
+
+function CollectionRunnerModal({ collection, requests, onClose }) {
+  const updateCollection = useStore((s) => s.updateCollection);
+  const environments = useStore((s) => s.environments);
+  const {
+    activeEnvironmentId,
+    variables: environmentVars,
+    persistUpdates: persistEnvironmentUpdates,
+  } = useActiveEnvironment();
+
+  // Runnable requests by id, oldest first
+  const runnable = requests
+    .filter((r) => !isStreamRequest(r))
+    .sort((a, b) => toMillis(a.created_at) - toMillis(b.created_at));
+  const byId = Object.fromEntries(runnable.map((r) => [r.id, r]));
+  const streamCount = requests.length - runnable.length;
+
+  // ── Run order: the saved order first, then anything newer ──
+  const [order, setOrder] = useState(() => {
+    const saved = (collection.run_order || []).filter((id) => byId[id]);
+    return [...saved, ...runnable.map((r) => r.id).filter((id) => !saved.includes(id))];
+  });
+  const [skipped, setSkipped] = useState(() => (collection.run_skipped || []).filter((id) => byId[id]));
+
+  // ── Options ──
+  const [iterations, setIterations] = useState(1);
+  const [delayMs, setDelayMs] = useState(0);
+  const [stopOnFailure, setStopOnFailure] = useState(false);
+  const [data, setData] = useState(null); // { fileName, rows }
+  const [dataError, setDataError] = useState("");
+
+  // ── Run state ──
+  const [running, setRunning] = useState(false);
+  const [report, setReport] = useState(null);
+  const [expandedKey, setExpandedKey] = useState(null);
+  const controllerRef = useRef(null);
+
+  const visibleOrder = order.filter((id) => byId[id]);
+  const selectedIds = visibleOrder.filter((id) => !skipped.includes(id));
+  const totalRuns = selectedIds.length * iterations;
+
+  // ── Reorder / include ──
+  const move = (index, delta) => {
+    const next = [...visibleOrder];
+    const [item] = next.splice(index, 1);
+    next.splice(index + delta, 0, item);
+    setOrder(next);
+  };
+  const toggleSkipped = (id) =>
+    setSkipped((prev) => (prev.includes(id) ? prev.filter((s) => s !== id) : [...prev, id]));
+
+  // ── Data file (one row per iteration) ──
+  const handleDataFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const rows = parseDataFile(await file.text(), file.name);
+      if (rows.length === 0) throw new Error("The data file has no rows");
+      setData({ fileName: file.name, rows });
+      setIterations(Math.min(rows.length, MAX_ITERATIONS));
+      setDataError("");
+    } catch (err) {
+      setData(null);
+      setDataError(err.message);
+    }
+  };
+
+  // Remember the order on the collection (Firestore + Zustand)
+  const saveRunOrder = () => {
+    const patch = { run_order: visibleOrder, run_skipped: skipped };
+    if (JSON.stringify(patch.run_order) === JSON.stringify(collection.run_order || []) &&
+        JSON.stringify(patch.run_skipped) === JSON.stringify(collection.run_skipped || [])) {
+      return;
+    }
+    updateCollection(collection.id, patch);
+    updateDoc(doc(db, "collections", collection.id), patch).catch((err) =>
+      console.error("Failed to save run order:", err.message)
+    );
+  };
+
+  // ── Run ──
+  const handleRun = async () => {
+    if (running || selectedIds.length === 0) return;
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    saveRunOrder();
+    setRunning(true);
+    setReport(null);
+    setExpandedKey(null);
+
+    try {
+      const result = await runCollection({
+        collection,
+        requests: selectedIds.map((id) => byId[id]),
+        iterations,
+        data: data?.rows || [],
+        dataFile: data?.fileName || null,
+        delayMs,
+        stopOnFailure,
+        variables: environmentVars,
+        environment: environments.find((env) => env.id === activeEnvironmentId)?.name || null,
+        signal: controller.signal,
+        onProgress: setReport,
+      });
+      setReport(result.report);
+      persistEnvironmentUpdates(result.environmentUpdates);
+    } finally {
+      controllerRef.current = null;
+      setRunning(false);
+    }
+  };
+
+  const handleClose = () => {
+    controllerRef.current?.abort();
+    onClose();
+  };
+
+  const summary = report?.summary;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={handleClose}
+      className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm flex items-center justify-center"
+    >
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        exit={{ opacity: 0, scale: 0.95, y: 20 }}
+        transition={{ duration: 0.2 }}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-gray-800 border border-gray-700 rounded-xl p-6 w-full max-w-3xl mx-4 max-h-[90vh] overflow-y-auto"
+      >
+        <h2 className="text-gray-50 font-bold text-lg mb-1">Run {collection.name}</h2>
+        <p className="text-gray-400 text-xs mb-4">
+          Requests run in this order with the active environment
+          {activeEnvironmentId ? "" : " (none selected)"}; variables set by scripts carry over to the next request.
+          {streamCount > 0 && ` ${streamCount} WebSocket / SSE session${streamCount !== 1 ? "s are" : " is"} left out.`}
+        </p>
+
+        {/* ── Request order ── */}
+        <div className="space-y-1 max-h-56 overflow-y-auto mb-4">
+          {visibleOrder.length === 0 && (
+            <p className="text-gray-500 text-xs text-center py-4">No runnable requests in this collection</p>
+          )}
+          {visibleOrder.map((id, index) => {
+            const req = byId[id];
+            return (
+              <div key={id} className="bg-gray-700/50 rounded-lg px-3 py-2 flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={!skipped.includes(id)}
+                  onChange={() => toggleSkipped(id)}
+                  disabled={running}
+                  className="accent-green-600"
+                />
+                <span className="text-gray-500 text-xs font-mono w-5 text-right">{index + 1}</span>
+                <span className={`${METHOD_COLOR[req.method] || "text-gray-400"} font-mono text-xs font-bold w-14 shrink-0`}>
+                  {req.method || "GET"}
+                </span>
+                <span className={`text-xs truncate flex-1 ${skipped.includes(id) ? "text-gray-500 line-through" : "text-gray-50"}`}>
+                  {req.folder && <span className="text-gray-500">{req.folder} / </span>}
+                  {req.name || req.url || "Untitled"}
+                </span>
+                <button
+                  onClick={() => move(index, -1)}
+                  disabled={running || index === 0}
+                  className="text-gray-400 hover:text-gray-50 text-xs px-1 disabled:opacity-30"
+                  title="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  onClick={() => move(index, 1)}
+                  disabled={running || index === visibleOrder.length - 1}
+                  className="text-gray-400 hover:text-gray-50 text-xs px-1 disabled:opacity-30"
+                  title="Move down"
+                >
+                  ↓
+                </button>
+              </div>
+            );
+          })}
+        </div>
+
+        {/* ── Options ── */}
+        <div className="flex flex-wrap items-end gap-4 mb-4">
+          <label className="text-gray-400 text-xs">
+            Iterations
+            <input
+              type="number"
+              min={1}
+              max={MAX_ITERATIONS}
+              value={iterations}
+              onChange={(e) => setIterations(clamp(e.target.value, 1, MAX_ITERATIONS))}
+              disabled={running}
+              className={`${INPUT_CLASS} block mt-1`}
+            />
+          </label>
+          <label className="text-gray-400 text-xs">
+            Delay (ms)
+            <input
+              type="number"
+              min={0}
+              max={MAX_DELAY_MS}
+              step={100}
+              value={delayMs}
+              onChange={(e) => setDelayMs(clamp(e.target.value, 0, MAX_DELAY_MS))}
+              disabled={running}
+              className={`${INPUT_CLASS} block mt-1`}
+            />
+          </label>
+          <label className="flex items-center gap-2 text-gray-400 text-xs pb-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={stopOnFailure}
+              onChange={(e) => setStopOnFailure(e.target.checked)}
+              disabled={running}
+              className="accent-green-600"
+            />
+            Stop on first failure
+          </label>
+
+          {/* Data file */}
+          <div className="text-xs pb-1.5 ml-auto">
+            {data ? (
+              <span className="text-gray-400">
+                <span className="font-mono text-gray-50">{data.fileName}</span> · {data.rows.length} row
+                {data.rows.length !== 1 ? "s" : ""} · {Object.keys(data.rows[0]).map((k) => `{{${k}}}`).join(" ")}
+                <button
+                  onClick={() => setData(null)}
+                  disabled={running}
+                  className="text-gray-500 hover:text-red-400 ml-2"
+                >
+                  ✕
+                </button>
+              </span>
+            ) : (
+              <label className="border border-gray-700 text-gray-400 px-3 py-1.5 rounded hover:bg-gray-700 hover:text-gray-50 transition-colors cursor-pointer">
+                Load CSV / JSON data
+                <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleDataFile} className="hidden" />
+              </label>
+            )}
+          </div>
+        </div>
+        {data && iterations > data.rows.length && (
+          <p className="text-gray-500 text-xs -mt-2 mb-4">
+            More iterations than rows — the last row is reused.
+          </p>
+        )}
+        {dataError && <p className="text-red-400 text-xs -mt-2 mb-4">{dataError}</p>}
+
+        {/* ── Run / Stop + progress ── */}
+        <div className="flex items-center gap-3">
+          {running ? (
+            <button
+              onClick={() => controllerRef.current?.abort()}
+              className="border border-red-400/40 text-red-400 px-4 py-2 rounded-lg text-sm hover:bg-gray-700 transition-colors"
+            >
+              Stop
+            </button>
+          ) : (
+            <button
+              onClick={handleRun}
+              disabled={selectedIds.length === 0}
+              className="bg-green-600 hover:bg-green-700 text-gray-50 px-4 py-2 rounded-lg text-sm font-medium transition-colors
+                         disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Run {selectedIds.length} request{selectedIds.length !== 1 ? "s" : ""}
+              {iterations > 1 && ` × ${iterations}`}
+            </button>
+          )}
+          {(running || report) && (
+            <div className="flex-1 h-1.5 bg-gray-700 rounded-full overflow-hidden">
+              <div
+                className={`h-full transition-all ${summary?.failed ? "bg-red-500" : "bg-green-500"}`}
+                style={{ width: `${totalRuns ? Math.min(100, ((summary?.requests || 0) / totalRuns) * 100) : 0}%` }}
+              />
+            </div>
+          )}
+          {(running || report) && (
+            <span className="text-gray-400 text-xs font-mono">
+              {summary?.requests || 0}/{totalRuns}
+            </span>
+          )}
+        </div>
+
+        {/* ── Results ── */}
+        {report && (
+          <div className="mt-5">
+            <div className="flex items-center gap-4 text-xs mb-3 flex-wrap">
+              <span className="text-green-400">✅ {summary.passed} passed</span>
+              <span className="text-red-400">❌ {summary.failed} failed</span>
+              <span className="text-gray-400">
+                {summary.assertions - summary.failedAssertions}/{summary.assertions} assertions
+              </span>
+              <span className="text-gray-400">avg {summary.averageResponseTime} ms</span>
+              {report.stopped && (
+                <span className="text-yellow-400">
+                  {report.stopped === "failure" ? "Stopped at the first failure" : "Cancelled"}
+                </span>
+              )}
+              {!running && (
+                <div className="ml-auto flex items-center gap-2">
+                  <span className="text-gray-500">Export</span>
+                  {REPORT_FORMATS.map((format) => (
+                    <button
+                      key={format.id}
+                      onClick={() => downloadReport(report, format.id)}
+                      className="border border-gray-700 text-gray-400 px-2 py-1 rounded hover:bg-gray-700 hover:text-gray-50 transition-colors"
+                    >
+                      {format.label}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {report.iterations.map((iteration) => (
+              <div key={iteration.index} className="mb-3">
+                {report.iterations.length > 1 && (
+                  <p className="text-gray-500 text-xs uppercase tracking-wider mb-1">
+                    Iteration {iteration.index}
+                    {iteration.data && (
+                      <span className="normal-case tracking-normal font-mono ml-2 text-gray-600">
+                        {JSON.stringify(iteration.data).slice(0, 80)}
+                      </span>
+                    )}
+                  </p>
+                )}
+                {iteration.results.map((result, index) => {
+                  const key = `${iteration.index}-${index}`;
+                  const failedAssertions = result.assertions.filter((a) => !a.passed).length;
+                  return (
+                    <div key={key} className="border-b border-gray-700">
+                      <button
+                        onClick={() => setExpandedKey(expandedKey === key ? null : key)}
+                        className="w-full flex items-center gap-3 px-2 py-2 text-left hover:bg-gray-700/40"
+                      >
+                        <span
+                          className={`px-2 py-0.5 rounded text-[10px] font-bold shrink-0 ${
+                            result.passed ? "text-green-400 border border-green-400/40" : "text-red-400 border border-red-400/40"
+                          }`}
+                        >
+                          {result.passed ? "PASS" : "FAIL"}
+                        </span>
+                        <span className="text-gray-50 text-xs truncate flex-1">{result.name}</span>
+                        {result.assertions.length > 0 && (
+                          <span className={`text-xs font-mono ${failedAssertions ? "text-red-400" : "text-gray-400"}`}>
+                            {result.assertions.length - failedAssertions}/{result.assertions.length}
+                          </span>
+                        )}
+                        <span className="text-gray-400 text-xs font-mono w-10 text-right">{result.status || "ERR"}</span>
+                        <span className="text-green-500 text-xs font-mono w-16 text-right">{result.responseTime} ms</span>
+                      </button>
+                      {expandedKey === key && (
+                        <div className="px-2 pb-3 pl-16 text-xs space-y-1">
+                          <p className="text-gray-400 font-mono break-all">
+                            {result.method} {result.url}
+                          </p>
+                          {result.error && <p className="text-red-400">{result.error}</p>}
+                          {result.assertions.map((assertion, i) => (
+                            <p key={i} className={assertion.passed ? "text-green-400" : "text-red-400"}>
+                              {assertion.passed ? "✓" : "✗"} {assertion.name}
+                              {!assertion.passed && assertion.error && (
+                                <span className="text-gray-500"> — {assertion.error}</span>
+                              )}
+                            </p>
+                          ))}
+                          {result.assertions.length === 0 && (
+                            <p className="text-gray-500">No assertions (add tests, a snapshot or a schema)</p>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Close */}
+        <div className="flex justify-end mt-6">
+          <button
+            onClick={handleClose}
+            className="border border-gray-700 text-gray-400 px-4 py-2 rounded-lg text-sm hover:bg-gray-700 transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default CollectionRunnerModal;
@@ -20,6 +20,9 @@ import {
 import { db } from "../lib/firebase";
 import useStore from "../store/useStore";
 import { useCollections } from "../hooks/useCollections";
+import { useNavigate } from "react-router-dom";
+import { normalizeRequest } from "../lib/requestBuilder";
+import { isStreamRequest, streamBadge } from "../lib/streamClient";
 
 // Method text colors — text only, no backgrounds
 const METHOD_BADGE = {
@@ -33,6 +36,8 @@ const METHOD_BADGE = {
 function CollectionSidebar() {
   const user = useStore((state) => state.user);
   const setActiveRequest = useStore((state) => state.setActiveRequest);
+  const setActiveStreamSession = useStore((state) => state.setActiveStreamSession);
+  const navigate = useNavigate();
 
   // ── Global state from Zustand (shared with Collections page) ──
   const collections = useCollections();
@@ -201,20 +206,15 @@ function CollectionSidebar() {
     }
   };
 
-  // Load saved request into RequestBuilder
+  // Load saved request into RequestBuilder (stream sessions
+  // open in the Realtime page)
   const handleLoadRequest = (request) => {
-    setActiveRequest({
-      method: request.method || "GET",
-      url: request.url || "",
-      headers: request.headers?.length ? request.headers : [{ key: "", value: "" }],
-      params: request.params?.length ? request.params : [{ key: "", value: "" }],
-      bodyType: request.body ? "raw" : "none",
-      bodyContent: request.body ? JSON.stringify(request.body, null, 2) : "",
-      authType: "none",
-      bearerToken: "",
-      basicUsername: "",
-      basicPassword: "",
-    });
+    if (isStreamRequest(request)) {
+      setActiveStreamSession(request);
+      navigate("/realtime");
+      return;
+    }
+    setActiveRequest(normalizeRequest(request));
   };
 
   return (
@@ -410,10 +410,11 @@ function CollectionSidebar() {
                       >
                         {/* Method text color only */}
                         <span className={`font-bold text-[10px] ${METHOD_BADGE[req.method] || "text-gray-400"}`}>
-                          {req.method || "GET"}
+                          {streamBadge(req) || req.method || "GET"}
                         </span>
                         {/* Request name */}
                         <span className="text-gray-500 group-hover/req:text-gray-400 truncate flex-1">
+                          {req.folder && <span className="text-gray-600">{req.folder} / </span>}
                           {req.name || req.url || "Untitled"}
                         </span>
                         {/* Delete request icon — visible on row hover only */}
@@ -0,0 +1,232 @@
+// ============================================================
+// EnvironmentsModal.jsx — Manage Named Environments
+// ============================================================
+// Lets the user create, rename, edit and delete environments
+// (dev / staging / prod). Each environment is a list of
+// key-value variables stored in the Firestore `environments`
+// collection and referenced in requests as {{key}}.
+// ============================================================
+
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { collection, addDoc, updateDoc, deleteDoc, doc } from "firebase/firestore";
+import { db } from "../lib/firebase";
+import useStore from "../store/useStore";
+import KeyValueEditor from "./KeyValueEditor";
+
+const EMPTY_PAIR = { key: "", value: "" };
+
+// ============================================================
+// EnvironmentsModal Component
+// ============================================================
+
+function EnvironmentsModal({ onClose }) {
+  const user = useStore((s) => s.user);
+  const environments = useStore((s) => s.environments);
+  const activeEnvironmentId = useStore((s) => s.activeEnvironmentId);
+  const addEnvironment = useStore((s) => s.addEnvironment);
+  const updateEnvironment = useStore((s) => s.updateEnvironment);
+  const removeEnvironment = useStore((s) => s.removeEnvironment);
+
+  // ── Editor state — "new" or the id of the environment being edited ──
+  const [editingId, setEditingId] = useState(
+    activeEnvironmentId || environments[0]?.id || "new"
+  );
+  const editing = environments.find((e) => e.id === editingId);
+  const [name, setName] = useState(editing?.name || "");
+  const [variables, setVariables] = useState(
+    editing?.variables?.length ? editing.variables : [{ ...EMPTY_PAIR }]
+  );
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  // Load an environment (or a blank form) into the editor
+  const selectEnvironment = (env) => {
+    setEditingId(env ? env.id : "new");
+    setName(env?.name || "");
+    setVariables(env?.variables?.length ? env.variables : [{ ...EMPTY_PAIR }]);
+    setError("");
+    setConfirmDelete(false);
+  };
+
+  // Create or update the environment — Firestore + global Zustand state
+  const handleSave = async () => {
+    if (!name.trim()) {
+      setError("Environment name is required");
+      return;
+    }
+
+    setSaving(true);
+    setError("");
+
+    // Drop rows without a key so {{}} lookups stay clean
+    const cleaned = variables.filter((v) => v.key.trim());
+
+    try {
+      if (editingId === "new") {
+        const data = {
+          name: name.trim(),
+          variables: cleaned,
+          user_id: user.uid,
+          created_at: new Date(),
+        };
+        const docRef = await addDoc(collection(db, "environments"), data);
+        addEnvironment({ id: docRef.id, ...data });
+        setEditingId(docRef.id);
+      } else {
+        await updateDoc(doc(db, "environments", editingId), {
+          name: name.trim(),
+          variables: cleaned,
+        });
+        updateEnvironment(editingId, { name: name.trim(), variables: cleaned });
+      }
+      setVariables(cleaned.length ? cleaned : [{ ...EMPTY_PAIR }]);
+    } catch (err) {
+      setError("Failed to save environment");
+      console.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Delete the environment — Firestore + global Zustand state
+  const handleDelete = async () => {
+    if (editingId === "new") return;
+    try {
+      await deleteDoc(doc(db, "environments", editingId));
+      removeEnvironment(editingId);
+      selectEnvironment(environments.find((e) => e.id !== editingId) || null);
+    } catch (err) {
+      setError("Failed to delete environment");
+      console.error(err.message);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+      className="fixed inset-0 z-[60] bg-black/60 backdrop-blur-sm flex items-center justify-center"
+    >
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        exit={{ opacity: 0, scale: 0.95, y: 20 }}
+        transition={{ duration: 0.2 }}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-gray-800 border border-gray-700 rounded-xl w-full max-w-3xl mx-4 flex overflow-hidden max-h-[80vh]"
+      >
+        {/* ── Left — environment list ── */}
+        <div className="w-56 shrink-0 border-r border-gray-700 p-4 overflow-y-auto">
+          <p className="text-gray-400 text-xs font-semibold uppercase tracking-wider mb-3">
+            Environments
+          </p>
+          <div className="space-y-1">
+            {environments.map((env) => (
+              <button
+                key={env.id}
+                onClick={() => selectEnvironment(env)}
+                className={`w-full text-left px-3 py-2 rounded-lg text-sm truncate transition-colors ${
+                  editingId === env.id
+                    ? "bg-green-600/10 text-gray-50 border border-green-600"
+                    : "text-gray-400 border border-transparent hover:bg-gray-700 hover:text-gray-50"
+                }`}
+              >
+                {env.name}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={() => selectEnvironment(null)}
+            className="text-sm text-gray-400 hover:text-gray-50 transition-colors mt-3"
+          >
+            + New Environment
+          </button>
+        </div>
+
+        {/* ── Right — editor ── */}
+        <div className="flex-1 p-6 overflow-y-auto">
+          <h2 className="text-gray-50 font-bold text-lg mb-4">
+            {editingId === "new" ? "New Environment" : "Edit Environment"}
+          </h2>
+
+          {/* Environment name */}
+          <label className="text-gray-400 text-sm mb-1 block">Name</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => { setName(e.target.value); setError(""); }}
+            placeholder="e.g. Staging"
+            className="bg-gray-700 border border-gray-700 text-gray-50 placeholder-gray-500 rounded-lg p-3 w-full focus:border-green-600 focus:outline-none mb-4"
+          />
+
+          {/* Variables */}
+          <label className="text-gray-400 text-sm mb-1 block">Variables</label>
+          <p className="text-gray-500 text-xs mb-2">
+            Reference a variable in any request field as{" "}
+            <span className="font-mono text-green-400">{"{{baseUrl}}"}</span>
+          </p>
+          <KeyValueEditor
+            pairs={variables}
+            onChange={setVariables}
+            keyPlaceholder="Variable"
+            valuePlaceholder="Value"
+          />
+
+          {/* Error message */}
+          {error && <p className="text-red-400 text-sm mt-3">{error}</p>}
+
+          {/* Buttons */}
+          <div className="flex items-center justify-between mt-6">
+            {editingId !== "new" ? (
+              confirmDelete ? (
+                <div className="flex items-center gap-2">
+                  <span className="text-gray-400 text-xs">Delete environment?</span>
+                  <button onClick={handleDelete} className="text-red-400 text-xs hover:text-red-300">
+                    Yes
+                  </button>
+                  <button
+                    onClick={() => setConfirmDelete(false)}
+                    className="text-gray-400 text-xs hover:text-gray-50"
+                  >
+                    No
+                  </button>
+                </div>
+              ) : (
+                <button
+                  onClick={() => setConfirmDelete(true)}
+                  className="text-gray-400 hover:text-red-400 text-sm transition-colors"
+                >
+                  Delete
+                </button>
+              )
+            ) : (
+              <span />
+            )}
+
+            <div className="flex gap-3">
+              <button
+                onClick={onClose}
+                className="border border-gray-700 text-gray-400 px-4 py-2 rounded-lg text-sm hover:bg-gray-700 transition-colors"
+              >
+                Close
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={saving}
+                className="bg-green-600 hover:bg-green-700 disabled:opacity-40 text-gray-50 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+              >
+                {saving ? "Saving..." : editingId === "new" ? "Create" : "Save Changes"}
+              </button>
+            </div>
+          </div>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default EnvironmentsModal;
@@ -0,0 +1,128 @@
+// ============================================================
+// FormDataEditor.jsx — multipart/form-data Field Editor
+// ============================================================
+// Like KeyValueEditor, but each row is either a text field or
+// a file. Files are read into base64 (lib/fileData) and sent
+// through the proxy; saved requests keep only the file name,
+// so rows without data show a "re-attach" hint.
+// ============================================================
+
+import { useState } from "react";
+import { readFileAsBase64, formatFileSize } from "../lib/fileData";
+
+const EMPTY_FIELD = { key: "", type: "text", value: "" };
+
+function FormDataEditor({ fields, onChange }) {
+  const [error, setError] = useState("");
+
+  const rows = fields.length ? fields : [EMPTY_FIELD];
+
+  const updateField = (index, patch) => {
+    onChange(rows.map((field, i) => (i === index ? { ...field, ...patch } : field)));
+  };
+
+  const addField = () => onChange([...rows, EMPTY_FIELD]);
+  const removeField = (index) => onChange(rows.filter((_, i) => i !== index));
+
+  // Switching type replaces the row, keeping only the key
+  const setType = (index, type) => {
+    const next = type === "file"
+      ? { key: rows[index].key, type, fileName: "", contentType: "", size: 0, data: "" }
+      : { key: rows[index].key, type, value: "" };
+    onChange(rows.map((field, i) => (i === index ? next : field)));
+  };
+
+  const handleFile = async (index, e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      updateField(index, await readFileAsBase64(file));
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      {rows.map((field, index) => (
+        <div key={index} className="flex items-center gap-2">
+          {/* Key input */}
+          <input
+            type="text"
+            value={field.key}
+            onChange={(e) => updateField(index, { key: e.target.value })}
+            placeholder="Key"
+            className="flex-1 bg-gray-700 border border-gray-700 text-gray-50 rounded px-3 py-2
+                       text-sm placeholder-gray-500 focus:border-green-800 focus:outline-none
+                       transition-colors"
+          />
+          {/* Text / File toggle */}
+          <select
+            value={field.type || "text"}
+            onChange={(e) => setType(index, e.target.value)}
+            className="bg-gray-700 border border-gray-700 text-gray-400 rounded px-2 py-2 text-sm
+                       focus:border-green-800 focus:outline-none"
+          >
+            <option value="text">Text</option>
+            <option value="file">File</option>
+          </select>
+          {/* Value input or file picker */}
+          {field.type === "file" ? (
+            <label
+              className="flex-1 min-w-0 bg-gray-700 border border-gray-700 hover:border-gray-500 rounded px-3 py-2
+                         text-sm cursor-pointer transition-colors truncate"
+              title={field.fileName || "Choose a file"}
+            >
+              {field.fileName ? (
+                field.data ? (
+                  <span className="text-gray-50">
+                    {field.fileName} <span className="text-gray-500">· {formatFileSize(field.size)}</span>
+                  </span>
+                ) : (
+                  <span className="text-yellow-400">{field.fileName} — re-attach file</span>
+                )
+              ) : (
+                <span className="text-gray-500">Choose file…</span>
+              )}
+              <input type="file" onChange={(e) => handleFile(index, e)} className="hidden" />
+            </label>
+          ) : (
+            <input
+              type="text"
+              value={field.value}
+              onChange={(e) => updateField(index, { value: e.target.value })}
+              placeholder="Value"
+              className="flex-1 bg-gray-700 border border-gray-700 text-gray-50 rounded px-3 py-2
+                         text-sm placeholder-gray-500 focus:border-green-800 focus:outline-none
+                         transition-colors"
+            />
+          )}
+          {/* Remove row button */}
+          <button
+            onClick={() => removeField(index)}
+            className="text-gray-400 hover:text-red-400 transition p-1"
+            title="Remove"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="w-4 h-4" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+            </svg>
+          </button>
+        </div>
+      ))}
+
+      {error && <p className="text-red-400 text-xs">{error}</p>}
+
+      {/* Add row button */}
+      <button
+        onClick={addField}
+        className="text-sm text-gray-400 hover:text-gray-50 transition-colors"
+      >
+        + Add
+      </button>
+    </div>
+  );
+}
+
+export default FormDataEditor;
@@ -0,0 +1,220 @@
+// ============================================================
+// GraphQLEditor.jsx — GraphQL Body Editor
+// ============================================================
+// Query + variables editors for the GraphQL body type, with
+// an operation name selector when the document defines more
+// than one operation. Once the schema has been introspected
+// (through the proxy), the query editor autocompletes fields
+// and arguments (Ctrl+Space to open) and the schema explorer
+// sidebar is shown.
+// ============================================================
+
+import { useRef, useState } from "react";
+import SchemaExplorer from "./SchemaExplorer";
+import { getCompletions, listOperations } from "../lib/graphql";
+
+// Monospace metrics of the query textarea (text-sm font-mono,
+// p-3) — used to place the suggestion list under the caret
+const LINE_HEIGHT = 20;
+const CHAR_WIDTH = 8.4;
+const PADDING = 12;
+
+const QUERY_PLACEHOLDER = `query GetUser($id: ID!) {
+  user(id: $id) {
+    id
+    name
+  }
+}`;
+
+function GraphQLEditor({
+  query,
+  variables,
+  operationName,
+  onQueryChange,
+  onVariablesChange,
+  onOperationNameChange,
+  schema,
+  schemaLoading,
+  schemaError,
+  onFetchSchema,
+}) {
+  const queryRef = useRef(null);
+  const [suggest, setSuggest] = useState(null); // { from, to, items, index, top, left }
+  const [explorerOpen, setExplorerOpen] = useState(true);
+
+  const operations = listOperations(query);
+
+  let variablesError = "";
+  if (variables.trim()) {
+    try {
+      JSON.parse(variables);
+    } catch {
+      // {{variables}} are resolved before parsing, so only flag
+      // documents that don't use them
+      if (!/\{\{[^}]+\}\}/.test(variables)) variablesError = "Variables must be valid JSON";
+    }
+  }
+
+  // --------------------------------------------------
+  // Open / refresh the suggestion list at the caret.
+  // `force` opens it even with no partial word typed.
+  // --------------------------------------------------
+  const updateSuggestions = (text, cursor, force = false) => {
+    if (!schema) return;
+    const result = getCompletions(schema, text, cursor);
+    if (!result.items.length || (!force && result.from === result.to)) {
+      setSuggest(null);
+      return;
+    }
+    const textarea = queryRef.current;
+    const lines = text.slice(0, result.from).split("\n");
+    setSuggest({
+      ...result,
+      index: 0,
+      top: lines.length * LINE_HEIGHT + PADDING - (textarea?.scrollTop || 0),
+      left: Math.min(lines[lines.length - 1].length * CHAR_WIDTH + PADDING, (textarea?.clientWidth || 400) - 240),
+    });
+  };
+
+  const acceptSuggestion = (item) => {
+    const next = query.slice(0, suggest.from) + item.label + query.slice(suggest.to);
+    const caret = suggest.from + item.label.length;
+    onQueryChange(next);
+    setSuggest(null);
+    requestAnimationFrame(() => {
+      queryRef.current?.focus();
+      queryRef.current?.setSelectionRange(caret, caret);
+    });
+  };
+
+  const handleQueryChange = (e) => {
+    onQueryChange(e.target.value);
+    updateSuggestions(e.target.value, e.target.selectionStart);
+  };
+
+  const handleQueryKeyDown = (e) => {
+    if (e.ctrlKey && e.key === " ") {
+      e.preventDefault();
+      updateSuggestions(query, e.target.selectionStart, true);
+      return;
+    }
+    if (!suggest) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setSuggest({ ...suggest, index: (suggest.index + step + suggest.items.length) % suggest.items.length });
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      acceptSuggestion(suggest.items[suggest.index]);
+    } else if (e.key === "Escape") {
+      setSuggest(null);
+    }
+  };
+
+  return (
+    <div className="flex gap-3">
+      <div className="flex-1 min-w-0 space-y-2">
+        {/* Toolbar — operation selector + schema controls */}
+        <div className="flex items-center gap-2 flex-wrap">
+          {operations.length > 1 && (
+            <select
+              value={operations.some((op) => op.name === operationName) ? operationName : ""}
+              onChange={(e) => onOperationNameChange(e.target.value)}
+              className="bg-gray-700 border border-gray-700 text-gray-400 rounded px-2 py-1 text-xs
+                         focus:border-green-800 focus:outline-none"
+            >
+              <option value="">Select operation…</option>
+              {operations.map((op) => (
+                <option key={op.name} value={op.name}>{op.type} {op.name}</option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={onFetchSchema}
+            disabled={schemaLoading}
+            className="text-gray-400 hover:text-gray-50 disabled:opacity-40 text-xs border border-gray-600 hover:border-gray-500 px-2 py-1 rounded transition-colors"
+          >
+            {schemaLoading ? "Fetching schema..." : schema ? "Refresh schema" : "Fetch schema"}
+          </button>
+          {schema && (
+            <button
+              onClick={() => setExplorerOpen(!explorerOpen)}
+              className="text-gray-400 hover:text-gray-50 text-xs transition-colors"
+            >
+              {explorerOpen ? "Hide explorer" : "Show explorer"}
+            </button>
+          )}
+          {schema && <span className="text-gray-500 text-xs ml-auto">Ctrl+Space for suggestions</span>}
+        </div>
+        {schemaError && <p className="text-red-400 text-xs">{schemaError}</p>}
+
+        {/* Query editor + suggestion list */}
+        <div className="relative">
+          <textarea
+            ref={queryRef}
+            value={query}
+            onChange={handleQueryChange}
+            onKeyDown={handleQueryKeyDown}
+            onBlur={() => setSuggest(null)}
+            onScroll={() => setSuggest(null)}
+            placeholder={QUERY_PLACEHOLDER}
+            rows={10}
+            spellCheck={false}
+            className="w-full bg-gray-700 border border-gray-700 text-green-400 font-mono
+                       text-sm rounded p-3 placeholder-gray-500 focus:border-green-800
+                       focus:outline-none transition-colors resize-none"
+          />
+          {suggest && (
+            <div
+              className="absolute z-20 w-60 max-h-48 overflow-y-auto bg-gray-800 border border-gray-600 rounded shadow-lg"
+              style={{ top: suggest.top, left: Math.max(suggest.left, 0) }}
+            >
+              {suggest.items.map((item, index) => (
+                <button
+                  key={item.label}
+                  // mousedown keeps focus in the textarea
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    acceptSuggestion(item);
+                  }}
+                  title={item.description}
+                  className={`flex w-full items-center justify-between gap-2 px-2 py-1 text-xs font-mono text-left ${
+                    index === suggest.index ? "bg-gray-700 text-gray-50" : "text-gray-300"
+                  }`}
+                >
+                  <span className="truncate">{item.label}</span>
+                  <span className="text-yellow-400/80 shrink-0">{item.detail}</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Variables editor */}
+        <div>
+          <p className="text-gray-500 text-xs uppercase tracking-wider mb-1">Variables</p>
+          <textarea
+            value={variables}
+            onChange={(e) => onVariablesChange(e.target.value)}
+            placeholder='{ "id": "{{userId}}" }'
+            rows={4}
+            spellCheck={false}
+            className="w-full bg-gray-700 border border-gray-700 text-green-400 font-mono
+                       text-sm rounded p-3 placeholder-gray-500 focus:border-green-800
+                       focus:outline-none transition-colors resize-none"
+          />
+          {variablesError && <p className="text-red-400 text-xs">{variablesError}</p>}
+        </div>
+      </div>
+
+      {/* Schema explorer sidebar */}
+      {schema && explorerOpen && (
+        <div className="w-64 shrink-0 border-l border-gray-700 pl-3 max-h-96">
+          <SchemaExplorer schema={schema} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GraphQLEditor;
@@ -0,0 +1,160 @@
+// ============================================================
+// ImportOpenApiModal.jsx — Create a Collection from a Spec
+// ============================================================
+// Collections page modal: load an OpenAPI 3 / Swagger 2
+// document, review the generated operations, then create a
+// collection with one saved request per operation (Firestore
+// + global Zustand state, like a manual save).
+// ============================================================
+
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { saveImportedCollection } from "../lib/importCollection";
+import useStore from "../store/useStore";
+import OpenApiSpecInput from "./OpenApiSpecInput";
+
+// Method text colors — text only, no colored backgrounds
+const METHOD_COLOR = {
+  GET: "text-green-400",
+  POST: "text-blue-400",
+  PUT: "text-yellow-400",
+  DELETE: "text-red-400",
+  PATCH: "text-orange-400",
+};
+
+// ============================================================
+// ImportOpenApiModal Component
+// ============================================================
+
+function ImportOpenApiModal({ onClose, onImported }) {
+  const user = useStore((s) => s.user);
+  const addCollection = useStore((s) => s.addCollection);
+  const setCollectionRequests = useStore((s) => s.setCollectionRequests);
+
+  // ── Local state ──
+  const [spec, setSpec] = useState(null); // { title, description, requests, skipped }
+  const [name, setName] = useState("");
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleLoad = (result) => {
+    setSpec(result);
+    setName(result.title);
+    setError("");
+  };
+
+  // ── Create the collection + one request per operation ──
+  const handleImport = async () => {
+    if (!spec || !name.trim()) {
+      setError("Collection name is required");
+      return;
+    }
+    setImporting(true);
+    setError("");
+
+    try {
+      const saved = await saveImportedCollection(
+        { name, description: spec.description, requests: spec.requests },
+        user.uid
+      );
+      addCollection(saved.collection);
+      setCollectionRequests(saved.collection.id, saved.requests);
+      onImported(saved.collection.id, saved.requests.length);
+      onClose();
+    } catch (err) {
+      setError("Failed to import. Try again.");
+      console.error("OpenAPI import error:", err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+      className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm flex items-center justify-center"
+    >
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        exit={{ opacity: 0, scale: 0.95, y: 20 }}
+        transition={{ duration: 0.2 }}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-gray-800 border border-gray-700 rounded-xl p-6 w-full max-w-xl mx-4 max-h-[85vh] overflow-y-auto"
+      >
+        <h2 className="text-gray-50 font-bold text-lg mb-1">Import OpenAPI</h2>
+        <p className="text-gray-400 text-xs mb-4">
+          Creates a collection with one request per operation. Path parameters and
+          credentials become {"{{variables}}"} you can set in an environment.
+        </p>
+
+        {!spec ? (
+          <OpenApiSpecInput onLoad={handleLoad} />
+        ) : (
+          <>
+            {/* Collection Name */}
+            <label className="text-gray-400 text-sm mb-1 block">Collection Name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => { setName(e.target.value); setError(""); }}
+              className="bg-gray-700 border border-gray-700 text-gray-50 placeholder-gray-500 rounded-lg p-3 w-full focus:border-green-600 focus:outline-none mb-4"
+            />
+
+            {/* Operation preview */}
+            <div className="flex items-center justify-between mb-2">
+              <span className="text-gray-400 text-xs">
+                {spec.requests.length} operation{spec.requests.length !== 1 ? "s" : ""}
+                {spec.skipped > 0 && ` · ${spec.skipped} skipped (unsupported method)`}
+              </span>
+              <button
+                onClick={() => setSpec(null)}
+                className="text-green-500 text-xs hover:text-green-400 transition-colors"
+              >
+                Change spec
+              </button>
+            </div>
+            <div className="space-y-1 max-h-64 overflow-y-auto">
+              {spec.requests.map((req, index) => (
+                <div key={index} className="bg-gray-700/50 rounded-lg px-3 py-2 flex items-center gap-2">
+                  <span className={`${METHOD_COLOR[req.method] || "text-gray-400"} font-mono text-xs font-bold w-14 shrink-0`}>
+                    {req.method}
+                  </span>
+                  <span className="text-gray-50 text-xs truncate flex-1">{req.name}</span>
+                  {req.authType !== "none" && (
+                    <span className="text-gray-500 text-[10px] uppercase shrink-0">{req.authType}</span>
+                  )}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        {/* Error message */}
+        {error && <p className="text-red-400 text-sm mt-2">{error}</p>}
+
+        {/* Buttons */}
+        <div className="flex justify-end gap-3 mt-6">
+          <button
+            onClick={onClose}
+            className="border border-gray-700 text-gray-400 px-4 py-2 rounded-lg text-sm hover:bg-gray-700 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={!spec || importing}
+            className="bg-green-600 hover:bg-green-700 disabled:opacity-40 disabled:cursor-not-allowed text-gray-50 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+          >
+            {importing ? "Importing..." : "Import"}
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default ImportOpenApiModal;
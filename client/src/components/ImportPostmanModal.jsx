@@ -0,0 +1,215 @@
+// ============================================================
+// ImportPostmanModal.jsx — Import Postman / Insomnia Files
+// ============================================================
+// Collections page modal: load a Postman v2.1 collection or an
+// Insomnia v4 export, review what will be created, then write
+// one ApiCanvas collection per source collection / workspace.
+// Collection variables (Postman) and environments (Insomnia)
+// can be imported as an environment so {{variables}} resolve.
+// ============================================================
+
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { saveImportedCollection, saveImportedEnvironment } from "../lib/importCollection";
+import { parseCollectionFile, scriptedRequestNames } from "../lib/collectionFormats";
+import useStore from "../store/useStore";
+
+// ============================================================
+// ImportPostmanModal Component
+// ============================================================
+
+function ImportPostmanModal({ onClose, onImported }) {
+  const user = useStore((s) => s.user);
+  const addCollection = useStore((s) => s.addCollection);
+  const setCollectionRequests = useStore((s) => s.setCollectionRequests);
+  const addEnvironment = useStore((s) => s.addEnvironment);
+
+  // ── Local state ──
+  const [text, setText] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [parsed, setParsed] = useState(null); // [{ name, description, requests, variables, skipped }]
+  const [createEnvironments, setCreateEnvironments] = useState(true);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState("");
+
+  // Read an uploaded export into the textarea
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    file
+      .text()
+      .then((content) => {
+        setText(content);
+        setFileName(file.name);
+        setError("");
+      })
+      .catch(() => setError("Could not read the file"));
+    e.target.value = "";
+  };
+
+  const handleParse = () => {
+    try {
+      setParsed(parseCollectionFile(text));
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // ── Write every collection (and optional environment) ──
+  const handleImport = async () => {
+    setImporting(true);
+    setError("");
+    try {
+      for (const source of parsed) {
+        const saved = await saveImportedCollection(source, user.uid);
+        addCollection(saved.collection);
+        setCollectionRequests(saved.collection.id, saved.requests);
+        onImported(saved.collection.id, saved.requests.length);
+
+        if (createEnvironments && source.variables.length > 0) {
+          const env = await saveImportedEnvironment(
+            { name: source.name, variables: source.variables },
+            user.uid
+          );
+          addEnvironment(env);
+        }
+      }
+      onClose();
+    } catch (err) {
+      setError("Failed to import. Try again.");
+      console.error("Collection import error:", err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const variableCount = parsed?.reduce((sum, c) => sum + c.variables.length, 0) || 0;
+  const scriptedCount = parsed?.reduce((sum, c) => sum + scriptedRequestNames(c.requests).length, 0) || 0;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+      className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm flex items-center justify-center"
+    >
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        exit={{ opacity: 0, scale: 0.95, y: 20 }}
+        transition={{ duration: 0.2 }}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-gray-800 border border-gray-700 rounded-xl p-6 w-full max-w-xl mx-4 max-h-[85vh] overflow-y-auto"
+      >
+        <h2 className="text-gray-50 font-bold text-lg mb-1">Import Postman / Insomnia</h2>
+        <p className="text-gray-400 text-xs mb-4">
+          Postman v2.1 collections and Insomnia v4 exports. Folders are kept as a
+          prefix on each request.
+        </p>
+
+        {!parsed ? (
+          <div className="space-y-2">
+            <textarea
+              value={text}
+              onChange={(e) => { setText(e.target.value); setFileName(""); setError(""); }}
+              placeholder="Paste the exported JSON here, or upload the file"
+              rows={8}
+              spellCheck={false}
+              className="w-full bg-gray-900 border border-gray-700 text-gray-300 placeholder-gray-600 font-mono text-xs rounded-lg p-3 focus:border-green-600 focus:outline-none resize-none"
+            />
+            <div className="flex items-center justify-between gap-2">
+              <label className="text-gray-400 hover:text-gray-50 text-xs border border-gray-600 hover:border-gray-500 px-2 py-1 rounded transition-colors cursor-pointer truncate">
+                {fileName || "Upload file"}
+                <input type="file" accept=".json" onChange={handleFile} className="hidden" />
+              </label>
+              <button
+                onClick={handleParse}
+                disabled={!text.trim()}
+                className="bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed text-gray-50 text-xs px-3 py-1 rounded transition-colors"
+              >
+                Load File
+              </button>
+            </div>
+          </div>
+        ) : (
+          <>
+            {/* Preview — one row per collection that will be created */}
+            <div className="flex items-center justify-between mb-2">
+              <span className="text-gray-400 text-xs">
+                {parsed.length} collection{parsed.length !== 1 ? "s" : ""}
+              </span>
+              <button
+                onClick={() => setParsed(null)}
+                className="text-green-500 text-xs hover:text-green-400 transition-colors"
+              >
+                Change file
+              </button>
+            </div>
+            <div className="space-y-1 max-h-64 overflow-y-auto">
+              {parsed.map((col, index) => {
+                const scripted = scriptedRequestNames(col.requests);
+                return (
+                  <div key={index} className="bg-gray-700/50 rounded-lg px-3 py-2">
+                    <p className="text-gray-50 text-sm truncate">{col.name}</p>
+                    <p className="text-gray-400 text-xs mt-0.5">
+                      {col.requests.length} request{col.requests.length !== 1 ? "s" : ""}
+                      {col.variables.length > 0 && ` · ${col.variables.length} variables`}
+                      {col.skipped.length > 0 && ` · ${col.skipped.length} skipped (unsupported method)`}
+                    </p>
+                    {scripted.length > 0 && (
+                      <p className="text-yellow-400 text-xs mt-0.5">Scripts in: {scripted.join(", ")}</p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+
+            {scriptedCount > 0 && (
+              <p className="text-yellow-400 text-xs mt-3">
+                {scriptedCount} request{scriptedCount !== 1 ? "s have" : " has"} pre-request or test scripts.
+                They run when you send the request or run the collection — read them first if
+                you didn't write this file.
+              </p>
+            )}
+
+            {variableCount > 0 && (
+              <label className="flex items-center gap-2 mt-4 text-gray-400 text-xs cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={createEnvironments}
+                  onChange={(e) => setCreateEnvironments(e.target.checked)}
+                  className="accent-green-600 w-3.5 h-3.5"
+                />
+                Create an environment from the {variableCount} imported variables
+              </label>
+            )}
+          </>
+        )}
+
+        {/* Error message */}
+        {error && <p className="text-red-400 text-sm mt-2">{error}</p>}
+
+        {/* Buttons */}
+        <div className="flex justify-end gap-3 mt-6">
+          <button
+            onClick={onClose}
+            className="border border-gray-700 text-gray-400 px-4 py-2 rounded-lg text-sm hover:bg-gray-700 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={!parsed || importing}
+            className="bg-green-600 hover:bg-green-700 disabled:opacity-40 disabled:cursor-not-allowed text-gray-50 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+          >
+            {importing ? "Importing..." : "Import"}
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default ImportPostmanModal;
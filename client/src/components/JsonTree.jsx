@@ -0,0 +1,350 @@
+// ============================================================
+// JsonTree.jsx — Virtualised JSON Tree for Large Responses
+// ============================================================
+// Collapsible tree of a parsed JSON body. Only the rows in
+// view are rendered (fixed row height), so multi-MB bodies
+// stay responsive.
+//   • JSONPath filter — shows just the matches (lib/jsonPath)
+//   • Search          — keys and primitive values, matches
+//                       highlighted, collapsed ancestors opened
+//   • Click a key     — copies its JSONPath
+// ============================================================
+
+import { useState, useMemo, useRef, useEffect, useDeferredValue } from "react";
+import { queryJsonPathEntries, formatJsonPath } from "../lib/jsonPath";
+
+const ROW_HEIGHT = 22;
+const OVERSCAN = 20;
+// Levels open by default (root + its children)
+const DEFAULT_OPEN_DEPTH = 2;
+// Search stops counting after this many matching rows
+const MAX_SEARCH_MATCHES = 1000;
+// Long strings are cut in the row (full value via Copy)
+const MAX_STRING_CHARS = 500;
+
+const isContainer = (value) => value !== null && typeof value === "object";
+
+// Path suffix for a child key, e.g. ".name", "[3]", "['a b']"
+const childId = (parentId, key, inArray) =>
+  parentId + formatJsonPath([inArray ? Number(key) : key]).slice(1);
+
+const valueClass = (value) => {
+  if (value === null) return "text-gray-500";
+  if (typeof value === "string") return "text-green-400";
+  if (typeof value === "number") return "text-yellow-400";
+  if (typeof value === "boolean") return "text-purple-400";
+  return "text-gray-400";
+};
+
+const formatPrimitive = (value) => {
+  if (typeof value !== "string") return String(value);
+  const text = value.length > MAX_STRING_CHARS ? `${value.slice(0, MAX_STRING_CHARS)}…` : value;
+  return JSON.stringify(text);
+};
+
+// Wrap case-insensitive occurrences of `term` in <mark>
+function Highlight({ text, term }) {
+  if (!term) return text;
+  const lower = text.toLowerCase();
+  const parts = [];
+  let from = 0;
+  for (let index = lower.indexOf(term); index !== -1; index = lower.indexOf(term, from)) {
+    if (index > from) parts.push(text.slice(from, index));
+    parts.push(
+      <mark key={index} className="bg-yellow-400/30 text-inherit rounded-sm">
+        {text.slice(index, index + term.length)}
+      </mark>
+    );
+    from = index + term.length;
+  }
+  if (from < text.length) parts.push(text.slice(from));
+  return parts;
+}
+
+// --------------------------------------------------
+// Search every node below `roots` (collapsed or not).
+// Returns matching row ids in document order and the
+// ids of their ancestors, which are forced open.
+// --------------------------------------------------
+function searchTree(roots, term) {
+  const matches = [];
+  const ancestors = new Set();
+  if (!term) return { matches, ancestors, capped: false };
+
+  const stack = [];
+  const visit = (id, key, value) => {
+    if (matches.length >= MAX_SEARCH_MATCHES) return;
+    const keyHit = typeof key === "string" && key.toLowerCase().includes(term);
+    const valueHit = !isContainer(value) && String(value).toLowerCase().includes(term);
+    if (keyHit || valueHit) {
+      matches.push(id);
+      stack.forEach((ancestor) => ancestors.add(ancestor));
+    }
+    if (isContainer(value)) {
+      stack.push(id);
+      const inArray = Array.isArray(value);
+      Object.keys(value).forEach((k) => visit(childId(id, k, inArray), inArray ? null : k, value[k]));
+      stack.pop();
+    }
+  };
+  roots.forEach((root) => visit(root.id, null, root.value));
+  return { matches, ancestors, capped: matches.length >= MAX_SEARCH_MATCHES };
+}
+
+// ============================================================
+// JsonTree — Main component
+// ============================================================
+function JsonTree({ data }) {
+  const [filter, setFilter] = useState("");
+  const [search, setSearch] = useState("");
+  const [overrides, setOverrides] = useState(() => new Map()); // id → open?
+  const [openDepth, setOpenDepth] = useState(DEFAULT_OPEN_DEPTH);
+  const [activeMatch, setActiveMatch] = useState(0);
+  const [copiedPath, setCopiedPath] = useState("");
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(480);
+  const viewportRef = useRef(null);
+
+  // Filtering / searching multi-MB bodies shouldn't block typing
+  const deferredFilter = useDeferredValue(filter.trim());
+  const deferredSearch = useDeferredValue(search.trim().toLowerCase());
+
+  // Tree roots — the whole body, or one root per JSONPath match
+  const { roots, filterError } = useMemo(() => {
+    if (!deferredFilter || deferredFilter === "$") {
+      return { roots: [{ id: "$", label: "$", value: data }], filterError: "" };
+    }
+    try {
+      const entries = queryJsonPathEntries(data, deferredFilter);
+      const matched = entries.map((entry) => {
+        const id = formatJsonPath(entry.path);
+        return { id, label: id, value: entry.value };
+      });
+      return { roots: matched, filterError: "" };
+    } catch (err) {
+      return { roots: [], filterError: err.message };
+    }
+  }, [data, deferredFilter]);
+
+  const { matches, ancestors, capped } = useMemo(() => searchTree(roots, deferredSearch), [roots, deferredSearch]);
+  const matchSet = useMemo(() => new Set(matches), [matches]);
+  const currentMatch = matches.length ? Math.min(activeMatch, matches.length - 1) : -1;
+
+  // Visible rows (open containers get a closing-bracket row)
+  const rows = useMemo(() => {
+    const out = [];
+    const isOpen = (id, depth) =>
+      ancestors.has(id) || (overrides.has(id) ? overrides.get(id) : depth < openDepth);
+
+    const visit = (id, label, value, depth) => {
+      const container = isContainer(value);
+      const open = container && isOpen(id, depth);
+      out.push({ id, label, value, depth, container, open });
+      if (!open) return;
+      const inArray = Array.isArray(value);
+      Object.keys(value).forEach((key) =>
+        visit(childId(id, key, inArray), inArray ? Number(key) : key, value[key], depth + 1)
+      );
+      out.push({ id: `${id}#end`, closing: inArray ? "]" : "}", depth });
+    };
+    roots.forEach((root) => visit(root.id, root.label, root.value, 0));
+    return out;
+  }, [roots, overrides, openDepth, ancestors]);
+
+  // Track the viewport size for the visible window
+  useEffect(() => {
+    const element = viewportRef.current;
+    if (!element) return undefined;
+    const observer = new ResizeObserver(() => setViewportHeight(element.clientHeight));
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  // Bring the current search match into view
+  useEffect(() => {
+    if (currentMatch < 0 || !viewportRef.current) return;
+    const index = rows.findIndex((row) => row.id === matches[currentMatch]);
+    if (index === -1) return;
+    const element = viewportRef.current;
+    const top = index * ROW_HEIGHT;
+    if (top < element.scrollTop || top + ROW_HEIGHT > element.scrollTop + element.clientHeight) {
+      element.scrollTop = Math.max(0, top - element.clientHeight / 2);
+    }
+  }, [currentMatch, matches, rows]);
+
+  const toggle = (row) => {
+    setOverrides((prev) => new Map(prev).set(row.id, !row.open));
+  };
+
+  const expandAll = (depth) => {
+    setOverrides(new Map());
+    setOpenDepth(depth);
+  };
+
+  const stepMatch = (delta) => {
+    if (!matches.length) return;
+    setActiveMatch((currentMatch + delta + matches.length) % matches.length);
+  };
+
+  const copyPath = async (path) => {
+    try {
+      await navigator.clipboard.writeText(path);
+      setCopiedPath(path);
+      setTimeout(() => setCopiedPath(""), 1500);
+    } catch {
+      console.error("Failed to copy to clipboard");
+    }
+  };
+
+  // Rows in (or near) the viewport
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(rows.length, Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN);
+  const visible = rows.slice(first, last);
+  const activeId = currentMatch >= 0 ? matches[currentMatch] : null;
+
+  const inputClass = `bg-gray-800 border border-gray-700 text-gray-50 rounded px-2 py-1 text-xs font-mono
+                      placeholder-gray-500 focus:border-green-800 focus:outline-none transition-colors`;
+  const buttonClass = `border border-gray-700 text-gray-400 text-xs px-2 py-1 rounded
+                       hover:bg-gray-700 hover:text-gray-50 transition-colors disabled:opacity-50`;
+
+  return (
+    <div>
+      {/* Toolbar — JSONPath filter, search, expand / collapse */}
+      <div className="flex items-center gap-2 mb-2 flex-wrap">
+        <input
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="JSONPath filter, e.g. $.data[*].id"
+          spellCheck={false}
+          className={`${inputClass} flex-1 min-w-[180px]`}
+        />
+        <input
+          value={search}
+          onChange={(e) => {
+            setSearch(e.target.value);
+            setActiveMatch(0);
+          }}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") stepMatch(e.shiftKey ? -1 : 1);
+          }}
+          placeholder="Search keys & values"
+          spellCheck={false}
+          className={`${inputClass} w-44`}
+        />
+        {deferredSearch && (
+          <span className="text-gray-400 text-xs font-mono">
+            {matches.length ? `${currentMatch + 1}/${matches.length}${capped ? "+" : ""}` : "0/0"}
+          </span>
+        )}
+        <button onClick={() => stepMatch(-1)} disabled={!matches.length} className={buttonClass} title="Previous match">
+          ↑
+        </button>
+        <button onClick={() => stepMatch(1)} disabled={!matches.length} className={buttonClass} title="Next match (Enter)">
+          ↓
+        </button>
+        <button onClick={() => expandAll(Infinity)} className={buttonClass}>
+          Expand all
+        </button>
+        <button onClick={() => expandAll(1)} className={buttonClass}>
+          Collapse all
+        </button>
+      </div>
+
+      {/* Status line — filter errors, match counts, copied path */}
+      <div className="h-5 mb-1 text-xs font-mono truncate">
+        {filterError ? (
+          <span className="text-red-400">{filterError}</span>
+        ) : copiedPath ? (
+          <span className="text-green-500">Copied {copiedPath}</span>
+        ) : deferredFilter && deferredFilter !== "$" ? (
+          <span className="text-gray-500">
+            {roots.length} match{roots.length !== 1 ? "es" : ""}
+          </span>
+        ) : (
+          <span className="text-gray-500">Click a key to copy its path</span>
+        )}
+      </div>
+
+      {/* Virtualised rows */}
+      <div
+        ref={viewportRef}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        className="h-[60vh] overflow-auto bg-gray-800 border border-gray-700 rounded"
+      >
+        {rows.length === 0 ? (
+          <p className="text-gray-500 text-sm text-center py-8">{filterError ? "Invalid filter" : "No matches"}</p>
+        ) : (
+          <div style={{ height: rows.length * ROW_HEIGHT, position: "relative", minWidth: "100%" }}>
+            <div style={{ transform: `translateY(${first * ROW_HEIGHT}px)` }}>
+              {visible.map((row) => (
+                <div
+                  key={row.id}
+                  style={{ height: ROW_HEIGHT, paddingLeft: 8 + row.depth * 16 }}
+                  className={`flex items-center whitespace-nowrap font-mono text-xs pr-3 ${
+                    row.id === activeId ? "bg-gray-700" : matchSet.has(row.id) ? "bg-gray-700/40" : "hover:bg-gray-700/30"
+                  }`}
+                >
+                  {row.closing ? (
+                    <span className="text-gray-400 pl-4">{row.closing}</span>
+                  ) : (
+                    <>
+                      {row.container ? (
+                        <button
+                          onClick={() => toggle(row)}
+                          className="w-4 shrink-0 text-gray-500 hover:text-gray-50 text-left"
+                        >
+                          {row.open ? "▾" : "▸"}
+                        </button>
+                      ) : (
+                        <span className="w-4 shrink-0" />
+                      )}
+
+                      {/* Key — click to copy the JSONPath */}
+                      <button
+                        onClick={() => copyPath(row.id)}
+                        title={`Copy ${row.id}`}
+                        className={`hover:underline ${
+                          typeof row.label === "number" ? "text-gray-500" : row.depth === 0 ? "text-purple-300" : "text-blue-300"
+                        }`}
+                      >
+                        {typeof row.label === "string" && row.depth > 0 ? (
+                          <>
+                            &quot;<Highlight text={row.label} term={deferredSearch} />&quot;
+                          </>
+                        ) : (
+                          String(row.label)
+                        )}
+                      </button>
+                      <span className="text-gray-500 mr-1">:</span>
+
+                      {/* Value — bracket + size when collapsed */}
+                      {row.container ? (
+                        <span className="text-gray-400">
+                          {Array.isArray(row.value) ? "[" : "{"}
+                          {!row.open && (
+                            <>
+                              <span className="text-gray-500 mx-1">
+                                {Object.keys(row.value).length} {Array.isArray(row.value) ? "items" : "keys"}
+                              </span>
+                              {Array.isArray(row.value) ? "]" : "}"}
+                            </>
+                          )}
+                        </span>
+                      ) : (
+                        <span className={valueClass(row.value)}>
+                          <Highlight text={formatPrimitive(row.value)} term={deferredSearch} />
+                        </span>
+                      )}
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default JsonTree;
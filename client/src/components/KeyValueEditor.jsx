@@ -0,0 +1,68 @@
+// ============================================================
+// KeyValueEditor.jsx — Reusable Key-Value Pair Editor
+// ============================================================
+// Rows of key / value inputs with add & remove controls.
+// Shared by RequestBuilder (params, headers) and the
+// Environments modal (variables).
+// ============================================================
+
+function KeyValueEditor({ pairs, onChange, keyPlaceholder = "Key", valuePlaceholder = "Value" }) {
+  const updatePair = (index, field, value) => {
+    const updated = pairs.map((pair, i) =>
+      i === index ? { ...pair, [field]: value } : pair
+    );
+    onChange(updated);
+  };
+
+  const addPair = () => onChange([...pairs, { key: "", value: "" }]);
+  const removePair = (index) => onChange(pairs.filter((_, i) => i !== index));
+
+  return (
+    <div className="space-y-2">
+      {pairs.map((pair, index) => (
+        <div key={index} className="flex items-center gap-2">
+          {/* Key input */}
+          <input
+            type="text"
+            value={pair.key}
+            onChange={(e) => updatePair(index, "key", e.target.value)}
+            placeholder={keyPlaceholder}
+            className="flex-1 bg-gray-700 border border-gray-700 text-gray-50 rounded px-3 py-2
+                       text-sm placeholder-gray-500 focus:border-green-800 focus:outline-none
+                       transition-colors"
+          />
+          {/* Value input */}
+          <input
+            type="text"
+            value={pair.value}
+            onChange={(e) => updatePair(index, "value", e.target.value)}
+            placeholder={valuePlaceholder}
+            className="flex-1 bg-gray-700 border border-gray-700 text-gray-50 rounded px-3 py-2
+                       text-sm placeholder-gray-500 focus:border-green-800 focus:outline-none
+                       transition-colors"
+          />
+          {/* Remove row button */}
+          <button
+            onClick={() => removePair(index)}
+            className="text-gray-400 hover:text-red-400 transition p-1"
+            title="Remove"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="w-4 h-4" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+            </svg>
+          </button>
+        </div>
+      ))}
+
+      {/* Add row button */}
+      <button
+        onClick={addPair}
+        className="text-sm text-gray-400 hover:text-gray-50 transition-colors"
+      >
+        + Add
+      </button>
+    </div>
+  );
+}
+
+export default KeyValueEditor;
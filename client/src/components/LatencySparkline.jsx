@@ -0,0 +1,41 @@
+// ============================================================
+// LatencySparkline.jsx — Response-Time Sparkline
+// ============================================================
+// Small SVG line of an endpoint's response times across
+// monitor runs (oldest → newest). Failed runs are red dots,
+// and the monitor's latency threshold is a dashed line.
+// ============================================================
+
+function LatencySparkline({ points = [], threshold = null, width = 160, height = 32 }) {
+  if (points.length === 0) {
+    return <span className="text-gray-600 text-xs">No runs yet</span>;
+  }
+
+  const max = Math.max(...points.map((p) => p.value), threshold || 0, 1);
+  const pad = 3;
+  const x = (i) => (points.length === 1 ? width / 2 : pad + (i / (points.length - 1)) * (width - pad * 2));
+  const y = (value) => height - pad - (value / max) * (height - pad * 2);
+  const line = points.map((p, i) => `${x(i).toFixed(1)},${y(p.value).toFixed(1)}`).join(" ");
+
+  return (
+    <svg width={width} height={height} className="overflow-visible">
+      {threshold > 0 && (
+        <line
+          x1={0}
+          x2={width}
+          y1={y(threshold)}
+          y2={y(threshold)}
+          stroke="rgb(250 204 21 / 0.5)"
+          strokeDasharray="3 3"
+          strokeWidth={1}
+        />
+      )}
+      <polyline points={line} fill="none" stroke="rgb(74 222 128)" strokeWidth={1.5} strokeLinejoin="round" />
+      {points.map((p, i) =>
+        p.failed ? <circle key={i} cx={x(i)} cy={y(p.value)} r={2.5} fill="rgb(248 113 113)" /> : null
+      )}
+    </svg>
+  );
+}
+
+export default LatencySparkline;
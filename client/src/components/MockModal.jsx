@@ -0,0 +1,569 @@
+// ============================================================
+// MockModal.jsx — Create / Edit a Hosted Mock API
+// ============================================================
+// Form for a `mocks` document: where its routes come from (a
+// collection's saved requests or a pasted OpenAPI spec), the
+// delay and status override applied to every route, and a
+// per-route editor for the path, response (typed in or one of
+// the request's saved examples), delay, status override and
+// match rules (header / query / body). "Sync" rebuilds the
+// routes from the collection while keeping each route's
+// settings (lib/mocks mergeRouteSettings).
+// The page persists the result through onSave(fields).
+// ============================================================
+
+import { useState, useEffect } from "react";
+import { motion } from "framer-motion";
+import { collection as fbCollection, query, where, getDocs } from "firebase/firestore";
+import { db } from "../lib/firebase";
+import { isStreamRequest } from "../lib/streamClient";
+import OpenApiSpecInput from "./OpenApiSpecInput";
+import {
+  MOCK_SOURCES,
+  MATCH_SOURCES,
+  MATCH_OPERATORS,
+  VALUELESS_OPERATORS,
+  MAX_MOCK_DELAY_MS,
+  routesFromRequests,
+  routeResponseFromExample,
+  routesFromOpenApi,
+  createManualRoute,
+  mergeRouteSettings,
+  validateRoutes,
+} from "../lib/mocks";
+
+const INPUT_CLASS =
+  "bg-gray-700 border border-gray-700 text-gray-50 placeholder-gray-500 rounded-lg p-3 w-full focus:border-green-600 focus:outline-none";
+
+const SMALL_INPUT_CLASS =
+  "bg-gray-900 border border-gray-700 text-gray-50 placeholder-gray-600 rounded px-2 py-1.5 text-xs w-full focus:border-green-600 focus:outline-none";
+
+const METHOD_COLOR = {
+  GET: "text-green-400",
+  POST: "text-blue-400",
+  PUT: "text-yellow-400",
+  DELETE: "text-red-400",
+  PATCH: "text-orange-400",
+};
+
+const ROUTE_METHODS = ["GET", "POST", "PUT", "DELETE", "PATCH"];
+
+// Where a route's response body came from
+const BODY_SOURCE_LABEL = {
+  example: "example",
+  snapshot: "snapshot",
+  schema: "from schema",
+  openapi: "spec example",
+  manual: "hand-written",
+  empty: "empty body",
+};
+
+// "" → null, anything else → a number (NaN is caught on save)
+const toNumberOrNull = (value) => (String(value).trim() === "" ? null : Number(value));
+
+const isStatus = (value) => Number.isInteger(value) && value >= 100 && value <= 599;
+const isDelay = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_MOCK_DELAY_MS;
+
+function MockModal({ mock, collections, onSave, onClose }) {
+  const [name, setName] = useState(mock?.name || "");
+  const [source, setSource] = useState(mock?.source || "collection");
+  const [collectionId, setCollectionId] = useState(mock?.collection_id || "");
+  const [specTitle, setSpecTitle] = useState(mock?.spec_title || "");
+  const [routes, setRoutes] = useState(mock?.routes || []);
+  const [requests, setRequests] = useState([]);
+  const [delayMs, setDelayMs] = useState(mock?.delay_ms ?? null);
+  const [statusOverride, setStatusOverride] = useState(mock?.status_override ?? null);
+  const [enabled, setEnabled] = useState(mock ? mock.enabled !== false : true);
+  const [expandedId, setExpandedId] = useState(null);
+  const [loadingRoutes, setLoadingRoutes] = useState(false);
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  // ── Route sources ────────────────────────────────────────
+
+  // The collection's saved requests (WebSocket / SSE sessions
+  // have no request / response to mock)
+  const loadRequests = async (id) => {
+    const snap = await getDocs(query(fbCollection(db, "requests"), where("collection_id", "==", id)));
+    const loaded = snap.docs.map((d) => ({ id: d.id, ...d.data() })).filter((r) => !isStreamRequest(r));
+    setRequests(loaded);
+    return loaded;
+  };
+
+  // Editing a collection mock: load its requests for the
+  // example pickers, leaving the routes as saved
+  useEffect(() => {
+    if (mock?.source !== "collection" || !mock.collection_id) return;
+    loadRequests(mock.collection_id).catch((err) => console.error("Failed to load requests:", err.message));
+  }, [mock]);
+
+  const syncFromCollection = async (id) => {
+    if (!id) return;
+    setLoadingRoutes(true);
+    try {
+      const loaded = await loadRequests(id);
+      setRoutes((prev) => mergeRouteSettings(routesFromRequests(loaded, prev), prev));
+      setError(loaded.length ? "" : "The collection has no saved requests");
+    } catch (err) {
+      setError(`Couldn't load the collection's requests — ${err.message}`);
+    } finally {
+      setLoadingRoutes(false);
+    }
+  };
+
+  const handleCollectionChange = (id) => {
+    setCollectionId(id);
+    setError("");
+    if (!name.trim()) setName(collections.find((c) => c.id === id)?.name || "");
+    syncFromCollection(id);
+  };
+
+  const handleSpecLoad = (result) => {
+    setRoutes((prev) => mergeRouteSettings(routesFromOpenApi(result), prev));
+    setSpecTitle(result.title);
+    if (!name.trim()) setName(result.title);
+    setError("");
+  };
+
+  // ── Route editing ────────────────────────────────────────
+  const updateRoute = (id, patch) => {
+    setRoutes((prev) => prev.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+    setError("");
+  };
+
+  const removeRoute = (id) => setRoutes((prev) => prev.filter((r) => r.id !== id));
+
+  const addRoute = () => {
+    const route = createManualRoute();
+    setRoutes((prev) => [...prev, route]);
+    setExpandedId(route.id);
+  };
+
+  const updateRule = (route, index, patch) =>
+    updateRoute(route.id, { match: (route.match || []).map((rule, i) => (i === index ? { ...rule, ...patch } : rule)) });
+
+  const addRule = (route) =>
+    updateRoute(route.id, { match: [...(route.match || []), { source: "header", key: "", operator: "equals", value: "" }] });
+
+  const removeRule = (route, index) =>
+    updateRoute(route.id, { match: (route.match || []).filter((_, i) => i !== index) });
+
+  const setContentType = (route, value) => {
+    const headers = { ...(route.headers || {}) };
+    Object.keys(headers)
+      .filter((key) => key.toLowerCase() === "content-type")
+      .forEach((key) => delete headers[key]);
+    if (value.trim()) headers["Content-Type"] = value.trim();
+    updateRoute(route.id, { headers });
+  };
+
+  const contentTypeOf = (route) =>
+    Object.entries(route.headers || {}).find(([key]) => key.toLowerCase() === "content-type")?.[1] || "";
+
+  // ── Save ─────────────────────────────────────────────────
+  const handleSave = async () => {
+    if (!name.trim()) return setError("Mock name is required");
+    if (source === "collection" && !collectionId) return setError("Pick a collection to mock");
+    if (routes.length === 0) return setError("The mock has no routes yet");
+    if (delayMs !== null && !isDelay(delayMs)) {
+      return setError(`The delay must be a whole number of milliseconds up to ${MAX_MOCK_DELAY_MS}`);
+    }
+    if (statusOverride !== null && !isStatus(statusOverride)) {
+      return setError("The status override must be an HTTP status from 100 to 599");
+    }
+    const badRoute = routes.find(
+      (r) =>
+        !isStatus(r.status) ||
+        (r.status_override != null && !isStatus(r.status_override)) ||
+        (r.delay_ms != null && !isDelay(r.delay_ms))
+    );
+    if (badRoute) return setError(`"${badRoute.name}" has an invalid status or delay`);
+    const routesError = validateRoutes(routes);
+    if (routesError) return setError(routesError);
+
+    setSaving(true);
+    try {
+      await onSave({
+        name: name.trim(),
+        source,
+        collection_id: source === "collection" ? collectionId : null,
+        collection_name: source === "collection" ? collections.find((c) => c.id === collectionId)?.name || "" : null,
+        spec_title: source === "openapi" ? specTitle : null,
+        delay_ms: delayMs,
+        status_override: statusOverride,
+        enabled,
+        routes: routes.map((r) => ({
+          ...r,
+          enabled: r.enabled !== false,
+          delay_ms: r.delay_ms ?? null,
+          status_override: r.status_override ?? null,
+          match: (r.match || []).filter((rule) => rule.source === "body" || rule.key.trim()),
+        })),
+      });
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+      className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm flex items-center justify-center"
+    >
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        exit={{ opacity: 0, scale: 0.95, y: 20 }}
+        transition={{ duration: 0.2 }}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-gray-800 border border-gray-700 rounded-xl p-6 w-full max-w-3xl mx-4 max-h-[90vh] overflow-y-auto"
+      >
+        <h2 className="text-gray-50 font-bold text-lg mb-4">{mock ? "Edit Mock" : "New Mock"}</h2>
+
+        {/* Name */}
+        <label className="text-gray-400 text-sm mb-1 block">Mock Name</label>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => { setName(e.target.value); setError(""); }}
+          placeholder="e.g. Orders API (mock)"
+          className={`${INPUT_CLASS} mb-4`}
+        />
+
+        {/* Source */}
+        <label className="text-gray-400 text-sm mb-1 block">Routes from</label>
+        <div className="flex gap-2 mb-2">
+          <select
+            value={source}
+            onChange={(e) => { setSource(e.target.value); setError(""); }}
+            className={`${INPUT_CLASS} w-44 shrink-0`}
+          >
+            {MOCK_SOURCES.map((s) => (
+              <option key={s.id} value={s.id}>{s.label}</option>
+            ))}
+          </select>
+          {source === "collection" && (
+            <>
+              <select
+                value={collectionId}
+                onChange={(e) => handleCollectionChange(e.target.value)}
+                className={INPUT_CLASS}
+              >
+                <option value="">{collections.length ? "Choose…" : "No saved collections"}</option>
+                {collections.map((c) => (
+                  <option key={c.id} value={c.id}>{c.name}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => syncFromCollection(collectionId)}
+                disabled={!collectionId || loadingRoutes}
+                title="Rebuild the routes from the collection's saved requests"
+                className="border border-gray-700 text-gray-400 text-sm px-4 rounded-lg hover:bg-gray-700 hover:text-gray-50 transition-colors disabled:opacity-50 shrink-0"
+              >
+                {loadingRoutes ? "Loading…" : "Sync"}
+              </button>
+            </>
+          )}
+        </div>
+        {source === "collection" ? (
+          <p className="text-gray-500 text-xs mb-4">
+            Each saved request becomes a route. Responses come from the request&apos;s saved examples, else its
+            expected snapshot, else its response schema.
+          </p>
+        ) : (
+          <div className="mb-4">
+            {specTitle && <p className="text-gray-400 text-xs mb-2">Loaded from “{specTitle}” — load another spec to resync</p>}
+            <OpenApiSpecInput onLoad={handleSpecLoad} />
+          </div>
+        )}
+
+        {/* Mock-wide settings */}
+        <div className="grid grid-cols-2 gap-3 mb-4">
+          <div>
+            <label className="text-gray-400 text-sm mb-1 block">Delay in ms (all routes)</label>
+            <input
+              type="number"
+              min={0}
+              max={MAX_MOCK_DELAY_MS}
+              value={delayMs ?? ""}
+              onChange={(e) => { setDelayMs(toNumberOrNull(e.target.value)); setError(""); }}
+              placeholder="0"
+              className={INPUT_CLASS}
+            />
+          </div>
+          <div>
+            <label className="text-gray-400 text-sm mb-1 block">Status override (all routes)</label>
+            <input
+              type="number"
+              min={100}
+              max={599}
+              value={statusOverride ?? ""}
+              onChange={(e) => { setStatusOverride(toNumberOrNull(e.target.value)); setError(""); }}
+              placeholder="e.g. 503 to simulate an outage"
+              className={INPUT_CLASS}
+            />
+          </div>
+        </div>
+
+        {/* Routes */}
+        <div className="flex items-center justify-between mb-2">
+          <label className="text-gray-400 text-sm">
+            Routes <span className="text-gray-500">({routes.length})</span>
+          </label>
+          <button onClick={addRoute} className="text-green-500 hover:text-green-400 text-xs">
+            + Add route
+          </button>
+        </div>
+        <div className="border border-gray-700 rounded-lg divide-y divide-gray-700 mb-4">
+          {routes.length === 0 && (
+            <p className="text-gray-500 text-xs text-center py-6">
+              {source === "collection" ? "Pick a collection to build routes from" : "Load a spec to build routes from"}
+            </p>
+          )}
+          {routes.map((route) => {
+            const expanded = expandedId === route.id;
+            const examples = (source === "collection" && requests.find((r) => r.id === route.request_id)?.examples) || [];
+            const off = route.enabled === false;
+            return (
+              <div key={route.id} className={off ? "opacity-60" : ""}>
+                {/* Summary row */}
+                <div className="flex items-center gap-3 px-3 py-2">
+                  <input
+                    type="checkbox"
+                    checked={!off}
+                    onChange={(e) => updateRoute(route.id, { enabled: e.target.checked })}
+                    className="accent-green-600"
+                    title={off ? "Route is off" : "Route is on"}
+                  />
+                  <span className={`${METHOD_COLOR[route.method] || "text-gray-400"} font-mono text-xs font-bold w-14 shrink-0`}>
+                    {route.method}
+                  </span>
+                  <button
+                    onClick={() => setExpandedId(expanded ? null : route.id)}
+                    className="flex-1 min-w-0 text-left"
+                  >
+                    <span className="text-gray-50 font-mono text-xs truncate block">{route.path}</span>
+                    <span className="text-gray-500 text-xs truncate block">{route.name}</span>
+                  </button>
+                  <span className="text-gray-500 text-xs shrink-0">{BODY_SOURCE_LABEL[route.body_source] || ""}</span>
+                  {(route.match?.length > 0 || route.delay_ms != null || route.status_override != null) && (
+                    <span className="text-yellow-400 text-xs shrink-0" title="Has its own rules, delay or status override">
+                      ●
+                    </span>
+                  )}
+                  <span className="text-gray-300 font-mono text-xs w-8 text-right shrink-0">
+                    {route.status_override ?? route.status}
+                  </span>
+                  <button
+                    onClick={() => setExpandedId(expanded ? null : route.id)}
+                    className="text-gray-400 hover:text-gray-50 text-xs shrink-0"
+                  >
+                    {expanded ? "Close" : "Edit"}
+                  </button>
+                </div>
+
+                {/* Route editor */}
+                {expanded && (
+                  <div className="px-3 pb-3 space-y-3">
+                    <div className="grid grid-cols-[6rem_1fr_5rem] gap-2">
+                      <select
+                        value={route.method}
+                        onChange={(e) => updateRoute(route.id, { method: e.target.value })}
+                        className={SMALL_INPUT_CLASS}
+                      >
+                        {ROUTE_METHODS.map((m) => (
+                          <option key={m} value={m}>{m}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="text"
+                        value={route.path}
+                        onChange={(e) => updateRoute(route.id, { path: e.target.value })}
+                        placeholder="/users/:id"
+                        className={`${SMALL_INPUT_CLASS} font-mono`}
+                      />
+                      <input
+                        type="number"
+                        value={route.status ?? ""}
+                        onChange={(e) => updateRoute(route.id, { status: toNumberOrNull(e.target.value) })}
+                        placeholder="200"
+                        title="Response status"
+                        className={`${SMALL_INPUT_CLASS} font-mono`}
+                      />
+                    </div>
+
+                    <div className="grid grid-cols-3 gap-2">
+                      <input
+                        type="text"
+                        value={contentTypeOf(route)}
+                        onChange={(e) => setContentType(route, e.target.value)}
+                        placeholder="Content-Type (guessed when empty)"
+                        className={`${SMALL_INPUT_CLASS} font-mono`}
+                      />
+                      <input
+                        type="number"
+                        min={0}
+                        value={route.delay_ms ?? ""}
+                        onChange={(e) => updateRoute(route.id, { delay_ms: toNumberOrNull(e.target.value) })}
+                        placeholder="Delay ms (mock default)"
+                        className={SMALL_INPUT_CLASS}
+                      />
+                      <input
+                        type="number"
+                        value={route.status_override ?? ""}
+                        onChange={(e) => updateRoute(route.id, { status_override: toNumberOrNull(e.target.value) })}
+                        placeholder="Status override"
+                        className={SMALL_INPUT_CLASS}
+                      />
+                    </div>
+
+                    {examples.length > 0 && (
+                      <div className="flex items-center gap-2">
+                        <span className="text-gray-400 text-xs shrink-0">Respond with</span>
+                        <select
+                          value={examples.some((ex) => ex.id === route.example_id) ? route.example_id : ""}
+                          onChange={(e) => {
+                            const example = examples.find((ex) => ex.id === e.target.value);
+                            if (example) updateRoute(route.id, routeResponseFromExample(example));
+                          }}
+                          className={SMALL_INPUT_CLASS}
+                        >
+                          <option value="" disabled>Custom response</option>
+                          {examples.map((ex) => (
+                            <option key={ex.id} value={ex.id}>
+                              Example: {ex.name} ({ex.status})
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+
+                    <textarea
+                      value={route.body ?? ""}
+                      onChange={(e) => updateRoute(route.id, { body: e.target.value, example_id: null })}
+                      rows={6}
+                      spellCheck={false}
+                      placeholder="Response body"
+                      className={`${SMALL_INPUT_CLASS} font-mono resize-y`}
+                    />
+
+                    {/* Match rules */}
+                    <div>
+                      <div className="flex items-center justify-between mb-1">
+                        <span className="text-gray-400 text-xs">
+                          Only answer when every rule matches
+                        </span>
+                        <button onClick={() => addRule(route)} className="text-green-500 hover:text-green-400 text-xs">
+                          + Add rule
+                        </button>
+                      </div>
+                      {(route.match || []).map((rule, index) => {
+                        const sourceInfo = MATCH_SOURCES.find((s) => s.id === rule.source) || MATCH_SOURCES[0];
+                        return (
+                          <div key={index} className="grid grid-cols-[5.5rem_1fr_6.5rem_1fr_1.5rem] gap-2 mb-1.5">
+                            <select
+                              value={rule.source}
+                              onChange={(e) => updateRule(route, index, { source: e.target.value })}
+                              className={SMALL_INPUT_CLASS}
+                            >
+                              {MATCH_SOURCES.map((s) => (
+                                <option key={s.id} value={s.id}>{s.label}</option>
+                              ))}
+                            </select>
+                            <input
+                              type="text"
+                              value={rule.key}
+                              onChange={(e) => updateRule(route, index, { key: e.target.value })}
+                              placeholder={sourceInfo.keyPlaceholder}
+                              className={`${SMALL_INPUT_CLASS} font-mono`}
+                            />
+                            <select
+                              value={rule.operator}
+                              onChange={(e) => updateRule(route, index, { operator: e.target.value })}
+                              className={SMALL_INPUT_CLASS}
+                            >
+                              {MATCH_OPERATORS.map((o) => (
+                                <option key={o.id} value={o.id}>{o.label}</option>
+                              ))}
+                            </select>
+                            <input
+                              type="text"
+                              value={VALUELESS_OPERATORS.includes(rule.operator) ? "" : rule.value}
+                              onChange={(e) => updateRule(route, index, { value: e.target.value })}
+                              disabled={VALUELESS_OPERATORS.includes(rule.operator)}
+                              placeholder="value"
+                              className={`${SMALL_INPUT_CLASS} font-mono disabled:opacity-40`}
+                            />
+                            <button
+                              onClick={() => removeRule(route, index)}
+                              className="text-gray-500 hover:text-red-400 text-sm"
+                              title="Remove rule"
+                            >
+                              ×
+                            </button>
+                          </div>
+                        );
+                      })}
+                    </div>
+
+                    <div className="flex items-center justify-between">
+                      <input
+                        type="text"
+                        value={route.name}
+                        onChange={(e) => updateRoute(route.id, { name: e.target.value })}
+                        placeholder="Route name"
+                        className={`${SMALL_INPUT_CLASS} max-w-xs`}
+                      />
+                      <button onClick={() => removeRoute(route.id)} className="text-red-400 hover:text-red-300 text-xs">
+                        Remove route
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <p className="text-gray-500 text-xs mb-4">
+          Path segments like <span className="font-mono">:id</span> match any value. When several routes match, the
+          one with the most fixed segments wins, then the one with more rules.
+        </p>
+
+        <label className="flex items-center gap-2 text-gray-400 text-sm cursor-pointer">
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => setEnabled(e.target.checked)}
+            className="accent-green-600"
+          />
+          Enabled
+        </label>
+
+        {error && <p className="text-red-400 text-sm mt-3">{error}</p>}
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button
+            onClick={onClose}
+            className="border border-gray-700 text-gray-400 px-4 py-2 rounded-lg text-sm hover:bg-gray-700 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving || loadingRoutes}
+            className="bg-green-600 hover:bg-green-700 text-gray-50 px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+          >
+            {saving ? "Saving…" : mock ? "Save Changes" : "Create Mock"}
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default MockModal;
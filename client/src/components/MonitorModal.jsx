@@ -0,0 +1,226 @@
+// ============================================================
+// MonitorModal.jsx — Create / Edit a Scheduled Monitor
+// ============================================================
+// Form for a `monitors` document: what to run (a collection
+// or a saved flow graph), with which environment, on which
+// schedule (a preset or a custom UTC cron expression), plus
+// the latency threshold and the webhook that is notified
+// when the monitor goes down, gets slow or recovers.
+// The page persists the result through onSave(fields).
+// ============================================================
+
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { nextCronRun } from "../lib/cron";
+import { SCHEDULE_PRESETS, MONITOR_TARGETS, validateSchedule } from "../lib/monitors";
+
+const INPUT_CLASS =
+  "bg-gray-700 border border-gray-700 text-gray-50 placeholder-gray-500 rounded-lg p-3 w-full focus:border-green-600 focus:outline-none";
+
+const CUSTOM = "custom";
+
+function MonitorModal({ monitor, collections, flows, environments, onSave, onClose }) {
+  const isPreset = (schedule) => SCHEDULE_PRESETS.some((p) => p.value === schedule);
+
+  const [name, setName] = useState(monitor?.name || "");
+  const [targetType, setTargetType] = useState(monitor?.target_type || "collection");
+  const [targetId, setTargetId] = useState(monitor?.target_id || "");
+  const [environmentId, setEnvironmentId] = useState(monitor?.environment_id || "");
+  const [preset, setPreset] = useState(() =>
+    !monitor || isPreset(monitor.schedule) ? monitor?.schedule || "*/5 * * * *" : CUSTOM
+  );
+  const [customSchedule, setCustomSchedule] = useState(monitor && !isPreset(monitor.schedule) ? monitor.schedule : "");
+  const [latencyThreshold, setLatencyThreshold] = useState(monitor?.latency_threshold_ms ? String(monitor.latency_threshold_ms) : "");
+  const [webhookUrl, setWebhookUrl] = useState(monitor?.webhook_url || "");
+  const [enabled, setEnabled] = useState(monitor ? monitor.enabled !== false : true);
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const schedule = preset === CUSTOM ? customSchedule.trim() : preset;
+  const scheduleError = preset === CUSTOM && schedule ? validateSchedule(schedule) : null;
+  const nextRun = scheduleError ? null : nextCronRun(schedule);
+  const targets = targetType === "flow" ? flows : collections;
+
+  const handleSave = async () => {
+    const threshold = latencyThreshold.trim() ? Number(latencyThreshold) : null;
+    if (!name.trim()) return setError("Monitor name is required");
+    if (!targetId) return setError(`Pick a ${targetType === "flow" ? "flow graph" : "collection"} to run`);
+    if (!schedule || validateSchedule(schedule)) return setError(validateSchedule(schedule) || "A schedule is required");
+    if (threshold !== null && !(Number.isInteger(threshold) && threshold > 0)) {
+      return setError("The latency threshold must be a whole number of milliseconds");
+    }
+    if (webhookUrl.trim() && !/^https?:\/\/\S+$/i.test(webhookUrl.trim())) {
+      return setError("The webhook URL must start with http:// or https://");
+    }
+
+    setSaving(true);
+    try {
+      await onSave({
+        name: name.trim(),
+        target_type: targetType,
+        target_id: targetId,
+        target_name: targets.find((t) => t.id === targetId)?.name || "",
+        environment_id: environmentId || null,
+        schedule,
+        latency_threshold_ms: threshold,
+        webhook_url: webhookUrl.trim() || null,
+        enabled,
+      });
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+      className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm flex items-center justify-center"
+    >
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        exit={{ opacity: 0, scale: 0.95, y: 20 }}
+        transition={{ duration: 0.2 }}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-gray-800 border border-gray-700 rounded-xl p-6 w-full max-w-lg mx-4 max-h-[90vh] overflow-y-auto"
+      >
+        <h2 className="text-gray-50 font-bold text-lg mb-4">{monitor ? "Edit Monitor" : "New Monitor"}</h2>
+
+        {/* Name */}
+        <label className="text-gray-400 text-sm mb-1 block">Monitor Name</label>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => { setName(e.target.value); setError(""); }}
+          placeholder="e.g. Production health check"
+          className={`${INPUT_CLASS} mb-4`}
+        />
+
+        {/* Target */}
+        <label className="text-gray-400 text-sm mb-1 block">Run</label>
+        <div className="flex gap-2 mb-4">
+          <select
+            value={targetType}
+            onChange={(e) => { setTargetType(e.target.value); setTargetId(""); setError(""); }}
+            className={`${INPUT_CLASS} w-40 shrink-0`}
+          >
+            {MONITOR_TARGETS.map((t) => (
+              <option key={t.id} value={t.id}>{t.label}</option>
+            ))}
+          </select>
+          <select
+            value={targetId}
+            onChange={(e) => { setTargetId(e.target.value); setError(""); }}
+            className={INPUT_CLASS}
+          >
+            <option value="">
+              {targets.length ? "Choose…" : `No saved ${targetType === "flow" ? "flow graphs" : "collections"}`}
+            </option>
+            {targets.map((t) => (
+              <option key={t.id} value={t.id}>{t.name}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Environment */}
+        <label className="text-gray-400 text-sm mb-1 block">Environment</label>
+        <select
+          value={environmentId}
+          onChange={(e) => setEnvironmentId(e.target.value)}
+          className={`${INPUT_CLASS} mb-4`}
+        >
+          <option value="">No environment</option>
+          {environments.map((env) => (
+            <option key={env.id} value={env.id}>{env.name}</option>
+          ))}
+        </select>
+
+        {/* Schedule */}
+        <label className="text-gray-400 text-sm mb-1 block">Schedule</label>
+        <select
+          value={preset}
+          onChange={(e) => { setPreset(e.target.value); setError(""); }}
+          className={`${INPUT_CLASS} mb-2`}
+        >
+          {SCHEDULE_PRESETS.map((p) => (
+            <option key={p.value} value={p.value}>{p.label}</option>
+          ))}
+          <option value={CUSTOM}>Custom cron expression…</option>
+        </select>
+        {preset === CUSTOM && (
+          <input
+            type="text"
+            value={customSchedule}
+            onChange={(e) => { setCustomSchedule(e.target.value); setError(""); }}
+            placeholder="*/10 8-18 * * 1-5"
+            className={`${INPUT_CLASS} font-mono text-sm mb-2`}
+          />
+        )}
+        <p className={`text-xs mb-4 ${scheduleError ? "text-red-400" : "text-gray-500"}`}>
+          {scheduleError ||
+            (nextRun
+              ? `Next run ${nextRun.toLocaleString()} · cron times are UTC`
+              : "minute hour day-of-month month day-of-week, in UTC")}
+        </p>
+
+        {/* Thresholds + notifications */}
+        <label className="text-gray-400 text-sm mb-1 block">Latency threshold in ms (optional)</label>
+        <input
+          type="number"
+          min={1}
+          value={latencyThreshold}
+          onChange={(e) => { setLatencyThreshold(e.target.value); setError(""); }}
+          placeholder="e.g. 1500"
+          className={`${INPUT_CLASS} mb-4`}
+        />
+
+        <label className="text-gray-400 text-sm mb-1 block">Webhook URL (optional)</label>
+        <input
+          type="url"
+          value={webhookUrl}
+          onChange={(e) => { setWebhookUrl(e.target.value); setError(""); }}
+          placeholder="https://hooks.slack.com/services/…"
+          className={`${INPUT_CLASS} font-mono text-sm`}
+        />
+        <p className="text-gray-500 text-xs mt-1 mb-4">
+          POSTed as JSON (with a Slack-style <span className="font-mono">text</span> line) when the monitor goes
+          down, gets slower than the threshold or recovers.
+        </p>
+
+        <label className="flex items-center gap-2 text-gray-400 text-sm cursor-pointer">
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => setEnabled(e.target.checked)}
+            className="accent-green-600"
+          />
+          Enabled
+        </label>
+
+        {error && <p className="text-red-400 text-sm mt-3">{error}</p>}
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button
+            onClick={onClose}
+            className="border border-gray-700 text-gray-400 px-4 py-2 rounded-lg text-sm hover:bg-gray-700 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="bg-green-600 hover:bg-green-700 text-gray-50 px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+          >
+            {saving ? "Saving…" : monitor ? "Save Changes" : "Create Monitor"}
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default MonitorModal;
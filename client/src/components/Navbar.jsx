@@ -18,6 +18,8 @@ import LoginModal from "./LoginModal";
 import RegisterModal from "./RegisterModal";
 import ProfileSettingsModal from "./ProfileSettingsModal";
 import KeyboardShortcutsModal from "./KeyboardShortcutsModal";
+import EnvironmentsModal from "./EnvironmentsModal";
+import { useEnvironments } from "../hooks/useEnvironments";
 
 // ────────────────────────────────────────────────────────────
 // Navigation link definitions
@@ -29,6 +31,9 @@ const NAV_LINKS = [
   { to: "/history", label: "History" },
   { to: "/generator", label: "Generator" },
   { to: "/visualizer", label: "Visualizer" },
+  { to: "/realtime", label: "Realtime" },
+  { to: "/monitors", label: "Monitors" },
+  { to: "/mocks", label: "Mocks" },
 ];
 
 // ============================================================
@@ -41,6 +46,12 @@ function Navbar() {
   // ── Zustand: reset collections on logout ──
   const resetCollections = useStore((s) => s.resetCollections);
 
+  // ── Zustand: environments for the {{variable}} switcher ──
+  const storeUser = useStore((s) => s.user);
+  const environments = useEnvironments();
+  const activeEnvironmentId = useStore((s) => s.activeEnvironmentId);
+  const setActiveEnvironmentId = useStore((s) => s.setActiveEnvironmentId);
+
   // ── Auth state (own listener so Navbar works on any page) ──
   const [currentUser, setCurrentUser] = useState(null);
   const [authLoading, setAuthLoading] = useState(true);
@@ -58,6 +69,7 @@ function Navbar() {
   const [registerOpen, setRegisterOpen] = useState(false);
   const [profileSettingsOpen, setProfileSettingsOpen] = useState(false);
   const [keyboardShortcutsOpen, setKeyboardShortcutsOpen] = useState(false);
+  const [environmentsOpen, setEnvironmentsOpen] = useState(false);
 
   const openLogin = () => { setRegisterOpen(false); setLoginOpen(true); };
   const openRegister = () => { setLoginOpen(false); setRegisterOpen(true); };
@@ -160,6 +172,35 @@ function Navbar() {
               )}
             </div>
 
+            {/* Environment switcher (protected app pages only) */}
+            {currentUser && storeUser && (
+              <div className="flex items-center gap-1 mr-4">
+                <select
+                  value={activeEnvironmentId || ""}
+                  onChange={(e) => setActiveEnvironmentId(e.target.value || null)}
+                  title="Active environment"
+                  className="bg-gray-800 border border-gray-700 text-gray-400 text-xs rounded px-2 py-1.5
+                             max-w-[140px] focus:border-green-600 focus:outline-none cursor-pointer"
+                >
+                  <option value="">No Environment</option>
+                  {environments.map((env) => (
+                    <option key={env.id} value={env.id}>
+                      {env.name}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => setEnvironmentsOpen(true)}
+                  title="Manage environments"
+                  className="text-gray-400 hover:text-gray-50 p-1.5 rounded hover:bg-gray-700 transition-colors"
+                >
+                  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                    <path strokeLinecap="round" strokeLinejoin="round" d="M10.5 6h9.75M10.5 6a1.5 1.5 0 11-3 0m3 0a1.5 1.5 0 10-3 0M3.75 6H7.5m3 12h9.75m-9.75 0a1.5 1.5 0 01-3 0m3 0a1.5 1.5 0 00-3 0m-3.75 0H7.5m9-6h3.75m-3.75 0a1.5 1.5 0 01-3 0m3 0a1.5 1.5 0 00-3 0m-9.75 0h9.75" />
+                  </svg>
+                </button>
+              </div>
+            )}
+
             {/* Auth section — profile avatar or login buttons */}
             {!authLoading && (
               <div className="flex items-center gap-3">
@@ -298,6 +339,16 @@ function Navbar() {
         />
       )}
 
+      {/* ── Environments Modal ── */}
+      <AnimatePresence>
+        {environmentsOpen && (
+          <EnvironmentsModal
+            key="environments-modal"
+            onClose={() => setEnvironmentsOpen(false)}
+          />
+        )}
+      </AnimatePresence>
+
       {/* ── Keyboard Shortcuts Modal ── */}
       {keyboardShortcutsOpen && (
         <KeyboardShortcutsModal
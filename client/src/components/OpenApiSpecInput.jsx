@@ -0,0 +1,84 @@
+// ============================================================
+// OpenApiSpecInput.jsx — Paste / Upload an OpenAPI Document
+// ============================================================
+// Textarea + file picker for an OpenAPI 3 / Swagger 2 spec in
+// JSON or YAML. "Load Spec" parses it with lib/openApi and
+// hands the converted requests to `onLoad`. Shared by the
+// Collections page import modal and the Visualizer's
+// ImportCollectionModal.
+// ============================================================
+
+import { useState } from "react";
+import { parseSpecText, openApiToRequests } from "../lib/openApi";
+
+function OpenApiSpecInput({ onLoad }) {
+  const [text, setText] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [error, setError] = useState("");
+
+  // Read an uploaded .json / .yaml file into the textarea
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    file
+      .text()
+      .then((content) => {
+        setText(content);
+        setFileName(file.name);
+        setError("");
+      })
+      .catch(() => setError("Could not read the file"));
+    // Allow re-selecting the same file
+    e.target.value = "";
+  };
+
+  // Parse + convert; errors are shown inline
+  const handleLoad = () => {
+    try {
+      const result = openApiToRequests(parseSpecText(text));
+      if (result.requests.length === 0) {
+        setError("The document has no supported operations (GET, POST, PUT, DELETE, PATCH)");
+        return;
+      }
+      setError("");
+      onLoad(result);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <textarea
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          setFileName("");
+          setError("");
+        }}
+        placeholder={"Paste an OpenAPI 3 or Swagger 2 document (JSON or YAML)\n\nopenapi: 3.0.0\ninfo:\n  title: My API\npaths: ..."}
+        rows={8}
+        spellCheck={false}
+        className="w-full bg-gray-900 border border-gray-700 text-gray-300 placeholder-gray-600 font-mono text-xs rounded-lg p-3 focus:border-green-600 focus:outline-none resize-none"
+      />
+
+      <div className="flex items-center justify-between gap-2">
+        <label className="text-gray-400 hover:text-gray-50 text-xs border border-gray-600 hover:border-gray-500 px-2 py-1 rounded transition-colors cursor-pointer truncate">
+          {fileName || "Upload file"}
+          <input type="file" accept=".json,.yaml,.yml" onChange={handleFile} className="hidden" />
+        </label>
+        <button
+          onClick={handleLoad}
+          disabled={!text.trim()}
+          className="bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed text-gray-50 text-xs px-3 py-1 rounded transition-colors"
+        >
+          Load Spec
+        </button>
+      </div>
+
+      {error && <p className="text-red-400 text-xs">{error}</p>}
+    </div>
+  );
+}
+
+export default OpenApiSpecInput;
@@ -0,0 +1,242 @@
+// ============================================================
+// PublishDocsModal.jsx — Publish a Collection's API Docs
+// ============================================================
+// Collections page modal around lib/apiDocs: the docs page is
+// generated from the collection's saved requests (descriptions,
+// params, headers, snippets, example responses) and can be
+// downloaded as a zip or published as a read-only page at
+// /docs/<id> that anyone with the link can open. Publishing
+// again replaces the page with the collection as it is now.
+// ============================================================
+
+import { useMemo, useState } from "react";
+import { motion } from "framer-motion";
+import { addDoc, collection as firestoreCollection, deleteDoc, doc, updateDoc } from "firebase/firestore";
+import { db } from "../lib/firebase";
+import useStore from "../store/useStore";
+import { isStreamRequest } from "../lib/streamClient";
+import { buildDocsHtml, buildDocsZip, docsSlug, docsUrl, MAX_PUBLISHED_BYTES } from "../lib/apiDocs";
+
+const toDate = (ts) => (ts ? ts.toDate?.() || new Date(ts) : null);
+
+// ============================================================
+// PublishDocsModal Component
+// ============================================================
+
+function PublishDocsModal({ collection, requests, onClose }) {
+  const user = useStore((s) => s.user);
+  const updateCollection = useStore((s) => s.updateCollection);
+
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [publishedAt, setPublishedAt] = useState(() => toDate(collection.published_docs_at));
+
+  const publishedId = collection.published_docs_id || null;
+  const endpoints = requests.filter((r) => !isStreamRequest(r));
+  const exampleCount = endpoints.reduce((sum, r) => sum + (r.examples?.length || 0), 0);
+  const describedCount = endpoints.filter((r) => r.description?.trim()).length;
+
+  // Size check up front — big example bodies can outgrow a document
+  const htmlBytes = useMemo(
+    () => new TextEncoder().encode(buildDocsHtml(collection, requests)).length,
+    [collection, requests]
+  );
+  const tooLargeToPublish = htmlBytes > MAX_PUBLISHED_BYTES;
+
+  const flashNotice = (message) => {
+    setNotice(message);
+    setTimeout(() => setNotice(""), 3000);
+  };
+
+  // ── Download the zip bundle ──────────────────────────────
+  const handleDownload = () => {
+    const url = URL.createObjectURL(buildDocsZip(collection, requests));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${docsSlug(collection)}-docs.zip`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // ── Publish / update the public page ─────────────────────
+  const handlePublish = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      const now = new Date();
+      const data = { name: collection.name || "", html: buildDocsHtml(collection, requests), updated_at: now };
+      let id = publishedId;
+      if (id) {
+        await updateDoc(doc(db, "published_docs", id), data);
+      } else {
+        const ref = await addDoc(firestoreCollection(db, "published_docs"), {
+          ...data,
+          user_id: user.uid,
+          collection_id: collection.id,
+        });
+        id = ref.id;
+      }
+      await updateDoc(doc(db, "collections", collection.id), { published_docs_id: id, published_docs_at: now });
+      updateCollection(collection.id, { published_docs_id: id, published_docs_at: now });
+      setPublishedAt(now);
+      flashNotice(publishedId ? "Docs updated" : "Docs published");
+    } catch (err) {
+      console.error("Failed to publish docs:", err.message);
+      setError("Couldn't publish the docs — try again");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // ── Take the public page down ────────────────────────────
+  const handleUnpublish = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      await deleteDoc(doc(db, "published_docs", publishedId));
+      await updateDoc(doc(db, "collections", collection.id), { published_docs_id: null, published_docs_at: null });
+      updateCollection(collection.id, { published_docs_id: null, published_docs_at: null });
+      setPublishedAt(null);
+    } catch (err) {
+      console.error("Failed to unpublish docs:", err.message);
+      setError("Couldn't unpublish the docs — try again");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const copyUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(docsUrl(publishedId));
+      flashNotice("Docs URL copied");
+    } catch {
+      flashNotice("Couldn't copy — select the URL instead");
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+      className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm flex items-center justify-center"
+    >
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        exit={{ opacity: 0, scale: 0.95, y: 20 }}
+        transition={{ duration: 0.2 }}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-gray-800 border border-gray-700 rounded-xl p-6 w-full max-w-lg mx-4"
+      >
+        <h2 className="text-gray-50 font-bold text-lg mb-1">Docs for {collection.name}</h2>
+        <p className="text-gray-400 text-xs mb-4">
+          One HTML page with every endpoint, its parameters, headers, example requests in several languages and
+          saved example responses. Tokens, passwords and API keys are replaced with {"{{placeholders}}"}.
+        </p>
+
+        {/* ── What goes in ── */}
+        <div className="bg-gray-900 border border-gray-700 rounded-lg p-3 text-sm text-gray-300 space-y-1 mb-4">
+          <p>
+            {endpoints.length} endpoint{endpoints.length !== 1 ? "s" : ""}
+            <span className="text-gray-500">
+              {" "}· {describedCount} with a description · {exampleCount} example response{exampleCount !== 1 ? "s" : ""}
+            </span>
+          </p>
+          {requests.length > endpoints.length && (
+            <p className="text-gray-500 text-xs">WebSocket / SSE sessions are left out.</p>
+          )}
+          {!collection.description?.trim() && (
+            <p className="text-gray-500 text-xs">Add a description to the collection to introduce the API.</p>
+          )}
+        </div>
+
+        {/* ── Download ── */}
+        <div className="flex items-center justify-between gap-3 mb-4">
+          <p className="text-gray-400 text-xs">
+            The page and a Postman collection, zipped — host it anywhere or send it as is.
+          </p>
+          <button
+            onClick={handleDownload}
+            disabled={!endpoints.length}
+            className="border border-gray-700 text-gray-300 px-4 py-2 rounded-lg text-sm hover:bg-gray-700 transition-colors shrink-0 disabled:opacity-50"
+          >
+            Download zip
+          </button>
+        </div>
+
+        {/* ── Public page ── */}
+        <div className="border-t border-gray-700 pt-4">
+          <h3 className="text-gray-50 text-sm font-semibold mb-1">Public page</h3>
+          {publishedId ? (
+            <>
+              <div className="flex items-center gap-2 mb-1">
+                <code className="flex-1 bg-gray-900 border border-gray-700 rounded px-2 py-1.5 text-xs text-gray-300 truncate">
+                  {docsUrl(publishedId)}
+                </code>
+                <button onClick={copyUrl} className="text-gray-400 hover:text-gray-50 text-xs shrink-0">
+                  Copy
+                </button>
+                <a
+                  href={docsUrl(publishedId)}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="text-gray-400 hover:text-gray-50 text-xs shrink-0"
+                >
+                  Open
+                </a>
+              </div>
+              <p className="text-gray-500 text-xs mb-3">
+                Anyone with the link can read it{publishedAt ? ` · last published ${publishedAt.toLocaleString()}` : ""}.
+                Changes to the collection show up when you update it.
+              </p>
+            </>
+          ) : (
+            <p className="text-gray-400 text-xs mb-3">
+              Publish a read-only copy that anyone with the link can open without signing in.
+            </p>
+          )}
+          {tooLargeToPublish && (
+            <p className="text-orange-400 text-xs mb-3">
+              The page is {Math.round(htmlBytes / 1024)} KB — over the {MAX_PUBLISHED_BYTES / 1024} KB that can be
+              published. Delete some large example responses, or download the zip instead.
+            </p>
+          )}
+          <div className="flex items-center gap-3">
+            <button
+              onClick={handlePublish}
+              disabled={busy || tooLargeToPublish || !endpoints.length}
+              className="bg-green-600 hover:bg-green-700 text-gray-50 px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+            >
+              {publishedId ? "Update page" : "Publish page"}
+            </button>
+            {publishedId && (
+              <button
+                onClick={handleUnpublish}
+                disabled={busy}
+                className="text-gray-400 hover:text-red-400 text-sm disabled:opacity-50"
+              >
+                Unpublish
+              </button>
+            )}
+            {notice && <span className="text-green-400 text-xs">{notice}</span>}
+            {error && <span className="text-red-400 text-xs">{error}</span>}
+          </div>
+        </div>
+
+        <div className="flex justify-end mt-6">
+          <button
+            onClick={onClose}
+            className="border border-gray-700 text-gray-400 px-4 py-2 rounded-lg text-sm hover:bg-gray-700 transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default PublishDocsModal;
@@ -7,14 +7,28 @@
 // ============================================================
 
 import { useState, useEffect } from "react";
-import axios from "axios";
 import useStore from "../store/useStore";
 import { motion, AnimatePresence } from "framer-motion";
 import { db } from "../lib/firebase";
 import { collection, addDoc } from "firebase/firestore";
-
-// Proxy server URL from env (with fallback)
-const PROXY_URL = import.meta.env.VITE_PROXY_URL || "http://localhost:5000";
+import KeyValueEditor from "./KeyValueEditor";
+import FormDataEditor from "./FormDataEditor";
+import GraphQLEditor from "./GraphQLEditor";
+import CodeSnippetModal from "./CodeSnippetModal";
+import RequestSettings from "./RequestSettings";
+import ResponseSchemaEditor from "./ResponseSchemaEditor";
+import { isCurlCommand, parseCurl } from "../lib/curl";
+import { findVariables } from "../lib/variables";
+import {
+  executeRequest,
+  BODY_TYPES,
+  RAW_CONTENT_TYPES,
+  DEFAULT_REQUEST_SETTINGS,
+  hasCustomSettings,
+} from "../lib/requestBuilder";
+import { fetchSchema } from "../lib/graphql";
+import { readFileAsBase64, formatFileSize, withoutFileData, MAX_FILE_BYTES } from "../lib/fileData";
+import { useActiveEnvironment } from "../hooks/useActiveEnvironment";
 
 // --------------------------------------------------
 // Method text colors — text only, no colored backgrounds
@@ -28,69 +42,23 @@ const METHOD_TEXT = {
 };
 
 const METHODS = ["GET", "POST", "PUT", "DELETE", "PATCH"];
-const TABS = ["Params", "Headers", "Body", "Auth"];
+const TABS = ["Params", "Headers", "Body", "Auth", "Scripts", "Schema", "Settings"];
 
-// ============================================================
-// KeyValueEditor — Reusable key-value pair editor
-// ============================================================
-function KeyValueEditor({ pairs, onChange }) {
-  const updatePair = (index, field, value) => {
-    const updated = pairs.map((pair, i) =>
-      i === index ? { ...pair, [field]: value } : pair
-    );
-    onChange(updated);
-  };
+// Starter snippets shown as placeholders in the Scripts tab
+const PRE_REQUEST_PLACEHOLDER = `// Runs before the request is sent
+pm.request.headers["X-Request-Id"] = Date.now().toString();
+pm.variables.set("userId", "42");`;
 
-  const addPair = () => onChange([...pairs, { key: "", value: "" }]);
-  const removePair = (index) => onChange(pairs.filter((_, i) => i !== index));
+const TEST_PLACEHOLDER = `// Runs after the response is received
+pm.test("Status is 200", () => {
+  pm.response.to.have.status(200);
+});
 
-  return (
-    <div className="space-y-2">
-      {pairs.map((pair, index) => (
-        <div key={index} className="flex items-center gap-2">
-          {/* Key input */}
-          <input
-            type="text"
-            value={pair.key}
-            onChange={(e) => updatePair(index, "key", e.target.value)}
-            placeholder="Key"
-            className="flex-1 bg-gray-700 border border-gray-700 text-gray-50 rounded px-3 py-2
-                       text-sm placeholder-gray-500 focus:border-green-800 focus:outline-none
-                       transition-colors"
-          />
-          {/* Value input */}
-          <input
-            type="text"
-            value={pair.value}
-            onChange={(e) => updatePair(index, "value", e.target.value)}
-            placeholder="Value"
-            className="flex-1 bg-gray-700 border border-gray-700 text-gray-50 rounded px-3 py-2
-                       text-sm placeholder-gray-500 focus:border-green-800 focus:outline-none
-                       transition-colors"
-          />
-          {/* Remove row button */}
-          <button
-            onClick={() => removePair(index)}
-            className="text-gray-400 hover:text-red-400 transition p-1"
-            title="Remove"
-          >
-            <svg xmlns="http://www.w3.org/2000/svg" className="w-4 h-4" viewBox="0 0 20 20" fill="currentColor">
-              <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
-            </svg>
-          </button>
-        </div>
-      ))}
-
-      {/* Add row button */}
-      <button
-        onClick={addPair}
-        className="text-sm text-gray-400 hover:text-gray-50 transition-colors"
-      >
-        + Add
-      </button>
-    </div>
-  );
-}
+pm.test("Returns a token", () => {
+  const body = pm.response.json();
+  pm.expect(body).to.have.property("token");
+  pm.environment.set("token", body.token);
+});`;
 
 // ============================================================
 // RequestBuilder — Main component
@@ -102,11 +70,20 @@ function RequestBuilder() {
   const setActiveResponse = useStore((state) => state.setActiveResponse);
   const activeRequest = useStore((state) => state.activeRequest);
   const setActiveRequest = useStore((state) => state.setActiveRequest);
+  const expectedSnapshot = useStore((state) => state.expectedSnapshot);
+  const setExpectedSnapshot = useStore((state) => state.setExpectedSnapshot);
 
   // Zustand selectors for save functionality
   const collections = useStore((state) => state.collections);
   const addRequestToStore = useStore((state) => state.addRequest);
 
+  // Active environment — resolves {{variable}} placeholders on send
+  const {
+    activeEnvironmentId,
+    variables: activeVars,
+    persistUpdates: persistEnvironmentUpdates,
+  } = useActiveEnvironment();
+
   // --------------------------------------------------
   // Local form state
   // --------------------------------------------------
@@ -119,8 +96,21 @@ function RequestBuilder() {
   const [headers, setHeaders] = useState([{ key: "", value: "" }]);
 
   // Body configuration
-  const [bodyType, setBodyType] = useState("none"); // "none" | "raw"
+  const [bodyType, setBodyType] = useState("none"); // BODY_TYPES id
   const [bodyContent, setBodyContent] = useState("");
+  const [rawContentType, setRawContentType] = useState("application/json");
+  const [formFields, setFormFields] = useState([]);
+  const [urlencodedFields, setUrlencodedFields] = useState([{ key: "", value: "" }]);
+  const [binaryFile, setBinaryFile] = useState(null); // { fileName, contentType, size, data }
+  const [fileError, setFileError] = useState("");
+
+  // ── GraphQL body (schema is introspected on demand, not saved) ──
+  const [graphqlQuery, setGraphqlQuery] = useState("");
+  const [graphqlVariables, setGraphqlVariables] = useState("");
+  const [graphqlOperationName, setGraphqlOperationName] = useState("");
+  const [graphqlSchema, setGraphqlSchema] = useState(null);
+  const [schemaLoading, setSchemaLoading] = useState(false);
+  const [schemaError, setSchemaError] = useState("");
 
   // Auth configuration
   const [authType, setAuthType] = useState("none"); // "none" | "bearer" | "basic"
@@ -128,6 +118,22 @@ function RequestBuilder() {
   const [basicUsername, setBasicUsername] = useState("");
   const [basicPassword, setBasicPassword] = useState("");
 
+  // Scripts (run in a sandboxed worker before / after sending)
+  const [preRequestScript, setPreRequestScript] = useState("");
+  const [testScript, setTestScript] = useState("");
+  const [scriptsTab, setScriptsTab] = useState("pre"); // "pre" | "test"
+
+  // Proxy settings — redirects, timeout, TLS, size, HTTP version
+  const [settings, setSettings] = useState(DEFAULT_REQUEST_SETTINGS);
+
+  // Response JSON Schema: { text, source, label } or null
+  const [responseSchema, setResponseSchema] = useState(null);
+
+  // Code snippet panel + cURL paste feedback
+  const [codeOpen, setCodeOpen] = useState(false);
+  const [curlError, setCurlError] = useState("");
+  const [curlWarning, setCurlWarning] = useState("");
+
   // Save modal state
   const [saveModalOpen, setSaveModalOpen] = useState(false);
   const [requestName, setRequestName] = useState("");
@@ -148,12 +154,28 @@ function RequestBuilder() {
       setHeaders(activeRequest.headers?.length ? activeRequest.headers : [{ key: "", value: "" }]);
       setBodyType(activeRequest.bodyType || "none");
       setBodyContent(activeRequest.bodyContent || "");
+      setRawContentType(activeRequest.rawContentType || "application/json");
+      setFormFields(activeRequest.formFields || []);
+      setUrlencodedFields(activeRequest.urlencodedFields?.length ? activeRequest.urlencodedFields : [{ key: "", value: "" }]);
+      setBinaryFile(activeRequest.binaryFile || null);
+      setFileError("");
+      setGraphqlQuery(activeRequest.graphqlQuery || "");
+      setGraphqlVariables(activeRequest.graphqlVariables || "");
+      setGraphqlOperationName(activeRequest.graphqlOperationName || "");
+      setGraphqlSchema(null);
+      setSchemaError("");
       setAuthType(activeRequest.authType || "none");
       setBearerToken(activeRequest.bearerToken || "");
       setBasicUsername(activeRequest.basicUsername || "");
       setBasicPassword(activeRequest.basicPassword || "");
+      setPreRequestScript(activeRequest.preRequestScript || "");
+      setTestScript(activeRequest.testScript || "");
+      setSettings({ ...DEFAULT_REQUEST_SETTINGS, ...activeRequest.settings });
+      setResponseSchema(activeRequest.responseSchema || null);
+      // Kept in the store — ResponseViewer saves and edits it
+      setExpectedSnapshot(activeRequest.expectedSnapshot || null);
     }
-  }, [activeRequest]);
+  }, [activeRequest, setExpectedSnapshot]);
 
   // --------------------------------------------------
   // Auto-fill request name and auto-select collection
@@ -179,20 +201,36 @@ function RequestBuilder() {
     }
   }, [saveModalOpen]);
 
-  // --------------------------------------------------
-  // Convert key-value pair arrays to plain objects
-  // (filters out empty rows)
-  // --------------------------------------------------
-  const pairsToObject = (pairs) => {
-    const obj = {};
-    pairs.forEach(({ key, value }) => {
-      if (key.trim()) obj[key.trim()] = value;
-    });
-    return obj;
+  // Current form state — what Send, Save and the Code
+  // panel all work from
+  const currentRequest = {
+    method,
+    url,
+    params,
+    headers,
+    bodyType,
+    bodyContent,
+    rawContentType,
+    formFields,
+    urlencodedFields,
+    binaryFile,
+    graphqlQuery,
+    graphqlVariables,
+    graphqlOperationName,
+    authType,
+    bearerToken,
+    basicUsername,
+    basicPassword,
+    preRequestScript,
+    testScript,
+    settings,
+    expectedSnapshot,
+    responseSchema,
   };
 
   // --------------------------------------------------
   // Send the request through the proxy server
+  // (shared lifecycle: pre-request script → send → tests)
   // --------------------------------------------------
   const handleSend = async () => {
     if (!url.trim()) return;
@@ -201,57 +239,15 @@ function RequestBuilder() {
     setActiveResponse(null);
 
     try {
-      // Build the headers object from the key-value editor
-      const headersObj = pairsToObject(headers);
-
-      // Add auth headers automatically based on auth type
-      if (authType === "bearer" && bearerToken.trim()) {
-        headersObj["Authorization"] = `Bearer ${bearerToken.trim()}`;
-      } else if (authType === "basic" && basicUsername.trim()) {
-        // Encode username:password in Base64 for Basic Auth
-        const encoded = btoa(`${basicUsername}:${basicPassword}`);
-        headersObj["Authorization"] = `Basic ${encoded}`;
-      }
-
-      // Build query params object
-      const paramsObj = pairsToObject(params);
-
-      // Parse the body content (only for methods that support a body)
-      let bodyData = null;
-      if (bodyType === "raw" && bodyContent.trim()) {
-        try {
-          bodyData = JSON.parse(bodyContent);
-        } catch {
-          // If JSON is invalid, send as raw string
-          bodyData = bodyContent;
-        }
-      }
-
-      // Build the proxy request payload
-      const payload = {
-        method,
-        url: url.trim(),
-        headers: headersObj,
-        body: bodyData,
-        params: paramsObj,
-        user_id: user?.uid || null,
-      };
+      const { response, environmentUpdates } = await executeRequest(currentRequest, {
+        variables: activeVars,
+      });
 
-      // Send to the proxy server
-      const response = await axios.post(`${PROXY_URL}/api/proxy`, payload);
+      // Write pm.environment.set() changes back to the environment
+      persistEnvironmentUpdates(environmentUpdates);
 
       // Store the full response in Zustand for ResponseViewer
-      setActiveResponse(response.data);
-    } catch (err) {
-      // Handle proxy server errors (network issues, etc.)
-      setActiveResponse({
-        status: err.response?.status || 0,
-        statusText: err.response?.statusText || "Network Error",
-        headers: err.response?.headers || {},
-        data: err.response?.data || { error: err.message },
-        responseTime: 0,
-        responseSize: 0,
-      });
+      setActiveResponse(response);
     } finally {
       setIsLoading(false);
     }
@@ -274,18 +270,11 @@ function RequestBuilder() {
     setSaveError("");
 
     try {
+      // File contents stay in memory — only names are saved
       const requestData = {
+        ...withoutFileData(currentRequest),
         name: requestName.trim(),
-        method,
         url: url.trim(),
-        params,
-        headers,
-        bodyType,
-        bodyContent,
-        authType,
-        bearerToken,
-        basicUsername,
-        basicPassword,
         collection_id: selectedCollection,
         user_id: user?.uid,
         created_at: new Date(),
@@ -316,6 +305,86 @@ function RequestBuilder() {
     }
   };
 
+  // --------------------------------------------------
+  // Pasting a `curl ...` command into the URL bar fills
+  // in method, URL, params, headers, body and auth
+  // --------------------------------------------------
+  const handleUrlPaste = (e) => {
+    const text = e.clipboardData.getData("text");
+    if (!isCurlCommand(text)) return;
+    e.preventDefault();
+
+    try {
+      const parsed = parseCurl(text);
+      if (!METHODS.includes(parsed.method)) {
+        setCurlError(`${parsed.method} requests aren't supported`);
+        setCurlWarning("");
+        return;
+      }
+      const withEmptyRow = (pairs) => (pairs.length ? pairs : [{ key: "", value: "" }]);
+      setMethod(parsed.method);
+      setUrl(parsed.url);
+      setParams(withEmptyRow(parsed.params));
+      setHeaders(withEmptyRow(parsed.headers));
+      setBodyType(parsed.bodyType);
+      setBodyContent(parsed.bodyContent);
+      setRawContentType(parsed.rawContentType);
+      setFormFields(parsed.formFields);
+      setUrlencodedFields(withEmptyRow(parsed.urlencodedFields));
+      setAuthType(parsed.authType);
+      setBearerToken(parsed.bearerToken);
+      setBasicUsername(parsed.basicUsername);
+      setBasicPassword(parsed.basicPassword);
+      setCurlError("");
+      setCurlWarning(parsed.warnings.join(" "));
+    } catch (err) {
+      setCurlError(err.message);
+      setCurlWarning("");
+    }
+  };
+
+  // --------------------------------------------------
+  // Introspect the GraphQL endpoint through the proxy
+  // (same URL, headers and auth as the request)
+  // --------------------------------------------------
+  const handleFetchSchema = async () => {
+    if (!url.trim()) {
+      setSchemaError("Enter the GraphQL endpoint URL first");
+      return;
+    }
+    setSchemaLoading(true);
+    setSchemaError("");
+    try {
+      setGraphqlSchema(await fetchSchema(currentRequest, { variables: activeVars }));
+    } catch (err) {
+      setSchemaError(err.message);
+    } finally {
+      setSchemaLoading(false);
+    }
+  };
+
+  // GraphQL goes over POST — switch from the GET default
+  const handleBodyTypeChange = (type) => {
+    setBodyType(type);
+    if (type === "graphql" && method === "GET") setMethod("POST");
+  };
+
+  // Binary body — read the chosen file into base64
+  const handleBinaryFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setBinaryFile(await readFileAsBase64(file));
+      setFileError("");
+    } catch (err) {
+      setFileError(err.message);
+    }
+  };
+
+  // Placeholders in the URL that the active environment can't resolve
+  const unresolvedVars = findVariables(url).filter((name) => !(name in activeVars));
+
   return (
     <div className="flex flex-col w-full h-full bg-gray-900 p-4 overflow-hidden">
       {/* Top row: Method selector + URL input + Send button */}
@@ -339,14 +408,39 @@ function RequestBuilder() {
         <input
           type="text"
           value={url}
-          onChange={(e) => setUrl(e.target.value)}
+          onChange={(e) => {
+            setUrl(e.target.value);
+            setCurlError("");
+            setCurlWarning("");
+          }}
+          onPaste={handleUrlPaste}
           onKeyDown={(e) => e.key === "Enter" && handleSend()}
-          placeholder="Enter request URL..."
+          placeholder="Enter request URL or paste a cURL command..."
           className="flex-1 bg-gray-700 border border-gray-700 text-gray-50 rounded px-4 py-2.5
                      text-sm placeholder-gray-500 focus:border-green-800 focus:outline-none
                      transition-colors"
         />
 
+        {/* Code button — snippet panel */}
+        <button
+          onClick={() => setCodeOpen(true)}
+          disabled={!url.trim()}
+          title="Generate code"
+          className="border border-gray-700 text-gray-400 hover:bg-gray-700 hover:text-gray-50 font-medium rounded px-3 py-2.5 text-sm transition-colors disabled:opacity-40 disabled:cursor-not-allowed shrink-0 flex items-center gap-2"
+        >
+          <svg
+            xmlns="http://www.w3.org/2000/svg"
+            className="w-4 h-4"
+            fill="none"
+            viewBox="0 0 24 24"
+            stroke="currentColor"
+            strokeWidth={1.5}
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" d="M10 20l4-16m4 4l4 4-4 4M6 16l-4-4 4-4" />
+          </svg>
+          Code
+        </button>
+
         {/* Save button */}
         <button
           onClick={() => setSaveModalOpen(true)}
@@ -390,6 +484,21 @@ function RequestBuilder() {
         </button>
       </div>
 
+      {/* cURL paste error */}
+      {curlError && <p className="text-red-400 text-xs -mt-1 mb-3">cURL import: {curlError}</p>}
+      {curlWarning && <p className="text-yellow-400 text-xs -mt-1 mb-3">cURL import: {curlWarning}</p>}
+
+      {/* Unresolved {{variable}} warning */}
+      {unresolvedVars.length > 0 && (
+        <p className="text-yellow-400 text-xs -mt-1 mb-3">
+          Unresolved {unresolvedVars.length === 1 ? "variable" : "variables"}:{" "}
+          <span className="font-mono">
+            {unresolvedVars.map((name) => `{{${name}}}`).join(", ")}
+          </span>
+          {!activeEnvironmentId && " — select an environment in the navbar"}
+        </p>
+      )}
+
       {/* Tab bar */}
       <div className="flex items-center border-b border-gray-700 bg-gray-800 mb-3">
         {TABS.map((tab) => (
@@ -403,6 +512,12 @@ function RequestBuilder() {
             }`}
           >
             {tab}
+            {tab === "Schema" && responseSchema && (
+              <span className="inline-block ml-1.5 w-1.5 h-1.5 rounded-full bg-green-500 align-middle" />
+            )}
+            {tab === "Settings" && hasCustomSettings(settings) && (
+              <span className="inline-block ml-1.5 w-1.5 h-1.5 rounded-full bg-green-500 align-middle" />
+            )}
           </button>
         ))}
       </div>
@@ -423,43 +538,104 @@ function RequestBuilder() {
         {activeTab === "Body" && (
           <div className="space-y-3">
             {/* Body type radios */}
-            <div className="flex items-center gap-4">
-              <label className="flex items-center gap-2 text-sm text-gray-400 cursor-pointer">
-                <input
-                  type="radio"
-                  name="bodyType"
-                  value="none"
-                  checked={bodyType === "none"}
-                  onChange={() => setBodyType("none")}
-                  className="accent-green-800"
-                />
-                None
-              </label>
-              <label className="flex items-center gap-2 text-sm text-gray-400 cursor-pointer">
-                <input
-                  type="radio"
-                  name="bodyType"
-                  value="raw"
-                  checked={bodyType === "raw"}
-                  onChange={() => setBodyType("raw")}
-                  className="accent-green-800"
-                />
-                Raw JSON
-              </label>
+            <div className="flex items-center gap-4 flex-wrap">
+              {BODY_TYPES.map((type) => (
+                <label key={type.id} className="flex items-center gap-2 text-sm text-gray-400 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="bodyType"
+                    value={type.id}
+                    checked={bodyType === type.id}
+                    onChange={() => handleBodyTypeChange(type.id)}
+                    className="accent-green-800"
+                  />
+                  {type.label}
+                </label>
+              ))}
+
+              {/* Raw content type — sets the Content-Type header */}
+              {bodyType === "raw" && (
+                <select
+                  value={rawContentType}
+                  onChange={(e) => setRawContentType(e.target.value)}
+                  className="ml-auto bg-gray-700 border border-gray-700 text-gray-400 rounded px-2 py-1 text-xs
+                             focus:border-green-800 focus:outline-none"
+                >
+                  {RAW_CONTENT_TYPES.map((type) => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              )}
             </div>
 
-            {/* JSON textarea */}
+            {/* Raw textarea */}
             {bodyType === "raw" && (
               <textarea
                 value={bodyContent}
                 onChange={(e) => setBodyContent(e.target.value)}
-                placeholder='{ "key": "value" }'
+                placeholder={rawContentType === "application/json" ? '{ "key": "value" }' : ""}
                 rows={8}
                 className="w-full bg-gray-700 border border-gray-700 text-green-400 font-mono
                            text-sm rounded p-3 placeholder-gray-500 focus:border-green-800
                            focus:outline-none transition-colors resize-none"
               />
             )}
+
+            {/* GraphQL query / variables / schema explorer */}
+            {bodyType === "graphql" && (
+              <GraphQLEditor
+                query={graphqlQuery}
+                variables={graphqlVariables}
+                operationName={graphqlOperationName}
+                onQueryChange={setGraphqlQuery}
+                onVariablesChange={setGraphqlVariables}
+                onOperationNameChange={setGraphqlOperationName}
+                schema={graphqlSchema}
+                schemaLoading={schemaLoading}
+                schemaError={schemaError}
+                onFetchSchema={handleFetchSchema}
+              />
+            )}
+
+            {/* multipart/form-data fields */}
+            {bodyType === "form-data" && (
+              <FormDataEditor fields={formFields} onChange={setFormFields} />
+            )}
+
+            {/* x-www-form-urlencoded fields */}
+            {bodyType === "urlencoded" && (
+              <KeyValueEditor pairs={urlencodedFields} onChange={setUrlencodedFields} />
+            )}
+
+            {/* Binary file */}
+            {bodyType === "binary" && (
+              <div className="space-y-2">
+                <div className="flex items-center gap-3">
+                  <label className="text-gray-400 hover:text-gray-50 text-sm border border-gray-600 hover:border-gray-500 px-3 py-1.5 rounded transition-colors cursor-pointer">
+                    {binaryFile ? "Replace file" : "Choose file"}
+                    <input type="file" onChange={handleBinaryFile} className="hidden" />
+                  </label>
+                  {binaryFile && (
+                    binaryFile.data ? (
+                      <span className="text-gray-50 text-sm truncate">
+                        {binaryFile.fileName}{" "}
+                        <span className="text-gray-500">
+                          · {binaryFile.contentType} · {formatFileSize(binaryFile.size)}
+                        </span>
+                      </span>
+                    ) : (
+                      <span className="text-yellow-400 text-sm truncate">
+                        {binaryFile.fileName} — re-attach file
+                      </span>
+                    )
+                  )}
+                </div>
+                {fileError && <p className="text-red-400 text-xs">{fileError}</p>}
+                <p className="text-gray-500 text-xs">
+                  Sent as the raw request body. Files up to {formatFileSize(MAX_FILE_BYTES)}; only the file name is saved.
+                </p>
+              </div>
+            )}
           </div>
         )}
 
@@ -517,8 +693,85 @@ function RequestBuilder() {
             )}
           </div>
         )}
+
+        {/* Scripts tab */}
+        {activeTab === "Scripts" && (
+          <div className="space-y-3">
+            {/* Pre-request / Tests toggle */}
+            <div className="flex items-center gap-4">
+              {[
+                { id: "pre", label: "Pre-request" },
+                { id: "test", label: "Tests" },
+              ].map((opt) => (
+                <label key={opt.id} className="flex items-center gap-2 text-sm text-gray-400 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="scriptsTab"
+                    value={opt.id}
+                    checked={scriptsTab === opt.id}
+                    onChange={() => setScriptsTab(opt.id)}
+                    className="accent-green-800"
+                  />
+                  {opt.label}
+                  {(opt.id === "pre" ? preRequestScript : testScript).trim() && (
+                    <span className="w-1.5 h-1.5 rounded-full bg-green-500" />
+                  )}
+                </label>
+              ))}
+            </div>
+
+            {/* Script editor */}
+            <textarea
+              value={scriptsTab === "pre" ? preRequestScript : testScript}
+              onChange={(e) =>
+                scriptsTab === "pre"
+                  ? setPreRequestScript(e.target.value)
+                  : setTestScript(e.target.value)
+              }
+              placeholder={scriptsTab === "pre" ? PRE_REQUEST_PLACEHOLDER : TEST_PLACEHOLDER}
+              rows={10}
+              spellCheck={false}
+              className="w-full bg-gray-700 border border-gray-700 text-green-400 font-mono
+                         text-sm rounded p-3 placeholder-gray-500 focus:border-green-800
+                         focus:outline-none transition-colors resize-none"
+            />
+            <p className="text-gray-500 text-xs">
+              Scripts run in a sandboxed worker with access to{" "}
+              <span className="font-mono text-gray-400">pm.request</span>,{" "}
+              <span className="font-mono text-gray-400">pm.variables</span>,{" "}
+              <span className="font-mono text-gray-400">pm.environment</span>
+              {scriptsTab === "test" && (
+                <>
+                  , <span className="font-mono text-gray-400">pm.response</span>,{" "}
+                  <span className="font-mono text-gray-400">pm.test</span> and{" "}
+                  <span className="font-mono text-gray-400">pm.expect</span>
+                </>
+              )}
+              .
+            </p>
+          </div>
+        )}
+
+        {/* Schema tab */}
+        {activeTab === "Schema" && (
+          <ResponseSchemaEditor responseSchema={responseSchema} onChange={setResponseSchema} />
+        )}
+
+        {/* Settings tab */}
+        {activeTab === "Settings" && <RequestSettings settings={settings} onChange={setSettings} />}
       </div>
 
+      {/* ── Code Snippet Panel ───────────────────────── */}
+      <AnimatePresence>
+        {codeOpen && (
+          <CodeSnippetModal
+            request={currentRequest}
+            variables={activeVars}
+            onClose={() => setCodeOpen(false)}
+          />
+        )}
+      </AnimatePresence>
+
       {/* ── Save Request Modal ───────────────────────── */}
       <AnimatePresence>
         {saveModalOpen && (
@@ -0,0 +1,86 @@
+// ============================================================
+// RequestExamples.jsx — A Saved Request's Example Responses
+// ============================================================
+// The examples list shown under a request row on the
+// Collections page: status, name and when each was saved,
+// with its headers and body on demand. An example can become
+// the request's expected snapshot or be deleted; the page
+// persists both through the callbacks.
+// ============================================================
+
+import { useState } from "react";
+import { exampleContentType } from "../lib/responseExamples";
+
+// Status text colors by class
+const statusColor = (status) =>
+  status >= 500 ? "text-red-400" : status >= 400 ? "text-orange-400" : status >= 300 ? "text-blue-400" : "text-green-400";
+
+const fmtSaved = (iso) =>
+  iso ? new Date(iso).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" }) : "";
+
+function RequestExamples({ examples, snapshotExampleId, onUseAsSnapshot, onDelete }) {
+  const [openId, setOpenId] = useState(null);
+
+  return (
+    <div className="mt-2 ml-16 border-l border-gray-600 pl-3 space-y-1">
+      {examples.map((example) => {
+        const open = openId === example.id;
+        return (
+          <div key={example.id}>
+            <div className="flex items-center gap-3">
+              <span className={`${statusColor(example.status)} font-mono text-xs font-bold w-8 shrink-0`}>
+                {example.status}
+              </span>
+              <button
+                onClick={() => setOpenId(open ? null : example.id)}
+                className="text-gray-300 hover:text-gray-50 text-xs truncate flex-1 text-left"
+                title={open ? "Hide the response" : "Show the response"}
+              >
+                {example.name}
+                <span className="text-gray-500 ml-2">{exampleContentType(example).split(";")[0]}</span>
+              </button>
+              <span className="text-gray-500 text-xs shrink-0">{fmtSaved(example.savedAt)}</span>
+              {snapshotExampleId === example.id ? (
+                <span className="text-green-500 text-xs shrink-0">Snapshot</span>
+              ) : (
+                <button
+                  onClick={() => onUseAsSnapshot(example)}
+                  title="Check every later send of the request against this response"
+                  className="text-gray-400 hover:text-gray-50 text-xs shrink-0"
+                >
+                  Use as snapshot
+                </button>
+              )}
+              <button
+                onClick={() => onDelete(example.id)}
+                className="text-gray-600 hover:text-red-400 text-xs shrink-0"
+                title="Delete example"
+              >
+                ×
+              </button>
+            </div>
+
+            {open && (
+              <div className="mt-1 mb-2 space-y-1">
+                {example.headers?.length > 0 && (
+                  <div className="bg-gray-900 border border-gray-700 rounded p-2 text-xs font-mono max-h-32 overflow-y-auto">
+                    {example.headers.map((h) => (
+                      <div key={h.key} className="truncate">
+                        <span className="text-gray-400">{h.key}:</span> <span className="text-gray-300">{h.value}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <pre className="bg-gray-900 border border-gray-700 rounded p-2 text-xs font-mono text-gray-300 max-h-64 overflow-auto whitespace-pre-wrap break-all">
+                  {example.body || "(empty body)"}
+                </pre>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default RequestExamples;
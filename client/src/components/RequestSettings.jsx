@@ -0,0 +1,137 @@
+// ============================================================
+// RequestSettings.jsx — Per-request Proxy Settings
+// ============================================================
+// The Settings tab of RequestBuilder: redirects, timeout, TLS
+// verification, response size limit and HTTP version. Saved
+// with the request and sent to /api/proxy as `settings`; the
+// proxy clamps every number to REQUEST_SETTING_LIMITS.
+// ============================================================
+
+import {
+  DEFAULT_REQUEST_SETTINGS,
+  REQUEST_SETTING_LIMITS,
+  HTTP_VERSIONS,
+  hasCustomSettings,
+} from "../lib/requestBuilder";
+
+const INPUT_CLASS = `w-28 bg-gray-700 border border-gray-700 text-gray-50 rounded px-3 py-1.5
+                     text-sm font-mono focus:border-green-800 focus:outline-none transition-colors
+                     disabled:opacity-50`;
+
+// One labelled row: label + hint on the left, control on the right
+function SettingRow({ label, hint, children }) {
+  return (
+    <div className="flex items-start justify-between gap-4 py-3 border-b border-gray-700">
+      <div className="min-w-0">
+        <p className="text-gray-50 text-sm">{label}</p>
+        {hint && <p className="text-gray-500 text-xs mt-0.5">{hint}</p>}
+      </div>
+      <div className="shrink-0">{children}</div>
+    </div>
+  );
+}
+
+function RequestSettings({ settings, onChange }) {
+  const current = { ...DEFAULT_REQUEST_SETTINGS, ...settings };
+  const update = (key, value) => onChange({ ...current, [key]: value });
+
+  // Empty inputs are kept as "" while typing (the proxy falls
+  // back to the default for them)
+  const numberInput = (key, { step = 1, disabled = false } = {}) => {
+    const { min, max } = REQUEST_SETTING_LIMITS[key];
+    return (
+      <input
+        type="number"
+        min={min}
+        max={max}
+        step={step}
+        value={current[key]}
+        disabled={disabled}
+        onChange={(e) => update(key, e.target.value === "" ? "" : Number(e.target.value))}
+        className={INPUT_CLASS}
+      />
+    );
+  };
+
+  return (
+    <div>
+      <SettingRow label="Follow redirects" hint="Follow 3xx responses and show each hop in the Redirects tab">
+        <input
+          type="checkbox"
+          checked={current.followRedirects}
+          onChange={(e) => update("followRedirects", e.target.checked)}
+          className="accent-green-800 w-4 h-4 cursor-pointer"
+        />
+      </SettingRow>
+
+      <SettingRow
+        label="Maximum redirects"
+        hint={`Stop after this many hops (${REQUEST_SETTING_LIMITS.maxRedirects.min}–${REQUEST_SETTING_LIMITS.maxRedirects.max})`}
+      >
+        {numberInput("maxRedirects", { disabled: !current.followRedirects })}
+      </SettingRow>
+
+      <SettingRow
+        label="Timeout (ms)"
+        hint={`For the whole request, redirects included (${REQUEST_SETTING_LIMITS.timeoutMs.min}–${REQUEST_SETTING_LIMITS.timeoutMs.max})`}
+      >
+        {numberInput("timeoutMs", { step: 1000 })}
+      </SettingRow>
+
+      <SettingRow
+        label="Verify TLS certificates"
+        hint="Turn off only for local or staging servers with self-signed certificates"
+      >
+        <input
+          type="checkbox"
+          checked={current.verifyTls}
+          onChange={(e) => update("verifyTls", e.target.checked)}
+          className="accent-green-800 w-4 h-4 cursor-pointer"
+        />
+      </SettingRow>
+      {!current.verifyTls && (
+        <div className="border border-yellow-400/40 text-yellow-400 text-xs rounded px-3 py-2 mt-3">
+          Certificate verification is off — the connection is encrypted but the server&apos;s identity
+          is not checked.
+        </div>
+      )}
+
+      <SettingRow
+        label="Maximum response size (MB)"
+        hint={`Larger responses are cut off with an error (${REQUEST_SETTING_LIMITS.maxResponseMB.min}–${REQUEST_SETTING_LIMITS.maxResponseMB.max})`}
+      >
+        {numberInput("maxResponseMB", { step: 0.5 })}
+      </SettingRow>
+
+      <SettingRow label="HTTP version" hint="HTTP/2 works over TLS and cleartext (h2c)">
+        <select
+          value={current.httpVersion}
+          onChange={(e) => update("httpVersion", e.target.value)}
+          className="bg-gray-700 border border-gray-700 text-gray-50 rounded px-3 py-1.5
+                     text-sm focus:border-green-800 focus:outline-none cursor-pointer
+                     transition-colors"
+        >
+          {HTTP_VERSIONS.map((version) => (
+            <option key={version.value} value={version.value}>
+              {version.label}
+            </option>
+          ))}
+        </select>
+      </SettingRow>
+
+      <div className="flex justify-end pt-3">
+        <button
+          onClick={() => onChange({ ...DEFAULT_REQUEST_SETTINGS })}
+          disabled={!hasCustomSettings(current)}
+          className="border border-gray-700 text-gray-400 text-xs px-3 py-1.5 rounded
+                     hover:bg-gray-700 hover:text-gray-50 transition-colors
+                     disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Restore defaults
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default RequestSettings;
@@ -0,0 +1,165 @@
+// ============================================================
+// ResponseDiff.jsx — Side-by-side Comparison of Two Responses
+// ============================================================
+// Renders compareSnapshots (lib/responseDiff) for a "before"
+// and an "after" snapshot: status, body paths, headers and
+// timing. Used by the Diff tab in ResponseViewer (baseline vs
+// current) and the compare modal in History.
+// ============================================================
+
+import { useState } from "react";
+import { compareSnapshots, VOLATILE_HEADERS } from "../lib/responseDiff";
+
+const TYPE_STYLE = {
+  added: "text-green-400 border border-green-400/40",
+  removed: "text-red-400 border border-red-400/40",
+  changed: "text-yellow-400 border border-yellow-400/40",
+};
+
+// Short one-line rendering of a JSON value
+const preview = (value) => {
+  if (value === undefined) return "";
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > 160 ? `${text.slice(0, 160)}…` : text;
+};
+
+const formatMs = (ms) => (ms == null ? "—" : `${Math.round(ms * 10) / 10} ms`);
+
+const formatWhen = (millis) =>
+  millis ? new Date(millis).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "medium" }) : "";
+
+// Section heading with a count
+function SectionTitle({ title, count }) {
+  return (
+    <p className="text-gray-500 text-xs uppercase tracking-wider mt-5 mb-2">
+      {title}
+      {count != null && <span className="ml-2 font-mono normal-case text-gray-400">{count}</span>}
+    </p>
+  );
+}
+
+// One added / removed / changed row
+function DiffRow({ name, type, before, after }) {
+  return (
+    <div className="flex items-start gap-3 px-3 py-2 border-b border-gray-700">
+      <span className={`px-2 py-0.5 rounded text-xs font-bold shrink-0 w-20 text-center ${TYPE_STYLE[type]}`}>
+        {type.toUpperCase()}
+      </span>
+      <div className="min-w-0 font-mono text-xs">
+        <p className="text-gray-50 break-all">{name}</p>
+        {type !== "added" && <p className="text-red-300/80 break-all">− {preview(before)}</p>}
+        {type !== "removed" && <p className="text-green-300/80 break-all">+ {preview(after)}</p>}
+      </div>
+    </div>
+  );
+}
+
+function ResponseDiff({ before, after }) {
+  const [hideVolatile, setHideVolatile] = useState(true);
+  const result = compareSnapshots(before, after);
+
+  const headerEntries = (result.headers || []).filter(
+    (entry) => !hideVolatile || !VOLATILE_HEADERS.includes(entry.name)
+  );
+  const hiddenHeaders = (result.headers?.length || 0) - headerEntries.length;
+  const identical = !result.status.changed && !result.body.entries.length && !headerEntries.length;
+
+  return (
+    <div>
+      {/* Which two responses */}
+      <div className="grid grid-cols-2 gap-3 text-xs">
+        {[
+          { title: "Before", snapshot: before },
+          { title: "After", snapshot: after },
+        ].map(({ title, snapshot }) => (
+          <div key={title} className="border border-gray-700 rounded px-3 py-2 min-w-0">
+            <p className="text-gray-500 uppercase tracking-wider">{title}</p>
+            <p className="text-gray-50 font-mono truncate" title={snapshot.label}>
+              {snapshot.label}
+            </p>
+            <p className="text-gray-500">{formatWhen(snapshot.takenAt)}</p>
+          </div>
+        ))}
+      </div>
+
+      {identical && (
+        <p className="text-green-400 text-sm mt-4">No differences in status, body or headers.</p>
+      )}
+
+      {/* Status */}
+      <SectionTitle title="Status" />
+      <p className="px-3 font-mono text-sm">
+        <span className="text-gray-400">{result.status.before ?? "—"}</span>
+        <span className="text-gray-600 mx-2">→</span>
+        <span className={result.status.changed ? "text-yellow-400" : "text-gray-400"}>
+          {result.status.after ?? "—"}
+        </span>
+        {!result.status.changed && <span className="text-gray-500 text-xs ml-3">unchanged</span>}
+      </p>
+
+      {/* Body */}
+      <SectionTitle
+        title="Body"
+        count={`${result.body.entries.length}${result.body.truncated ? "+" : ""} change${
+          result.body.entries.length !== 1 ? "s" : ""
+        }`}
+      />
+      {result.body.entries.length > 0 ? (
+        result.body.entries.map((entry) => <DiffRow key={entry.path} name={entry.path} {...entry} />)
+      ) : (
+        <p className="text-gray-500 text-xs px-3">Bodies are identical</p>
+      )}
+      {result.body.truncated && (
+        <p className="text-gray-500 text-xs px-3 mt-2">Stopped after the first changes — the bodies differ a lot</p>
+      )}
+
+      {/* Headers */}
+      <div className="flex items-center justify-between">
+        <SectionTitle title="Headers" count={result.headers ? `${headerEntries.length} changes` : null} />
+        {result.headers && (
+          <label className="flex items-center gap-2 text-xs text-gray-400 cursor-pointer mt-3">
+            <input
+              type="checkbox"
+              checked={hideVolatile}
+              onChange={(e) => setHideVolatile(e.target.checked)}
+              className="accent-green-800"
+            />
+            Hide volatile headers{hiddenHeaders > 0 && ` (${hiddenHeaders})`}
+          </label>
+        )}
+      </div>
+      {!result.headers ? (
+        <p className="text-gray-500 text-xs px-3">Headers were not recorded for one of these responses</p>
+      ) : headerEntries.length > 0 ? (
+        headerEntries.map((entry) => <DiffRow key={entry.name} {...entry} />)
+      ) : (
+        <p className="text-gray-500 text-xs px-3">Headers are identical</p>
+      )}
+
+      {/* Timing */}
+      <SectionTitle title="Timing" />
+      <div className="font-mono text-xs">
+        {result.timing.map((row) => (
+          <div key={row.label} className="grid grid-cols-4 gap-3 px-3 py-1.5 border-b border-gray-700">
+            <span className="text-gray-400 font-sans">{row.label}</span>
+            <span className="text-gray-400">{formatMs(row.before)}</span>
+            <span className="text-gray-50">{formatMs(row.after)}</span>
+            <span
+              className={
+                row.delta == null || row.delta === 0
+                  ? "text-gray-500"
+                  : row.delta > 0
+                    ? "text-red-400"
+                    : "text-green-400"
+              }
+            >
+              {row.delta == null ? "" : `${row.delta > 0 ? "+" : ""}${formatMs(row.delta)}`}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ResponseDiff;
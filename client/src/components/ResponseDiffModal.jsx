@@ -0,0 +1,59 @@
+// ============================================================
+// ResponseDiffModal.jsx — Compare Two History Entries
+// ============================================================
+// Modal wrapper around ResponseDiff for two request_logs
+// entries (older one as "before"). Mounted / unmounted via
+// AnimatePresence in History.
+// ============================================================
+
+import { useEffect } from "react";
+import { motion } from "framer-motion";
+import ResponseDiff from "./ResponseDiff";
+import { snapshotFromLog } from "../lib/responseDiff";
+
+function ResponseDiffModal({ logs, onClose }) {
+  // Close on Escape
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  const [before, after] = logs.map(snapshotFromLog).sort((a, b) => a.takenAt - b.takenAt);
+
+  return (
+    <motion.div
+      className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm flex items-center justify-center"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <motion.div
+        className="bg-gray-800 border border-gray-700 rounded-xl w-full max-w-3xl mx-4 flex flex-col max-h-[85vh]"
+        initial={{ opacity: 0, scale: 0.95, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        exit={{ opacity: 0, scale: 0.95, y: 20 }}
+        transition={{ duration: 0.2 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between px-5 py-4 border-b border-gray-700">
+          <h2 className="text-gray-50 font-semibold">Compare responses</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-50 transition-colors text-lg leading-none">
+            ✕
+          </button>
+        </div>
+
+        {/* Diff */}
+        <div className="overflow-y-auto px-5 py-4">
+          <ResponseDiff before={before} after={after} />
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default ResponseDiffModal;
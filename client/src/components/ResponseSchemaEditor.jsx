@@ -0,0 +1,80 @@
+// ============================================================
+// ResponseSchemaEditor.jsx — Response JSON Schema
+// ============================================================
+// The Schema tab of RequestBuilder. Holds the request's
+// `responseSchema` ({ text, source, label }) — pasted here or
+// derived from an OpenAPI operation on import. Every response
+// is validated against it (lib/jsonSchema); violations show
+// in ResponseViewer's Schema tab.
+// ============================================================
+
+import { parseSchemaText } from "../lib/jsonSchema";
+
+const SCHEMA_PLACEHOLDER = `{
+  "type": "object",
+  "required": ["id", "name"],
+  "properties": {
+    "id": { "type": "integer" },
+    "name": { "type": "string", "minLength": 1 },
+    "tags": { "type": "array", "items": { "type": "string" } }
+  }
+}`;
+
+function ResponseSchemaEditor({ responseSchema, onChange }) {
+  const text = responseSchema?.text || "";
+  const parsed = text.trim() ? parseSchemaText(text) : null;
+
+  // Edits turn a derived schema into a pasted one
+  const setText = (value) => onChange(value.trim() ? { text: value, source: "pasted", label: "" } : null);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-3">
+        {responseSchema?.source === "openapi" ? (
+          <p className="text-gray-400 text-xs">
+            Derived from the OpenAPI <span className="font-mono text-gray-300">{responseSchema.label}</span>
+          </p>
+        ) : (
+          <p className="text-gray-500 text-xs">
+            Responses are validated against this JSON Schema — violations are listed in the response&apos;s Schema tab.
+          </p>
+        )}
+
+        {text.trim() && (
+          <div className="ml-auto flex items-center gap-2 shrink-0">
+            <button
+              onClick={() => onChange({ ...responseSchema, text: JSON.stringify(parsed.schema, null, 2) })}
+              disabled={!parsed?.schema}
+              className="border border-gray-700 text-gray-400 text-xs px-2 py-1 rounded hover:bg-gray-700
+                         hover:text-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Format
+            </button>
+            <button
+              onClick={() => onChange(null)}
+              className="border border-gray-700 text-gray-400 text-xs px-2 py-1 rounded hover:bg-gray-700
+                         hover:text-red-400 transition-colors"
+            >
+              Remove schema
+            </button>
+          </div>
+        )}
+      </div>
+
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder={SCHEMA_PLACEHOLDER}
+        rows={12}
+        spellCheck={false}
+        className="w-full bg-gray-700 border border-gray-700 text-green-400 font-mono
+                   text-sm rounded p-3 placeholder-gray-500 focus:border-green-800
+                   focus:outline-none transition-colors resize-none"
+      />
+
+      {parsed?.error && <p className="text-red-400 text-xs font-mono">{parsed.error}</p>}
+    </div>
+  );
+}
+
+export default ResponseSchemaEditor;
@@ -3,16 +3,66 @@
 // ============================================================
 // Gray-900 theme. Status badges use border-only style with
 // semantic colors. Green-500 accent for response time.
+// The Body tab picks views by body kind (lib/responseBody):
+// a virtualised JSON tree, pretty JSON / XML, sandboxed HTML
+// and image previews, raw text and a hex view, plus saving
+// the body to a file. The Snapshot tab saves the response as
+// the request's expected snapshot and shows later mismatches;
+// the Schema tab lists JSON Schema violations by path. "Save
+// as example" keeps the response as a named example on the
+// saved request (lib/responseExamples).
 // ============================================================
 
 import { useState } from "react";
+import { doc, updateDoc, arrayUnion } from "firebase/firestore";
 import { Light as SyntaxHighlighter } from "react-syntax-highlighter";
 import json from "react-syntax-highlighter/dist/esm/languages/hljs/json";
+import xml from "react-syntax-highlighter/dist/esm/languages/hljs/xml";
 import { atomOneDark } from "react-syntax-highlighter/dist/esm/styles/hljs";
+import { db } from "../lib/firebase";
 import useStore from "../store/useStore";
+import TimingWaterfall from "./TimingWaterfall";
+import JsonTree from "./JsonTree";
+import ResponseDiff from "./ResponseDiff";
+import SnapshotPanel from "./SnapshotPanel";
+import { snapshotFromResponse } from "../lib/responseDiff";
+import { createExpectedSnapshot, matchSnapshot } from "../lib/expectedSnapshot";
+import { createResponseExample, addResponseExample, suggestExampleName } from "../lib/responseExamples";
+import {
+  responseKind,
+  isBinaryResponse,
+  mediaType,
+  imageSource,
+  formatXml,
+  hexDump,
+  responseBytes,
+  downloadResponse,
+  HEX_VIEW_LIMIT,
+} from "../lib/responseBody";
 
-// Register JSON language (keeps bundle small)
+// Register JSON / XML languages (keeps bundle small)
 SyntaxHighlighter.registerLanguage("json", json);
+SyntaxHighlighter.registerLanguage("xml", xml);
+
+// Body views offered per body kind (first one is the default)
+const BODY_VIEWS = {
+  json: ["Tree", "Pretty", "Raw", "Hex"],
+  xml: ["Pretty", "Raw", "Hex"],
+  html: ["Preview", "Raw", "Hex"],
+  image: ["Preview", "Hex"],
+  text: ["Raw", "Hex"],
+  binary: ["Hex"],
+};
+
+// Shared SyntaxHighlighter box style
+const HIGHLIGHT_STYLE = {
+  background: "#1f2937",
+  borderRadius: "0.375rem",
+  border: "1px solid #374151",
+  padding: "1rem",
+  fontSize: "0.8rem",
+  margin: 0,
+};
 
 // --------------------------------------------------
 // Status code color — text + border only, no fill
@@ -25,11 +75,28 @@ const getStatusColor = (code) => {
   return "text-gray-400 border border-gray-700";
 };
 
+// --------------------------------------------------
+// GraphQL responses: `errors` are shown in their own tab
+// and the Body tab shows `data`. Non-GraphQL-shaped
+// bodies (e.g. a proxy error) are left as they are.
+// --------------------------------------------------
+const splitGraphqlBody = (response) => {
+  const body = response.data;
+  const isGraphqlBody =
+    response.graphql && body && typeof body === "object" && !Array.isArray(body) && ("data" in body || "errors" in body);
+  if (!isGraphqlBody) return { body, errors: null };
+  return {
+    body: "data" in body ? body.data : null,
+    errors: Array.isArray(body.errors) ? body.errors : [],
+  };
+};
+
 // Format response size
 const formatSize = (bytes) => {
   if (!bytes || bytes === 0) return "0 B";
   if (bytes < 1024) return `${bytes} B`;
-  return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 };
 
 // ============================================================
@@ -38,15 +105,77 @@ const formatSize = (bytes) => {
 function ResponseViewer() {
   const activeResponse = useStore((state) => state.activeResponse);
   const isLoading = useStore((state) => state.isLoading);
+  const baselineResponse = useStore((state) => state.baselineResponse);
+  const setBaselineResponse = useStore((state) => state.setBaselineResponse);
+  const setActiveResponse = useStore((state) => state.setActiveResponse);
+  const activeRequest = useStore((state) => state.activeRequest);
+  const expectedSnapshot = useStore((state) => state.expectedSnapshot);
+  const setExpectedSnapshot = useStore((state) => state.setExpectedSnapshot);
+  const updateCachedRequest = useStore((state) => state.updateRequest);
+  const cachedRequests = useStore((state) => state.requests);
   const [activeTab, setActiveTab] = useState("Body");
+  const [bodyView, setBodyView] = useState(null);
   const [copied, setCopied] = useState(false);
+  const [snapshotError, setSnapshotError] = useState("");
+  const [exampleName, setExampleName] = useState(null); // null = name field closed
+  const [exampleMessage, setExampleMessage] = useState(null); // { text, error }
+
+  // --------------------------------------------------
+  // Save / edit / remove the expected snapshot: kept in
+  // the store (sent with the request), re-matched against
+  // this response, and written to the saved request doc
+  // --------------------------------------------------
+  const saveExpectedSnapshot = async (snapshot) => {
+    setExpectedSnapshot(snapshot);
+    setActiveResponse({
+      ...activeResponse,
+      snapshotResult: snapshot ? matchSnapshot(snapshot, activeResponse) : undefined,
+    });
+    if (!activeRequest?.id) return;
+    try {
+      await updateDoc(doc(db, "requests", activeRequest.id), { expectedSnapshot: snapshot });
+      updateCachedRequest(activeRequest.collection_id, activeRequest.id, { expectedSnapshot: snapshot });
+      setSnapshotError("");
+    } catch (err) {
+      console.error("Failed to save snapshot:", err.message);
+      setSnapshotError("Couldn't save the snapshot to the request");
+    }
+  };
 
-  // Copy response body to clipboard
+  // Snapshot of this response (keeps existing ignore paths)
+  const handleSaveSnapshot = () => {
+    try {
+      saveExpectedSnapshot(createExpectedSnapshot(activeResponse, expectedSnapshot?.ignorePaths));
+      setActiveTab("Snapshot");
+    } catch (err) {
+      setSnapshotError(err.message);
+    }
+  };
+
+  // --------------------------------------------------
+  // Save this response as a named example on the saved
+  // request. arrayUnion, so examples saved elsewhere
+  // since the request was loaded are kept.
+  // --------------------------------------------------
+  const handleSaveExample = async () => {
+    try {
+      const example = createResponseExample(activeResponse, exampleName);
+      const cached = cachedRequests[activeRequest.collection_id]?.find((r) => r.id === activeRequest.id);
+      const examples = addResponseExample(cached?.examples || activeRequest.examples || [], example);
+      await updateDoc(doc(db, "requests", activeRequest.id), { examples: arrayUnion(example) });
+      updateCachedRequest(activeRequest.collection_id, activeRequest.id, { examples });
+      setExampleName(null);
+      setExampleMessage({ text: `Saved example "${example.name}"` });
+    } catch (err) {
+      setExampleMessage({ text: err.code ? "Couldn't save the example to the request" : err.message, error: true });
+    }
+    setTimeout(() => setExampleMessage(null), 3000);
+  };
+
+  // Copy the displayed body to clipboard
   const handleCopy = async () => {
-    const text =
-      typeof activeResponse.data === "object"
-        ? JSON.stringify(activeResponse.data, null, 2)
-        : String(activeResponse.data);
+    const { body } = splitGraphqlBody(activeResponse);
+    const text = typeof body === "object" ? JSON.stringify(body, null, 2) : String(body);
 
     try {
       await navigator.clipboard.writeText(text);
@@ -78,26 +207,59 @@ function ResponseViewer() {
     );
   }
 
-  // Format body for display
-  const bodyString =
-    typeof activeResponse.data === "object"
-      ? JSON.stringify(activeResponse.data, null, 2)
-      : String(activeResponse.data || "");
+  // Body for display (GraphQL `data` only)
+  const { body, errors: graphqlErrors } = splitGraphqlBody(activeResponse);
 
-  let isJson = typeof activeResponse.data === "object";
-  if (!isJson) {
-    try {
-      JSON.parse(activeResponse.data);
-      isJson = true;
-    } catch {
-      isJson = false;
-    }
-  }
+  // Views for this body; fall back to the first when the
+  // selected one doesn't apply
+  const bodyKind = responseKind(activeResponse, body);
+  const isBinary = isBinaryResponse(activeResponse);
+  const views = BODY_VIEWS[bodyKind];
+  const currentView = views.includes(bodyView) ? bodyView : views[0];
+
+  // The tree works on the parsed value; other views on text
+  // (not built for the tree — multi-MB bodies)
+  const showTree = currentView === "Tree";
+  const bodyString = showTree
+    ? ""
+    : typeof body === "object"
+      ? JSON.stringify(body, null, 2)
+      : String(body || "");
 
   const headerEntries = activeResponse.headers
     ? Object.entries(activeResponse.headers)
     : [];
 
+  // Test script results (only present when the request has a test script)
+  const testResults = activeResponse.testResults;
+  const testsPassed = testResults?.tests.filter((t) => t.passed).length || 0;
+  const testsTotal = testResults?.tests.length || 0;
+
+  // Expected snapshot match (set on send, re-set on edits)
+  const snapshotResult = activeResponse.snapshotResult;
+
+  // JSON Schema validation (only when the request has a schema)
+  const schemaResult = activeResponse.schemaResult;
+
+  // Redirect hops the proxy followed ({ status, url, location })
+  const redirects = activeResponse.redirects || [];
+
+  const tabs = [
+    "Body",
+    ...(graphqlErrors?.length ? ["Errors"] : []),
+    "Headers",
+    ...(redirects.length ? ["Redirects"] : []),
+    ...(activeResponse.timings ? ["Timing"] : []),
+    ...(baselineResponse ? ["Diff"] : []),
+    ...(testResults ? ["Tests"] : []),
+    ...(expectedSnapshot ? ["Snapshot"] : []),
+    ...(schemaResult ? ["Schema"] : []),
+  ];
+
+  // Fall back to Body when the selected tab isn't available for this response
+  const currentTab = tabs.includes(activeTab) ? activeTab : "Body";
+  const hexBytes = currentTab === "Body" && currentView === "Hex" ? responseBytes(activeResponse) : null;
+
   return (
     <div className="w-full h-full bg-gray-900 p-4 flex flex-col overflow-hidden">
       {/* Status bar */}
@@ -125,21 +287,157 @@ function ResponseViewer() {
         <span className="text-gray-400 text-sm font-mono">
           {formatSize(activeResponse.responseSize)}
         </span>
+
+        {/* Redirects followed / protocol, when the proxy reports them */}
+        {redirects.length > 0 && (
+          <>
+            <span className="text-gray-700">|</span>
+            <span className="text-blue-400 text-sm">
+              {redirects.length} redirect{redirects.length !== 1 ? "s" : ""}
+            </span>
+          </>
+        )}
+        {activeResponse.httpVersion && (
+          <>
+            <span className="text-gray-700">|</span>
+            <span className="text-gray-400 text-sm font-mono">HTTP/{activeResponse.httpVersion}</span>
+          </>
+        )}
+
+        {/* GraphQL errors can come back with a 200 */}
+        {graphqlErrors && (
+          <>
+            <span className="text-gray-700">|</span>
+            <span className={`text-sm ${graphqlErrors.length ? "text-red-400" : "text-gray-400"}`}>
+              GraphQL{graphqlErrors.length > 0 && ` · ${graphqlErrors.length} error${graphqlErrors.length !== 1 ? "s" : ""}`}
+            </span>
+          </>
+        )}
+
+        {/* Expected snapshot match */}
+        {snapshotResult && (
+          <>
+            <span className="text-gray-700">|</span>
+            <span className={`text-sm ${snapshotResult.matched ? "text-green-400" : "text-red-400"}`}>
+              {snapshotResult.matched ? "Matches snapshot" : "Snapshot mismatch"}
+            </span>
+          </>
+        )}
+
+        {/* Response schema validation */}
+        {schemaResult && (
+          <>
+            <span className="text-gray-700">|</span>
+            <span className={`text-sm ${schemaResult.valid ? "text-green-400" : "text-red-400"}`}>
+              {schemaResult.valid ? "Schema valid" : "Schema invalid"}
+            </span>
+          </>
+        )}
+
+        <div className="ml-auto flex items-center gap-2">
+          {snapshotError && <span className="text-red-400 text-xs">{snapshotError}</span>}
+          {exampleMessage && (
+            <span className={`text-xs ${exampleMessage.error ? "text-red-400" : "text-green-500"}`}>{exampleMessage.text}</span>
+          )}
+
+          {/* Keep this response as a named example on the saved request */}
+          {exampleName === null ? (
+            <button
+              onClick={() => setExampleName(suggestExampleName(activeResponse))}
+              disabled={!activeRequest?.id}
+              title={activeRequest?.id ? "Keep this response as a named example" : "Save the request to a collection first"}
+              className="border border-gray-700 text-gray-400 text-xs px-2 py-0.5 rounded
+                         hover:bg-gray-700 hover:text-gray-50 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              Save as example
+            </button>
+          ) : (
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                handleSaveExample();
+              }}
+              className="flex items-center gap-1"
+            >
+              <input
+                autoFocus
+                value={exampleName}
+                onChange={(e) => setExampleName(e.target.value)}
+                onKeyDown={(e) => e.key === "Escape" && setExampleName(null)}
+                placeholder="Example name"
+                className="bg-gray-900 border border-gray-700 text-gray-50 text-xs px-2 py-0.5 rounded w-40 focus:border-green-600 focus:outline-none"
+              />
+              <button type="submit" className="text-green-500 hover:text-green-400 text-xs px-1">
+                Save
+              </button>
+              <button type="button" onClick={() => setExampleName(null)} className="text-gray-400 hover:text-gray-50 text-xs px-1">
+                Cancel
+              </button>
+            </form>
+          )}
+
+          {/* Save this response as the request's expected snapshot */}
+          {!expectedSnapshot && (
+            <button
+              onClick={handleSaveSnapshot}
+              title="Check every later send of this request against this response"
+              className="border border-gray-700 text-gray-400 text-xs px-2 py-0.5 rounded
+                         hover:bg-gray-700 hover:text-gray-50 transition-colors"
+            >
+              Save as snapshot
+            </button>
+          )}
+
+          {/* Pin this response as the Diff baseline */}
+          <button
+            onClick={() => setBaselineResponse(snapshotFromResponse(activeResponse))}
+            title="Compare later responses against this one"
+            className="border border-gray-700 text-gray-400 text-xs px-2 py-0.5 rounded
+                       hover:bg-gray-700 hover:text-gray-50 transition-colors"
+          >
+            {baselineResponse ? "Re-pin baseline" : "Pin as baseline"}
+          </button>
+        </div>
       </div>
 
       {/* Tab bar */}
       <div className="flex items-center border-b border-gray-700 mb-3">
-        {["Body", "Headers"].map((tab) => (
+        {tabs.map((tab) => (
           <button
             key={tab}
             onClick={() => setActiveTab(tab)}
             className={`px-4 py-2 text-sm font-medium transition-colors border-b-2 -mb-px ${
-              activeTab === tab
+              currentTab === tab
                 ? "text-gray-50 border-green-500"
                 : "text-gray-400 border-transparent hover:text-gray-50"
             }`}
           >
             {tab}
+            {tab === "Tests" && (
+              <span
+                className={`ml-1.5 text-xs font-mono ${
+                  testsPassed === testsTotal && !testResults.error ? "text-green-400" : "text-red-400"
+                }`}
+              >
+                {testsPassed}/{testsTotal}
+              </span>
+            )}
+            {tab === "Errors" && (
+              <span className="ml-1.5 text-xs font-mono text-red-400">{graphqlErrors.length}</span>
+            )}
+            {tab === "Snapshot" && snapshotResult && (
+              <span className={`ml-1.5 text-xs ${snapshotResult.matched ? "text-green-400" : "text-red-400"}`}>
+                {snapshotResult.matched ? "✓" : "✕"}
+              </span>
+            )}
+            {tab === "Schema" && (
+              <span className={`ml-1.5 text-xs font-mono ${schemaResult.valid ? "text-green-400" : "text-red-400"}`}>
+                {schemaResult.valid ? "✓" : `${schemaResult.errors.length}${schemaResult.truncated ? "+" : ""}`}
+              </span>
+            )}
+            {tab === "Redirects" && (
+              <span className="ml-1.5 text-xs font-mono text-blue-400">{redirects.length}</span>
+            )}
           </button>
         ))}
       </div>
@@ -147,45 +445,257 @@ function ResponseViewer() {
       {/* Tab content */}
       <div className="flex-1 overflow-y-auto relative">
         {/* Body tab */}
-        {activeTab === "Body" && (
-          <div className="relative">
-            {/* Copy button — border style */}
-            <button
-              onClick={handleCopy}
-              className="absolute top-2 right-2 z-10 border border-gray-700 text-gray-400 text-xs
-                         px-2 py-1 rounded hover:bg-gray-700 hover:text-gray-50
-                         transition-all duration-200"
-            >
-              {copied ? "Copied!" : "Copy"}
-            </button>
+        {currentTab === "Body" && (
+          <div>
+            {/* View switcher, content type and actions */}
+            <div className="flex items-center gap-2 mb-2 flex-wrap">
+              {views.map((view) => (
+                <button
+                  key={view}
+                  onClick={() => setBodyView(view)}
+                  className={`px-2 py-1 rounded text-xs transition-colors ${
+                    currentView === view
+                      ? "text-gray-50 border border-green-500"
+                      : "text-gray-400 border border-gray-700 hover:text-gray-50"
+                  }`}
+                >
+                  {view}
+                </button>
+              ))}
+              {activeResponse.contentType && (
+                <span className="text-gray-500 text-xs font-mono ml-1">{mediaType(activeResponse.contentType)}</span>
+              )}
+
+              <div className="ml-auto flex items-center gap-2">
+                {!isBinary && (
+                  <button
+                    onClick={handleCopy}
+                    className="border border-gray-700 text-gray-400 text-xs px-2 py-1 rounded
+                               hover:bg-gray-700 hover:text-gray-50 transition-all duration-200"
+                  >
+                    {copied ? "Copied!" : "Copy"}
+                  </button>
+                )}
+                <button
+                  onClick={() => downloadResponse(activeResponse, activeResponse.request?.url)}
+                  className="border border-gray-700 text-gray-400 text-xs px-2 py-1 rounded
+                             hover:bg-gray-700 hover:text-gray-50 transition-all duration-200"
+                >
+                  Save
+                </button>
+              </div>
+            </div>
 
-            {/* Syntax highlighted body */}
-            {isJson ? (
+            {/* Tree — collapsible, filterable JSON */}
+            {showTree && <JsonTree data={typeof body === "object" ? body : JSON.parse(body)} />}
+
+            {/* Pretty — syntax highlighted JSON / indented XML */}
+            {currentView === "Pretty" && (
               <SyntaxHighlighter
-                language="json"
+                language={bodyKind === "xml" ? "xml" : "json"}
                 style={atomOneDark}
-                customStyle={{
-                  background: "#1f2937",
-                  borderRadius: "0.375rem",
-                  border: "1px solid #374151",
-                  padding: "1rem",
-                  fontSize: "0.8rem",
-                  margin: 0,
-                }}
+                customStyle={HIGHLIGHT_STYLE}
                 wrapLongLines
               >
-                {bodyString}
+                {bodyKind === "xml" ? formatXml(bodyString) : bodyString}
               </SyntaxHighlighter>
-            ) : (
+            )}
+
+            {/* Raw — the body text as returned */}
+            {currentView === "Raw" && (
               <pre className="bg-gray-800 border border-gray-700 rounded p-4 text-sm text-gray-50 font-mono whitespace-pre-wrap break-words">
-                {bodyString}
+                {typeof body === "object" ? JSON.stringify(body) : bodyString}
               </pre>
             )}
+
+            {/* Preview — images, and HTML in a sandbox (no scripts, no same-origin) */}
+            {currentView === "Preview" && bodyKind === "image" && (
+              <div className="bg-gray-800 border border-gray-700 rounded p-4 flex justify-center">
+                <img src={imageSource(activeResponse)} alt="Response preview" className="max-w-full max-h-[60vh] object-contain" />
+              </div>
+            )}
+            {currentView === "Preview" && bodyKind === "html" && (
+              <iframe
+                title="HTML preview"
+                sandbox=""
+                srcDoc={bodyString}
+                className="w-full h-[60vh] bg-white border border-gray-700 rounded"
+              />
+            )}
+
+            {/* Hex — offset / bytes / ASCII */}
+            {hexBytes && (
+              <>
+                {hexBytes.length > HEX_VIEW_LIMIT && (
+                  <p className="text-gray-500 text-xs mb-2">
+                    Showing the first {formatSize(HEX_VIEW_LIMIT)} of {formatSize(hexBytes.length)} — save the
+                    response to see all of it
+                  </p>
+                )}
+                <pre className="bg-gray-800 border border-gray-700 rounded p-4 text-xs text-gray-300 font-mono whitespace-pre overflow-x-auto">
+                  {hexDump(hexBytes)
+                    .map((row) => `${row.offset}  ${row.hex.padEnd(47)}  ${row.ascii}`)
+                    .join("\n") || "(empty body)"}
+                </pre>
+              </>
+            )}
+          </div>
+        )}
+
+        {/* Errors tab — GraphQL `errors` with path and location */}
+        {currentTab === "Errors" && graphqlErrors && (
+          <div>
+            {graphqlErrors.map((error, index) => (
+              <div key={index} className="px-3 py-2 border-b border-gray-700">
+                <p className="text-red-400 text-sm">{error.message || "Unknown error"}</p>
+                <div className="flex gap-4 flex-wrap mt-0.5 text-xs font-mono text-gray-500">
+                  {error.path && <span>path: {error.path.join(".")}</span>}
+                  {error.locations?.map((loc, i) => (
+                    <span key={i}>line {loc.line}, col {loc.column}</span>
+                  ))}
+                  {error.extensions?.code && <span>{error.extensions.code}</span>}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Redirects tab — each hop, then where the chain ended */}
+        {currentTab === "Redirects" && (
+          <div>
+            {redirects.map((hop, index) => (
+              <div key={index} className="flex items-start px-3 py-2 gap-3 border-b border-gray-700">
+                <span className={`px-2 py-0.5 rounded text-xs font-bold shrink-0 ${getStatusColor(hop.status)}`}>
+                  {hop.status}
+                </span>
+                <div className="min-w-0 text-sm font-mono">
+                  <p className="text-gray-400 break-all">{hop.url}</p>
+                  <p className="text-gray-50 break-all">→ {hop.location}</p>
+                </div>
+              </div>
+            ))}
+            {activeResponse.finalUrl ? (
+              <div className="px-3 py-2 text-sm">
+                <span className="text-gray-500">Final URL </span>
+                <span className="text-gray-50 font-mono break-all">{activeResponse.finalUrl}</span>
+              </div>
+            ) : (
+              <p className="text-red-400 text-sm px-3 py-2">
+                The redirect limit was reached before a final response
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Diff tab — pinned baseline vs this response */}
+        {currentTab === "Diff" && baselineResponse && (
+          <div>
+            <div className="flex justify-end mb-2">
+              <button
+                onClick={() => setBaselineResponse(null)}
+                className="border border-gray-700 text-gray-400 text-xs px-2 py-1 rounded
+                           hover:bg-gray-700 hover:text-gray-50 transition-colors"
+              >
+                Unpin baseline
+              </button>
+            </div>
+            <ResponseDiff before={baselineResponse} after={snapshotFromResponse(activeResponse)} />
+          </div>
+        )}
+
+        {/* Timing tab — DNS / TCP / TLS / TTFB / download waterfall */}
+        {currentTab === "Timing" && <TimingWaterfall timings={activeResponse.timings} />}
+
+        {/* Tests tab — pass / fail rows, script errors, console output */}
+        {currentTab === "Tests" && testResults && (
+          <div>
+            {testResults.error && (
+              <div className="border border-red-400/40 text-red-400 text-sm rounded px-3 py-2 mb-3 font-mono">
+                Script error: {testResults.error}
+              </div>
+            )}
+
+            {testResults.tests.length > 0 ? (
+              testResults.tests.map((test, index) => (
+                <div
+                  key={index}
+                  className="flex items-start px-3 py-2 gap-3 border-b border-gray-700"
+                >
+                  <span
+                    className={`px-2 py-0.5 rounded text-xs font-bold shrink-0 ${
+                      test.passed
+                        ? "text-green-400 border border-green-400/40"
+                        : "text-red-400 border border-red-400/40"
+                    }`}
+                  >
+                    {test.passed ? "PASS" : "FAIL"}
+                  </span>
+                  <div className="min-w-0">
+                    <p className="text-gray-50 text-sm">{test.name}</p>
+                    {test.error && (
+                      <p className="text-gray-400 text-xs font-mono mt-0.5 break-all">{test.error}</p>
+                    )}
+                  </div>
+                </div>
+              ))
+            ) : (
+              !testResults.error && (
+                <p className="text-gray-500 text-sm text-center py-8">
+                  No tests were run — add pm.test() calls to the test script
+                </p>
+              )
+            )}
+
+            {testResults.logs?.length > 0 && (
+              <div className="mt-4">
+                <p className="text-gray-500 text-xs uppercase tracking-wider mb-2">Console</p>
+                <pre className="bg-gray-800 border border-gray-700 rounded p-3 text-xs text-gray-300 font-mono whitespace-pre-wrap break-words">
+                  {testResults.logs.map((log) => `[${log.level}] ${log.message}`).join("\n")}
+                </pre>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Snapshot tab — expected snapshot match and ignore paths */}
+        {currentTab === "Snapshot" && expectedSnapshot && (
+          <SnapshotPanel
+            expected={expectedSnapshot}
+            result={snapshotResult}
+            response={activeResponse}
+            onChange={saveExpectedSnapshot}
+            onUpdate={handleSaveSnapshot}
+            onRemove={() => saveExpectedSnapshot(null)}
+          />
+        )}
+
+        {/* Schema tab — JSON Schema violations by path */}
+        {currentTab === "Schema" && schemaResult && (
+          <div>
+            {schemaResult.error && (
+              <div className="border border-red-400/40 text-red-400 text-sm rounded px-3 py-2 mb-3 font-mono">
+                {schemaResult.error}
+              </div>
+            )}
+            {schemaResult.valid && (
+              <p className="text-green-400 text-sm text-center py-8">The response matches the schema</p>
+            )}
+            {schemaResult.errors.map((violation, index) => (
+              <div key={index} className="flex items-start px-3 py-2 gap-3 border-b border-gray-700">
+                <span className="text-gray-50 text-sm font-mono shrink-0 min-w-[180px] break-all">
+                  {violation.path}
+                </span>
+                <span className="text-red-400 text-sm">{violation.message}</span>
+              </div>
+            ))}
+            {schemaResult.truncated && (
+              <p className="text-gray-500 text-xs px-3 mt-2">Only the first {schemaResult.errors.length} violations are listed</p>
+            )}
           </div>
         )}
 
         {/* Headers tab — key-value rows with border separator */}
-        {activeTab === "Headers" && (
+        {currentTab === "Headers" && (
           <div>
             {headerEntries.length > 0 ? (
               headerEntries.map(([key, value]) => (
@@ -0,0 +1,177 @@
+// ============================================================
+// SchemaExplorer.jsx — GraphQL Schema Sidebar
+// ============================================================
+// Browses an introspection result (lib/graphql fetchSchema):
+// root operation types and every named type, drilling into
+// fields, arguments, input fields and enum values. Type names
+// are links; a breadcrumb trail walks back up.
+// ============================================================
+
+import { useState } from "react";
+import { findType, namedType, rootTypes, typeToString } from "../lib/graphql";
+
+// Clickable type reference, e.g. [User!]!
+function TypeLink({ typeRef, onOpen }) {
+  const name = namedType(typeRef);
+  return (
+    <button
+      onClick={() => onOpen(name)}
+      className="text-yellow-400 hover:text-yellow-300 hover:underline font-mono"
+    >
+      {typeToString(typeRef)}
+    </button>
+  );
+}
+
+// One field / argument / input field row
+function FieldRow({ field, onOpen }) {
+  return (
+    <div className="py-1.5 border-b border-gray-700/60">
+      <div className="text-xs font-mono break-all">
+        <span className={field.isDeprecated ? "text-gray-500 line-through" : "text-blue-400"}>{field.name}</span>
+        {field.args?.length > 0 && (
+          <span className="text-gray-500">
+            (
+            {field.args.map((arg, index) => (
+              <span key={arg.name}>
+                {index > 0 && ", "}
+                <span className="text-gray-300">{arg.name}</span>: <TypeLink typeRef={arg.type} onOpen={onOpen} />
+              </span>
+            ))}
+            )
+          </span>
+        )}
+        <span className="text-gray-500">: </span>
+        <TypeLink typeRef={field.type} onOpen={onOpen} />
+      </div>
+      {field.description && <p className="text-gray-500 text-xs mt-0.5">{field.description}</p>}
+    </div>
+  );
+}
+
+function SchemaExplorer({ schema }) {
+  const [trail, setTrail] = useState([]); // type names, outermost first
+  const [search, setSearch] = useState("");
+
+  const current = trail.length ? findType(schema, trail[trail.length - 1]) : null;
+  const openType = (name) => {
+    if (!findType(schema, name)) return;
+    setTrail((prev) => [...prev, name]);
+    setSearch("");
+  };
+
+  const term = search.trim().toLowerCase();
+  const matches = (name) => !term || name.toLowerCase().includes(term);
+
+  // Named types other than introspection internals
+  const allTypes = (schema.types || [])
+    .filter((t) => t.name && !t.name.startsWith("__") && matches(t.name))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return (
+    <div className="flex flex-col h-full min-h-0">
+      {/* Breadcrumbs */}
+      <div className="flex items-center gap-1 flex-wrap text-xs mb-2">
+        <button
+          onClick={() => setTrail([])}
+          className={trail.length ? "text-green-500 hover:text-green-400" : "text-gray-50"}
+        >
+          Schema
+        </button>
+        {trail.map((name, index) => (
+          <span key={`${name}-${index}`} className="flex items-center gap-1">
+            <span className="text-gray-600">/</span>
+            <button
+              onClick={() => setTrail(trail.slice(0, index + 1))}
+              className={index === trail.length - 1 ? "text-gray-50" : "text-green-500 hover:text-green-400"}
+            >
+              {name}
+            </button>
+          </span>
+        ))}
+      </div>
+
+      {/* Search */}
+      <input
+        type="text"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        placeholder={current ? `Search ${current.name}` : "Search types"}
+        className="bg-gray-700 border border-gray-700 text-gray-50 rounded px-2 py-1 text-xs placeholder-gray-500
+                   focus:border-green-800 focus:outline-none mb-2"
+      />
+
+      <div className="flex-1 overflow-y-auto min-h-0">
+        {!current ? (
+          <>
+            {/* Root operation types */}
+            {!term && (
+              <div className="mb-3">
+                {rootTypes(schema).map((root) => (
+                  <div key={root.operation} className="text-xs font-mono py-0.5">
+                    <span className="text-gray-500">{root.operation}: </span>
+                    <button onClick={() => openType(root.name)} className="text-yellow-400 hover:underline">
+                      {root.name}
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Every named type */}
+            <p className="text-gray-500 text-xs uppercase tracking-wider mb-1">Types</p>
+            {allTypes.map((type) => (
+              <button
+                key={type.name}
+                onClick={() => openType(type.name)}
+                className="block w-full text-left text-xs font-mono py-0.5 text-gray-300 hover:text-gray-50"
+              >
+                {type.name}
+                <span className="text-gray-600 ml-2">{type.kind.toLowerCase()}</span>
+              </button>
+            ))}
+          </>
+        ) : (
+          <>
+            <p className="text-gray-400 text-xs mb-2">
+              <span className="text-gray-600">{current.kind.toLowerCase()} </span>
+              <span className="text-gray-50 font-mono">{current.name}</span>
+            </p>
+            {current.description && <p className="text-gray-500 text-xs mb-3">{current.description}</p>}
+
+            {(current.fields || []).filter((f) => matches(f.name)).map((field) => (
+              <FieldRow key={field.name} field={field} onOpen={openType} />
+            ))}
+            {(current.inputFields || []).filter((f) => matches(f.name)).map((field) => (
+              <FieldRow key={field.name} field={field} onOpen={openType} />
+            ))}
+            {(current.enumValues || []).filter((v) => matches(v.name)).map((value) => (
+              <div key={value.name} className="py-1 border-b border-gray-700/60">
+                <span className={`text-xs font-mono ${value.isDeprecated ? "text-gray-500 line-through" : "text-blue-400"}`}>
+                  {value.name}
+                </span>
+                {value.description && <p className="text-gray-500 text-xs mt-0.5">{value.description}</p>}
+              </div>
+            ))}
+            {current.possibleTypes?.length > 0 && (
+              <div className="mt-2">
+                <p className="text-gray-500 text-xs uppercase tracking-wider mb-1">Possible types</p>
+                {current.possibleTypes.map((t) => (
+                  <button
+                    key={t.name}
+                    onClick={() => openType(t.name)}
+                    className="block text-xs font-mono text-yellow-400 hover:underline py-0.5"
+                  >
+                    {t.name}
+                  </button>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SchemaExplorer;
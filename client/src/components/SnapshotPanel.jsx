@@ -0,0 +1,168 @@
+// ============================================================
+// SnapshotPanel.jsx — Expected Snapshot Result & Ignore Paths
+// ============================================================
+// Snapshot tab of ResponseViewer. Shows whether the response
+// matched the request's expected snapshot, the status / body
+// differences, and the JSONPath ignore list for volatile
+// values. Every edit goes through onChange(nextSnapshot) —
+// ResponseViewer persists it and re-matches the response.
+// ============================================================
+
+import { useState } from "react";
+import { suggestIgnorePaths } from "../lib/expectedSnapshot";
+
+const TYPE_STYLE = {
+  added: "text-green-400 border border-green-400/40",
+  removed: "text-red-400 border border-red-400/40",
+  changed: "text-yellow-400 border border-yellow-400/40",
+};
+
+// Short one-line rendering of a JSON value
+const preview = (value) => {
+  if (value === undefined) return "";
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > 160 ? `${text.slice(0, 160)}…` : text;
+};
+
+function SnapshotPanel({ expected, result, response, onChange, onUpdate, onRemove }) {
+  const [newPath, setNewPath] = useState("");
+
+  const ignorePaths = expected.ignorePaths || [];
+  const setIgnorePaths = (paths) => onChange({ ...expected, ignorePaths: paths });
+
+  const addPaths = (paths) => {
+    const next = paths.map((p) => p.trim()).filter((p) => p && !ignorePaths.includes(p));
+    if (next.length) setIgnorePaths([...ignorePaths, ...next]);
+  };
+
+  const suggestions = suggestIgnorePaths(response.data).filter((p) => !ignorePaths.includes(p));
+
+  return (
+    <div>
+      {/* Result + actions */}
+      <div className="flex items-center gap-3 flex-wrap">
+        {result && (
+          <span
+            className={`px-2 py-0.5 rounded text-xs font-bold ${
+              result.matched ? "text-green-400 border border-green-400/40" : "text-red-400 border border-red-400/40"
+            }`}
+          >
+            {result.matched ? "MATCH" : "MISMATCH"}
+          </span>
+        )}
+        <span className="text-gray-500 text-xs">
+          Saved {new Date(expected.savedAt).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" })}
+        </span>
+        <div className="ml-auto flex items-center gap-2">
+          <button
+            onClick={onUpdate}
+            title="Replace the expected snapshot with this response (ignore paths are kept)"
+            className="border border-gray-700 text-gray-400 text-xs px-2 py-1 rounded hover:bg-gray-700 hover:text-gray-50 transition-colors"
+          >
+            Update from response
+          </button>
+          <button
+            onClick={onRemove}
+            className="border border-gray-700 text-gray-400 text-xs px-2 py-1 rounded hover:bg-gray-700 hover:text-red-400 transition-colors"
+          >
+            Remove snapshot
+          </button>
+        </div>
+      </div>
+
+      {/* Differences */}
+      {result && !result.matched && (
+        <>
+          <p className="text-gray-500 text-xs uppercase tracking-wider mt-5 mb-2">Differences</p>
+          {!result.status.matched && (
+            <p className="px-3 py-2 border-b border-gray-700 font-mono text-sm">
+              <span className="text-gray-400">Status {result.status.expected}</span>
+              <span className="text-gray-600 mx-2">→</span>
+              <span className="text-yellow-400">{result.status.actual}</span>
+            </p>
+          )}
+          {result.entries.map((entry) => (
+            <div key={entry.path} className="flex items-start gap-3 px-3 py-2 border-b border-gray-700">
+              <span className={`px-2 py-0.5 rounded text-xs font-bold shrink-0 w-20 text-center ${TYPE_STYLE[entry.type]}`}>
+                {entry.type.toUpperCase()}
+              </span>
+              <div className="min-w-0 flex-1 font-mono text-xs">
+                <p className="text-gray-50 break-all">{entry.path}</p>
+                {entry.type !== "added" && <p className="text-red-300/80 break-all">− {preview(entry.before)}</p>}
+                {entry.type !== "removed" && <p className="text-green-300/80 break-all">+ {preview(entry.after)}</p>}
+              </div>
+              <button
+                onClick={() => addPaths([entry.path])}
+                title="Ignore this path in future matches"
+                className="text-gray-500 hover:text-gray-50 text-xs shrink-0"
+              >
+                Ignore
+              </button>
+            </div>
+          ))}
+          {result.truncated && (
+            <p className="text-gray-500 text-xs px-3 mt-2">Stopped after the first differences</p>
+          )}
+        </>
+      )}
+
+      {/* Ignore paths */}
+      <p className="text-gray-500 text-xs uppercase tracking-wider mt-5 mb-2">Ignored paths</p>
+      <div className="flex flex-wrap gap-2">
+        {ignorePaths.map((path) => (
+          <span
+            key={path}
+            className={`flex items-center gap-1.5 border rounded px-2 py-0.5 font-mono text-xs ${
+              result?.invalidPaths.includes(path) ? "border-red-400/40 text-red-400" : "border-gray-700 text-gray-300"
+            }`}
+            title={result?.invalidPaths.includes(path) ? "Not a valid JSONPath" : undefined}
+          >
+            {path}
+            <button
+              onClick={() => setIgnorePaths(ignorePaths.filter((p) => p !== path))}
+              className="text-gray-500 hover:text-gray-50"
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+        {ignorePaths.length === 0 && <span className="text-gray-500 text-xs">None — every value is compared</span>}
+      </div>
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          addPaths([newPath]);
+          setNewPath("");
+        }}
+        className="flex items-center gap-2 mt-3"
+      >
+        <input
+          value={newPath}
+          onChange={(e) => setNewPath(e.target.value)}
+          placeholder="$..updatedAt or $.items[*].id"
+          className="flex-1 bg-gray-800 border border-gray-700 rounded px-3 py-1.5 text-xs font-mono text-gray-50
+                     placeholder-gray-500 focus:outline-none focus:border-green-500"
+        />
+        <button
+          type="submit"
+          className="border border-gray-700 text-gray-400 text-xs px-3 py-1.5 rounded hover:bg-gray-700 hover:text-gray-50 transition-colors"
+        >
+          Add
+        </button>
+        {suggestions.length > 0 && (
+          <button
+            type="button"
+            onClick={() => addPaths(suggestions)}
+            title={suggestions.join("\n")}
+            className="border border-gray-700 text-gray-400 text-xs px-3 py-1.5 rounded hover:bg-gray-700 hover:text-gray-50 transition-colors"
+          >
+            Ignore ids &amp; timestamps ({suggestions.length})
+          </button>
+        )}
+      </form>
+    </div>
+  );
+}
+
+export default SnapshotPanel;
@@ -0,0 +1,68 @@
+// ============================================================
+// TimingWaterfall.jsx — Request Phase Waterfall
+// ============================================================
+// Renders the proxy's `timings` ({ redirect, dns, tcp, tls,
+// ttfb, download, total, reused } in ms, see server/timings.js)
+// as one bar per phase, each starting where the previous one
+// ended. Used by ResponseViewer's Timing tab and History.
+// ============================================================
+
+const PHASES = [
+  { key: "redirect", label: "Redirects", color: "bg-gray-500" },
+  { key: "dns", label: "DNS Lookup", color: "bg-cyan-400" },
+  { key: "tcp", label: "TCP Connect", color: "bg-orange-400" },
+  { key: "tls", label: "TLS Handshake", color: "bg-purple-400" },
+  { key: "ttfb", label: "Waiting (TTFB)", color: "bg-green-500" },
+  { key: "download", label: "Content Download", color: "bg-blue-400" },
+];
+
+const formatMs = (ms) => (ms < 100 ? `${ms.toFixed(1)} ms` : `${Math.round(ms)} ms`);
+
+function TimingWaterfall({ timings }) {
+  if (!timings) {
+    return <p className="text-gray-500 text-sm text-center py-8">No timing data for this response</p>;
+  }
+
+  // Redirects only get a row when there were any
+  const phases = PHASES.filter((phase) => phase.key !== "redirect" || timings.redirect > 0);
+  const span = (timings.redirect || 0) + (timings.total || 0) || 1;
+
+  // Each phase starts where the ones before it ended
+  const rows = phases.map((phase, index) => ({
+    ...phase,
+    duration: timings[phase.key] || 0,
+    start: phases.slice(0, index).reduce((sum, p) => sum + (timings[p.key] || 0), 0),
+  }));
+
+  return (
+    <div>
+      {rows.map((row) => (
+        <div key={row.key} className="flex items-center gap-3 px-3 py-2 border-b border-gray-700">
+          <span className="text-gray-400 text-sm shrink-0 w-36">{row.label}</span>
+          <div className="flex-1 relative h-3 bg-gray-800 rounded">
+            <div
+              className={`absolute top-0 h-3 rounded ${row.color}`}
+              style={{
+                left: `${(row.start / span) * 100}%`,
+                width: `${Math.max((row.duration / span) * 100, row.duration > 0 ? 0.5 : 0)}%`,
+              }}
+            />
+          </div>
+          <span className="text-gray-50 text-sm font-mono shrink-0 w-20 text-right">{formatMs(row.duration)}</span>
+        </div>
+      ))}
+
+      <div className="flex items-center justify-between px-3 py-2">
+        <span className="text-gray-500 text-xs">
+          {timings.reused && "Connection reused — no DNS, TCP or TLS phases"}
+        </span>
+        <span className="text-sm">
+          <span className="text-gray-500">Total </span>
+          <span className="text-green-500 font-mono">{formatMs(span)}</span>
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export default TimingWaterfall;
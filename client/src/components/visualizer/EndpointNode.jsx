@@ -53,6 +53,9 @@ function EndpointNode({ data, selected }) {
         ? "bg-amber-500"
         : "bg-rose-500";
 
+  // Expected-snapshot outcome from the last run: { matched, summary }
+  const snapshot = data.lastSnapshot;
+
   return (
     <div
       className={`
@@ -106,6 +109,14 @@ function EndpointNode({ data, selected }) {
             {data.path}
           </span>
           <div className={`w-1.5 h-1.5 rounded-full flex-shrink-0 ${statusColor}`} />
+          {snapshot && (
+            <div
+              className={`w-1.5 h-1.5 rounded-full flex-shrink-0 ring-1 ring-offset-1 ring-offset-[#141414] ${
+                snapshot.matched ? "bg-emerald-500 ring-emerald-500/40" : "bg-rose-500 ring-rose-500/40"
+              }`}
+              title={snapshot.matched ? "Matches expected snapshot" : snapshot.summary}
+            />
+          )}
         </div>
 
         {/* Divider */}
@@ -155,6 +166,12 @@ function EndpointNode({ data, selected }) {
             </p>
           )}
 
+          {snapshot && (
+            <p className={`text-[10px] mb-2 break-words ${snapshot.matched ? "text-emerald-400" : "text-rose-400"}`}>
+              {snapshot.matched ? "Matches expected snapshot" : snapshot.summary}
+            </p>
+          )}
+
           <div className="h-px bg-white/[0.05] mb-2" />
 
           <pre className="text-gray-400 text-[10px] font-mono whitespace-pre-wrap break-all max-h-20 overflow-hidden leading-relaxed">
@@ -1,10 +1,11 @@
 // ============================================================
 // ImportCollectionModal.jsx — Import Endpoints from Collection
 // ============================================================
-// Full-screen modal that lets the user pick a saved collection,
-// preview its requests, toggle individual items, and import
-// them as nodes onto the flow canvas. Automatically detects
-// auth-dependency edges between login and protected endpoints.
+// Full-screen modal that lets the user pick a saved collection
+// (or load an OpenAPI / Swagger spec directly), preview its
+// requests, toggle individual items, and import them as nodes
+// onto the flow canvas. Automatically detects auth-dependency
+// edges between login and protected endpoints.
 // ============================================================
 
 import { useState, useEffect } from "react";
@@ -13,6 +14,9 @@ import { MarkerType } from "reactflow";
 import { db } from "../../lib/firebase";
 import { collection as fbCollection, query, where, getDocs } from "firebase/firestore";
 import useStore from "../../store/useStore";
+import { normalizeRequest } from "../../lib/requestBuilder";
+import { isStreamRequest } from "../../lib/streamClient";
+import OpenApiSpecInput from "../OpenApiSpecInput";
 
 // ============================================================
 // ImportCollectionModal Component
@@ -24,6 +28,8 @@ function ImportCollectionModal({ onClose, onImport }) {
   const cachedRequests = useStore((s) => s.requests);
 
   // ── Local state ──
+  const [source, setSource] = useState("collection"); // "collection" | "openapi"
+  const [specRequests, setSpecRequests] = useState([]);
   const [selectedCollection, setSelectedCollection] = useState("");
   const [collectionRequests, setCollectionRequests] = useState([]);
   const [selectedIds, setSelectedIds] = useState(new Set());
@@ -39,8 +45,9 @@ function ImportCollectionModal({ onClose, onImport }) {
 
     // Check Zustand cache first
     if (cachedRequests[selectedCollection]?.length) {
-      setCollectionRequests(cachedRequests[selectedCollection]);
-      setSelectedIds(new Set(cachedRequests[selectedCollection].map((r) => r.id)));
+      const cached = cachedRequests[selectedCollection].filter((r) => !isStreamRequest(r));
+      setCollectionRequests(cached);
+      setSelectedIds(new Set(cached.map((r) => r.id)));
       return;
     }
 
@@ -53,7 +60,10 @@ function ImportCollectionModal({ onClose, onImport }) {
           where("collection_id", "==", selectedCollection)
         );
         const snapshot = await getDocs(q);
-        const data = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+        // WebSocket / SSE sessions can't be run as canvas nodes
+        const data = snapshot.docs
+          .map((doc) => ({ id: doc.id, ...doc.data() }))
+          .filter((r) => !isStreamRequest(r));
         setCollectionRequests(data);
         setSelectedIds(new Set(data.map((r) => r.id)));
       } catch (err) {
@@ -65,6 +75,24 @@ function ImportCollectionModal({ onClose, onImport }) {
     fetchRequests();
   }, [selectedCollection, cachedRequests]);
 
+  // Requests offered by the current source
+  const sourceRequests = source === "openapi" ? specRequests : collectionRequests;
+
+  // ── Switch between a saved collection and an OpenAPI spec ──
+  const switchSource = (next) => {
+    setSource(next);
+    const requests = next === "openapi" ? specRequests : collectionRequests;
+    setSelectedIds(new Set(requests.map((r) => r.id)));
+  };
+
+  // ── Spec loaded — give each operation a unique id for its node ──
+  const handleSpecLoad = ({ requests }) => {
+    const stamp = Date.now();
+    const withIds = requests.map((req, index) => ({ ...req, id: `openapi-${stamp}-${index}` }));
+    setSpecRequests(withIds);
+    setSelectedIds(new Set(withIds.map((r) => r.id)));
+  };
+
   // ── Toggle a single request inclusion ──
   const toggleRequest = (id) => {
     setSelectedIds((prev) => {
@@ -76,10 +104,10 @@ function ImportCollectionModal({ onClose, onImport }) {
 
   // ── Toggle all ──
   const toggleAll = () => {
-    if (selectedIds.size === collectionRequests.length) {
+    if (selectedIds.size === sourceRequests.length) {
       setSelectedIds(new Set());
     } else {
-      setSelectedIds(new Set(collectionRequests.map((r) => r.id)));
+      setSelectedIds(new Set(sourceRequests.map((r) => r.id)));
     }
   };
 
@@ -92,8 +120,15 @@ function ImportCollectionModal({ onClose, onImport }) {
     }
   };
 
+  // ── Saved request → node request (drops Firestore bookkeeping) ──
+  const toNodeRequest = (req) => {
+    const fields = { ...req };
+    ["id", "user_id", "collection_id", "created_at"].forEach((key) => delete fields[key]);
+    return normalizeRequest(fields);
+  };
+
   // ── Dependency detection helpers ──
-  const filteredRequests = collectionRequests.filter((r) => selectedIds.has(r.id));
+  const filteredRequests = sourceRequests.filter((r) => selectedIds.has(r.id));
 
   const authEndpointCount = filteredRequests.filter((r) => {
     const path = (r.url ? safePath(r.url) : r.path || "").toLowerCase();
@@ -141,16 +176,9 @@ function ImportCollectionModal({ onClose, onImport }) {
           lastResponse: null,
           lastResponseTime: null,
           lastTested: null,
-          // Store full request data for Run All
-          fullRequest: {
-            method: req.method,
-            url: req.url,
-            headers: req.headers,
-            body: req.bodyContent,
-            params: req.params,
-            authType: req.authType,
-            bearerToken: req.bearerToken,
-          },
+          // Store the full saved request so Run All / Run Flow send
+          // exactly what the Workspace would
+          fullRequest: toNodeRequest(req),
         },
       };
     });
@@ -219,7 +247,7 @@ function ImportCollectionModal({ onClose, onImport }) {
       >
         {/* ── Header ── */}
         <div className="flex items-center justify-between px-5 py-4 border-b border-gray-700">
-          <h2 className="text-gray-50 font-bold text-sm">Import from Collection</h2>
+          <h2 className="text-gray-50 font-bold text-sm">Import Endpoints</h2>
           <button onClick={onClose} className="text-gray-500 hover:text-gray-300 transition-colors">
             <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
@@ -230,23 +258,46 @@ function ImportCollectionModal({ onClose, onImport }) {
         {/* ── Body ── */}
         <div className="p-5 space-y-4 max-h-[60vh] overflow-y-auto">
 
-          {/* Collection selector */}
-          <div>
-            <label className="text-gray-400 text-xs block mb-1">Select Collection</label>
-            <select
-              value={selectedCollection}
-              onChange={(e) => setSelectedCollection(e.target.value)}
-              className="w-full bg-gray-700 border border-gray-700 text-gray-300 text-xs rounded px-3 py-2 focus:outline-none focus:ring-1 focus:ring-green-600"
-            >
-              <option value="">— Choose a collection —</option>
-              {collections.map((col) => (
-                <option key={col.id} value={col.id}>
-                  {col.name}
-                </option>
-              ))}
-            </select>
+          {/* Source toggle */}
+          <div className="flex gap-1 bg-gray-900 rounded-lg p-1">
+            {[
+              { id: "collection", label: "Collection" },
+              { id: "openapi", label: "OpenAPI Spec" },
+            ].map((opt) => (
+              <button
+                key={opt.id}
+                onClick={() => switchSource(opt.id)}
+                className={`flex-1 text-xs py-1.5 rounded transition-colors ${
+                  source === opt.id ? "bg-gray-700 text-gray-50" : "text-gray-500 hover:text-gray-300"
+                }`}
+              >
+                {opt.label}
+              </button>
+            ))}
           </div>
 
+          {/* OpenAPI spec input */}
+          {source === "openapi" && <OpenApiSpecInput onLoad={handleSpecLoad} />}
+
+          {/* Collection selector */}
+          {source === "collection" && (
+            <div>
+              <label className="text-gray-400 text-xs block mb-1">Select Collection</label>
+              <select
+                value={selectedCollection}
+                onChange={(e) => setSelectedCollection(e.target.value)}
+                className="w-full bg-gray-700 border border-gray-700 text-gray-300 text-xs rounded px-3 py-2 focus:outline-none focus:ring-1 focus:ring-green-600"
+              >
+                <option value="">— Choose a collection —</option>
+                {collections.map((col) => (
+                  <option key={col.id} value={col.id}>
+                    {col.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* Loading */}
           {loading && (
             <div className="flex items-center justify-center py-6">
@@ -255,19 +306,19 @@ function ImportCollectionModal({ onClose, onImport }) {
           )}
 
           {/* Request preview list */}
-          {!loading && collectionRequests.length > 0 && (
+          {!loading && sourceRequests.length > 0 && (
             <div>
               <div className="flex items-center justify-between mb-2">
                 <span className="text-gray-400 text-xs">
-                  {selectedIds.size} of {collectionRequests.length} selected
+                  {selectedIds.size} of {sourceRequests.length} selected
                 </span>
                 <button onClick={toggleAll} className="text-green-500 text-xs hover:text-green-400 transition-colors">
-                  {selectedIds.size === collectionRequests.length ? "Deselect All" : "Select All"}
+                  {selectedIds.size === sourceRequests.length ? "Deselect All" : "Select All"}
                 </button>
               </div>
 
               <div className="space-y-1 max-h-48 overflow-y-auto">
-                {collectionRequests.map((req) => (
+                {sourceRequests.map((req) => (
                   <label
                     key={req.id}
                     className={`flex items-center gap-3 px-3 py-2 rounded-lg cursor-pointer transition-colors ${
@@ -297,7 +348,7 @@ function ImportCollectionModal({ onClose, onImport }) {
           )}
 
           {/* Empty state */}
-          {!loading && selectedCollection && collectionRequests.length === 0 && (
+          {!loading && source === "collection" && selectedCollection && collectionRequests.length === 0 && (
             <p className="text-gray-500 text-xs text-center py-4">
               No requests found in this collection.
             </p>
@@ -2,8 +2,10 @@
 // RunAllPanel.jsx — Run-All Results Summary Panel
 // ============================================================
 // Fixed panel at the bottom-center of the canvas that slides
-// up after Run All completes. Shows pass/fail/warn counts and
-// a list of any failed requests.
+// up after Run All or Run Flow completes. Shows pass/fail/warn
+// counts, a list of any failed requests, responses that broke
+// their JSON Schema (reported apart from status failures) and
+// — for flows that stopped early — the nodes that were skipped.
 // ============================================================
 
 import { motion } from "framer-motion";
@@ -15,7 +17,14 @@ import { motion } from "framer-motion";
 function RunAllPanel({ results, onClose, onViewHistory }) {
   if (!results) return null;
 
-  const { passed = [], failed = [], warned = [] } = results;
+  const {
+    title = "Run Complete",
+    passed = [],
+    failed = [],
+    warned = [],
+    skipped = [],
+    schemaFailed = [],
+  } = results;
 
   return (
     <motion.div
@@ -27,7 +36,7 @@ function RunAllPanel({ results, onClose, onViewHistory }) {
     >
       {/* ── Title ── */}
       <div className="flex items-center justify-between mb-3">
-        <h3 className="text-gray-50 font-bold text-sm">Run Complete</h3>
+        <h3 className="text-gray-50 font-bold text-sm">{title}</h3>
         <button
           onClick={onClose}
           className="text-gray-500 hover:text-gray-300 transition-colors"
@@ -49,6 +58,16 @@ function RunAllPanel({ results, onClose, onViewHistory }) {
         <span className="text-yellow-400 text-xs font-medium">
           ⚠️ {warned.length} warnings
         </span>
+        {schemaFailed.length > 0 && (
+          <span className="text-orange-400 text-xs font-medium">
+            🧩 {schemaFailed.length} schema
+          </span>
+        )}
+        {skipped.length > 0 && (
+          <span className="text-gray-400 text-xs font-medium">
+            ⏭ {skipped.length} skipped
+          </span>
+        )}
       </div>
 
       {/* ── Failed list (if any) ── */}
@@ -57,13 +76,36 @@ function RunAllPanel({ results, onClose, onViewHistory }) {
           <p className="text-gray-500 text-xs font-medium mb-1">Failed:</p>
           <div className="space-y-1">
             {failed.map((item, idx) => (
-              <div key={idx} className="flex items-center justify-between">
-                <span className="text-red-400 text-xs truncate mr-2">
-                  {item.name}
-                </span>
-                <span className="text-red-400 text-xs font-mono flex-shrink-0">
-                  {item.status || "ERR"}
-                </span>
+              <div key={idx}>
+                <div className="flex items-center justify-between">
+                  <span className="text-red-400 text-xs truncate mr-2">
+                    {item.name}
+                  </span>
+                  <span className="text-red-400 text-xs font-mono flex-shrink-0">
+                    {item.status || "ERR"}
+                  </span>
+                </div>
+                {item.error && (
+                  <p className="text-gray-500 text-xs break-words">{item.error}</p>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* ── Schema violations (if any) ── */}
+      {schemaFailed.length > 0 && (
+        <div className="mb-3 max-h-28 overflow-y-auto">
+          <p className="text-gray-500 text-xs font-medium mb-1">Schema violations:</p>
+          <div className="space-y-1">
+            {schemaFailed.map((item, idx) => (
+              <div key={idx}>
+                <div className="flex items-center justify-between">
+                  <span className="text-orange-400 text-xs truncate mr-2">{item.name}</span>
+                  <span className="text-orange-400 text-xs font-mono flex-shrink-0">{item.status || "ERR"}</span>
+                </div>
+                <p className="text-gray-500 text-xs break-words">{item.error}</p>
               </div>
             ))}
           </div>
@@ -89,6 +131,23 @@ function RunAllPanel({ results, onClose, onViewHistory }) {
         </div>
       )}
 
+      {/* ── Skipped list (flow stopped early) ── */}
+      {skipped.length > 0 && (
+        <div className="mb-3 max-h-20 overflow-y-auto">
+          <p className="text-gray-500 text-xs font-medium mb-1">Skipped:</p>
+          <div className="space-y-1">
+            {skipped.map((item, idx) => (
+              <div key={idx} className="flex items-center justify-between">
+                <span className="text-gray-400 text-xs truncate mr-2">{item.name}</span>
+                {item.error && (
+                  <span className="text-gray-500 text-xs flex-shrink-0">{item.error}</span>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* ── Action buttons ── */}
       <div className="flex gap-2 mt-1">
         <button
@@ -0,0 +1,47 @@
+// ============================================================
+// useActiveEnvironment.js — Active Environment Variables
+// ============================================================
+// Returns the variables of the environment selected in the
+// Navbar plus a helper that writes pm.environment.set()
+// changes from scripts back to it (Firestore + Zustand).
+// Shared by RequestBuilder and the Visualizer run paths.
+// ============================================================
+
+import { useCallback, useMemo } from "react";
+import { updateDoc, doc } from "firebase/firestore";
+import { db } from "../lib/firebase";
+import useStore from "../store/useStore";
+import { getActiveVariables } from "../lib/variables";
+
+export function useActiveEnvironment() {
+  const environments = useStore((s) => s.environments);
+  const activeEnvironmentId = useStore((s) => s.activeEnvironmentId);
+  const updateEnvironment = useStore((s) => s.updateEnvironment);
+
+  const variables = useMemo(
+    () => getActiveVariables(environments, activeEnvironmentId),
+    [environments, activeEnvironmentId]
+  );
+
+  // Merge { key: value | null } updates into the active environment
+  // (null removes the variable). No-op without an active environment.
+  const persistUpdates = useCallback(
+    (updates) => {
+      const env = environments.find((e) => e.id === activeEnvironmentId);
+      if (!env || !updates || Object.keys(updates).length === 0) return;
+
+      const next = (env.variables || []).filter((v) => !(v.key in updates));
+      Object.entries(updates).forEach(([key, value]) => {
+        if (value !== null) next.push({ key, value });
+      });
+
+      updateEnvironment(env.id, { variables: next });
+      updateDoc(doc(db, "environments", env.id), { variables: next }).catch((err) =>
+        console.error("Failed to update environment:", err.message)
+      );
+    },
+    [environments, activeEnvironmentId, updateEnvironment]
+  );
+
+  return { activeEnvironmentId, variables, persistUpdates };
+}
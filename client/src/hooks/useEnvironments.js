@@ -0,0 +1,55 @@
+// ============================================================
+// useEnvironments.js — Custom Hook for Global Environments
+// ============================================================
+// Fetches the user's named environments (dev / staging / prod)
+// from Firestore ONCE per session and stores them in the
+// Zustand global store. The `environmentsLoaded` flag prevents
+// duplicate fetches, mirroring useCollections.
+// ============================================================
+
+import { useEffect } from "react";
+import { collection, query, where, getDocs } from "firebase/firestore";
+import { db } from "../lib/firebase";
+import useStore from "../store/useStore";
+
+export function useEnvironments() {
+  const user = useStore((s) => s.user);
+  const environments = useStore((s) => s.environments);
+  const environmentsLoaded = useStore((s) => s.environmentsLoaded);
+  const setEnvironments = useStore((s) => s.setEnvironments);
+
+  useEffect(() => {
+    // Only fetch if user is logged in and data hasn't been loaded yet
+    if (!user?.uid || environmentsLoaded) return;
+
+    const fetchEnvironments = async () => {
+      try {
+        // No orderBy — avoids Firestore composite index requirement.
+        // Sort client-side instead (oldest first, so order is stable).
+        const q = query(
+          collection(db, "environments"),
+          where("user_id", "==", user.uid)
+        );
+        const snapshot = await getDocs(q);
+        const data = snapshot.docs
+          .map((doc) => ({
+            id: doc.id,
+            ...doc.data(),
+          }))
+          .sort((a, b) => {
+            const dateA = a.created_at?.toDate?.() || new Date(a.created_at);
+            const dateB = b.created_at?.toDate?.() || new Date(b.created_at);
+            return dateA - dateB;
+          });
+        // Store in Zustand — sets environmentsLoaded = true
+        setEnvironments(data);
+      } catch (err) {
+        console.error("Error fetching environments:", err);
+      }
+    };
+
+    fetchEnvironments();
+  }, [user, environmentsLoaded, setEnvironments]);
+
+  return environments;
+}
@@ -0,0 +1,383 @@
+// ============================================================
+// apiDocs.js — Static API Documentation from a Collection
+// ============================================================
+// Renders a collection as one self-contained HTML page (inline
+// CSS, a few lines of inline JS for the snippet tabs, nothing
+// fetched): the collection description, an endpoint list
+// grouped by folder, and per endpoint its description, query
+// parameters, headers, body, example requests in every
+// SNIPPET_LANGUAGES language (lib/codeSnippets) and example
+// responses (lib/responseExamples, else the expected
+// snapshot).
+//   • buildDocsHtml  — the page as a string
+//   • buildDocsZip   — index.html + the Postman export, zipped
+// Published docs are kept in a `published_docs` document
+//   { user_id, collection_id, name, html, updated_at }
+// and served to anyone with the link (server/publishedDocs.js,
+// the /docs/:id page).
+// Docs are meant to be shared, so credentials never make it
+// in: tokens, passwords and secret-looking header, param,
+// form field and JSON body values that aren't {{variables}}
+// become {{placeholders}}, in example responses and snapshots
+// too, and pre-request / test scripts are left out.
+// ============================================================
+
+import { generateSnippet, SNIPPET_LANGUAGES } from "./codeSnippets";
+import { toPostmanCollection } from "./collectionFormats";
+import { isStreamRequest } from "./streamClient";
+import { exampleContentType } from "./responseExamples";
+import { createZip } from "./zip";
+
+// Firestore documents are limited to 1 MiB
+export const MAX_PUBLISHED_BYTES = 900 * 1024;
+
+// Header / param names whose values are treated as secrets
+const SECRET_KEY = /^(authorization|proxy-authorization|cookie)$|api[-_]?key|token|secret|password|signature/i;
+
+// A value that is only {{variables}} (and whitespace)
+const isVariableOnly = (value) => /^\s*(\{\{[^{}]+\}\}\s*)+$/.test(String(value || ""));
+
+const toPlaceholder = (key) => `{{${String(key).replace(/[^\w-]+/g, "_")}}}`;
+
+// Secret-keyed values anywhere in parsed JSON
+function redactJsonValue(value) {
+  if (Array.isArray(value)) return value.map(redactJsonValue);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, child]) =>
+      SECRET_KEY.test(key) && child !== null && typeof child !== "boolean" && !isVariableOnly(child)
+        ? [key, toPlaceholder(key)]
+        : [key, redactJsonValue(child)]
+    )
+  );
+}
+
+// A JSON body with its secrets redacted. Bodies that don't
+// parse (e.g. an unquoted {{variable}}) get their
+// "key": "value" / number pairs redacted in place.
+function redactJsonText(text) {
+  if (!text?.trim()) return text;
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return text.replace(/"((?:[^"\\]|\\.)*)"(\s*:\s*)("(?:[^"\\]|\\.)*"|-?\d[\d.eE+-]*)/g, (match, key, colon, value) =>
+      SECRET_KEY.test(key) && !isVariableOnly(value.replace(/^"|"$/g, "")) ? `"${key}"${colon}"${toPlaceholder(key)}"` : match
+    );
+  }
+  const redacted = redactJsonValue(parsed);
+  // Leave the author's formatting alone when nothing changed
+  return JSON.stringify(redacted) === JSON.stringify(parsed) ? text : JSON.stringify(redacted, null, 2);
+}
+
+// --------------------------------------------------
+// A copy of the request with credentials swapped for
+// {{placeholders}} — in the request itself, its example
+// responses and its snapshot — and its scripts left
+// out. Basic auth becomes an
+// Authorization header, so snippets don't show the
+// base64 of a placeholder.
+// --------------------------------------------------
+function redactRequest(req) {
+  const redactPairs = (pairs = []) =>
+    (pairs || []).map((pair) =>
+      SECRET_KEY.test(pair.key || "") && pair.type !== "file" && pair.value && !isVariableOnly(pair.value)
+        ? { ...pair, value: toPlaceholder(pair.key) }
+        : pair
+    );
+
+  // Query strings typed straight into the URL
+  const url = String(req.url || "").replace(/([?&])([^=&#]+)=([^&#]*)/g, (match, separator, key, value) =>
+    SECRET_KEY.test(key) && value && !isVariableOnly(value) ? `${separator}${key}=${toPlaceholder(key)}` : match
+  );
+
+  const redacted = {
+    ...req,
+    url,
+    headers: redactPairs(req.headers),
+    params: redactPairs(req.params),
+    urlencodedFields: redactPairs(req.urlencodedFields),
+    formFields: redactPairs(req.formFields),
+    examples: (req.examples || []).map((example) => ({
+      ...example,
+      headers: redactPairs(example.headers),
+      body: redactJsonText(example.body),
+    })),
+    // Scripts often hold credentials (pm.environment.set("apiKey", …))
+    // and the page never shows them
+    preRequestScript: "",
+    testScript: "",
+  };
+  if (req.expectedSnapshot) {
+    redacted.expectedSnapshot = { ...req.expectedSnapshot, body: redactJsonText(req.expectedSnapshot.body) };
+  }
+  if (req.bodyType === "raw" && /json/i.test(req.rawContentType || "application/json")) {
+    redacted.bodyContent = redactJsonText(req.bodyContent);
+  }
+  if (req.bodyType === "graphql") {
+    redacted.graphqlVariables = redactJsonText(req.graphqlVariables);
+  }
+  if (req.authType === "bearer" && !isVariableOnly(req.bearerToken)) {
+    redacted.bearerToken = "{{bearerToken}}";
+  }
+  if (req.authType === "basic") {
+    redacted.authType = "none";
+    redacted.headers = [...redacted.headers, { key: "Authorization", value: "Basic {{basicCredentials}}" }];
+  }
+  return redacted;
+}
+
+// ────────────────────────────────────────────────────────────
+// HTML helpers
+// ────────────────────────────────────────────────────────────
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Plain-text description → paragraphs
+const paragraphs = (text) =>
+  String(text || "")
+    .split(/\n\s*\n/)
+    .filter((part) => part.trim())
+    .map((part) => `<p>${escapeHtml(part.trim()).replace(/\n/g, "<br>")}</p>`)
+    .join("");
+
+// JSON text pretty-printed, anything else as is
+function prettyBody(text) {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch {
+    return String(text ?? "");
+  }
+}
+
+const statusClass = (status) => (status >= 500 ? "s5" : status >= 400 ? "s4" : status >= 300 ? "s3" : "s2");
+
+const pre = (text) => `<pre><code>${escapeHtml(text)}</code></pre>`;
+
+function pairsTable(title, pairs) {
+  const rows = (pairs || []).filter((pair) => pair && pair.key);
+  if (!rows.length) return "";
+  return `<h4>${title}</h4><table><thead><tr><th>Name</th><th>Value</th></tr></thead><tbody>${rows
+    .map((pair) => `<tr><td><code>${escapeHtml(pair.key)}</code></td><td><code>${escapeHtml(pair.value)}</code></td></tr>`)
+    .join("")}</tbody></table>`;
+}
+
+function bodySection(req) {
+  switch (req.bodyType) {
+    case "raw":
+      return req.bodyContent ? `<h4>Body <span class="muted">${escapeHtml(req.rawContentType)}</span></h4>${pre(prettyBody(req.bodyContent))}` : "";
+    case "urlencoded":
+      return pairsTable("Body <span class=\"muted\">application/x-www-form-urlencoded</span>", req.urlencodedFields);
+    case "form-data":
+      return pairsTable(
+        "Body <span class=\"muted\">multipart/form-data</span>",
+        req.formFields.map((f) => ({ key: f.key, value: f.type === "file" ? `<file${f.fileName ? `: ${f.fileName}` : ""}>` : f.value }))
+      );
+    case "binary":
+      return `<h4>Body</h4><p class="muted">Binary file${req.binaryFile?.fileName ? ` (${escapeHtml(req.binaryFile.fileName)})` : ""}</p>`;
+    case "graphql":
+      return `<h4>GraphQL query</h4>${pre(req.graphqlQuery)}${req.graphqlVariables?.trim() ? `<h4>Variables</h4>${pre(prettyBody(req.graphqlVariables))}` : ""}`;
+    default:
+      return "";
+  }
+}
+
+// Tabs with one snippet per language
+function snippetTabs(req) {
+  const snippets = SNIPPET_LANGUAGES.map((language) => {
+    try {
+      return { ...language, code: generateSnippet(language.id, req) };
+    } catch {
+      return null;
+    }
+  }).filter(Boolean);
+  if (!snippets.length) return "";
+
+  return `<h4>Example request</h4><div class="tabs">${snippets
+    .map((s, i) => `<button type="button" data-tab="${s.id}"${i === 0 ? ' class="active"' : ""}>${escapeHtml(s.label)}</button>`)
+    .join("")}${snippets.map((s, i) => `<div data-panel="${s.id}"${i === 0 ? "" : " hidden"}>${pre(s.code)}</div>`).join("")}</div>`;
+}
+
+function responsesSection(req) {
+  if (req.examples.length) {
+    return `<h4>Example responses</h4>${req.examples
+      .map((example) => {
+        const type = exampleContentType(example).split(";")[0];
+        return `<div class="response"><div class="response-head"><span class="status ${statusClass(example.status)}">${escapeHtml(
+          example.status
+        )}</span> ${escapeHtml(example.name)}${type ? ` <span class="muted">${escapeHtml(type)}</span>` : ""}</div>${
+          example.body ? pre(prettyBody(example.body)) : '<p class="muted">Empty body</p>'
+        }</div>`;
+      })
+      .join("")}`;
+  }
+  const snapshot = req.expectedSnapshot;
+  if (snapshot) {
+    return `<h4>Expected response</h4><div class="response"><div class="response-head"><span class="status ${statusClass(
+      snapshot.status
+    )}">${escapeHtml(snapshot.status)}</span></div>${pre(prettyBody(snapshot.body))}</div>`;
+  }
+  return "";
+}
+
+const AUTH_LABEL = { bearer: "Bearer token", basic: "Basic auth" };
+
+function endpointSection(req, index) {
+  const method = escapeHtml(req.method.toLowerCase());
+  const auth = AUTH_LABEL[req.authType] ? `<p class="auth">Auth: ${AUTH_LABEL[req.authType]}</p>` : "";
+  const doc = redactRequest(req);
+
+  return `<section class="endpoint" id="endpoint-${index}">
+<h3>${escapeHtml(req.name || req.url || "Untitled")}</h3>
+<div class="url"><span class="method m-${method}">${escapeHtml(req.method)}</span><code>${escapeHtml(doc.url)}</code></div>
+${paragraphs(req.description)}${auth}
+${pairsTable("Query parameters", doc.params)}${pairsTable("Headers", doc.headers)}${bodySection(doc)}
+${snippetTabs(doc)}
+${responsesSection(doc)}
+</section>`;
+}
+
+// Requests grouped by folder, in the order given
+function groupByFolder(requests) {
+  const groups = new Map();
+  requests.forEach((req, index) => {
+    const folder = req.folder || "";
+    if (!groups.has(folder)) groups.set(folder, []);
+    groups.get(folder).push({ req, index });
+  });
+  return [...groups.entries()];
+}
+
+// {{variables}} the URLs, headers and params refer to
+function referencedVariables(requests) {
+  const names = new Set();
+  const scan = (value) => String(value || "").replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (_, name) => names.add(name));
+  requests.forEach((req) => {
+    scan(req.url);
+    [...req.params, ...req.headers].forEach((pair) => scan(pair.value));
+  });
+  return [...names];
+}
+
+const STYLES = `
+*{box-sizing:border-box}body{margin:0;font:14px/1.6 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;color:#e5e7eb;background:#111827}
+a{color:inherit;text-decoration:none}code,pre{font-family:ui-monospace,SFMono-Regular,Menlo,Consolas,monospace;font-size:12.5px}
+nav{position:fixed;top:0;bottom:0;left:0;width:280px;overflow-y:auto;padding:24px 16px;background:#1f2937;border-right:1px solid #374151}
+nav h1{font-size:16px;margin:0 0 16px;color:#f9fafb}nav h2{font-size:11px;text-transform:uppercase;letter-spacing:.05em;color:#9ca3af;margin:16px 0 4px}
+nav a{display:flex;gap:8px;padding:4px 6px;border-radius:4px;color:#d1d5db;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}nav a:hover{background:#374151}
+nav .method{width:52px;flex-shrink:0}main{margin-left:280px;padding:32px 48px;max-width:1080px}
+header h1{margin:0;font-size:28px;color:#f9fafb}.muted{color:#9ca3af;font-weight:normal}
+.folder{margin:40px 0 8px;font-size:13px;text-transform:uppercase;letter-spacing:.05em;color:#9ca3af}
+.endpoint{border:1px solid #374151;border-radius:12px;padding:20px 24px;margin:16px 0;background:#1f2937}
+.endpoint h3{margin:0 0 8px;font-size:18px;color:#f9fafb}h4{margin:18px 0 6px;font-size:13px;color:#f3f4f6}
+.url{display:flex;align-items:center;gap:10px;background:#111827;border:1px solid #374151;border-radius:8px;padding:8px 12px;overflow-x:auto}
+.method{font:bold 12px ui-monospace,monospace}.m-get{color:#4ade80}.m-post{color:#60a5fa}.m-put{color:#facc15}.m-delete{color:#f87171}.m-patch{color:#fb923c}
+.auth{color:#9ca3af;font-size:13px}table{width:100%;border-collapse:collapse}th,td{text-align:left;padding:6px 10px;border-bottom:1px solid #374151;vertical-align:top}
+th{font-size:12px;color:#9ca3af;font-weight:600}td code{word-break:break-all}
+pre{margin:0;background:#111827;border:1px solid #374151;border-radius:8px;padding:12px;overflow:auto;max-height:420px}
+.tabs button{background:none;border:0;border-bottom:2px solid transparent;color:#9ca3af;padding:6px 10px;cursor:pointer;font-size:12px}
+.tabs button.active{color:#f9fafb;border-color:#16a34a}.tabs [data-panel]{margin-top:6px}
+.response{margin:8px 0}.response-head{margin-bottom:4px}.status{font:bold 12px ui-monospace,monospace;margin-right:4px}
+.s2{color:#4ade80}.s3{color:#60a5fa}.s4{color:#fb923c}.s5{color:#f87171}footer{margin:48px 0 16px;color:#6b7280;font-size:12px}
+@media (max-width:800px){nav{position:static;width:auto}main{margin:0;padding:20px}}`;
+
+const TAB_SCRIPT = `document.addEventListener("click",function(e){var b=e.target.closest("[data-tab]");if(!b)return;var t=b.closest(".tabs");t.querySelectorAll("[data-tab]").forEach(function(x){x.classList.toggle("active",x===b)});t.querySelectorAll("[data-panel]").forEach(function(p){p.hidden=p.getAttribute("data-panel")!==b.getAttribute("data-tab")})});`;
+
+// --------------------------------------------------
+// The docs page for a collection document and its
+// saved requests (in the order they should appear).
+// WebSocket / SSE sessions are left out.
+// --------------------------------------------------
+export function buildDocsHtml(collectionDoc, savedRequests, { generatedAt = new Date() } = {}) {
+  const requests = savedRequests.filter((saved) => !isStreamRequest(saved)).map((saved) => ({
+    ...saved,
+    method: (saved.method || "GET").toUpperCase(),
+    url: saved.url || "",
+    params: saved.params || [],
+    headers: saved.headers || [],
+    formFields: saved.formFields || [],
+    urlencodedFields: saved.urlencodedFields || [],
+    examples: saved.examples || [],
+  }));
+  const title = collectionDoc.name || "API";
+  const groups = groupByFolder(requests);
+  const variables = referencedVariables(requests);
+
+  const nav = groups
+    .map(
+      ([folder, items]) =>
+        `${folder ? `<h2>${escapeHtml(folder)}</h2>` : ""}${items
+          .map(
+            ({ req, index }) =>
+              `<a href="#endpoint-${index}"><span class="method m-${escapeHtml(req.method.toLowerCase())}">${escapeHtml(req.method)}</span>${escapeHtml(req.name || req.url || "Untitled")}</a>`
+          )
+          .join("")}`
+    )
+    .join("");
+
+  const sections = groups
+    .map(
+      ([folder, items]) =>
+        `${folder ? `<h2 class="folder">${escapeHtml(folder)}</h2>` : ""}${items
+          .map(({ req, index }) => endpointSection(req, index))
+          .join("\n")}`
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} — API Reference</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<nav><h1>${escapeHtml(title)}</h1>${nav}</nav>
+<main>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<p class="muted">${requests.length} endpoint${requests.length !== 1 ? "s" : ""}</p>
+${paragraphs(collectionDoc.description)}
+${
+  variables.length
+    ? `<p class="muted">Replace the variables with your own values: ${variables.map((v) => `<code>{{${escapeHtml(v)}}}</code>`).join(", ")}</p>`
+    : ""
+}
+</header>
+${sections}
+<footer>Generated by ApiCanvas on ${escapeHtml(generatedAt.toUTCString())}</footer>
+</main>
+<script>${TAB_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+// File-name-safe version of the collection name
+export const docsSlug = (collectionDoc) =>
+  (collectionDoc.name || "collection").trim().replace(/[^\w.-]+/g, "_") || "collection";
+
+// --------------------------------------------------
+// The downloadable bundle: index.html plus the
+// collection as Postman v2.1 JSON with the same
+// credentials redacted, so the whole zip can be shared
+// --------------------------------------------------
+export function buildDocsZip(collectionDoc, requests) {
+  const slug = docsSlug(collectionDoc);
+  return createZip([
+    { name: `${slug}/index.html`, data: buildDocsHtml(collectionDoc, requests) },
+    {
+      name: `${slug}/${slug}.postman_collection.json`,
+      data: JSON.stringify(toPostmanCollection(collectionDoc, requests.map(redactRequest)), null, 2),
+    },
+  ]);
+}
+
+// Public address of published docs
+export const docsUrl = (docsId) => `${window.location.origin}/docs/${docsId}`;
@@ -0,0 +1,144 @@
+import { describe, expect, it } from "vitest";
+import { buildDocsHtml, buildDocsZip } from "./apiDocs";
+
+const collection = { name: "Accounts" };
+
+// The docs page and the zip (stored uncompressed, so its
+// Postman export can be read as text) for one request
+const render = async (request) => {
+  const requests = [{ name: "Log in", method: "POST", url: "https://api.example.com/login", ...request }];
+  return {
+    html: buildDocsHtml(collection, requests),
+    zip: await buildDocsZip(collection, requests).text(),
+  };
+};
+
+describe("docs redaction", () => {
+  it("redacts secret urlencoded fields", async () => {
+    const { html, zip } = await render({
+      bodyType: "urlencoded",
+      urlencodedFields: [
+        { key: "username", value: "ada" },
+        { key: "password", value: "hunter2" },
+        { key: "client_secret", value: "cs-123" },
+        { key: "api_key", value: "{{apiKey}}" },
+      ],
+    });
+    [html, zip].forEach((text) => {
+      expect(text).not.toContain("hunter2");
+      expect(text).not.toContain("cs-123");
+      expect(text).toContain("{{password}}");
+      expect(text).toContain("{{client_secret}}");
+      expect(text).toContain("{{apiKey}}");
+      expect(text).toContain("ada");
+    });
+  });
+
+  it("redacts secret form-data text fields and keeps files", async () => {
+    const { html, zip } = await render({
+      bodyType: "form-data",
+      formFields: [
+        { key: "password", type: "text", value: "hunter2" },
+        { key: "token_file", type: "file", fileName: "token.txt" },
+      ],
+    });
+    [html, zip].forEach((text) => {
+      expect(text).not.toContain("hunter2");
+      expect(text).toContain("{{password}}");
+      expect(text).toContain("token.txt");
+    });
+  });
+
+  it("redacts secret keys anywhere in a raw JSON body", async () => {
+    const { html, zip } = await render({
+      bodyType: "raw",
+      rawContentType: "application/json",
+      bodyContent: JSON.stringify({
+        user: "ada",
+        password: "hunter2",
+        oauth: { client_id: "app", client_secret: "cs-123" },
+        keys: [{ apiKey: 4242 }],
+        remember_token: true,
+      }),
+    });
+    [html, zip].forEach((text) => {
+      expect(text).not.toContain("hunter2");
+      expect(text).not.toContain("cs-123");
+      expect(text).not.toContain("4242");
+      expect(text).toContain("{{client_secret}}");
+      expect(text).toContain("{{apiKey}}");
+      expect(text).toContain("app");
+    });
+  });
+
+  it("redacts JSON bodies that only parse once variables are filled in", async () => {
+    const { html, zip } = await render({
+      bodyType: "raw",
+      rawContentType: "application/json",
+      bodyContent: '{"id": {{userId}}, "password": "hunter2", "token": "{{token}}"}',
+    });
+    [html, zip].forEach((text) => {
+      expect(text).not.toContain("hunter2");
+      expect(text).toContain("{{password}}");
+      expect(text).toContain("{{token}}");
+      expect(text).toContain("{{userId}}");
+    });
+  });
+
+  it("redacts GraphQL variables", async () => {
+    const { html, zip } = await render({
+      bodyType: "graphql",
+      graphqlQuery: "mutation Login($password: String!) { login(password: $password) }",
+      graphqlVariables: '{"password": "hunter2"}',
+    });
+    [html, zip].forEach((text) => expect(text).not.toContain("hunter2"));
+  });
+
+  it("redacts example responses and the expected snapshot", async () => {
+    const { html, zip } = await render({
+      examples: [
+        {
+          id: "ex-1",
+          name: "200 OK",
+          status: 200,
+          contentType: "application/json",
+          headers: [{ key: "X-Api-Key", value: "ak-live-1" }],
+          body: '{"access_token":"eyJREALTOKEN","user":"ada"}',
+        },
+      ],
+      expectedSnapshot: { status: 200, body: '{"refresh_token":"rt-secret","user":"ada"}', ignorePaths: [] },
+    });
+    [html, zip].forEach((text) => {
+      expect(text).not.toContain("eyJREALTOKEN");
+      expect(text).not.toContain("ak-live-1");
+      expect(text).toContain("{{access_token}}");
+      expect(text).toContain("ada");
+    });
+    expect(zip).not.toContain("rt-secret");
+    expect(zip).toContain("{{refresh_token}}");
+
+    const { html: snapshotHtml } = await render({
+      expectedSnapshot: { status: 200, body: '{"refresh_token":"rt-secret"}', ignorePaths: [] },
+    });
+    expect(snapshotHtml).not.toContain("rt-secret");
+    expect(snapshotHtml).toContain("{{refresh_token}}");
+  });
+
+  it("leaves scripts out of the exported collection", async () => {
+    const { html, zip } = await render({
+      preRequestScript: 'pm.environment.set("apiKey", "ak-live-1");',
+      testScript: 'pm.test("ok", () => pm.response.to.have.status(200));',
+    });
+    [html, zip].forEach((text) => {
+      expect(text).not.toContain("ak-live-1");
+      expect(text).not.toContain("pm.test");
+    });
+    expect(zip).not.toContain('"event"');
+  });
+
+  it("escapes the method", async () => {
+    const { html } = await render({ method: 'get"><img src=x onerror=alert(1)>' });
+    expect(html).not.toContain("<img");
+    expect(html).toContain("m-get&quot;&gt;&lt;img");
+  });
+});
@@ -0,0 +1,325 @@
+// ============================================================
+// codeSnippets.js — Render a Request as Code
+// ============================================================
+// Generates copy-pasteable snippets for the RequestBuilder
+// "Code" panel. Snippets are built from buildProxyPayload, so
+// auth headers, params, body parsing and {{variables}} match
+// exactly what handleSend sends through the proxy.
+// ============================================================
+
+import { buildProxyPayload, normalizeRequest } from "./requestBuilder";
+import { resolveVariables } from "./variables";
+
+// Languages shown in the Code panel, in tab order.
+// `highlight` is the react-syntax-highlighter language id.
+export const SNIPPET_LANGUAGES = [
+  { id: "curl", label: "cURL", highlight: "bash" },
+  { id: "fetch", label: "fetch", highlight: "javascript" },
+  { id: "axios", label: "axios", highlight: "javascript" },
+  { id: "python", label: "Python", highlight: "python" },
+  { id: "go", label: "Go", highlight: "go" },
+  { id: "httpie", label: "HTTPie", highlight: "bash" },
+];
+
+// ────────────────────────────────────────────────────────────
+// Shared request shape
+// ────────────────────────────────────────────────────────────
+
+// --------------------------------------------------
+// Flatten the proxy payload into { method, url (with
+// query string), headers, body, isJson, json, form,
+// file }:
+//   • body — string for JSON / text / urlencoded bodies
+//   • form — [{ key, value } | { key, fileName }] for
+//     form-data (file fields listed even if not attached)
+//   • file — { fileName } for binary bodies
+// JSON bodies get a Content-Type header — the proxy's
+// axios call adds the same one.
+// --------------------------------------------------
+function describeRequest(request, variables) {
+  const req = normalizeRequest(request);
+  const payload = buildProxyPayload(req, { variables });
+
+  let url = payload.url;
+  const query = new URLSearchParams(payload.params).toString();
+  if (query) url += (url.includes("?") ? "&" : "?") + query;
+
+  const headers = { ...payload.headers };
+  const hasContentType = () => Object.keys(headers).some((h) => h.toLowerCase() === "content-type");
+  const described = { method: payload.method, url, headers, body: null, isJson: false, json: null, form: null, file: null };
+
+  if (req.bodyType === "form-data") {
+    const form = req.formFields
+      .filter((f) => f.key?.trim())
+      .map((f) =>
+        f.type === "file"
+          ? { key: resolveVariables(f.key.trim(), variables), fileName: f.fileName || "file" }
+          : { key: resolveVariables(f.key.trim(), variables), value: resolveVariables(f.value ?? "", variables) }
+      );
+    if (form.length) described.form = form;
+  } else if (req.bodyType === "binary") {
+    if (req.binaryFile?.fileName) {
+      described.file = { fileName: req.binaryFile.fileName };
+      if (!hasContentType()) headers["Content-Type"] = req.binaryFile.contentType || "application/octet-stream";
+    }
+  } else if (payload.body !== null && payload.body !== undefined) {
+    if (payload.bodyEncoding === "urlencoded") {
+      described.body = new URLSearchParams(payload.body.map((f) => [f.key, f.value])).toString();
+      if (!hasContentType()) headers["Content-Type"] = "application/x-www-form-urlencoded";
+    } else if (payload.bodyEncoding === "json" && typeof payload.body === "object") {
+      described.isJson = true;
+      described.json = payload.body;
+      described.body = JSON.stringify(payload.body, null, 2);
+      if (!hasContentType()) headers["Content-Type"] = "application/json";
+    } else {
+      described.body = String(payload.body);
+    }
+  }
+
+  return described;
+}
+
+// Quote for POSIX shells: 'it'\''s'
+const shellQuote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+// Quote as a JS / Python / Go double-quoted string literal
+const quote = (value) => JSON.stringify(String(value));
+
+// Indent every line after the first
+const indentRest = (text, spaces) => text.split("\n").join(`\n${" ".repeat(spaces)}`);
+
+// ────────────────────────────────────────────────────────────
+// Generators
+// ────────────────────────────────────────────────────────────
+
+function toCurl({ method, url, headers, body, form, file }) {
+  const lines = [`curl -X ${method} ${shellQuote(url)}`];
+  Object.entries(headers).forEach(([key, value]) => lines.push(`  -H ${shellQuote(`${key}: ${value}`)}`));
+  if (form) {
+    form.forEach((f) =>
+      lines.push(`  -F ${shellQuote(f.fileName ? `${f.key}=@${f.fileName}` : `${f.key}=${f.value}`)}`)
+    );
+  } else if (file) {
+    lines.push(`  --data-binary ${shellQuote(`@${file.fileName}`)}`);
+  } else if (body !== null) {
+    lines.push(`  --data-raw ${shellQuote(body)}`);
+  }
+  return lines.join(" \\\n");
+}
+
+// FormData construction shared by fetch and axios
+const jsFormLines = (form) => [
+  "const form = new FormData();",
+  ...form.map((f) =>
+    f.fileName
+      ? `form.append(${quote(f.key)}, fileInput.files[0]); // ${f.fileName}`
+      : `form.append(${quote(f.key)}, ${quote(f.value)});`
+  ),
+  "",
+];
+
+function toFetch({ method, url, headers, body, isJson, json, form, file }) {
+  const options = [`  method: ${quote(method)},`];
+  if (Object.keys(headers).length) {
+    options.push(`  headers: ${indentRest(JSON.stringify(headers, null, 2), 2)},`);
+  }
+  if (form) {
+    options.push("  body: form,");
+  } else if (file) {
+    options.push(`  body: fileInput.files[0], // ${file.fileName}`);
+  } else if (body !== null) {
+    options.push(
+      isJson
+        ? `  body: JSON.stringify(${indentRest(JSON.stringify(json, null, 2), 2)}),`
+        : `  body: ${quote(body)},`
+    );
+  }
+  return [
+    ...(form ? jsFormLines(form) : []),
+    `const response = await fetch(${quote(url)}, {`,
+    ...options,
+    "});",
+    "",
+    "const data = await response.text();",
+    "console.log(response.status, data);",
+  ].join("\n");
+}
+
+function toAxios({ method, url, headers, body, isJson, json, form, file }) {
+  const options = [`  method: ${quote(method.toLowerCase())},`, `  url: ${quote(url)},`];
+  if (Object.keys(headers).length) {
+    options.push(`  headers: ${indentRest(JSON.stringify(headers, null, 2), 2)},`);
+  }
+  if (form) {
+    options.push("  data: form,");
+  } else if (file) {
+    options.push(`  data: fileInput.files[0], // ${file.fileName}`);
+  } else if (body !== null) {
+    options.push(`  data: ${isJson ? indentRest(JSON.stringify(json, null, 2), 2) : quote(body)},`);
+  }
+  return [
+    'import axios from "axios";',
+    "",
+    ...(form ? jsFormLines(form) : []),
+    "const response = await axios({",
+    ...options,
+    "});",
+    "",
+    "console.log(response.status, response.data);",
+  ].join("\n");
+}
+
+// Python literal for a JSON value (true/false/null → True/False/None)
+function toPythonLiteral(value, indent = 0) {
+  const pad = " ".repeat(indent + 4);
+  const end = " ".repeat(indent);
+  if (value === null || value === undefined) return "None";
+  if (value === true) return "True";
+  if (value === false) return "False";
+  if (typeof value === "number") return String(value);
+  if (typeof value === "string") return quote(value);
+  if (Array.isArray(value)) {
+    if (value.length === 0) return "[]";
+    return `[\n${value.map((v) => `${pad}${toPythonLiteral(v, indent + 4)}`).join(",\n")}\n${end}]`;
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0) return "{}";
+  return `{\n${entries.map(([k, v]) => `${pad}${quote(k)}: ${toPythonLiteral(v, indent + 4)}`).join(",\n")}\n${end}}`;
+}
+
+function toPython({ method, url, headers, body, isJson, json, form, file }) {
+  const lines = ["import requests", "", `url = ${quote(url)}`];
+  const args = ["url"];
+
+  if (Object.keys(headers).length) {
+    lines.push(`headers = ${toPythonLiteral(headers)}`);
+    args.push("headers=headers");
+  }
+  if (form) {
+    const fields = form.filter((f) => !f.fileName);
+    const files = form.filter((f) => f.fileName);
+    if (fields.length) {
+      lines.push(`data = ${toPythonLiteral(Object.fromEntries(fields.map((f) => [f.key, f.value])))}`);
+      args.push("data=data");
+    }
+    if (files.length) {
+      lines.push(`files = {\n${files.map((f) => `    ${quote(f.key)}: open(${quote(f.fileName)}, "rb")`).join(",\n")}\n}`);
+      args.push("files=files");
+    }
+  } else if (file) {
+    lines.push(`payload = open(${quote(file.fileName)}, "rb")`);
+    args.push("data=payload");
+  } else if (body !== null) {
+    if (isJson) {
+      lines.push(`payload = ${toPythonLiteral(json)}`);
+      args.push("json=payload");
+    } else {
+      lines.push(`payload = ${quote(body)}`);
+      args.push("data=payload");
+    }
+  }
+
+  lines.push("", `response = requests.request(${quote(method)}, ${args.join(", ")})`, "", "print(response.status_code, response.text)");
+  return lines.join("\n");
+}
+
+function toGo({ method, url, headers, body, form, file }) {
+  const imports = ['"fmt"', '"io"', '"net/http"'];
+  const setup = [];
+  let bodyVar = "nil";
+
+  if (form) {
+    imports.unshift('"bytes"');
+    imports.push('"mime/multipart"');
+    if (form.some((f) => f.fileName)) imports.push('"os"');
+    setup.push("\tbody := &bytes.Buffer{}", "\twriter := multipart.NewWriter(body)");
+    form.forEach((f) => {
+      if (f.fileName) {
+        setup.push(
+          `\tpart, _ := writer.CreateFormFile(${quote(f.key)}, ${quote(f.fileName)})`,
+          `\tfile, _ := os.Open(${quote(f.fileName)})`,
+          "\tio.Copy(part, file)",
+          "\tfile.Close()"
+        );
+      } else {
+        setup.push(`\twriter.WriteField(${quote(f.key)}, ${quote(f.value)})`);
+      }
+    });
+    setup.push("\twriter.Close()", "");
+    bodyVar = "body";
+  } else if (file) {
+    imports.push('"os"');
+    setup.push(`\tbody, _ := os.Open(${quote(file.fileName)})`, "\tdefer body.Close()", "");
+    bodyVar = "body";
+  } else if (body !== null) {
+    imports.push('"strings"');
+    // Raw string literal unless the body itself contains a backtick
+    const literal = body.includes("`") ? quote(body) : `\`${body}\``;
+    setup.push(`\tbody := strings.NewReader(${literal})`, "");
+    bodyVar = "body";
+  }
+
+  const lines = [
+    "package main",
+    "",
+    "import (",
+    ...imports.sort().map((i) => `\t${i}`),
+    ")",
+    "",
+    "func main() {",
+    ...setup,
+    `\treq, err := http.NewRequest(${quote(method)}, ${quote(url)}, ${bodyVar})`,
+    "\tif err != nil {",
+    "\t\tpanic(err)",
+    "\t}",
+  ];
+  Object.entries(headers).forEach(([key, value]) => {
+    lines.push(`\treq.Header.Set(${quote(key)}, ${quote(value)})`);
+  });
+  if (form) lines.push('\treq.Header.Set("Content-Type", writer.FormDataContentType())');
+  lines.push(
+    "",
+    "\tres, err := http.DefaultClient.Do(req)",
+    "\tif err != nil {",
+    "\t\tpanic(err)",
+    "\t}",
+    "\tdefer res.Body.Close()",
+    "",
+    "\tdata, _ := io.ReadAll(res.Body)",
+    "\tfmt.Println(res.StatusCode, string(data))",
+    "}"
+  );
+  return lines.join("\n");
+}
+
+function toHttpie({ method, url, headers, body, form, file }) {
+  const lines = [`http${form ? " --form" : ""} ${method} ${shellQuote(url)}`];
+  Object.entries(headers).forEach(([key, value]) => lines.push(`  ${shellQuote(`${key}:${value}`)}`));
+  if (form) {
+    form.forEach((f) => lines.push(`  ${shellQuote(f.fileName ? `${f.key}@${f.fileName}` : `${f.key}=${f.value}`)}`));
+  }
+  if (file) return `${lines.join(" \\\n")} \\\n  < ${shellQuote(file.fileName)}`;
+  // Raw bodies are piped in so HTTPie sends them verbatim —
+  // printf, as echo adds a newline and may expand backslashes
+  if (body !== null) return `printf '%s' ${shellQuote(body)} | ${lines.join(" \\\n")}`;
+  return lines.join(" \\\n");
+}
+
+const GENERATORS = {
+  curl: toCurl,
+  fetch: toFetch,
+  axios: toAxios,
+  python: toPython,
+  go: toGo,
+  httpie: toHttpie,
+};
+
+// --------------------------------------------------
+// Generate a snippet for one of SNIPPET_LANGUAGES.
+// `request` uses RequestBuilder's field names.
+// --------------------------------------------------
+export function generateSnippet(language, request, variables = {}) {
+  const generate = GENERATORS[language];
+  if (!generate) throw new Error(`Unknown snippet language: ${language}`);
+  return generate(describeRequest(request, variables));
+}
@@ -0,0 +1,29 @@
+import { execFileSync } from "node:child_process";
+import { describe, expect, it } from "vitest";
+import { generateSnippet } from "./codeSnippets";
+
+describe("HTTPie snippet", () => {
+  const body = '{"note": "a\\nb", "path": "C:\\\\tmp", "quote": "it\'s"}';
+  const snippet = generateSnippet("httpie", {
+    method: "POST",
+    url: "https://api.example.com/notes",
+    headers: [],
+    params: [],
+    bodyType: "raw",
+    rawContentType: "application/json",
+    bodyContent: body,
+  });
+
+  it("pipes the body in with printf", () => {
+    expect(snippet.startsWith("printf '%s' ")).toBe(true);
+    expect(snippet).toContain("| http POST 'https://api.example.com/notes'");
+  });
+
+  it("sends the body as written, with no trailing newline", () => {
+    const producer = snippet.slice(0, snippet.indexOf(" | http"));
+    const sent = execFileSync("sh", ["-c", producer], { encoding: "utf8" });
+    expect(JSON.parse(sent)).toEqual(JSON.parse(body));
+    expect(sent).toContain('"a\\nb"');
+    expect(sent.endsWith("}")).toBe(true);
+  });
+});
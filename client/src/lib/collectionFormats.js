@@ -0,0 +1,599 @@
+// ============================================================
+// collectionFormats.js — Postman / Insomnia Import & Export
+// ============================================================
+// Converts between third-party collection files and the
+// saved-request fields RequestBuilder.handleSave writes:
+//   • parseCollectionFile  — Postman v2.0/v2.1 or Insomnia v4
+//     export → [{ name, description, requests, variables }]
+//   • toPostmanCollection  — ApiCanvas collection → Postman
+//     v2.1 JSON (the format every other tool imports)
+// Collections here are flat, so folders are kept on each
+// request as a `folder` path ("Auth / Tokens") and rebuilt
+// into nested folders on export. Fields Postman has no place
+// for (expected snapshot, response schema, every request
+// setting) ride along under an item's `apicanvas` key, which
+// other tools ignore — so exported files round-trip and the
+// CLI runner (client/cli) gets the same checks as the app.
+// Saved example responses map onto Postman's own `response`
+// entries (lib/responseExamples).
+// ============================================================
+
+import { normalizeRequest, RAW_CONTENT_TYPES, DEFAULT_REQUEST_SETTINGS } from "./requestBuilder";
+import { isStreamRequest } from "./streamClient";
+import { addResponseExample, toPostmanResponse, fromPostmanResponse } from "./responseExamples";
+
+export const POSTMAN_SCHEMA = "https://schema.getpostman.com/json/collection/v2.1.0/collection.json";
+
+// Separator used when flattening nested folders
+const FOLDER_SEPARATOR = " / ";
+
+// Methods RequestBuilder / the proxy support
+const SUPPORTED_METHODS = ["GET", "POST", "PUT", "DELETE", "PATCH"];
+
+// Drop disabled rows and keep { key, value } only
+const toPairs = (rows = [], keyField = "key") =>
+  (Array.isArray(rows) ? rows : [])
+    .filter((row) => row && !row.disabled && row[keyField])
+    .map((row) => ({ key: String(row[keyField]), value: row.value == null ? "" : String(row.value) }));
+
+// Query strings in Postman files are URL-encoded; saved
+// requests keep them decoded (the proxy encodes params on send)
+const decodeQueryPart = (text) => {
+  try {
+    return decodeURIComponent(String(text).replace(/\+/g, " "));
+  } catch {
+    return String(text);
+  }
+};
+
+// …and encoded again on export, {{variables}} left readable
+const encodeQueryPart = (text) =>
+  String(text)
+    .split(/(\{\{[^{}]*\}\})/)
+    .map((part, i) => (i % 2 ? part : encodeURIComponent(part)))
+    .join("");
+
+// Postman raw `language` ↔ raw body content type
+const RAW_LANGUAGES = {
+  json: "application/json",
+  text: "text/plain",
+  xml: "application/xml",
+  html: "text/html",
+  javascript: "application/javascript",
+};
+
+// Raw content type for a MIME type, if it's one the Body tab offers
+const knownRawContentType = (mimeType = "") =>
+  RAW_CONTENT_TYPES.find((t) => t.value === mimeType.split(";")[0].trim().toLowerCase())?.value;
+
+// File name from a path ("/tmp/a.png", "C:\\a.png")
+const baseName = (path) => String(path || "").split(/[\\/]/).pop();
+
+// Form-data file row without contents — re-attached in the Body tab
+const fileField = (key, path) => ({ key, type: "file", fileName: baseName(path), contentType: "", size: 0, data: "" });
+
+// Add a header unless one with the same name already exists
+const ensureHeader = (headers, key, value) => {
+  if (!headers.some((h) => h.key.toLowerCase() === key.toLowerCase())) {
+    headers.push({ key, value });
+  }
+};
+
+// Script source — Postman stores `exec` as an array of lines
+const scriptText = (exec) => (Array.isArray(exec) ? exec.join("\n") : exec || "");
+
+// ────────────────────────────────────────────────────────────
+// Postman → ApiCanvas
+// ────────────────────────────────────────────────────────────
+
+// Postman auth blocks store values as [{ key, value }]
+function postmanAuthValue(auth, type, key) {
+  const entries = auth?.[type];
+  if (Array.isArray(entries)) return entries.find((e) => e.key === key)?.value ?? "";
+  return entries?.[key] ?? ""; // v2.0 used plain objects
+}
+
+// Apply a Postman auth block to a request (headers / params for API keys)
+function applyPostmanAuth(request, auth) {
+  if (!auth || auth.type === "noauth") return;
+
+  if (auth.type === "bearer") {
+    request.authType = "bearer";
+    request.bearerToken = String(postmanAuthValue(auth, "bearer", "token"));
+  } else if (auth.type === "basic") {
+    request.authType = "basic";
+    request.basicUsername = String(postmanAuthValue(auth, "basic", "username"));
+    request.basicPassword = String(postmanAuthValue(auth, "basic", "password"));
+  } else if (auth.type === "apikey") {
+    const key = String(postmanAuthValue(auth, "apikey", "key") || "X-API-Key");
+    const value = String(postmanAuthValue(auth, "apikey", "value"));
+    if (postmanAuthValue(auth, "apikey", "in") === "query") {
+      request.params.push({ key, value });
+    } else {
+      ensureHeader(request.headers, key, value);
+    }
+  }
+}
+
+// Split a Postman url (string or object) into url + query params
+function parsePostmanUrl(url) {
+  if (!url) return { url: "", params: [] };
+  if (typeof url === "string") {
+    const [base, query = ""] = url.split(/\?(.*)/s);
+    const params = query
+      ? query.split("&").filter(Boolean).map((part) => {
+          const [key, value = ""] = part.split(/=(.*)/s);
+          return { key: decodeQueryPart(key), value: decodeQueryPart(value) };
+        })
+      : [];
+    return { url: base, params };
+  }
+
+  let base = (url.raw || "").split("?")[0];
+  if (!base && url.host) {
+    const host = Array.isArray(url.host) ? url.host.join(".") : url.host;
+    const path = Array.isArray(url.path) ? url.path.join("/") : url.path || "";
+    base = `${url.protocol ? `${url.protocol}://` : ""}${host}${path ? `/${path}` : ""}`;
+  }
+
+  // Path variables (:id) — use the documented value or a {{variable}}
+  (url.variable || []).forEach((v) => {
+    if (!v?.key) return;
+    const value = v.value ? String(v.value) : `{{${v.key}}}`;
+    base = base
+      .split("/")
+      .map((segment) => (segment === `:${v.key}` ? value : segment))
+      .join("/");
+  });
+
+  const params = toPairs(url.query).map(({ key, value }) => ({
+    key: decodeQueryPart(key),
+    value: decodeQueryPart(value),
+  }));
+  return { url: base, params };
+}
+
+// Map a Postman body onto the request's body fields
+function applyPostmanBody(request, body) {
+  if (!body || body.disabled) return;
+
+  if (body.mode === "raw" && body.raw) {
+    request.bodyType = "raw";
+    request.bodyContent = body.raw;
+    // Postman defaults to text when no language is set
+    request.rawContentType = RAW_LANGUAGES[body.options?.raw?.language] || "text/plain";
+  } else if (body.mode === "urlencoded") {
+    const fields = toPairs(body.urlencoded);
+    if (fields.length === 0) return;
+    request.bodyType = "urlencoded";
+    request.urlencodedFields = fields;
+  } else if (body.mode === "formdata") {
+    const rows = (body.formdata || []).filter((f) => f && !f.disabled && f.key);
+    if (rows.length === 0) return;
+    request.bodyType = "form-data";
+    request.formFields = rows.map((f) =>
+      f.type === "file"
+        ? fileField(String(f.key), Array.isArray(f.src) ? f.src[0] : f.src)
+        : { key: String(f.key), type: "text", value: f.value == null ? "" : String(f.value) }
+    );
+  } else if (body.mode === "file") {
+    request.bodyType = "binary";
+    request.binaryFile = { fileName: baseName(body.file?.src) || "file", contentType: "", size: 0, data: "" };
+  } else if (body.mode === "graphql" && body.graphql) {
+    const variables = body.graphql.variables;
+    request.bodyType = "graphql";
+    request.graphqlQuery = body.graphql.query || "";
+    request.graphqlVariables =
+      typeof variables === "string" ? variables : variables ? JSON.stringify(variables, null, 2) : "";
+  }
+}
+
+// Postman descriptions are a string or { content }
+const postmanDescription = (description) =>
+  typeof description === "string" ? description : description?.content || "";
+
+// Pre-request / test scripts from an item's events
+function postmanScripts(events = []) {
+  const find = (listen) => scriptText(events.find((e) => e.listen === listen)?.script?.exec);
+  return { preRequestScript: find("prerequest"), testScript: find("test") };
+}
+
+// Redirect / TLS options Postman keeps per item
+function postmanSettings(behavior = {}) {
+  const settings = {};
+  if (typeof behavior.followRedirects === "boolean") settings.followRedirects = behavior.followRedirects;
+  if (Number.isFinite(behavior.maxRedirects)) settings.maxRedirects = behavior.maxRedirects;
+  if (typeof behavior.strictSSL === "boolean") settings.verifyTls = behavior.strictSSL;
+  return settings;
+}
+
+// ApiCanvas-only fields stored on an exported item
+function applyApiCanvasExtras(request, extras) {
+  if (!extras || typeof extras !== "object") return;
+  if (extras.settings && typeof extras.settings === "object") {
+    request.settings = { ...request.settings, ...extras.settings };
+  }
+  if (extras.expectedSnapshot) request.expectedSnapshot = extras.expectedSnapshot;
+  if (extras.responseSchema) request.responseSchema = extras.responseSchema;
+  if (extras.graphqlOperationName) request.graphqlOperationName = extras.graphqlOperationName;
+}
+
+// Postman saved responses → examples, leaving out any past
+// the per-request limits
+function postmanExamples(responses) {
+  return (Array.isArray(responses) ? responses : []).map(fromPostmanResponse).reduce((examples, example) => {
+    if (!example) return examples;
+    try {
+      return addResponseExample(examples, example);
+    } catch {
+      return examples;
+    }
+  }, []);
+}
+
+// --------------------------------------------------
+// Walk Postman items depth-first. Folder auth is
+// inherited by children unless they set their own.
+// --------------------------------------------------
+function flattenPostmanItems(items, folderPath, inheritedAuth, out, skipped) {
+  (items || []).forEach((item) => {
+    // Folder
+    if (Array.isArray(item.item)) {
+      const auth = item.auth || inheritedAuth;
+      flattenPostmanItems(item.item, [...folderPath, item.name || "Folder"], auth, out, skipped);
+      return;
+    }
+
+    const source = typeof item.request === "string" ? { url: item.request } : item.request || {};
+    const method = (source.method || "GET").toUpperCase();
+    if (!SUPPORTED_METHODS.includes(method)) {
+      skipped.push(item.name || method);
+      return;
+    }
+
+    const { url, params } = parsePostmanUrl(source.url);
+    const request = {
+      name: item.name || url || "Untitled",
+      method,
+      url,
+      params,
+      headers: toPairs(source.header),
+      bodyType: "none",
+      bodyContent: "",
+      authType: "none",
+      ...postmanScripts(item.event),
+      settings: postmanSettings(item.protocolProfileBehavior),
+      examples: postmanExamples(item.response),
+    };
+    const description = postmanDescription(source.description || item.description);
+    if (description) request.description = description;
+    if (folderPath.length) request.folder = folderPath.join(FOLDER_SEPARATOR);
+
+    applyPostmanBody(request, source.body);
+    applyPostmanAuth(request, source.auth || inheritedAuth);
+    applyApiCanvasExtras(request, item.apicanvas);
+    out.push(normalizeRequest(request));
+  });
+}
+
+function fromPostman(data) {
+  const requests = [];
+  const skipped = [];
+  flattenPostmanItems(data.item, [], data.auth, requests, skipped);
+
+  const description = postmanDescription(data.info.description);
+
+  return [
+    {
+      name: data.info.name || "Postman Collection",
+      description,
+      requests,
+      variables: toPairs(data.variable),
+      skipped,
+    },
+  ];
+}
+
+// ────────────────────────────────────────────────────────────
+// Insomnia → ApiCanvas
+// ────────────────────────────────────────────────────────────
+
+// Insomnia templates use {{ _.name }} — ours are {{name}}
+const fromInsomniaTemplate = (value) =>
+  typeof value === "string" ? value.replace(/\{\{\s*_\.([\w.-]+)\s*\}\}/g, "{{$1}}") : value ?? "";
+
+// Map an Insomnia `authentication` block
+function applyInsomniaAuth(request, auth) {
+  if (!auth || auth.disabled) return;
+
+  if (auth.type === "bearer") {
+    request.authType = "bearer";
+    request.bearerToken = fromInsomniaTemplate(auth.token);
+  } else if (auth.type === "basic") {
+    request.authType = "basic";
+    request.basicUsername = fromInsomniaTemplate(auth.username);
+    request.basicPassword = fromInsomniaTemplate(auth.password);
+  } else if (auth.type === "apikey" && auth.key) {
+    const key = fromInsomniaTemplate(auth.key);
+    const value = fromInsomniaTemplate(auth.value);
+    if (auth.addTo === "queryParams") {
+      request.params.push({ key, value });
+    } else {
+      ensureHeader(request.headers, key, value);
+    }
+  }
+}
+
+// Map an Insomnia body onto the request's body fields
+function applyInsomniaBody(request, body) {
+  if (!body) return;
+  if (body.mimeType === "application/graphql" && body.text) {
+    // Insomnia stores GraphQL bodies as JSON text { query, variables }
+    try {
+      const { query, variables, operationName } = JSON.parse(body.text);
+      request.bodyType = "graphql";
+      request.graphqlQuery = fromInsomniaTemplate(query || "");
+      request.graphqlVariables = variables ? fromInsomniaTemplate(JSON.stringify(variables, null, 2)) : "";
+      request.graphqlOperationName = operationName || "";
+      return;
+    } catch {
+      // Not JSON — fall through to a raw body
+    }
+  }
+  if (body.text) {
+    request.bodyType = "raw";
+    request.bodyContent = fromInsomniaTemplate(body.text);
+    const rawContentType = knownRawContentType(body.mimeType);
+    if (rawContentType) request.rawContentType = rawContentType;
+    else if (body.mimeType) ensureHeader(request.headers, "Content-Type", body.mimeType);
+  } else if (body.mimeType === "multipart/form-data" && Array.isArray(body.params)) {
+    const rows = body.params.filter((p) => p && !p.disabled && p.name);
+    if (rows.length === 0) return;
+    request.bodyType = "form-data";
+    request.formFields = rows.map((p) =>
+      p.type === "file"
+        ? fileField(fromInsomniaTemplate(p.name), p.fileName)
+        : { key: fromInsomniaTemplate(p.name), type: "text", value: fromInsomniaTemplate(p.value ?? "") }
+    );
+  } else if (Array.isArray(body.params) && body.params.length) {
+    const fields = toPairs(body.params, "name").map((p) => ({
+      key: fromInsomniaTemplate(p.key),
+      value: fromInsomniaTemplate(p.value),
+    }));
+    if (fields.length === 0) return;
+    request.bodyType = "urlencoded";
+    request.urlencodedFields = fields;
+  } else if (body.fileName) {
+    request.bodyType = "binary";
+    request.binaryFile = { fileName: baseName(body.fileName), contentType: body.mimeType || "", size: 0, data: "" };
+  }
+}
+
+function fromInsomnia(data) {
+  const resources = data.resources || [];
+  const byId = new Map(resources.map((r) => [r._id, r]));
+  const workspaces = resources.filter((r) => r._type === "workspace");
+
+  // Walk up the parent chain to the owning workspace
+  const ancestry = (resource) => {
+    const folders = [];
+    let parent = byId.get(resource.parentId);
+    while (parent && parent._type === "request_group") {
+      folders.unshift(parent.name || "Folder");
+      parent = byId.get(parent.parentId);
+    }
+    return { folders, workspaceId: parent?._type === "workspace" ? parent._id : null };
+  };
+
+  const groups = new Map(
+    (workspaces.length ? workspaces : [{ _id: null, name: "Insomnia Import" }]).map((w) => [
+      w._id,
+      { name: w.name || "Insomnia Import", description: w.description || "", requests: [], variables: [], skipped: [] },
+    ])
+  );
+  const fallback = groups.values().next().value;
+
+  resources.forEach((resource) => {
+    if (resource._type === "request") {
+      const { folders, workspaceId } = ancestry(resource);
+      const group = groups.get(workspaceId) || fallback;
+      const method = (resource.method || "GET").toUpperCase();
+      if (!SUPPORTED_METHODS.includes(method)) {
+        group.skipped.push(resource.name || method);
+        return;
+      }
+
+      const rawUrl = fromInsomniaTemplate(resource.url || "");
+      const { url, params } = parsePostmanUrl(rawUrl);
+      const request = {
+        name: resource.name || url || "Untitled",
+        method,
+        url,
+        params: [
+          ...params,
+          ...toPairs(resource.parameters, "name").map((p) => ({ key: fromInsomniaTemplate(p.key), value: fromInsomniaTemplate(p.value) })),
+        ],
+        headers: toPairs(resource.headers, "name").map((h) => ({ key: fromInsomniaTemplate(h.key), value: fromInsomniaTemplate(h.value) })),
+        bodyType: "none",
+        bodyContent: "",
+        authType: "none",
+      };
+      if (folders.length) request.folder = folders.join(FOLDER_SEPARATOR);
+      if (resource.description) request.description = String(resource.description);
+
+      applyInsomniaBody(request, resource.body);
+      applyInsomniaAuth(request, resource.authentication);
+      group.requests.push(normalizeRequest(request));
+    } else if (resource._type === "environment" && resource.data && typeof resource.data === "object") {
+      // Base + sub environments are merged into one variable list
+      const { workspaceId } = ancestry(resource);
+      const group = groups.get(workspaceId) || fallback;
+      Object.entries(resource.data).forEach(([key, value]) => {
+        const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+        group.variables = group.variables.filter((v) => v.key !== key).concat({ key, value: text });
+      });
+    }
+  });
+
+  return [...groups.values()].filter((g) => g.requests.length > 0);
+}
+
+// --------------------------------------------------
+// Parse an uploaded / pasted collection file. Returns
+// one entry per collection (Insomnia exports can hold
+// several workspaces). Throws with a readable message.
+// --------------------------------------------------
+export function parseCollectionFile(text) {
+  let data;
+  try {
+    data = JSON.parse((text || "").trim());
+  } catch {
+    throw new Error("The file is not valid JSON");
+  }
+
+  if (data?.info && Array.isArray(data.item)) {
+    if (data.info.schema && !/collection\/v2\.[01]/.test(data.info.schema)) {
+      throw new Error("Only Postman v2.0 / v2.1 collections are supported");
+    }
+    return fromPostman(data);
+  }
+  if (data?._type === "export" && Array.isArray(data.resources)) {
+    const collections = fromInsomnia(data);
+    if (collections.length === 0) throw new Error("The Insomnia export contains no requests");
+    return collections;
+  }
+  throw new Error("Unrecognised format — expected a Postman v2.1 collection or an Insomnia v4 export");
+}
+
+// Names of the requests that carry pre-request / test scripts.
+// Imported scripts run on Send and in collection runs, so the
+// import preview lists them first.
+export const scriptedRequestNames = (requests) =>
+  requests.filter((req) => req.preRequestScript?.trim() || req.testScript?.trim()).map((req) => req.name);
+
+// ────────────────────────────────────────────────────────────
+// ApiCanvas → Postman v2.1
+// ────────────────────────────────────────────────────────────
+
+// A single saved request as a Postman item
+function toPostmanItem(saved) {
+  const req = normalizeRequest(saved);
+  const query = toPairs(req.params).map(({ key, value }) => ({
+    key: encodeQueryPart(key),
+    value: encodeQueryPart(value),
+  }));
+  const raw = query.length ? `${req.url}?${query.map(({ key, value }) => `${key}=${value}`).join("&")}` : req.url;
+
+  const request = {
+    method: req.method,
+    header: toPairs(req.headers),
+    url: { raw, ...(query.length ? { query } : {}) },
+    ...(req.description ? { description: req.description } : {}),
+  };
+
+  if (req.bodyType === "raw" && req.bodyContent) {
+    let language = Object.keys(RAW_LANGUAGES).find((l) => RAW_LANGUAGES[l] === req.rawContentType) || "text";
+    if (language === "json") {
+      try {
+        JSON.parse(req.bodyContent);
+      } catch {
+        // Not JSON (e.g. requests saved before the content-type selector)
+        language = "text";
+      }
+    }
+    request.body = { mode: "raw", raw: req.bodyContent, options: { raw: { language } } };
+  } else if (req.bodyType === "urlencoded") {
+    request.body = { mode: "urlencoded", urlencoded: toPairs(req.urlencodedFields) };
+  } else if (req.bodyType === "form-data") {
+    request.body = {
+      mode: "formdata",
+      formdata: req.formFields
+        .filter((f) => f.key)
+        .map((f) =>
+          f.type === "file"
+            ? { key: f.key, type: "file", src: f.fileName || "" }
+            : { key: f.key, type: "text", value: f.value ?? "" }
+        ),
+    };
+  } else if (req.bodyType === "graphql") {
+    request.body = { mode: "graphql", graphql: { query: req.graphqlQuery, variables: req.graphqlVariables } };
+  } else if (req.bodyType === "binary" && req.binaryFile) {
+    request.body = { mode: "file", file: { src: req.binaryFile.fileName || "" } };
+  }
+
+  if (req.authType === "bearer") {
+    request.auth = { type: "bearer", bearer: [{ key: "token", value: req.bearerToken, type: "string" }] };
+  } else if (req.authType === "basic") {
+    request.auth = {
+      type: "basic",
+      basic: [
+        { key: "username", value: req.basicUsername, type: "string" },
+        { key: "password", value: req.basicPassword, type: "string" },
+      ],
+    };
+  }
+
+  const event = [];
+  if (req.preRequestScript.trim()) {
+    event.push({ listen: "prerequest", script: { type: "text/javascript", exec: req.preRequestScript.split("\n") } });
+  }
+  if (req.testScript.trim()) {
+    event.push({ listen: "test", script: { type: "text/javascript", exec: req.testScript.split("\n") } });
+  }
+
+  // Only settings Postman has an equivalent for, when changed
+  const behavior = {};
+  if (!req.settings.followRedirects) behavior.followRedirects = false;
+  if (req.settings.maxRedirects !== DEFAULT_REQUEST_SETTINGS.maxRedirects) behavior.maxRedirects = req.settings.maxRedirects;
+  if (!req.settings.verifyTls) behavior.strictSSL = false;
+
+  // Everything else ApiCanvas needs to re-run the request
+  const extras = {};
+  if (Object.keys(req.settings).some((key) => req.settings[key] !== DEFAULT_REQUEST_SETTINGS[key])) {
+    extras.settings = req.settings;
+  }
+  if (req.expectedSnapshot) extras.expectedSnapshot = req.expectedSnapshot;
+  if (req.responseSchema) extras.responseSchema = req.responseSchema;
+  if (req.bodyType === "graphql" && req.graphqlOperationName) extras.graphqlOperationName = req.graphqlOperationName;
+
+  return {
+    name: req.name || req.url || "Untitled",
+    ...(event.length ? { event } : {}),
+    ...(Object.keys(behavior).length ? { protocolProfileBehavior: behavior } : {}),
+    request,
+    ...(req.examples.length ? { response: req.examples.map(toPostmanResponse) } : {}),
+    ...(Object.keys(extras).length ? { apicanvas: extras } : {}),
+  };
+}
+
+// --------------------------------------------------
+// Build a Postman v2.1 collection from a collection
+// document and its saved requests. `folder` paths are
+// rebuilt into nested folders. WebSocket / SSE sessions
+// have no Postman v2.1 equivalent and are left out.
+// --------------------------------------------------
+export function toPostmanCollection(collectionDoc, requests) {
+  const root = { item: [] };
+
+  requests.filter((saved) => !isStreamRequest(saved)).forEach((saved) => {
+    let parent = root;
+    (saved.folder ? saved.folder.split(FOLDER_SEPARATOR) : []).forEach((name) => {
+      let folder = parent.item.find((i) => Array.isArray(i.item) && i.name === name);
+      if (!folder) {
+        folder = { name, item: [] };
+        parent.item.push(folder);
+      }
+      parent = folder;
+    });
+    parent.item.push(toPostmanItem(saved));
+  });
+
+  return {
+    info: {
+      name: collectionDoc.name || "ApiCanvas Collection",
+      description: collectionDoc.description || "",
+      schema: POSTMAN_SCHEMA,
+    },
+    item: root.item,
+  };
+}
@@ -0,0 +1,91 @@
+import { describe, expect, it } from "vitest";
+import { parseCollectionFile, scriptedRequestNames, toPostmanCollection } from "./collectionFormats";
+
+// One-request Postman v2.1 collection around `request`
+const postmanFile = (request) =>
+  JSON.stringify({
+    info: { name: "Imported", schema: "https://schema.getpostman.com/json/collection/v2.1.0/collection.json" },
+    item: [{ name: "Request", request }],
+  });
+
+const importOne = (request) => parseCollectionFile(postmanFile(request))[0].requests[0];
+
+describe("Postman import", () => {
+  it("decodes query keys and values from the url object", () => {
+    const req = importOne({
+      method: "GET",
+      url: {
+        raw: "https://api.example.com/search?q=a%26b&sort%20by=name+asc",
+        query: [
+          { key: "q", value: "a%26b" },
+          { key: "sort%20by", value: "name+asc" },
+        ],
+      },
+    });
+    expect(req.params).toEqual([
+      { key: "q", value: "a&b" },
+      { key: "sort by", value: "name asc" },
+    ]);
+  });
+
+  it("decodes query values from a url string", () => {
+    const req = importOne({ method: "GET", url: "https://api.example.com/search?q=a%26b&tag={{tag}}" });
+    expect(req.url).toBe("https://api.example.com/search");
+    expect(req.params).toEqual([
+      { key: "q", value: "a&b" },
+      { key: "tag", value: "{{tag}}" },
+    ]);
+  });
+
+  it("keeps malformed escapes as they are", () => {
+    const req = importOne({ method: "GET", url: "https://api.example.com/?discount=100%" });
+    expect(req.params).toEqual([{ key: "discount", value: "100%" }]);
+  });
+
+  it("fills path variables whose keys contain regex characters", () => {
+    const req = importOne({
+      method: "GET",
+      url: {
+        raw: "https://api.example.com/items/:id.v2/:(x)/:id",
+        variable: [{ key: "id.v2", value: "7" }, { key: "(x)" }],
+      },
+    });
+    expect(req.url).toBe("https://api.example.com/items/7/{{(x)}}/:id");
+  });
+
+  it("names the requests that carry scripts", () => {
+    const [collection] = parseCollectionFile(
+      JSON.stringify({
+        info: { name: "Imported", schema: "https://schema.getpostman.com/json/collection/v2.1.0/collection.json" },
+        item: [
+          { name: "Plain", request: { method: "GET", url: "https://api.example.com/a" } },
+          {
+            name: "Login",
+            request: { method: "POST", url: "https://api.example.com/login" },
+            event: [{ listen: "test", script: { exec: ['pm.environment.set("token", pm.response.json().token);'] } }],
+          },
+          {
+            name: "Blank",
+            request: { method: "GET", url: "https://api.example.com/b" },
+            event: [{ listen: "prerequest", script: { exec: ["", "  "] } }],
+          },
+        ],
+      })
+    );
+    expect(scriptedRequestNames(collection.requests)).toEqual(["Login"]);
+  });
+});
+
+describe("Postman export", () => {
+  it("encodes query values so they import back unchanged", () => {
+    const params = [
+      { key: "q", value: "a&b" },
+      { key: "token", value: "{{token}}" },
+    ];
+    const file = toPostmanCollection({ name: "Round trip" }, [{ method: "GET", url: "https://api.example.com/search", params }]);
+    expect(file.item[0].request.url.raw).toBe("https://api.example.com/search?q=a%26b&token={{token}}");
+
+    const [reimported] = parseCollectionFile(JSON.stringify(file));
+    expect(reimported.requests[0].params).toEqual(params);
+  });
+});
@@ -0,0 +1,413 @@
+// ============================================================
+// collectionRunner.js — Run a Collection's Requests
+// ============================================================
+// Executes saved requests in order through executeRequest
+// (scripts, snapshot and schema checks included), for N
+// iterations. Rows of an uploaded CSV / JSON data file become
+// {{variables}} — one row per iteration, the last row is
+// reused when there are more iterations than rows. Script
+// variables carry from one request to the next.
+//   • parseDataFile  — CSV / JSON text → [{ column: value }]
+//   • runCollection  — run a collection and build the report
+//   • runFlow        — run a Visualizer flow graph the way
+//                      Run Flow does (execution order, edge
+//                      extractions, stop at the first failure)
+// Reports are exported by lib/runReports. The Collections
+// page and the headless CLI (client/cli) share this module.
+// ============================================================
+
+import { executeRequest, normalizeRequest } from "./requestBuilder";
+import { getExecutionOrder, applyExtractions } from "./flowRunner";
+import { describeSnapshotMismatch } from "./expectedSnapshot";
+import { describeSchemaFailures } from "./jsonSchema";
+
+// Upper bounds for the runner form
+export const MAX_ITERATIONS = 1000;
+export const MAX_DELAY_MS = 60000;
+
+// --------------------------------------------------
+// Split CSV text into rows of fields (RFC 4180 quoting:
+// "a, b" and "say ""hi""" — newlines allowed in quotes)
+// --------------------------------------------------
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error("Unclosed quote in CSV data");
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Blank lines don't make iterations
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+// Variable values are substituted as text
+const toVariableValue = (value) =>
+  value === null || value === undefined ? "" : typeof value === "object" ? JSON.stringify(value) : String(value);
+
+// --------------------------------------------------
+// Parse an uploaded data file. CSV needs a header row;
+// JSON must be an array of objects. Throws with a
+// readable message on anything else.
+// --------------------------------------------------
+export function parseDataFile(text, fileName = "") {
+  const trimmed = (text || "").replace(/^\uFEFF/, "").trim();
+  if (!trimmed) throw new Error("The data file is empty");
+
+  if (/\.json$/i.test(fileName) || trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (err) {
+      throw new Error(`Invalid JSON data file: ${err.message}`);
+    }
+    if (!Array.isArray(data) || !data.every((row) => row && typeof row === "object" && !Array.isArray(row))) {
+      throw new Error("A JSON data file must be an array of objects");
+    }
+    return data.map((row) =>
+      Object.fromEntries(Object.entries(row).map(([key, value]) => [key, toVariableValue(value)]))
+    );
+  }
+
+  const [header, ...rows] = parseCsvRows(trimmed);
+  const columns = header.map((column) => column.trim());
+  if (!columns.some(Boolean)) throw new Error("The CSV header row has no column names");
+  return rows.map((row) =>
+    Object.fromEntries(columns.flatMap((column, i) => (column ? [[column, row[i] ?? ""]] : [])))
+  );
+}
+
+// --------------------------------------------------
+// Assertion outcomes of one response:
+// [{ name, passed, error }] from the test script, the
+// expected snapshot and the response schema
+// --------------------------------------------------
+export function assertionsFromResponse(response) {
+  const assertions = [];
+  const { testResults, snapshotResult, schemaResult } = response;
+  if (testResults?.error) assertions.push({ name: "Test script", passed: false, error: testResults.error });
+  (testResults?.tests || []).forEach((test) =>
+    assertions.push({ name: test.name, passed: test.passed, error: test.error || null })
+  );
+  if (snapshotResult) {
+    assertions.push({
+      name: "Matches expected snapshot",
+      passed: snapshotResult.matched,
+      error: describeSnapshotMismatch(snapshotResult),
+    });
+  }
+  if (schemaResult) {
+    assertions.push({
+      name: "Matches response schema",
+      passed: schemaResult.valid,
+      error: describeSchemaFailures(schemaResult),
+    });
+  }
+  return assertions;
+}
+
+// One request's entry in the report. A request fails on a
+// network / proxy error, a 4xx / 5xx status or a failed
+// assertion.
+function toResult(request, response) {
+  const assertions = assertionsFromResponse(response);
+  const statusOk = response.status >= 100 && response.status < 400;
+  const failedAssertions = assertions.filter((a) => !a.passed).length;
+
+  let error = null;
+  if (!response.status) error = response.data?.error || response.statusText || "Request failed";
+  else if (!statusOk) error = `HTTP ${response.status} ${response.statusText || ""}`.trim();
+  else if (failedAssertions) error = `${failedAssertions} assertion${failedAssertions !== 1 ? "s" : ""} failed`;
+
+  return {
+    id: request.id || null,
+    name: request.name || `${request.method} ${request.url}`,
+    method: response.request?.method || request.method,
+    url: response.request?.url || request.url,
+    status: response.status,
+    statusText: response.statusText || "",
+    responseTime: response.responseTime || 0,
+    responseSize: response.responseSize || 0,
+    passed: !error,
+    error,
+    assertions,
+  };
+}
+
+// Totals over every iteration
+export function summarizeRun(iterations) {
+  const results = iterations.flatMap((iteration) => iteration.results);
+  const assertions = results.flatMap((result) => result.assertions);
+  const totalTime = results.reduce((sum, result) => sum + result.responseTime, 0);
+  return {
+    requests: results.length,
+    passed: results.filter((result) => result.passed).length,
+    failed: results.filter((result) => !result.passed).length,
+    skipped: iterations.reduce((sum, iteration) => sum + (iteration.skipped?.length || 0), 0),
+    assertions: assertions.length,
+    failedAssertions: assertions.filter((assertion) => !assertion.passed).length,
+    totalResponseTime: totalTime,
+    averageResponseTime: results.length ? Math.round(totalTime / results.length) : 0,
+  };
+}
+
+// Resolves after `ms`, or early when the run is cancelled.
+// The abort listener goes when the timer fires — a long run
+// waits thousands of times on the same signal.
+const wait = (ms, signal) =>
+  new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      resolve();
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+// --------------------------------------------------
+// Report skeleton shared by runCollection / runFlow
+// --------------------------------------------------
+function createReport(target, { iterations, delayMs, stopOnFailure, dataFile, data, environment }, startedAt) {
+  return {
+    collection: { id: target?.id || null, name: target?.name || "Collection" },
+    environment,
+    options: { iterations, delayMs, stopOnFailure, dataFile, dataRows: data.length },
+    startedAt: new Date(startedAt).toISOString(),
+    finishedAt: null,
+    durationMs: 0,
+    stopped: null, // "failure" | "cancelled"
+    iterations: [],
+    summary: summarizeRun([]),
+  };
+}
+
+// A fresh copy of the report so far, for onProgress
+const snapshotReport = (report) => ({
+  ...report,
+  iterations: report.iterations.map((iteration) => ({
+    ...iteration,
+    results: [...iteration.results],
+    ...(iteration.skipped ? { skipped: [...iteration.skipped] } : {}),
+  })),
+  summary: summarizeRun(report.iterations),
+});
+
+const finishReport = (report, startedAt) => {
+  report.finishedAt = new Date().toISOString();
+  report.durationMs = Date.now() - startedAt;
+  report.summary = summarizeRun(report.iterations);
+  return report;
+};
+
+// The data row of iteration `i` (0-based), or null
+const dataRowFor = (data, i) => (data.length ? data[Math.min(i, data.length - 1)] : null);
+
+// --------------------------------------------------
+// Run `requests` (already in run order). Calls
+// onProgress(report) after every request with a fresh
+// copy of the report so far. Resolves with
+// { report, environmentUpdates } — the caller persists
+// pm.environment.set() changes. `send` is passed on to
+// executeRequest (the proxy by default).
+// --------------------------------------------------
+export async function runCollection({
+  collection,
+  requests,
+  iterations = 1,
+  data = [],
+  dataFile = null,
+  delayMs = 0,
+  stopOnFailure = false,
+  variables = {},
+  environment = null,
+  signal,
+  onProgress,
+  send,
+}) {
+  const startedAt = Date.now();
+  const report = createReport(collection, { iterations, delayMs, stopOnFailure, dataFile, data, environment }, startedAt);
+
+  let vars = { ...variables };
+  const environmentUpdates = {};
+
+  for (let i = 0; i < iterations && !report.stopped; i++) {
+    if (signal?.aborted) {
+      report.stopped = "cancelled";
+      break;
+    }
+    const row = dataRowFor(data, i);
+    if (row) vars = { ...vars, ...row };
+    const iteration = { index: i + 1, data: row, results: [] };
+    report.iterations.push(iteration);
+
+    for (let r = 0; r < requests.length; r++) {
+      if (signal?.aborted) {
+        report.stopped = "cancelled";
+        break;
+      }
+
+      const request = requests[r];
+      const result = await executeRequest(request, { variables: vars, send });
+      vars = result.variables;
+      Object.assign(environmentUpdates, result.environmentUpdates);
+
+      const entry = toResult(request, result.response);
+      iteration.results.push(entry);
+      onProgress?.(snapshotReport(report));
+
+      if (!entry.passed && stopOnFailure) {
+        report.stopped = "failure";
+        break;
+      }
+
+      const isLast = i === iterations - 1 && r === requests.length - 1;
+      if (delayMs > 0 && !isLast) await wait(delayMs, signal);
+    }
+  }
+
+  return { report: finishReport(report, startedAt), environmentUpdates };
+}
+
+// The saved request behind a flow node — falling back to
+// the node's own method / url for nodes added by hand
+const nodeRequest = (node) => {
+  const saved = node.data?.fullRequest || {};
+  return normalizeRequest({
+    ...saved,
+    name: node.data?.name || node.data?.path || saved.name,
+    method: saved.method || node.data?.method,
+    url: saved.url || node.data?.url,
+  });
+};
+
+// --------------------------------------------------
+// Run a flow graph ({ id, name, nodes, edges }) once per
+// iteration. Nodes run in execution order; values pulled
+// out by edge extractions feed downstream nodes, and the
+// first failure (status, assertion or extraction) skips
+// the rest of that iteration — iteration.skipped lists
+// [{ name, reason }]. With stopOnFailure the whole run
+// stops there. Throws when the graph has a cycle.
+// Resolves with { report, environmentUpdates }.
+// --------------------------------------------------
+export async function runFlow({
+  flow,
+  iterations = 1,
+  data = [],
+  dataFile = null,
+  delayMs = 0,
+  stopOnFailure = false,
+  variables = {},
+  environment = null,
+  signal,
+  onProgress,
+  send,
+}) {
+  const nodes = flow.nodes || [];
+  const edges = flow.edges || [];
+  const order = getExecutionOrder(nodes, edges);
+
+  const startedAt = Date.now();
+  const report = createReport(
+    { id: flow.id, name: flow.name || "Flow" },
+    { iterations, delayMs, stopOnFailure, dataFile, data, environment },
+    startedAt
+  );
+
+  let vars = { ...variables };
+  const environmentUpdates = {};
+  let sent = 0;
+
+  for (let i = 0; i < iterations && !report.stopped; i++) {
+    if (signal?.aborted) {
+      report.stopped = "cancelled";
+      break;
+    }
+    const row = dataRowFor(data, i);
+    if (row) vars = { ...vars, ...row };
+    const iteration = { index: i + 1, data: row, results: [], skipped: [] };
+    report.iterations.push(iteration);
+    let failed = false;
+
+    for (const nodeId of order) {
+      if (signal?.aborted) {
+        report.stopped = "cancelled";
+        break;
+      }
+      const request = nodeRequest(nodes.find((n) => n.id === nodeId));
+      const name = request.name || nodeId;
+      if (failed) {
+        iteration.skipped.push({ name, reason: "An earlier step failed" });
+        continue;
+      }
+      if (!request.url) {
+        iteration.skipped.push({ name, reason: "No URL" });
+        continue;
+      }
+
+      if (delayMs > 0 && sent > 0) await wait(delayMs, signal);
+      sent += 1;
+
+      const result = await executeRequest(request, { variables: vars, send });
+      vars = result.variables;
+      Object.assign(environmentUpdates, result.environmentUpdates);
+      const entry = toResult(request, result.response);
+
+      // Pull values out of the response for downstream nodes
+      if (entry.passed) {
+        const errors = [];
+        edges
+          .filter((edge) => edge.source === nodeId)
+          .forEach((edge) => {
+            const extracted = applyExtractions(edge.data?.extractions, result.response);
+            vars = { ...vars, ...extracted.variables };
+            errors.push(...extracted.errors);
+          });
+        if (errors.length) {
+          entry.passed = false;
+          entry.error = errors.join("; ");
+        }
+      }
+
+      iteration.results.push(entry);
+      onProgress?.(snapshotReport(report));
+      if (!entry.passed) failed = true;
+    }
+
+    if (failed && stopOnFailure) report.stopped = "failure";
+  }
+
+  return { report: finishReport(report, startedAt), environmentUpdates };
+}
@@ -0,0 +1,49 @@
+import { getEventListeners } from "node:events";
+import { describe, expect, it } from "vitest";
+import { runCollection } from "./collectionRunner";
+
+const okResponse = async () => ({
+  status: 200,
+  statusText: "OK",
+  headers: {},
+  data: {},
+  responseTime: 1,
+  responseSize: 2,
+});
+
+const requests = [
+  { id: "a", name: "A", method: "GET", url: "https://api.example.com/a" },
+  { id: "b", name: "B", method: "GET", url: "https://api.example.com/b" },
+];
+
+describe("runCollection delays", () => {
+  it("leaves no abort listeners behind on the signal", async () => {
+    const controller = new AbortController();
+    const { report } = await runCollection({
+      collection: { id: "c", name: "C" },
+      requests,
+      iterations: 15,
+      delayMs: 1,
+      signal: controller.signal,
+      send: okResponse,
+    });
+    expect(report.iterations).toHaveLength(15);
+    expect(getEventListeners(controller.signal, "abort")).toHaveLength(0);
+  });
+
+  it("stops waiting when the run is cancelled", async () => {
+    const controller = new AbortController();
+    const run = runCollection({
+      collection: { id: "c", name: "C" },
+      requests,
+      iterations: 2,
+      delayMs: 60000,
+      signal: controller.signal,
+      send: okResponse,
+    });
+    setTimeout(() => controller.abort(), 20);
+    const { report } = await run;
+    expect(report.stopped).toBe("cancelled");
+    expect(report.iterations[0].results).toHaveLength(1);
+  });
+});
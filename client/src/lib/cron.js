@@ -0,0 +1,127 @@
+// ============================================================
+// cron.js — Five-Field Cron Expressions
+// ============================================================
+// Client copy of server/cron.js, used by the Monitors page to
+// validate a schedule before it's saved and to show when it
+// runs next. Fields: minute hour day-of-month month
+// day-of-week, each taking *, numbers, ranges, lists and
+// steps. Schedules are evaluated in UTC, like the server.
+// serverParity.test.js checks the two copies agree.
+// ============================================================
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+// Expand one field into the set of values it allows
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  text.split(",").forEach((part) => {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`Invalid ${name} "${part}"`);
+
+    const step = match[4] ? Number(match[4]) : 1;
+    let from = min;
+    let to = max;
+    if (match[2] !== undefined) {
+      from = Number(match[2]);
+      to = match[3] !== undefined ? Number(match[3]) : match[4] ? max : from;
+    }
+    if (from < min || to > max || from > to) throw new Error(`${name} must be ${min}-${max}, got "${part}"`);
+    if (step < 1) throw new Error(`Invalid step in ${name} "${part}"`);
+
+    for (let value = from; value <= to; value += step) values.add(value);
+  });
+
+  return values;
+}
+
+// --------------------------------------------------
+// Parse an expression into value sets. Throws with a
+// readable message on a malformed expression.
+// --------------------------------------------------
+export function parseCron(expression) {
+  const parts = String(expression || "").trim().split(/\s+/);
+  if (parts.length !== 5 || !parts[0]) {
+    throw new Error("A schedule needs five fields: minute hour day-of-month month day-of-week");
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    dayOfMonthRestricted: parts[2] !== "*",
+    dayOfWeekRestricted: parts[4] !== "*",
+  };
+}
+
+// Does the (parsed) schedule fire in the UTC minute of `date`?
+export function cronMatches(cron, date) {
+  if (!cron.minute.has(date.getUTCMinutes())) return false;
+  if (!cron.hour.has(date.getUTCHours())) return false;
+  if (!cron.month.has(date.getUTCMonth() + 1)) return false;
+
+  const domMatch = cron.dayOfMonth.has(date.getUTCDate());
+  const dowMatch = cron.dayOfWeek.has(date.getUTCDay());
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return domMatch || dowMatch;
+  return domMatch && dowMatch;
+}
+
+// --------------------------------------------------
+// Shortest gap in minutes between two runs of a (parsed)
+// schedule. Runs in the same hour are compared, and the
+// last and first minute when two consecutive hours are
+// allowed; schedules that run at most hourly give 60.
+// --------------------------------------------------
+export function shortestInterval(cron) {
+  const minutes = [...cron.minute].sort((a, b) => a - b);
+  const consecutiveHours = [...cron.hour].some((hour) => cron.hour.has((hour + 1) % 24));
+  let shortest = 60;
+  minutes.forEach((minute, i) => {
+    const next = i + 1 < minutes.length ? minutes[i + 1] : consecutiveHours ? minutes[0] + 60 : minute + 60;
+    shortest = Math.min(shortest, next - minute);
+  });
+  return shortest;
+}
+
+// Error message for an invalid expression, or null
+export function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+// --------------------------------------------------
+// The next minute the schedule fires after `from`, or
+// null when that's more than `horizonDays` away (or the
+// expression is invalid)
+// --------------------------------------------------
+export function nextCronRun(expression, from = new Date(), horizonDays = 31) {
+  let cron;
+  try {
+    cron = parseCron(expression);
+  } catch {
+    return null;
+  }
+
+  const next = new Date(from);
+  next.setUTCSeconds(0, 0);
+  for (let i = 0; i < horizonDays * 24 * 60; i++) {
+    next.setUTCMinutes(next.getUTCMinutes() + 1);
+    if (cronMatches(cron, next)) return next;
+  }
+  return null;
+}
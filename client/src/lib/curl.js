@@ -0,0 +1,334 @@
+// ============================================================
+// curl.js — Parse a cURL Command into Request Fields
+// ============================================================
+// Used when a `curl ...` command is pasted into the URL bar.
+// Produces the same fields RequestBuilder keeps in state:
+// method, url, params, headers, body (raw or form-data) and
+// basic / bearer auth, plus `warnings` for parts that couldn't
+// be brought over (bodies read from local @files).
+// Flags that don't affect the request (-s, -L, -k, -v, ...)
+// are ignored.
+// ============================================================
+
+// Flags that take a value but aren't mapped
+const IGNORED_WITH_VALUE = new Set([
+  "-o", "--output", "-m", "--max-time", "--connect-timeout", "-w", "--write-out",
+  "--retry", "-x", "--proxy", "--cacert", "--cert", "--key", "-c", "--cookie-jar",
+  "-T", "--upload-file", "--resolve", "--limit-rate",
+]);
+
+// Data flags (all treated as the request body)
+const DATA_FLAGS = new Set([
+  "-d", "--data", "--data-raw", "--data-binary", "--data-ascii", "--data-urlencode", "--json",
+]);
+
+// Data flags that read the body from a file for `@path`
+// (--data-urlencode takes `@path` or `name@path`)
+const FILE_DATA_FLAGS = new Set(["-d", "--data", "--data-binary", "--data-ascii", "--json"]);
+const readsDataFile = (flag, value) =>
+  (FILE_DATA_FLAGS.has(flag) && value.startsWith("@")) ||
+  (flag === "--data-urlencode" && /^[^=]*@/.test(value));
+
+// Multipart flags (-F name=value / -F name=@file)
+const FORM_FLAGS = new Set(["-F", "--form", "--form-string"]);
+
+// True when pasted text looks like a cURL command
+export function isCurlCommand(text) {
+  return /^\s*curl\s/i.test(text || "");
+}
+
+// --------------------------------------------------
+// Split a shell command into arguments, honouring
+// '…', "…", $'…', backslash escapes and line
+// continuations (\ + newline).
+// --------------------------------------------------
+function tokenize(command) {
+  const tokens = [];
+  let current = "";
+  let inToken = false;
+  let i = 0;
+  const src = command.replace(/\\\r?\n/g, " ").replace(/\^\r?\n/g, " ");
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (/\s/.test(ch)) {
+      if (inToken) {
+        tokens.push(current);
+        current = "";
+        inToken = false;
+      }
+      i += 1;
+    } else if (ch === "'") {
+      const end = src.indexOf("'", i + 1);
+      current += src.slice(i + 1, end === -1 ? undefined : end);
+      inToken = true;
+      i = end === -1 ? src.length : end + 1;
+    } else if (ch === "$" && src[i + 1] === "'") {
+      // ANSI-C quoting — support the common escapes
+      let j = i + 2;
+      while (j < src.length && src[j] !== "'") {
+        if (src[j] === "\\" && j + 1 < src.length) {
+          const next = src[j + 1];
+          current += { n: "\n", t: "\t", r: "\r", "'": "'", "\\": "\\" }[next] ?? next;
+          j += 2;
+        } else {
+          current += src[j];
+          j += 1;
+        }
+      }
+      inToken = true;
+      i = j + 1;
+    } else if (ch === '"') {
+      let j = i + 1;
+      while (j < src.length && src[j] !== '"') {
+        if (src[j] === "\\" && /["\\$`]/.test(src[j + 1] || "")) {
+          current += src[j + 1];
+          j += 2;
+        } else {
+          current += src[j];
+          j += 1;
+        }
+      }
+      inToken = true;
+      i = j + 1;
+    } else if (ch === "\\" && i + 1 < src.length) {
+      current += src[i + 1];
+      inToken = true;
+      i += 2;
+    } else {
+      current += ch;
+      inToken = true;
+      i += 1;
+    }
+  }
+  if (inToken) tokens.push(current);
+  return tokens;
+}
+
+// Decode "Basic <base64>" into username / password
+function decodeBasic(encoded) {
+  try {
+    const decoded = atob(encoded.trim());
+    const index = decoded.indexOf(":");
+    return index === -1
+      ? { username: decoded, password: "" }
+      : { username: decoded.slice(0, index), password: decoded.slice(index + 1) };
+  } catch {
+    return null;
+  }
+}
+
+// Split a query string into key-value pairs
+function parseQuery(query) {
+  return query
+    .split("&")
+    .filter(Boolean)
+    .map((part) => {
+      const [key, value = ""] = part.split(/=(.*)/s);
+      const decode = (s) => {
+        try {
+          return decodeURIComponent(s.replace(/\+/g, " "));
+        } catch {
+          return s;
+        }
+      };
+      return { key: decode(key), value: decode(value) };
+    });
+}
+
+// --------------------------------------------------
+// Turn one -F argument into a form-data field. File
+// references (@path / <path) become file rows without
+// data — the user re-attaches them in the Body tab.
+// --------------------------------------------------
+function parseFormField(arg, literal) {
+  const index = arg.indexOf("=");
+  if (index <= 0) return null;
+  const key = arg.slice(0, index);
+  const value = arg.slice(index + 1);
+
+  if (!literal && /^[@<]/.test(value)) {
+    const [path, ...options] = value.slice(1).split(";");
+    const type = options.find((o) => o.trim().startsWith("type="));
+    return {
+      key,
+      type: "file",
+      fileName: path.split(/[\\/]/).pop(),
+      contentType: type ? type.split("=")[1].trim() : "",
+      size: 0,
+      data: "",
+    };
+  }
+  return { key, type: "text", value };
+}
+
+// --------------------------------------------------
+// Parse a cURL command. Returns the request fields or
+// throws when no URL can be found.
+// --------------------------------------------------
+export function parseCurl(command) {
+  const args = tokenize(command.trim());
+  if (args[0]?.toLowerCase() !== "curl") throw new Error("Not a cURL command");
+
+  let method = "";
+  let url = "";
+  let user = "";
+  let getMode = false;
+  let headMode = false;
+  let isJsonFlag = false;
+  const headers = [];
+  const dataParts = [];
+  const dataFiles = [];
+  const formFields = [];
+
+  for (let i = 1; i < args.length; i += 1) {
+    let arg = args[i];
+    let inlineValue;
+
+    // --flag=value form
+    if (arg.startsWith("--") && arg.includes("=")) {
+      [arg, inlineValue] = arg.split(/=(.*)/s);
+    }
+    // -XPOST / -HName:value short forms
+    if (/^-[XHdubAF][^-]/.test(arg) && arg.length > 2) {
+      inlineValue = arg.slice(2);
+      arg = arg.slice(0, 2);
+    }
+    const takeValue = () => (inlineValue !== undefined ? inlineValue : args[++i] ?? "");
+
+    if (arg === "-X" || arg === "--request") {
+      method = takeValue().toUpperCase();
+    } else if (arg === "-H" || arg === "--header") {
+      const header = takeValue();
+      const index = header.indexOf(":");
+      if (index > 0) headers.push({ key: header.slice(0, index).trim(), value: header.slice(index + 1).trim() });
+    } else if (DATA_FLAGS.has(arg)) {
+      const value = takeValue();
+      if (arg === "--json") isJsonFlag = true;
+      // The browser can't read local files — leave them out and warn
+      if (readsDataFile(arg, value)) {
+        dataFiles.push(value.slice(value.indexOf("@") + 1));
+        continue;
+      }
+      dataParts.push(arg === "--data-urlencode" && !value.includes("=") ? encodeURIComponent(value) : value);
+    } else if (FORM_FLAGS.has(arg)) {
+      const field = parseFormField(takeValue(), arg === "--form-string");
+      if (field) formFields.push(field);
+    } else if (arg === "-u" || arg === "--user") {
+      user = takeValue();
+    } else if (arg === "-A" || arg === "--user-agent") {
+      headers.push({ key: "User-Agent", value: takeValue() });
+    } else if (arg === "-b" || arg === "--cookie") {
+      headers.push({ key: "Cookie", value: takeValue() });
+    } else if (arg === "-e" || arg === "--referer") {
+      headers.push({ key: "Referer", value: takeValue() });
+    } else if (arg === "-G" || arg === "--get") {
+      getMode = true;
+    } else if (arg === "-I" || arg === "--head") {
+      headMode = true;
+    } else if (arg === "--url") {
+      url = takeValue();
+    } else if (IGNORED_WITH_VALUE.has(arg)) {
+      takeValue();
+    } else if (!arg.startsWith("-") && !url) {
+      url = arg;
+    }
+  }
+
+  if (!url) throw new Error("No URL found in the cURL command");
+
+  // Query string → params (URL keeps only the base)
+  const [baseUrl, queryString = ""] = url.split(/\?(.*)/s);
+  const params = parseQuery(queryString);
+
+  let bodyContent = dataParts.join("&");
+  if (getMode && bodyContent) {
+    params.push(...parseQuery(bodyContent));
+    bodyContent = "";
+  }
+  if (isJsonFlag && !headers.some((h) => h.key.toLowerCase() === "content-type")) {
+    headers.push({ key: "Content-Type", value: "application/json" });
+  }
+
+  // Authorization header → auth tab (matches how handleSend adds it back)
+  let authType = "none";
+  let bearerToken = "";
+  let basicUsername = "";
+  let basicPassword = "";
+  const authIndex = headers.findIndex((h) => h.key.toLowerCase() === "authorization");
+  if (authIndex !== -1) {
+    const value = headers[authIndex].value;
+    if (/^bearer\s+/i.test(value)) {
+      authType = "bearer";
+      bearerToken = value.replace(/^bearer\s+/i, "");
+      headers.splice(authIndex, 1);
+    } else if (/^basic\s+/i.test(value)) {
+      const decoded = decodeBasic(value.replace(/^basic\s+/i, ""));
+      if (decoded) {
+        authType = "basic";
+        basicUsername = decoded.username;
+        basicPassword = decoded.password;
+        headers.splice(authIndex, 1);
+      }
+    }
+  }
+  if (user) {
+    const index = user.indexOf(":");
+    authType = "basic";
+    basicUsername = index === -1 ? user : user.slice(0, index);
+    basicPassword = index === -1 ? "" : user.slice(index + 1);
+  }
+
+  // Pretty-print JSON bodies for the editor. Other -d data is
+  // form-urlencoded unless a Content-Type header says otherwise
+  // (curl's default), so it maps to urlencoded fields.
+  let bodyType = bodyContent ? "raw" : "none";
+  let rawContentType = "application/json";
+  let urlencodedFields = [];
+  if (bodyContent) {
+    try {
+      bodyContent = JSON.stringify(JSON.parse(bodyContent), null, 2);
+    } catch {
+      const typeIndex = headers.findIndex((h) => h.key.toLowerCase() === "content-type");
+      const contentType = typeIndex === -1 ? "" : headers[typeIndex].value;
+      if (!contentType || /x-www-form-urlencoded/i.test(contentType)) {
+        bodyType = "urlencoded";
+        urlencodedFields = parseQuery(bodyContent);
+        bodyContent = "";
+        if (typeIndex !== -1) headers.splice(typeIndex, 1);
+      } else {
+        rawContentType = /json/i.test(contentType) ? "application/json" : "text/plain";
+      }
+    }
+  }
+
+  // -F wins over -d, as in curl (which refuses to mix them)
+  const isForm = formFields.length > 0;
+  if (isForm) {
+    // The multipart boundary is generated when sending
+    const typeIndex = headers.findIndex((h) => h.key.toLowerCase() === "content-type");
+    if (typeIndex !== -1 && /multipart\/form-data/i.test(headers[typeIndex].value)) headers.splice(typeIndex, 1);
+  }
+
+  const warnings = dataFiles.length
+    ? [`The body read from ${dataFiles.join(", ")} wasn't imported — paste the file's contents into the Body tab`]
+    : [];
+
+  return {
+    method: method || (headMode ? "HEAD" : bodyType !== "none" || isForm || dataFiles.length ? "POST" : "GET"),
+    url: baseUrl,
+    params,
+    headers,
+    bodyType: isForm ? "form-data" : bodyType,
+    bodyContent: isForm ? "" : bodyContent,
+    rawContentType,
+    formFields,
+    urlencodedFields: isForm ? [] : urlencodedFields,
+    authType,
+    bearerToken,
+    basicUsername,
+    basicPassword,
+    warnings,
+  };
+}
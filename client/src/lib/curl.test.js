@@ -0,0 +1,33 @@
+import { describe, expect, it } from "vitest";
+import { parseCurl } from "./curl";
+
+describe("parseCurl", () => {
+  it("maps -I / --head to a HEAD request", () => {
+    expect(parseCurl("curl -I https://api.example.com/health").method).toBe("HEAD");
+    expect(parseCurl("curl --head https://api.example.com/health").method).toBe("HEAD");
+    expect(parseCurl("curl -I -X GET https://api.example.com/health").method).toBe("GET");
+  });
+
+  it("leaves out bodies read from @files and warns about them", () => {
+    const parsed = parseCurl("curl -d @file.json -H 'Content-Type: application/json' https://api.example.com/items");
+    expect(parsed.method).toBe("POST");
+    expect(parsed.bodyType).toBe("none");
+    expect(parsed.urlencodedFields).toEqual([]);
+    expect(parsed.warnings).toEqual([
+      "The body read from file.json wasn't imported — paste the file's contents into the Body tab",
+    ]);
+  });
+
+  it("keeps --data-raw values that start with @", () => {
+    const parsed = parseCurl("curl --data-raw '@handle' https://api.example.com/mentions");
+    expect(parsed.bodyType).toBe("urlencoded");
+    expect(parsed.urlencodedFields).toEqual([{ key: "@handle", value: "" }]);
+    expect(parsed.warnings).toEqual([]);
+  });
+
+  it("warns for --data-urlencode name@file", () => {
+    const parsed = parseCurl("curl --data-urlencode 'note@notes.txt' --data-urlencode 'a=b' https://api.example.com/notes");
+    expect(parsed.urlencodedFields).toEqual([{ key: "a", value: "b" }]);
+    expect(parsed.warnings[0]).toContain("notes.txt");
+  });
+});
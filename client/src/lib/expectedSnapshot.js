@@ -0,0 +1,144 @@
+// ============================================================
+// expectedSnapshot.js — Expected Response Snapshots
+// ============================================================
+// A request can carry an `expectedSnapshot` saved from one of
+// its responses:
+//   { status, body, ignorePaths, savedAt }
+// `body` is the response body as JSON text (Firestore can't
+// store nested arrays) and `ignorePaths` are JSONPath
+// expressions (lib/jsonPath) for volatile values such as ids
+// and timestamps. executeRequest matches every response
+// against it and sets `response.snapshotResult`:
+//   { matched, status: { expected, actual, matched },
+//     entries, truncated, invalidPaths }
+// where entries are body differences from diffJson
+// (lib/responseDiff) after ignored values are masked out.
+// ============================================================
+
+import { queryJsonPathEntries } from "./jsonPath";
+import { diffJson } from "./responseDiff";
+
+// Larger bodies can't be saved as a snapshot (request
+// documents are limited to 1 MiB)
+export const MAX_SNAPSHOT_BYTES = 256 * 1024;
+
+// Stand-in for ignored values on both sides of the diff
+const IGNORED = "<ignored>";
+
+// Key names that usually hold ids and timestamps
+const VOLATILE_KEY =
+  /^(id|_id|uuid|guid|timestamp|date|time|created|updated|modified|expires|nonce)$|(Id|ID|_id|Uuid|At|_at|Date|_date|Time|_time|Timestamp)$/;
+
+// --------------------------------------------------
+// Snapshot of a response. Throws when the body is too
+// large to store on the request.
+// --------------------------------------------------
+export function createExpectedSnapshot(response, ignorePaths = []) {
+  const body = JSON.stringify(response.data ?? null);
+  if (new TextEncoder().encode(body).length > MAX_SNAPSHOT_BYTES) {
+    throw new Error(`Responses over ${MAX_SNAPSHOT_BYTES / 1024} KB can't be saved as a snapshot`);
+  }
+  return {
+    status: response.status,
+    body,
+    ignorePaths,
+    savedAt: new Date().toISOString(),
+  };
+}
+
+// --------------------------------------------------
+// `$..key` paths for primitive values under id- and
+// timestamp-like keys — offered as ignore paths
+// --------------------------------------------------
+export function suggestIgnorePaths(data) {
+  const keys = new Set();
+  const walk = (value) => {
+    if (!value || typeof value !== "object") return;
+    Object.entries(value).forEach(([key, child]) => {
+      if (!Array.isArray(value) && VOLATILE_KEY.test(key) && (child === null || typeof child !== "object")) {
+        keys.add(key);
+      }
+      walk(child);
+    });
+  };
+  walk(data);
+  // `..key` can't be written for keys containing . [ or ]
+  return [...keys].filter((key) => !/[.[\]]/.test(key)).map((key) => `$..${key}`);
+}
+
+// --------------------------------------------------
+// Copy of `value` with every match of the ignore paths
+// replaced by IGNORED. Malformed paths are returned in
+// invalidPaths.
+// --------------------------------------------------
+function maskIgnored(value, ignorePaths) {
+  let masked = structuredClone(value);
+  const invalidPaths = [];
+
+  ignorePaths.forEach((path) => {
+    let entries;
+    try {
+      entries = queryJsonPathEntries(masked, path);
+    } catch {
+      invalidPaths.push(path);
+      return;
+    }
+    // Deepest first, so `$..id` inside an ignored object
+    // still has a parent to write into
+    entries
+      .sort((a, b) => b.path.length - a.path.length)
+      .forEach(({ path: segments }) => {
+        if (!segments.length) {
+          masked = IGNORED;
+          return;
+        }
+        const parent = segments.slice(0, -1).reduce((node, key) => node?.[key], masked);
+        if (parent && typeof parent === "object") parent[segments[segments.length - 1]] = IGNORED;
+      });
+  });
+
+  return { masked, invalidPaths };
+}
+
+// --------------------------------------------------
+// Match a response against an expected snapshot
+// --------------------------------------------------
+export function matchSnapshot(expected, response) {
+  let expectedBody;
+  try {
+    expectedBody = JSON.parse(expected.body);
+  } catch {
+    expectedBody = expected.body;
+  }
+  const ignorePaths = expected.ignorePaths || [];
+  const before = maskIgnored(expectedBody ?? null, ignorePaths);
+  const after = maskIgnored(response.data ?? null, ignorePaths);
+  const { entries, truncated } = diffJson(before.masked, after.masked);
+  const statusMatched = expected.status === response.status;
+
+  return {
+    matched: statusMatched && entries.length === 0,
+    status: { expected: expected.status, actual: response.status, matched: statusMatched },
+    entries,
+    truncated,
+    invalidPaths: before.invalidPaths,
+  };
+}
+
+// One-line summary of a mismatch for run results and node
+// tooltips (null when the response matched)
+export function describeSnapshotMismatch(result) {
+  if (!result || result.matched) return null;
+  const parts = [];
+  if (!result.status.matched) parts.push(`status ${result.status.expected} → ${result.status.actual}`);
+  if (result.entries.length) {
+    const count = `${result.entries.length}${result.truncated ? "+" : ""}`;
+    const paths = result.entries.slice(0, 3).map((entry) => entry.path);
+    parts.push(
+      `${count} body difference${result.entries.length !== 1 ? "s" : ""} (${paths.join(", ")}${
+        result.entries.length > 3 ? ", …" : ""
+      })`
+    );
+  }
+  return `Snapshot mismatch: ${parts.join("; ")}`;
+}
@@ -0,0 +1,57 @@
+// ============================================================
+// fileData.js — File Attachments for Request Bodies
+// ============================================================
+// Form-data file fields and binary bodies travel to the proxy
+// as base64 inside the JSON payload. File contents are kept in
+// memory only — saved requests keep the file name / type so
+// the user can re-attach it (Firestore documents are capped
+// at 1 MB).
+// ============================================================
+
+// Matches the proxy's decoded body limit (MAX_BODY_BYTES)
+export const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+// --------------------------------------------------
+// Read a File into { fileName, contentType, size, data }
+// where data is base64. Rejects files over the limit.
+// --------------------------------------------------
+export function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    if (file.size > MAX_FILE_BYTES) {
+      reject(new Error(`${file.name} is larger than ${MAX_FILE_BYTES / (1024 * 1024)} MB`));
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      // Strip the "data:<type>;base64," prefix
+      const result = String(reader.result);
+      resolve({
+        fileName: file.name,
+        contentType: file.type || "application/octet-stream",
+        size: file.size,
+        data: result.slice(result.indexOf(",") + 1),
+      });
+    };
+    reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+    reader.readAsDataURL(file);
+  });
+}
+
+// Human-readable file size
+export const formatFileSize = (bytes = 0) =>
+  bytes < 1024 ? `${bytes} B` : bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+// --------------------------------------------------
+// Drop file contents from a request before saving it
+// (keeps name / type / size so the UI can prompt to
+// re-attach)
+// --------------------------------------------------
+export function withoutFileData(request) {
+  return {
+    ...request,
+    formFields: (request.formFields || []).map((field) =>
+      field.type === "file" ? { ...field, data: "" } : field
+    ),
+    binaryFile: request.binaryFile ? { ...request.binaryFile, data: "" } : null,
+  };
+}
@@ -0,0 +1,137 @@
+// ============================================================
+// flowRunner.js — Request Chaining Helpers for the Visualizer
+// ============================================================
+// Pure helpers used by "Run Flow":
+//   • getExecutionOrder — topological order of the graph
+//     (Kahn's algorithm), rejecting cycles
+//   • applyExtractions  — evaluate an edge's extraction rules
+//     against a node's response and return the new variables
+//   • toFlowExport / isFlowDocument — the portable JSON file
+//     the CLI runner (client/cli) runs flows from
+// Extraction rules live on `edge.data.extractions`:
+//   [{ source: "body" | "header" | "status", path, variable }]
+// Monitors run flows with a port of the first two
+// (server/flowRunner.js, checked by serverParity.test.js).
+// ============================================================
+
+import { getJsonPathValue } from "./jsonPath";
+
+// Error for a graph that can't be ordered (it has a cycle)
+export class FlowCycleError extends Error {}
+
+// --------------------------------------------------
+// Topologically sort nodes so every node runs after all
+// of its upstream dependencies. Disconnected nodes keep
+// their canvas order. Throws FlowCycleError if the graph
+// has a cycle.
+// --------------------------------------------------
+export function getExecutionOrder(nodes, edges) {
+  const nodeIds = new Set(nodes.map((n) => n.id));
+  const inDegree = new Map(nodes.map((n) => [n.id, 0]));
+  const outgoing = new Map(nodes.map((n) => [n.id, []]));
+
+  edges.forEach((edge) => {
+    if (!nodeIds.has(edge.source) || !nodeIds.has(edge.target)) return;
+    outgoing.get(edge.source).push(edge.target);
+    inDegree.set(edge.target, inDegree.get(edge.target) + 1);
+  });
+
+  const queue = nodes.filter((n) => inDegree.get(n.id) === 0).map((n) => n.id);
+  const order = [];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+    outgoing.get(id).forEach((targetId) => {
+      inDegree.set(targetId, inDegree.get(targetId) - 1);
+      if (inDegree.get(targetId) === 0) queue.push(targetId);
+    });
+  }
+
+  if (order.length !== nodes.length) {
+    throw new FlowCycleError("The flow contains a cycle — remove a connection to run it");
+  }
+
+  return order;
+}
+
+// Case-insensitive response header lookup
+const findHeader = (headers = {}, name) => {
+  const key = Object.keys(headers).find((h) => h.toLowerCase() === name.trim().toLowerCase());
+  return key ? headers[key] : undefined;
+};
+
+// --------------------------------------------------
+// Run an edge's extraction rules against a proxy response.
+// Returns { variables, errors } — errors list rules whose
+// path matched nothing so the flow can stop.
+// --------------------------------------------------
+export function applyExtractions(rules = [], response) {
+  const variables = {};
+  const errors = [];
+
+  rules.forEach((rule) => {
+    if (!rule.variable?.trim()) return;
+
+    let value;
+    if (rule.source === "header") {
+      value = findHeader(response.headers, rule.path || "");
+    } else if (rule.source === "status") {
+      value = response.status;
+    } else {
+      let body = response.data;
+      if (typeof body === "string") {
+        try {
+          body = JSON.parse(body);
+        } catch {
+          // Leave non-JSON bodies as strings — only `$` can match them
+        }
+      }
+      value = getJsonPathValue(body, rule.path || "$");
+    }
+
+    if (value === undefined) {
+      errors.push(`${rule.path || rule.source} matched nothing for {{${rule.variable.trim()}}}`);
+      return;
+    }
+
+    variables[rule.variable.trim()] =
+      typeof value === "object" && value !== null ? JSON.stringify(value) : String(value);
+  });
+
+  return { variables, errors };
+}
+
+// Per-run node state that has no place in an exported file
+const RUN_STATE_FIELDS = [
+  "isRunning",
+  "simulationActive",
+  "lastStatus",
+  "lastResponse",
+  "lastResponseTime",
+  "lastTested",
+  "lastSnapshot",
+];
+
+// --------------------------------------------------
+// A graph as a standalone JSON document:
+//   { apicanvas: "flow", version: 1, name, nodes, edges }
+// Nodes keep their saved request (fullRequest) and edges
+// their extraction rules; run state is dropped.
+// --------------------------------------------------
+export function toFlowExport(name, nodes, edges) {
+  return {
+    apicanvas: "flow",
+    version: 1,
+    name: name || "Flow",
+    nodes: nodes.map((node) => {
+      const data = { ...node.data };
+      RUN_STATE_FIELDS.forEach((field) => delete data[field]);
+      return { id: node.id, type: node.type, position: node.position, data };
+    }),
+    edges: edges.map((edge) => ({ ...edge, animated: false })),
+  };
+}
+
+// A flow export — or any { nodes, edges } graph document
+export const isFlowDocument = (data) => Array.isArray(data?.nodes) && Array.isArray(data?.edges);
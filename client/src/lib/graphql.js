@@ -0,0 +1,280 @@
+// ============================================================
+// graphql.js — GraphQL Mode Helpers
+// ============================================================
+// Used by the GraphQL body type in RequestBuilder:
+//   • fetchSchema      — run the introspection query through
+//     the proxy with the request's URL, headers and auth
+//   • listOperations   — named operations in a document (for
+//     the operation name selector)
+//   • getCompletions   — field / argument suggestions at the
+//     cursor, from the introspected schema
+//   • typeToString / namedType — schema explorer helpers
+// No graphql-js dependency: the document is scanned just far
+// enough to know which type the cursor is inside.
+// ============================================================
+
+import { buildProxyPayload, sendProxyRequest } from "./requestBuilder";
+
+export const INTROSPECTION_QUERY = `query IntrospectionQuery {
+  __schema {
+    queryType { name }
+    mutationType { name }
+    subscriptionType { name }
+    types {
+      kind
+      name
+      description
+      fields(includeDeprecated: true) {
+        name
+        description
+        args { name description type { ...TypeRef } defaultValue }
+        type { ...TypeRef }
+        isDeprecated
+        deprecationReason
+      }
+      inputFields { name description type { ...TypeRef } defaultValue }
+      enumValues(includeDeprecated: true) { name description isDeprecated }
+      possibleTypes { name }
+    }
+  }
+}
+
+fragment TypeRef on __Type {
+  kind
+  name
+  ofType {
+    kind
+    name
+    ofType {
+      kind
+      name
+      ofType {
+        kind
+        name
+        ofType { kind name ofType { kind name ofType { kind name } } }
+      }
+    }
+  }
+}`;
+
+// ────────────────────────────────────────────────────────────
+// Introspection
+// ────────────────────────────────────────────────────────────
+
+// --------------------------------------------------
+// Introspect the endpoint a request points at. Uses the
+// request's headers / auth so protected APIs work.
+// Resolves with the `__schema` object or throws with a
+// readable message.
+// --------------------------------------------------
+export async function fetchSchema(request, { variables = {} } = {}) {
+  const payload = buildProxyPayload(
+    {
+      ...request,
+      method: "POST",
+      bodyType: "graphql",
+      graphqlQuery: INTROSPECTION_QUERY,
+      graphqlVariables: "",
+      graphqlOperationName: "IntrospectionQuery",
+    },
+    { variables }
+  );
+  const response = await sendProxyRequest(payload);
+  const body = response.data;
+
+  if (body?.errors?.length) {
+    throw new Error(body.errors.map((e) => e.message).join("; "));
+  }
+  if (response.status < 200 || response.status >= 300) {
+    throw new Error(`Introspection failed: ${response.status} ${response.statusText}`);
+  }
+  if (!body?.data?.__schema) {
+    throw new Error("The response isn't a GraphQL introspection result");
+  }
+  return body.data.__schema;
+}
+
+// ────────────────────────────────────────────────────────────
+// Type helpers
+// ────────────────────────────────────────────────────────────
+
+// Innermost named type of a (possibly wrapped) type ref
+export function namedType(typeRef) {
+  let current = typeRef;
+  while (current?.ofType) current = current.ofType;
+  return current?.name || null;
+}
+
+// GraphQL notation for a type ref: [User!]!
+export function typeToString(typeRef) {
+  if (!typeRef) return "";
+  if (typeRef.kind === "NON_NULL") return `${typeToString(typeRef.ofType)}!`;
+  if (typeRef.kind === "LIST") return `[${typeToString(typeRef.ofType)}]`;
+  return typeRef.name;
+}
+
+// Schema type by name
+export const findType = (schema, name) => schema?.types?.find((t) => t.name === name) || null;
+
+// Root operation types present in the schema
+export function rootTypes(schema) {
+  if (!schema) return [];
+  return [
+    { operation: "query", name: schema.queryType?.name },
+    { operation: "mutation", name: schema.mutationType?.name },
+    { operation: "subscription", name: schema.subscriptionType?.name },
+  ].filter((root) => root.name);
+}
+
+// ────────────────────────────────────────────────────────────
+// Document scanning
+// ────────────────────────────────────────────────────────────
+
+// Blank out comments and string literals (same length, so
+// offsets still line up with the original text)
+function maskDocument(text) {
+  return text
+    .replace(/"""[\s\S]*?(?:"""|$)/g, (m) => m.replace(/[^\n]/g, " "))
+    .replace(/"(?:[^"\\\n]|\\.)*(?:"|$)/gm, (m) => " ".repeat(m.length))
+    .replace(/#[^\n]*/g, (m) => " ".repeat(m.length));
+}
+
+// --------------------------------------------------
+// Named operations in a document, in order:
+// [{ type: "query" | "mutation" | "subscription", name }]
+// --------------------------------------------------
+export function listOperations(query) {
+  const masked = maskDocument(query || "");
+  const operations = [];
+  const pattern = /\b(query|mutation|subscription)\s+([_A-Za-z][_0-9A-Za-z]*)/g;
+  let depth = 0;
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(masked))) {
+    // Only top-level definitions (skip fields named `query` etc.)
+    for (const ch of masked.slice(last, match.index)) {
+      if (ch === "{") depth += 1;
+      if (ch === "}") depth -= 1;
+    }
+    last = match.index;
+    if (depth === 0) operations.push({ type: match[1], name: match[2] });
+  }
+  return operations;
+}
+
+// --------------------------------------------------
+// Work out what the cursor is inside: the type whose
+// fields apply, and — inside a field's (...) — that
+// field's arguments. Returns { typeName, field } where
+// field is set only inside an argument list.
+// --------------------------------------------------
+function scanContext(schema, text) {
+  const stack = []; // type names of open selection sets
+  const parens = []; // fields whose argument list is open
+  let pending = null; // type the next "{" opens
+  let lastField = null; // field the next "(" belongs to
+  let afterOn = false; // previous token was `on`
+  let afterSpread = false; // previous token was `...`
+  let afterFragment = false; // previous token was `fragment`
+  let afterAt = false; // previous token was `@` (directive)
+
+  const tokens = text.match(/\.\.\.|[_A-Za-z][_0-9A-Za-z]*|[{}():@$!=[\],]/g) || [];
+  const currentType = () => findType(schema, stack[stack.length - 1]);
+
+  tokens.forEach((token) => {
+    if (token === "{") {
+      const fallback = stack.length === 0 ? schema.queryType?.name : null;
+      stack.push(pending || fallback);
+      pending = null;
+      lastField = null;
+    } else if (token === "}") {
+      stack.pop();
+      pending = null;
+      lastField = null;
+    } else if (token === "(") {
+      parens.push(lastField);
+    } else if (token === ")") {
+      parens.pop();
+    } else if (token === "...") {
+      afterSpread = true;
+      return;
+    } else if (token === "@") {
+      afterAt = true;
+      return;
+    } else if (parens.length > 0) {
+      // Argument names / values — don't change the selection
+    } else if (afterAt) {
+      lastField = null;
+    } else if (afterOn) {
+      pending = token;
+    } else if (token === "on" && (afterSpread || afterFragment)) {
+      afterOn = true;
+      afterSpread = false;
+      afterFragment = false;
+      return;
+    } else if (stack.length === 0) {
+      // `fragment Name on Type` — wait for `on`
+      if (token === "fragment" || afterFragment) {
+        afterFragment = true;
+        return;
+      }
+      const root = rootTypes(schema).find((r) => r.operation === token);
+      if (root) pending = root.name;
+    } else if (/^[_A-Za-z]/.test(token) && !afterSpread) {
+      // Field (aliases are overwritten by the real name after ":")
+      const field = currentType()?.fields?.find((f) => f.name === token);
+      pending = field ? namedType(field.type) : null;
+      lastField = field || null;
+    }
+    afterOn = false;
+    afterSpread = false;
+    afterAt = false;
+    afterFragment = false;
+  });
+
+  if (parens.length > 0) return { typeName: null, field: parens[parens.length - 1] };
+  return { typeName: stack[stack.length - 1] || null, field: null };
+}
+
+// --------------------------------------------------
+// Autocomplete at `cursor`. Returns { from, to, items }
+// where items are [{ label, detail, description }] and
+// [from, to) is the partial word they replace.
+// --------------------------------------------------
+export function getCompletions(schema, query, cursor) {
+  const empty = { from: cursor, to: cursor, items: [] };
+  if (!schema) return empty;
+
+  const before = query.slice(0, cursor);
+  const word = /[_A-Za-z][_0-9A-Za-z]*$/.exec(before)?.[0] || "";
+  const from = cursor - word.length;
+  const masked = maskDocument(before.slice(0, from));
+
+  // Inside a string or comment — nothing to suggest
+  if (maskDocument(before).slice(from) !== before.slice(from)) return empty;
+
+  const { typeName, field } = scanContext(schema, masked);
+  let candidates = [];
+
+  if (field) {
+    candidates = (field.args || []).map((arg) => ({
+      label: arg.name,
+      detail: typeToString(arg.type),
+      description: arg.description || "",
+    }));
+  } else if (typeName) {
+    const type = findType(schema, typeName);
+    candidates = (type?.fields || []).map((f) => ({
+      label: f.name,
+      detail: typeToString(f.type),
+      description: f.isDeprecated ? `Deprecated: ${f.deprecationReason || ""}` : f.description || "",
+    }));
+    candidates.push({ label: "__typename", detail: "String!", description: "" });
+  }
+
+  const prefix = word.toLowerCase();
+  const items = candidates
+    .filter((c) => c.label.toLowerCase().startsWith(prefix) && c.label !== word)
+    .slice(0, 50);
+  return { from, to: cursor, items };
+}
@@ -0,0 +1,59 @@
+// ============================================================
+// importCollection.js — Persist Imported Collections
+// ============================================================
+// Firestore writes shared by every importer (OpenAPI,
+// Postman, Insomnia). Callers convert their format into
+// saved-request objects first, then hand them here; the
+// returned documents are pushed into Zustand by the caller.
+// ============================================================
+
+import { collection, addDoc } from "firebase/firestore";
+import { db } from "./firebase";
+
+// --------------------------------------------------
+// Create a collection + one request document each.
+// Lists are shown newest first, so created_at is
+// staggered to keep the source order.
+// Resolves with { collection, requests } (with ids).
+// --------------------------------------------------
+export async function saveImportedCollection({ name, description = "", requests }, userId) {
+  const now = Date.now();
+  const collectionData = {
+    name: name.trim(),
+    description: description.slice(0, 500),
+    user_id: userId,
+    created_at: new Date(now),
+  };
+  const colRef = await addDoc(collection(db, "collections"), collectionData);
+
+  const saved = await Promise.all(
+    requests.map(async (req, index) => {
+      const requestData = {
+        ...req,
+        collection_id: colRef.id,
+        user_id: userId,
+        created_at: new Date(now - index),
+      };
+      const docRef = await addDoc(collection(db, "requests"), requestData);
+      return { id: docRef.id, ...requestData };
+    })
+  );
+
+  return { collection: { id: colRef.id, ...collectionData }, requests: saved };
+}
+
+// --------------------------------------------------
+// Create an environment from imported variables
+// (collection variables / Insomnia environments).
+// Resolves with the environment (with id).
+// --------------------------------------------------
+export async function saveImportedEnvironment({ name, variables }, userId) {
+  const envData = {
+    name: name.trim(),
+    variables,
+    user_id: userId,
+    created_at: new Date(),
+  };
+  const envRef = await addDoc(collection(db, "environments"), envData);
+  return { id: envRef.id, ...envData };
+}
@@ -0,0 +1,154 @@
+// ============================================================
+// jsonPath.js — Minimal JSONPath Evaluator
+// ============================================================
+// Supports the subset of JSONPath needed to pull values out
+// of API responses:
+//   $                 root
+//   .key / ['key']    child member
+//   [0] / [-1]        array index (negative counts from end)
+//   [*] / .*          every child
+//   ..key             recursive descent
+// No filter or script expressions — keeps evaluation safe.
+// queryJsonPathEntries also returns where each match was
+// found (as path segments), for the response JSON tree.
+// server/jsonPath.js is a port for monitors and mocks —
+// serverParity.test.js keeps the two in step.
+// ============================================================
+
+// Split a path like $.data.items[0]['first name'] into tokens
+function tokenize(path) {
+  const tokens = [];
+  let i = path.startsWith("$") ? 1 : 0;
+
+  while (i < path.length) {
+    const ch = path[i];
+
+    if (ch === ".") {
+      // Recursive descent `..key` / `..*`
+      if (path[i + 1] === ".") {
+        i += 2;
+        const match = /^(\*|[^.[\]]+)/.exec(path.slice(i));
+        if (!match) throw new Error(`Invalid JSONPath near "${path.slice(i - 2)}"`);
+        tokens.push({ type: "descend", key: match[1] });
+        i += match[1].length;
+        continue;
+      }
+      i += 1;
+      const match = /^(\*|[^.[\]]+)/.exec(path.slice(i));
+      if (!match) throw new Error(`Invalid JSONPath near "${path.slice(i - 1)}"`);
+      tokens.push(match[1] === "*" ? { type: "wildcard" } : { type: "key", key: match[1] });
+      i += match[1].length;
+      continue;
+    }
+
+    if (ch === "[") {
+      const end = path.indexOf("]", i);
+      if (end === -1) throw new Error("Unclosed [ in JSONPath");
+      const inner = path.slice(i + 1, end).trim();
+      if (inner === "*") {
+        tokens.push({ type: "wildcard" });
+      } else if (/^-?\d+$/.test(inner)) {
+        tokens.push({ type: "index", index: Number(inner) });
+      } else if (/^(['"]).*\1$/.test(inner)) {
+        tokens.push({ type: "key", key: inner.slice(1, -1) });
+      } else {
+        throw new Error(`Unsupported JSONPath segment [${inner}]`);
+      }
+      i = end + 1;
+      continue;
+    }
+
+    // Bare leading key (e.g. "data.token" without the $.)
+    const match = /^[^.[\]]+/.exec(path.slice(i));
+    tokens.push({ type: "key", key: match[0] });
+    i += match[0].length;
+  }
+
+  return tokens;
+}
+
+// Every child of an object / array as { value, path }
+const childrenOf = ({ value, path }) =>
+  value && typeof value === "object"
+    ? Object.keys(value).map((key) => ({
+        value: value[key],
+        path: [...path, Array.isArray(value) ? Number(key) : key],
+      }))
+    : [];
+
+// Collect `key` matches at any depth below `entry`
+function descend(entry, key, out) {
+  const { value, path } = entry;
+  if (!value || typeof value !== "object") return;
+  if (key === "*") {
+    childrenOf(entry).forEach((child) => {
+      out.push(child);
+      descend(child, key, out);
+    });
+    return;
+  }
+  if (!Array.isArray(value) && Object.prototype.hasOwnProperty.call(value, key)) {
+    out.push({ value: value[key], path: [...path, key] });
+  }
+  childrenOf(entry).forEach((child) => descend(child, key, out));
+}
+
+// --------------------------------------------------
+// Evaluate a JSONPath and return every match as
+// { value, path } (path = keys / indexes from the root).
+// Throws on a malformed path.
+// --------------------------------------------------
+export function queryJsonPathEntries(data, path) {
+  const tokens = tokenize(path.trim());
+  let current = [{ value: data, path: [] }];
+
+  for (const token of tokens) {
+    const next = [];
+    current.forEach((entry) => {
+      const { value } = entry;
+      if (token.type === "key") {
+        if (value && typeof value === "object" && Object.prototype.hasOwnProperty.call(value, token.key)) {
+          next.push({ value: value[token.key], path: [...entry.path, token.key] });
+        }
+      } else if (token.type === "index") {
+        if (Array.isArray(value)) {
+          const idx = token.index < 0 ? value.length + token.index : token.index;
+          if (idx >= 0 && idx < value.length) next.push({ value: value[idx], path: [...entry.path, idx] });
+        }
+      } else if (token.type === "wildcard") {
+        next.push(...childrenOf(entry));
+      } else if (token.type === "descend") {
+        descend(entry, token.key, next);
+      }
+    });
+    current = next;
+  }
+
+  return current;
+}
+
+// Evaluate a JSONPath and return every matching value
+// (throws on a malformed path)
+export function queryJsonPath(data, path) {
+  return queryJsonPathEntries(data, path).map((entry) => entry.value);
+}
+
+// Path segments → "$.data.items[0]['first name']"
+export function formatJsonPath(segments) {
+  return segments.reduce((out, segment) => {
+    if (typeof segment === "number") return `${out}[${segment}]`;
+    if (/^[A-Za-z_$][\w$]*$/.test(segment)) return `${out}.${segment}`;
+    // The tokenizer doesn't unescape, so pick the other quote
+    const quote = segment.includes("'") ? '"' : "'";
+    return `${out}[${quote}${segment}${quote}]`;
+  }, "$");
+}
+
+// Return the first match, or undefined (never throws)
+export function getJsonPathValue(data, path) {
+  try {
+    return queryJsonPath(data, path)[0];
+  } catch {
+    return undefined;
+  }
+}
@@ -0,0 +1,296 @@
+// ============================================================
+// jsonSchema.js — Minimal JSON Schema Validator
+// ============================================================
+// Validates response bodies against the JSON Schema attached
+// to a request (`responseSchema`, pasted or derived from an
+// OpenAPI operation). Covers the keywords API descriptions
+// use, from draft-04 to 2020-12 plus OpenAPI's `nullable`:
+//   type, enum, const
+//   properties, required, additionalProperties,
+//   patternProperties, min/maxProperties
+//   items (schema or tuple), prefixItems, contains,
+//   min/maxItems, uniqueItems
+//   min/maxLength, pattern, format (common formats)
+//   minimum, maximum, exclusiveMinimum / Maximum (boolean
+//   or number), multipleOf
+//   allOf, anyOf, oneOf, not, local $ref ("#/...")
+// Unknown keywords and formats are ignored. Violations are
+// { path, message } with JSONPath locations.
+// ============================================================
+
+import { formatJsonPath } from "./jsonPath";
+
+// Validation stops collecting after this many violations
+export const MAX_SCHEMA_ERRORS = 200;
+
+// Recursive $refs give up past this depth
+const MAX_DEPTH = 64;
+
+// String formats that are checked (others always pass)
+const FORMATS = {
+  "date-time": (v) =>
+    /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?([Zz]|[+-]\d{2}:?\d{2})$/.test(v) && !Number.isNaN(Date.parse(v)),
+  date: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v)),
+  time: (v) => /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/.test(v),
+  email: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+  uri: (v) => URL.canParse(v),
+  url: (v) => URL.canParse(v),
+  uuid: (v) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v),
+  ipv4: (v) => /^((25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(25[0-5]|2[0-4]\d|1?\d?\d)$/.test(v),
+  hostname: (v) => /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i.test(v),
+};
+
+// JSON type name of a value ("integer" for whole numbers)
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+};
+
+// Structural equality for enum / const / uniqueItems
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== "object" || typeof b !== "object" || !a || !b) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every((key) => key in b && isEqual(a[key], b[key]));
+}
+
+// Follow a local "#/definitions/User" style pointer
+function resolveRef(root, ref) {
+  if (ref === "#") return root;
+  if (typeof ref !== "string" || !ref.startsWith("#/")) return undefined;
+  return ref
+    .slice(2)
+    .split("/")
+    .map((part) => decodeURIComponent(part).replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((node, key) => (node && typeof node === "object" ? node[key] : undefined), root);
+}
+
+const preview = (value) => {
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+};
+
+// --------------------------------------------------
+// Violations of `schema` by `value` at `segments`
+// (path keys / indexes from the root)
+// --------------------------------------------------
+function check(schema, value, segments, root, depth) {
+  const at = (message) => ({ path: formatJsonPath(segments), message });
+
+  if (schema === true || schema === undefined) return [];
+  if (schema === false) return [at("No value is allowed here")];
+  if (!schema || typeof schema !== "object") return [];
+  if (depth > MAX_DEPTH) return [];
+
+  const errors = [];
+  const sub = (childSchema, childValue, childSegments = segments) =>
+    check(childSchema, childValue, childSegments, root, depth + 1);
+
+  // $ref (siblings still apply, as in 2019-09+)
+  if (typeof schema.$ref === "string") {
+    const target = resolveRef(root, schema.$ref);
+    if (target === undefined) return [at(`Can't resolve $ref ${schema.$ref}`)];
+    errors.push(...sub(target, value));
+  }
+
+  // OpenAPI 3.0: `nullable: true` allows null whatever the type
+  if (value === null && schema.nullable === true) return errors;
+
+  // Type — further keywords are skipped on a mismatch
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(at(`Expected ${types.join(" or ")} but got ${typeOf(value) === "integer" ? "number" : typeOf(value)}`));
+      return errors;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some((option) => isEqual(option, value))) {
+    errors.push(at(`${preview(value)} is not one of ${schema.enum.map(preview).join(", ")}`));
+  }
+  if ("const" in schema && !isEqual(schema.const, value)) {
+    errors.push(at(`Expected ${preview(schema.const)}`));
+  }
+
+  // Combinators
+  (schema.allOf || []).forEach((part) => errors.push(...sub(part, value)));
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some((part) => sub(part, value).length === 0)) {
+    errors.push(at("Doesn't match any of the anyOf schemas"));
+  }
+  if (Array.isArray(schema.oneOf)) {
+    const matching = schema.oneOf.filter((part) => sub(part, value).length === 0).length;
+    if (matching !== 1) {
+      errors.push(at(matching ? `Matches ${matching} oneOf schemas instead of exactly one` : "Doesn't match any of the oneOf schemas"));
+    }
+  }
+  if (schema.not !== undefined && sub(schema.not, value).length === 0) {
+    errors.push(at("Matches a schema it must not match"));
+  }
+
+  // Numbers
+  if (typeof value === "number") {
+    const exclusiveMin = schema.exclusiveMinimum === true ? schema.minimum : schema.exclusiveMinimum;
+    const exclusiveMax = schema.exclusiveMaximum === true ? schema.maximum : schema.exclusiveMaximum;
+    if (typeof exclusiveMin === "number" && value <= exclusiveMin) errors.push(at(`Must be greater than ${exclusiveMin}`));
+    else if (typeof schema.minimum === "number" && value < schema.minimum) errors.push(at(`Must be at least ${schema.minimum}`));
+    if (typeof exclusiveMax === "number" && value >= exclusiveMax) errors.push(at(`Must be less than ${exclusiveMax}`));
+    else if (typeof schema.maximum === "number" && value > schema.maximum) errors.push(at(`Must be at most ${schema.maximum}`));
+    if (typeof schema.multipleOf === "number" && schema.multipleOf > 0) {
+      const quotient = value / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) errors.push(at(`Must be a multiple of ${schema.multipleOf}`));
+    }
+  }
+
+  // Strings
+  if (typeof value === "string") {
+    const length = [...value].length;
+    if (typeof schema.minLength === "number" && length < schema.minLength) {
+      errors.push(at(`Must be at least ${schema.minLength} characters`));
+    }
+    if (typeof schema.maxLength === "number" && length > schema.maxLength) {
+      errors.push(at(`Must be at most ${schema.maxLength} characters`));
+    }
+    if (typeof schema.pattern === "string") {
+      try {
+        if (!new RegExp(schema.pattern, "u").test(value)) errors.push(at(`Doesn't match pattern ${schema.pattern}`));
+      } catch {
+        // Patterns JavaScript can't compile are ignored
+      }
+    }
+    if (FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      errors.push(at(`Not a valid ${schema.format}`));
+    }
+  }
+
+  // Arrays
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === "number" && value.length < schema.minItems) {
+      errors.push(at(`Must have at least ${schema.minItems} items`));
+    }
+    if (typeof schema.maxItems === "number" && value.length > schema.maxItems) {
+      errors.push(at(`Must have at most ${schema.maxItems} items`));
+    }
+    if (schema.uniqueItems === true && value.some((item, i) => value.findIndex((other) => isEqual(other, item)) !== i)) {
+      errors.push(at("Items must be unique"));
+    }
+
+    // Tuple items (prefixItems, or draft-04 array `items`), then the rest
+    const tuple = Array.isArray(schema.prefixItems) ? schema.prefixItems : Array.isArray(schema.items) ? schema.items : null;
+    const rest = tuple ? (Array.isArray(schema.items) ? schema.additionalItems : schema.items) : schema.items;
+    value.forEach((item, index) => {
+      const itemSchema = tuple && index < tuple.length ? tuple[index] : rest;
+      if (itemSchema !== undefined) errors.push(...sub(itemSchema, item, [...segments, index]));
+    });
+
+    if (schema.contains !== undefined && !value.some((item, index) => sub(schema.contains, item, [...segments, index]).length === 0)) {
+      errors.push(at("No item matches the contains schema"));
+    }
+  }
+
+  // Objects
+  if (typeOf(value) === "object") {
+    const keys = Object.keys(value);
+    if (typeof schema.minProperties === "number" && keys.length < schema.minProperties) {
+      errors.push(at(`Must have at least ${schema.minProperties} properties`));
+    }
+    if (typeof schema.maxProperties === "number" && keys.length > schema.maxProperties) {
+      errors.push(at(`Must have at most ${schema.maxProperties} properties`));
+    }
+    (Array.isArray(schema.required) ? schema.required : []).forEach((key) => {
+      if (!(key in value)) errors.push(at(`Missing required property "${key}"`));
+    });
+
+    const properties = schema.properties || {};
+    const patterns = Object.entries(schema.patternProperties || {}).flatMap(([pattern, patternSchema]) => {
+      try {
+        return [{ regex: new RegExp(pattern, "u"), schema: patternSchema }];
+      } catch {
+        return [];
+      }
+    });
+
+    keys.forEach((key) => {
+      const childSegments = [...segments, key];
+      let known = false;
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        known = true;
+        errors.push(...sub(properties[key], value[key], childSegments));
+      }
+      patterns
+        .filter(({ regex }) => regex.test(key))
+        .forEach((pattern) => {
+          known = true;
+          errors.push(...sub(pattern.schema, value[key], childSegments));
+        });
+      if (!known && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          errors.push({ path: formatJsonPath(childSegments), message: "Property is not allowed" });
+        } else {
+          errors.push(...sub(schema.additionalProperties, value[key], childSegments));
+        }
+      }
+    });
+  }
+
+  return errors;
+}
+
+// --------------------------------------------------
+// Validate a value against a schema object.
+// Returns { valid, errors, truncated }.
+// --------------------------------------------------
+export function validateJsonSchema(schema, value) {
+  const errors = check(schema, value, [], schema, 0);
+  return {
+    valid: errors.length === 0,
+    errors: errors.slice(0, MAX_SCHEMA_ERRORS),
+    truncated: errors.length > MAX_SCHEMA_ERRORS,
+  };
+}
+
+// Parse schema text; returns { schema } or { error }
+export function parseSchemaText(text) {
+  try {
+    const schema = JSON.parse(text);
+    if (typeof schema !== "object" && typeof schema !== "boolean") {
+      return { error: "A schema must be a JSON object" };
+    }
+    return { schema };
+  } catch (err) {
+    return { error: `Schema isn't valid JSON: ${err.message}` };
+  }
+}
+
+// --------------------------------------------------
+// Validate a proxy response against a request's
+// `responseSchema` ({ text, source, label }). Returns
+// { valid, errors, truncated } or { valid: false,
+// errors: [], error } when it can't be checked.
+// --------------------------------------------------
+export function validateResponseSchema(responseSchema, response) {
+  const { schema, error } = parseSchemaText(responseSchema.text);
+  if (error) return { valid: false, errors: [], truncated: false, error };
+  if (response.encoding === "base64") {
+    return { valid: false, errors: [], truncated: false, error: "Binary responses can't be validated against a schema" };
+  }
+  return validateJsonSchema(schema, response.data ?? null);
+}
+
+// One-line summary of schema violations for run results
+// (null when the response is valid or wasn't checked)
+export function describeSchemaFailures(result) {
+  if (!result || result.valid) return null;
+  if (result.error) return result.error;
+  const count = `${result.errors.length}${result.truncated ? "+" : ""}`;
+  const first = result.errors[0];
+  return `${count} schema violation${result.errors.length !== 1 ? "s" : ""} — ${first.path}: ${first.message}`;
+}
@@ -0,0 +1,306 @@
+import { describe, expect, it } from "vitest";
+import {
+  describeSchemaFailures,
+  MAX_SCHEMA_ERRORS,
+  parseSchemaText,
+  validateJsonSchema,
+  validateResponseSchema,
+} from "./jsonSchema";
+
+// "path: message" for every violation
+const violations = (schema, value) =>
+  validateJsonSchema(schema, value).errors.map(({ path, message }) => `${path}: ${message}`);
+
+const isValid = (schema, value) => validateJsonSchema(schema, value).valid;
+
+describe("validateJsonSchema", () => {
+  it("accepts anything for true / {} and nothing for false", () => {
+    expect(isValid(true, { a: 1 })).toBe(true);
+    expect(isValid({}, null)).toBe(true);
+    expect(violations(false, 1)).toEqual(["$: No value is allowed here"]);
+  });
+
+  describe("type", () => {
+    it("checks single and listed types", () => {
+      expect(isValid({ type: "string" }, "a")).toBe(true);
+      expect(violations({ type: "string" }, 1)).toEqual(["$: Expected string but got number"]);
+      expect(isValid({ type: ["string", "null"] }, null)).toBe(true);
+      expect(violations({ type: ["string", "null"] }, [])).toEqual(["$: Expected string or null but got array"]);
+    });
+
+    it("treats integers as numbers but not the other way round", () => {
+      expect(isValid({ type: "number" }, 3)).toBe(true);
+      expect(isValid({ type: "integer" }, 3)).toBe(true);
+      expect(violations({ type: "integer" }, 3.5)).toEqual(["$: Expected integer but got number"]);
+    });
+
+    it("skips the other keywords on a mismatch", () => {
+      expect(violations({ type: "object", required: ["id"] }, "x")).toEqual(["$: Expected object but got string"]);
+    });
+  });
+
+  it("checks enum and const structurally", () => {
+    expect(isValid({ enum: ["a", { b: [1] }] }, { b: [1] })).toBe(true);
+    expect(violations({ enum: ["a", "b"] }, "c")).toEqual(['$: "c" is not one of "a", "b"']);
+    expect(isValid({ const: { a: 1 } }, { a: 1 })).toBe(true);
+    expect(violations({ const: 1 }, 2)).toEqual(["$: Expected 1"]);
+  });
+
+  describe("nullable", () => {
+    it("allows null whatever the type", () => {
+      expect(isValid({ type: "string", nullable: true }, null)).toBe(true);
+      expect(isValid({ type: "string", nullable: true, enum: ["a"] }, null)).toBe(true);
+      expect(violations({ type: "string" }, null)).toEqual(["$: Expected string but got null"]);
+    });
+
+    it("still checks values that aren't null", () => {
+      expect(violations({ type: "string", nullable: true }, 1)).toEqual(["$: Expected string but got number"]);
+    });
+  });
+
+  describe("numbers", () => {
+    it("checks minimum, maximum and multipleOf", () => {
+      const schema = { minimum: 1, maximum: 10, multipleOf: 0.5 };
+      expect(isValid(schema, 1)).toBe(true);
+      expect(isValid(schema, 9.5)).toBe(true);
+      expect(violations(schema, 0)).toEqual(["$: Must be at least 1"]);
+      expect(violations(schema, 11)).toEqual(["$: Must be at most 10"]);
+      expect(violations(schema, 2.25)).toEqual(["$: Must be a multiple of 0.5"]);
+      expect(isValid({ multipleOf: 0.1 }, 0.3)).toBe(true);
+    });
+
+    it("reads draft-04 boolean exclusive bounds", () => {
+      const schema = { minimum: 0, exclusiveMinimum: true, maximum: 5, exclusiveMaximum: true };
+      expect(isValid(schema, 1)).toBe(true);
+      expect(violations(schema, 0)).toEqual(["$: Must be greater than 0"]);
+      expect(violations(schema, 5)).toEqual(["$: Must be less than 5"]);
+      expect(isValid({ minimum: 0, exclusiveMinimum: false }, 0)).toBe(true);
+    });
+
+    it("reads draft-06+ numeric exclusive bounds", () => {
+      const schema = { exclusiveMinimum: 0, exclusiveMaximum: 5 };
+      expect(isValid(schema, 4.9)).toBe(true);
+      expect(violations(schema, 0)).toEqual(["$: Must be greater than 0"]);
+      expect(violations(schema, 5)).toEqual(["$: Must be less than 5"]);
+    });
+  });
+
+  describe("strings", () => {
+    it("counts code points for minLength / maxLength", () => {
+      expect(isValid({ minLength: 2, maxLength: 2 }, "😀😀")).toBe(true);
+      expect(violations({ minLength: 2 }, "a")).toEqual(["$: Must be at least 2 characters"]);
+      expect(violations({ maxLength: 1 }, "ab")).toEqual(["$: Must be at most 1 characters"]);
+    });
+
+    it("checks patterns and ignores ones JavaScript can't compile", () => {
+      expect(isValid({ pattern: "^[a-z]+$" }, "abc")).toBe(true);
+      expect(violations({ pattern: "^[a-z]+$" }, "ab1")).toEqual(["$: Doesn't match pattern ^[a-z]+$"]);
+      expect(isValid({ pattern: "(?<" }, "anything")).toBe(true);
+    });
+
+    it.each([
+      ["date-time", "2026-01-05T10:00:00Z", "2026-01-05 10:00"],
+      ["date", "2026-01-05", "05/01/2026"],
+      ["time", "10:00:00+01:00", "10am"],
+      ["email", "ada@example.com", "ada@example"],
+      ["uri", "https://example.com/a", "example.com"],
+      ["uuid", "0b8e8a4e-8f5c-4c1e-9b5a-3f1d2c3b4a5e", "0b8e8a4e"],
+      ["ipv4", "192.168.0.1", "256.0.0.1"],
+      ["hostname", "api.example.com", "-bad-.com"],
+    ])("checks the %s format", (format, good, bad) => {
+      expect(isValid({ format }, good)).toBe(true);
+      expect(violations({ format }, bad)).toEqual([`$: Not a valid ${format}`]);
+    });
+
+    it("ignores unknown formats and non-string values", () => {
+      expect(isValid({ format: "credit-card" }, "x")).toBe(true);
+      expect(isValid({ format: "email" }, 1)).toBe(true);
+    });
+  });
+
+  describe("arrays", () => {
+    it("checks minItems, maxItems and uniqueItems", () => {
+      expect(violations({ minItems: 2 }, [1])).toEqual(["$: Must have at least 2 items"]);
+      expect(violations({ maxItems: 1 }, [1, 2])).toEqual(["$: Must have at most 1 items"]);
+      expect(violations({ uniqueItems: true }, [{ a: 1 }, { a: 1 }])).toEqual(["$: Items must be unique"]);
+      expect(isValid({ uniqueItems: true }, [{ a: 1 }, { a: 2 }])).toBe(true);
+    });
+
+    it("checks every item against a single items schema", () => {
+      expect(violations({ items: { type: "integer" } }, [1, "2", 3, null])).toEqual([
+        "$[1]: Expected integer but got string",
+        "$[3]: Expected integer but got null",
+      ]);
+    });
+
+    it("checks draft-04 tuple items and additionalItems", () => {
+      const schema = { items: [{ type: "string" }, { type: "integer" }], additionalItems: false };
+      expect(isValid(schema, ["a", 1])).toBe(true);
+      expect(violations(schema, [1, 1, true])).toEqual([
+        "$[0]: Expected string but got number",
+        "$[2]: No value is allowed here",
+      ]);
+    });
+
+    it("checks 2020-12 prefixItems with items for the rest", () => {
+      const schema = { prefixItems: [{ type: "string" }], items: { type: "integer" } };
+      expect(isValid(schema, ["a", 1, 2])).toBe(true);
+      expect(violations(schema, ["a", "b"])).toEqual(["$[1]: Expected integer but got string"]);
+    });
+
+    it("checks contains", () => {
+      expect(isValid({ contains: { const: 2 } }, [1, 2])).toBe(true);
+      expect(violations({ contains: { const: 2 } }, [1, 3])).toEqual(["$: No item matches the contains schema"]);
+    });
+  });
+
+  describe("objects", () => {
+    it("checks required, properties and min / maxProperties", () => {
+      const schema = {
+        type: "object",
+        required: ["id", "name"],
+        properties: { id: { type: "integer" }, name: { type: "string" } },
+        minProperties: 2,
+        maxProperties: 3,
+      };
+      expect(isValid(schema, { id: 1, name: "Ada" })).toBe(true);
+      expect(violations(schema, { id: "1" })).toEqual([
+        "$: Must have at least 2 properties",
+        '$: Missing required property "name"',
+        "$.id: Expected integer but got string",
+      ]);
+      expect(violations(schema, { id: 1, name: "a", b: 1, c: 2 })).toEqual(["$: Must have at most 3 properties"]);
+    });
+
+    it("checks patternProperties alongside properties", () => {
+      const schema = { properties: { x_id: { type: "integer" } }, patternProperties: { "^x_": { type: "number" } } };
+      expect(isValid(schema, { x_id: 1, x_ratio: 0.5 })).toBe(true);
+      expect(violations(schema, { x_id: 1.5, x_name: "a" })).toEqual([
+        "$.x_id: Expected integer but got number",
+        "$.x_name: Expected number but got string",
+      ]);
+    });
+
+    it("checks additionalProperties against keys no other keyword covers", () => {
+      const closed = { properties: { id: {} }, patternProperties: { "^x-": {} }, additionalProperties: false };
+      expect(isValid(closed, { id: 1, "x-trace": "t" })).toBe(true);
+      expect(violations(closed, { id: 1, extra: true, "first name": "Ada" })).toEqual([
+        "$.extra: Property is not allowed",
+        "$['first name']: Property is not allowed",
+      ]);
+      expect(violations({ additionalProperties: { type: "string" } }, { a: "x", b: 1 })).toEqual([
+        "$.b: Expected string but got number",
+      ]);
+    });
+
+    it("reports nested paths", () => {
+      const schema = { properties: { items: { items: { required: ["id"] } } } };
+      expect(violations(schema, { items: [{ id: 1 }, {}] })).toEqual(['$.items[1]: Missing required property "id"']);
+    });
+  });
+
+  describe("combinators", () => {
+    it("checks allOf", () => {
+      const schema = { allOf: [{ type: "integer" }, { minimum: 3 }] };
+      expect(isValid(schema, 3)).toBe(true);
+      expect(violations(schema, 2)).toEqual(["$: Must be at least 3"]);
+    });
+
+    it("checks anyOf", () => {
+      const schema = { anyOf: [{ type: "string" }, { type: "integer" }] };
+      expect(isValid(schema, "a")).toBe(true);
+      expect(violations(schema, null)).toEqual(["$: Doesn't match any of the anyOf schemas"]);
+    });
+
+    it("checks that exactly one oneOf schema matches", () => {
+      const schema = { oneOf: [{ type: "integer" }, { minimum: 5 }] };
+      expect(isValid(schema, 3)).toBe(true);
+      expect(isValid(schema, 5.5)).toBe(true);
+      expect(violations(schema, 6)).toEqual(["$: Matches 2 oneOf schemas instead of exactly one"]);
+      expect(violations(schema, 1.5)).toEqual(["$: Doesn't match any of the oneOf schemas"]);
+    });
+
+    it("checks not", () => {
+      expect(isValid({ not: { type: "null" } }, 1)).toBe(true);
+      expect(violations({ not: { type: "null" } }, null)).toEqual(["$: Matches a schema it must not match"]);
+    });
+  });
+
+  describe("$ref", () => {
+    const root = {
+      definitions: {
+        User: { type: "object", required: ["id"], properties: { id: { type: "integer" } } },
+        "a/b": { type: "string" },
+      },
+    };
+
+    it("follows local pointers, including escaped keys", () => {
+      expect(isValid({ ...root, $ref: "#/definitions/User" }, { id: 1 })).toBe(true);
+      expect(violations({ ...root, $ref: "#/definitions/User" }, {})).toEqual(['$: Missing required property "id"']);
+      expect(violations({ ...root, $ref: "#/definitions/a~1b" }, 1)).toEqual(["$: Expected string but got number"]);
+    });
+
+    it("applies sibling keywords as well as the target", () => {
+      const schema = { ...root, $ref: "#/definitions/User", required: ["name"], maxProperties: 2 };
+      expect(isValid(schema, { id: 1, name: "Ada" })).toBe(true);
+      expect(violations(schema, { name: "Ada" })).toEqual(['$: Missing required property "id"']);
+      expect(violations(schema, { id: 1 })).toEqual(['$: Missing required property "name"']);
+      expect(violations(schema, { id: 1, name: "Ada", extra: 1 })).toEqual(["$: Must have at most 2 properties"]);
+    });
+
+    it("lets nullable beside a $ref allow null", () => {
+      const schema = { ...root, properties: { owner: { $ref: "#/definitions/a~1b", nullable: true } } };
+      expect(isValid(schema, { owner: "Ada" })).toBe(true);
+      expect(violations(schema, { owner: 1 })).toEqual(["$.owner: Expected string but got number"]);
+    });
+
+    it("reports refs it can't resolve", () => {
+      expect(violations({ $ref: "#/definitions/Missing" }, 1)).toEqual(["$: Can't resolve $ref #/definitions/Missing"]);
+      expect(violations({ $ref: "https://example.com/schema.json" }, 1)).toEqual([
+        "$: Can't resolve $ref https://example.com/schema.json",
+      ]);
+    });
+
+    it("stops following recursive refs", () => {
+      const schema = { $ref: "#" };
+      expect(isValid(schema, 1)).toBe(true);
+      const tree = { type: "object", properties: { child: { $ref: "#" } } };
+      expect(violations(tree, { child: { child: { child: 1 } } })).toEqual([
+        "$.child.child.child: Expected object but got number",
+      ]);
+    });
+  });
+
+  it("keeps the first MAX_SCHEMA_ERRORS violations", () => {
+    const result = validateJsonSchema({ items: { type: "string" } }, Array.from({ length: MAX_SCHEMA_ERRORS + 5 }, () => 1));
+    expect(result.errors).toHaveLength(MAX_SCHEMA_ERRORS);
+    expect(result.truncated).toBe(true);
+  });
+});
+
+describe("parseSchemaText", () => {
+  it("parses objects and booleans and rejects the rest", () => {
+    expect(parseSchemaText('{"type":"string"}')).toEqual({ schema: { type: "string" } });
+    expect(parseSchemaText("true")).toEqual({ schema: true });
+    expect(parseSchemaText("1")).toEqual({ error: "A schema must be a JSON object" });
+    expect(parseSchemaText("{oops").error).toMatch(/^Schema isn't valid JSON/);
+  });
+});
+
+describe("validateResponseSchema", () => {
+  const responseSchema = { text: '{"type":"object","required":["id"]}' };
+
+  it("validates the response body", () => {
+    expect(validateResponseSchema(responseSchema, { data: { id: 1 } }).valid).toBe(true);
+    const result = validateResponseSchema(responseSchema, { data: {} });
+    expect(describeSchemaFailures(result)).toBe('1 schema violation — $: Missing required property "id"');
+  });
+
+  it("can't check binary responses or broken schemas", () => {
+    const binary = validateResponseSchema(responseSchema, { data: "AAEC", encoding: "base64" });
+    expect(binary.error).toBe("Binary responses can't be validated against a schema");
+    const broken = validateResponseSchema({ text: "{oops" }, { data: {} });
+    expect(describeSchemaFailures(broken)).toMatch(/^Schema isn't valid JSON/);
+    expect(describeSchemaFailures({ valid: true, errors: [] })).toBeNull();
+  });
+});
@@ -0,0 +1,212 @@
+// ============================================================
+// mocks.js — Hosted Mock API Helpers
+// ============================================================
+// Client side of the server's mock APIs (server/mockServer.js).
+// A mock lives in the `mocks` Firestore collection and is
+// served at {PROXY_URL}/mock/<id>/… — this module builds its
+// routes from a collection's saved requests or an imported
+// OpenAPI spec:
+//   • collection routes answer with the request's saved
+//     example (lib/responseExamples — the first 2xx one), else
+//     its expected snapshot, else data generated from its
+//     response schema
+//   • OpenAPI routes answer with the spec's example for the
+//     success response (lib/openApi), else generated data
+// Re-syncing keeps each route's delay, status override,
+// match rules and on/off switch (mergeRouteSettings).
+// ============================================================
+
+import { PROXY_URL } from "./requestBuilder";
+import { parseSchemaText } from "./jsonSchema";
+import { exampleFromSchema } from "./openApi";
+import { primaryExample, exampleContentType } from "./responseExamples";
+
+export const MOCK_SOURCES = [
+  { id: "collection", label: "Collection" },
+  { id: "openapi", label: "OpenAPI spec" },
+];
+
+// Where a match rule reads its input from
+export const MATCH_SOURCES = [
+  { id: "header", label: "Header", keyPlaceholder: "X-Api-Key" },
+  { id: "query", label: "Query", keyPlaceholder: "page" },
+  { id: "body", label: "Body", keyPlaceholder: "$.user.role (empty = whole body)" },
+];
+
+export const MATCH_OPERATORS = [
+  { id: "equals", label: "equals" },
+  { id: "contains", label: "contains" },
+  { id: "exists", label: "exists" },
+  { id: "absent", label: "is absent" },
+];
+
+// Operators that don't compare against a value
+export const VALUELESS_OPERATORS = ["exists", "absent"];
+
+// The server caps delays at this
+export const MAX_MOCK_DELAY_MS = 30 * 1000;
+
+// Routes are stored on the mock document (limited to 1 MiB)
+export const MAX_ROUTES_BYTES = 900 * 1024;
+
+// Public base URL of a mock
+export const mockUrl = (mockId) => `${PROXY_URL}/mock/${mockId}`;
+
+// --------------------------------------------------
+// A saved request URL → a mock route path. The scheme,
+// host (or a leading {{baseUrl}}-style variable) and
+// query are dropped; {{id}}, {id} and :id segments all
+// become ":id" parameters.
+//   "{{baseUrl}}/users/{{id}}?full=1" → "/users/:id"
+// --------------------------------------------------
+export function mockPathFromUrl(url) {
+  const withoutQuery = String(url || "").trim().split(/[?#]/)[0];
+  const absolute = withoutQuery.match(/^[a-z][\w+.-]*:\/\/[^/]*(.*)$/i);
+  const segments = (absolute ? absolute[1] : withoutQuery).split("/");
+  // "{{baseUrl}}/…" or "api.example.com/…" without a scheme
+  if (!absolute && segments[0] && (/^\{\{[^{}]+\}\}$/.test(segments[0]) || /\.|:\d/.test(segments[0]))) {
+    segments.shift();
+  }
+
+  const path = segments
+    .filter(Boolean)
+    .map((segment) => {
+      const variable = segment.match(/^\{\{\s*([^{}]+?)\s*\}\}$/) || segment.match(/^\{([^{}]+)\}$/);
+      return variable ? `:${variable[1]}` : segment;
+    })
+    .join("/");
+  return `/${path}`;
+}
+
+// Data generated from a request's `responseSchema`, as text
+function bodyFromSchema(responseSchema) {
+  if (!responseSchema?.text) return null;
+  const { schema, error } = parseSchemaText(responseSchema.text);
+  if (error || typeof schema !== "object") return null;
+  // OpenAPI schemas are bundled with their $refs (lib/openApi)
+  const example = exampleFromSchema(schema, schema);
+  return example === null ? null : JSON.stringify(example, null, 2);
+}
+
+const jsonHeaders = { "Content-Type": "application/json" };
+
+// --------------------------------------------------
+// Route response fields for a saved example. Only the
+// Content-Type header is carried over — the rest
+// described the original server.
+// --------------------------------------------------
+export function routeResponseFromExample(example) {
+  const contentType = exampleContentType(example);
+  return {
+    status: example.status || 200,
+    headers: contentType ? { "Content-Type": contentType } : {},
+    body: example.body ?? "",
+    body_source: "example",
+    example_id: example.id,
+  };
+}
+
+// --------------------------------------------------
+// Routes for a collection's saved requests. A route
+// in `previous` that was switched to another example
+// keeps answering with it.
+// --------------------------------------------------
+export function routesFromRequests(requests, previous = []) {
+  const chosen = new Map(previous.filter((r) => r.example_id).map((r) => [r.id, r.example_id]));
+  return requests.map((request) => {
+    const route = {
+      id: request.id,
+      request_id: request.id,
+      name: request.name || "Untitled request",
+      method: (request.method || "GET").toUpperCase(),
+      path: mockPathFromUrl(request.url),
+      status: 200,
+      headers: {},
+      body: "",
+      body_source: "empty",
+    };
+
+    const examples = request.examples || [];
+    const example = examples.find((ex) => ex.id === chosen.get(request.id)) || primaryExample(examples);
+    const snapshot = request.expectedSnapshot;
+    const generated = example || snapshot ? null : bodyFromSchema(request.responseSchema);
+    if (example) {
+      Object.assign(route, routeResponseFromExample(example));
+    } else if (snapshot) {
+      route.status = snapshot.status || 200;
+      route.body = snapshot.body ?? "";
+      route.headers = jsonHeaders;
+      route.body_source = "snapshot";
+    } else if (generated) {
+      route.body = generated;
+      route.headers = jsonHeaders;
+      route.body_source = "schema";
+    }
+    return route;
+  });
+}
+
+// --------------------------------------------------
+// Routes for an openApiToRequests() result
+// --------------------------------------------------
+export function routesFromOpenApi(result) {
+  return result.requests.map((request, i) => {
+    const response = result.responses?.[i] || {};
+    const method = (request.method || "GET").toUpperCase();
+    const path = mockPathFromUrl(request.url);
+    return {
+      id: `${method} ${path}`,
+      name: request.name || `${method} ${path}`,
+      method,
+      path,
+      status: response.status || 200,
+      headers: response.contentType ? { "Content-Type": response.contentType } : {},
+      body: response.body || "",
+      body_source: response.body ? "openapi" : "empty",
+    };
+  });
+}
+
+// A blank route for the editor
+export const createManualRoute = () => ({
+  id: `manual-${Date.now().toString(36)}`,
+  name: "New route",
+  method: "GET",
+  path: "/",
+  status: 200,
+  headers: jsonHeaders,
+  body: "{}",
+  body_source: "manual",
+  manual: true,
+});
+
+// --------------------------------------------------
+// Freshly built routes with the settings of the ones
+// they replace (matched by id). Hand-written routes
+// are kept as they are.
+// --------------------------------------------------
+export function mergeRouteSettings(routes, previous = []) {
+  const byId = new Map(previous.map((route) => [route.id, route]));
+  const merged = routes.map((route) => {
+    const old = byId.get(route.id);
+    if (!old) return route;
+    return {
+      ...route,
+      enabled: old.enabled !== false,
+      delay_ms: old.delay_ms ?? null,
+      status_override: old.status_override ?? null,
+      match: old.match || [],
+    };
+  });
+  return [...merged, ...previous.filter((route) => route.manual)];
+}
+
+// Why the routes can't be saved, or null
+export function validateRoutes(routes) {
+  if (new TextEncoder().encode(JSON.stringify(routes)).length > MAX_ROUTES_BYTES) {
+    return `The routes are over ${MAX_ROUTES_BYTES / 1024} KB — shorten some response bodies`;
+  }
+  const invalid = routes.find((route) => !String(route.path || "").startsWith("/"));
+  if (invalid) return `"${invalid.name}" needs a path starting with /`;
+  return null;
+}
@@ -0,0 +1,130 @@
+// ============================================================
+// monitors.js — Scheduled Monitor Helpers
+// ============================================================
+// Client side of the server's monitor scheduler
+// (server/monitors.js). Monitors live in the `monitors`
+// Firestore collection and their results in `monitor_runs`;
+// this module holds the schedule presets and limits, the
+// "Run now" call and the per-endpoint uptime / latency
+// summary the Monitors page draws its sparklines from.
+// ============================================================
+
+import axios from "axios";
+import { PROXY_URL, getProxyToken } from "./requestBuilder";
+import { parseCron, shortestInterval } from "./cron";
+
+// Limits the server's scheduler enforces (server/monitors.js)
+export const MAX_MONITORS = 20;
+export const MIN_INTERVAL_MINUTES = 5;
+
+// Schedules offered in the editor (anything else is a custom
+// cron expression — evaluated in UTC)
+export const SCHEDULE_PRESETS = [
+  { value: "*/5 * * * *", label: "Every 5 minutes" },
+  { value: "*/15 * * * *", label: "Every 15 minutes" },
+  { value: "*/30 * * * *", label: "Every 30 minutes" },
+  { value: "0 * * * *", label: "Every hour" },
+  { value: "0 */6 * * *", label: "Every 6 hours" },
+  { value: "0 9 * * *", label: "Daily at 09:00 UTC" },
+];
+
+export const MONITOR_TARGETS = [
+  { id: "collection", label: "Collection" },
+  { id: "flow", label: "Flow graph" },
+];
+
+// Run statuses written by the server
+export const MONITOR_STATUS = {
+  up: { label: "Up", text: "text-green-400", bar: "bg-green-500" },
+  degraded: { label: "Slow", text: "text-yellow-400", bar: "bg-yellow-400" },
+  down: { label: "Down", text: "text-red-400", bar: "bg-red-500" },
+};
+
+// Error message for a schedule the server won't run, or null
+export function validateSchedule(schedule) {
+  try {
+    if (shortestInterval(parseCron(schedule)) < MIN_INTERVAL_MINUTES) {
+      return `Monitors run at most every ${MIN_INTERVAL_MINUTES} minutes`;
+    }
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+// Preset label, or the raw expression for a custom schedule
+export const describeSchedule = (schedule) =>
+  SCHEDULE_PRESETS.find((p) => p.value === schedule)?.label || `Cron ${schedule} (UTC)`;
+
+// --------------------------------------------------
+// Ask the server to run a monitor now. Resolves with
+// the stored run; throws with the server's message.
+// --------------------------------------------------
+export async function runMonitorNow(monitorId) {
+  try {
+    const token = await getProxyToken();
+    const response = await axios.post(`${PROXY_URL}/api/monitors/${encodeURIComponent(monitorId)}/run`, {}, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+    return response.data;
+  } catch (err) {
+    throw new Error(err.response?.data?.error || err.message);
+  }
+}
+
+const toMillis = (ts) => (ts?.toDate?.() || new Date(ts || 0)).getTime();
+
+// passed / total as a percentage to one decimal (null when empty)
+const percentage = (passed, total) => (total ? Math.round((passed / total) * 1000) / 10 : null);
+
+// --------------------------------------------------
+// Summarise a monitor's runs (any order):
+//   { runs (oldest first), uptime, averageMs,
+//     endpoints: [{ key, name, method, uptime,
+//                   averageMs, points: [{ value, failed,
+//                   time }] }] }
+// Uptime counts a slow run as up — latency shows in the
+// sparklines. Endpoints keep the order of the latest run.
+// --------------------------------------------------
+export function summarizeMonitorRuns(runs = []) {
+  const ordered = [...runs].sort((a, b) => toMillis(a.started_at) - toMillis(b.started_at));
+  const endpoints = new Map();
+
+  ordered.forEach((run) => {
+    (run.results || []).forEach((result) => {
+      const key = result.id || result.name;
+      if (!endpoints.has(key)) endpoints.set(key, { key, name: result.name, method: result.method, points: [] });
+      const endpoint = endpoints.get(key);
+      endpoint.name = result.name;
+      endpoint.method = result.method;
+      endpoint.points.push({
+        value: result.response_time_ms || 0,
+        failed: !result.passed,
+        time: toMillis(run.started_at),
+      });
+    });
+  });
+
+  const latest = ordered[ordered.length - 1]?.results || [];
+  const rank = (key) => {
+    const index = latest.findIndex((r) => (r.id || r.name) === key);
+    return index === -1 ? latest.length : index;
+  };
+
+  const allPoints = [...endpoints.values()].flatMap((e) => e.points);
+  const average = (points) =>
+    points.length ? Math.round(points.reduce((sum, p) => sum + p.value, 0) / points.length) : null;
+
+  return {
+    runs: ordered,
+    uptime: percentage(ordered.filter((run) => run.status !== "down").length, ordered.length),
+    averageMs: average(allPoints.filter((p) => !p.failed)),
+    endpoints: [...endpoints.values()]
+      .sort((a, b) => rank(a.key) - rank(b.key))
+      .map((endpoint) => ({
+        ...endpoint,
+        uptime: percentage(endpoint.points.filter((p) => !p.failed).length, endpoint.points.length),
+        averageMs: average(endpoint.points.filter((p) => !p.failed)),
+      })),
+  };
+}
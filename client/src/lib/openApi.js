@@ -0,0 +1,568 @@
+// ============================================================
+// openApi.js — OpenAPI 3 / Swagger 2 → Saved Requests
+// ============================================================
+// Converts an API description into request objects with the
+// same fields RequestBuilder saves, so a spec can become a
+// collection (Collections page) or canvas nodes (Visualizer):
+//   • parseSpecText      — JSON or YAML text → spec object
+//   • openApiToRequests  — one request per operation, with
+//     the server URL, example bodies generated from schemas,
+//     auth mapped from securitySchemes, the success
+//     response's JSON Schema (`responseSchema`) for validation
+//     and its example body (`responses`, for hosted mocks)
+// Path parameters and credentials become {{variables}} so
+// they can be filled in from an environment.
+// ============================================================
+
+import yaml from "js-yaml";
+import { normalizeRequest, RAW_CONTENT_TYPES } from "./requestBuilder";
+
+// Operation keys of a path item; only methods the proxy
+// accepts are imported, the rest are counted as skipped
+const HTTP_METHODS = ["get", "post", "put", "delete", "patch", "head", "options", "trace"];
+const SUPPORTED_METHODS = ["get", "post", "put", "delete", "patch"];
+
+// Stop generating examples past this depth (deep / recursive schemas)
+const MAX_EXAMPLE_DEPTH = 6;
+
+// Placeholder values for string formats
+const FORMAT_EXAMPLES = {
+  "date-time": "2024-01-01T00:00:00Z",
+  date: "2024-01-01",
+  email: "user@example.com",
+  uuid: "00000000-0000-0000-0000-000000000000",
+  uri: "https://example.com",
+  url: "https://example.com",
+  hostname: "example.com",
+  ipv4: "127.0.0.1",
+  password: "password",
+};
+
+// --------------------------------------------------
+// Parse pasted / uploaded spec text (JSON or YAML).
+// Throws with a readable message on invalid input.
+// --------------------------------------------------
+export function parseSpecText(text) {
+  const trimmed = (text || "").trim();
+  if (!trimmed) throw new Error("Paste or upload an OpenAPI document first");
+
+  let spec;
+  try {
+    spec = trimmed.startsWith("{") ? JSON.parse(trimmed) : yaml.load(trimmed);
+  } catch (err) {
+    throw new Error(`Could not parse the document: ${err.message.split("\n")[0]}`);
+  }
+
+  if (!spec || typeof spec !== "object") {
+    throw new Error("The document is not a JSON or YAML object");
+  }
+  if (!String(spec.openapi || "").startsWith("3") && spec.swagger !== "2.0") {
+    throw new Error("Only OpenAPI 3.x and Swagger 2.0 documents are supported");
+  }
+  if (!spec.paths || typeof spec.paths !== "object") {
+    throw new Error("The document has no paths");
+  }
+  return spec;
+}
+
+// ────────────────────────────────────────────────────────────
+// $ref resolution (local references only)
+// ────────────────────────────────────────────────────────────
+
+// Follow a "#/components/schemas/User" style JSON pointer
+function lookupRef(spec, ref) {
+  if (typeof ref !== "string" || !ref.startsWith("#/")) return undefined;
+  return ref
+    .slice(2)
+    .split("/")
+    .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((node, key) => (node && typeof node === "object" ? node[key] : undefined), spec);
+}
+
+// Resolve an object that may be a $ref (chains included)
+function deref(spec, obj, seen = new Set()) {
+  let current = obj;
+  while (current && current.$ref) {
+    if (seen.has(current.$ref)) return {};
+    seen.add(current.$ref);
+    current = lookupRef(spec, current.$ref) || {};
+  }
+  return current || {};
+}
+
+// ────────────────────────────────────────────────────────────
+// Example generation
+// ────────────────────────────────────────────────────────────
+
+// An explicitly documented value (example / default / enum)
+function explicitExample(schema) {
+  if (!schema) return undefined;
+  if (schema.example !== undefined) return schema.example;
+  if (schema.default !== undefined) return schema.default;
+  if (Array.isArray(schema.enum) && schema.enum.length) return schema.enum[0];
+  if (schema.const !== undefined) return schema.const;
+  return undefined;
+}
+
+// --------------------------------------------------
+// Build a representative value from a JSON schema.
+// `refs` tracks the $refs on the current branch so
+// recursive schemas terminate.
+// --------------------------------------------------
+export function exampleFromSchema(spec, rawSchema, depth = 0, refs = new Set()) {
+  if (!rawSchema || depth > MAX_EXAMPLE_DEPTH) return null;
+
+  let schema = rawSchema;
+  if (schema.$ref) {
+    if (refs.has(schema.$ref)) return null;
+    refs = new Set(refs).add(schema.$ref);
+    schema = deref(spec, schema);
+  }
+
+  const explicit = explicitExample(schema);
+  if (explicit !== undefined) return explicit;
+
+  if (Array.isArray(schema.allOf)) {
+    return schema.allOf.reduce((merged, part) => {
+      const value = exampleFromSchema(spec, part, depth + 1, refs);
+      return value && typeof value === "object" && !Array.isArray(value)
+        ? { ...merged, ...value }
+        : merged;
+    }, {});
+  }
+  const variants = schema.oneOf || schema.anyOf;
+  if (Array.isArray(variants) && variants.length) {
+    return exampleFromSchema(spec, variants[0], depth + 1, refs);
+  }
+
+  // OpenAPI 3.1 allows type arrays — use the first non-null type
+  let type = Array.isArray(schema.type) ? schema.type.find((t) => t !== "null") : schema.type;
+  if (!type) type = schema.properties ? "object" : schema.items ? "array" : undefined;
+
+  switch (type) {
+    case "object": {
+      const obj = {};
+      Object.entries(schema.properties || {}).forEach(([key, prop]) => {
+        obj[key] = exampleFromSchema(spec, prop, depth + 1, refs);
+      });
+      return obj;
+    }
+    case "array": {
+      const item = exampleFromSchema(spec, schema.items, depth + 1, refs);
+      return item === null ? [] : [item];
+    }
+    case "string":
+      return FORMAT_EXAMPLES[schema.format] || "string";
+    case "integer":
+    case "number":
+      return schema.minimum ?? 0;
+    case "boolean":
+      return true;
+    default:
+      return null;
+  }
+}
+
+// Example for an OpenAPI 3 media type object
+function exampleFromMedia(spec, media) {
+  if (!media) return undefined;
+  if (media.example !== undefined) return media.example;
+  const firstExample = Object.values(media.examples || {})[0];
+  if (firstExample) {
+    const resolved = deref(spec, firstExample);
+    if (resolved.value !== undefined) return resolved.value;
+  }
+  return media.schema ? exampleFromSchema(spec, media.schema) : undefined;
+}
+
+// Stringify an example for a key-value row
+const toPairValue = (value) =>
+  value === undefined || value === null
+    ? ""
+    : typeof value === "object"
+      ? JSON.stringify(value)
+      : String(value);
+
+// ────────────────────────────────────────────────────────────
+// Server URL
+// ────────────────────────────────────────────────────────────
+
+// OpenAPI 3: first server, with {variables} set to their defaults
+function serverUrl3(servers) {
+  const server = servers?.[0];
+  if (!server?.url) return "";
+  return server.url.replace(/\{([^}]+)\}/g, (match, name) =>
+    server.variables?.[name]?.default !== undefined ? server.variables[name].default : match
+  );
+}
+
+// Swagger 2: scheme + host + basePath
+function serverUrl2(spec) {
+  const basePath = spec.basePath || "";
+  if (!spec.host) return basePath;
+  const scheme = spec.schemes?.includes("https") ? "https" : spec.schemes?.[0] || "https";
+  return `${scheme}://${spec.host}${basePath}`;
+}
+
+// ────────────────────────────────────────────────────────────
+// Security
+// ────────────────────────────────────────────────────────────
+
+// --------------------------------------------------
+// Map the first security requirement of an operation
+// onto RequestBuilder's auth fields. API keys become
+// headers / query params. Credentials are {{variables}}.
+// --------------------------------------------------
+function applySecurity(request, requirements, schemes) {
+  const requirement = (requirements || []).find((r) => r && Object.keys(r).length > 0);
+  if (!requirement) return;
+
+  const scheme = schemes?.[Object.keys(requirement)[0]];
+  if (!scheme) return;
+
+  const type = (scheme.type || "").toLowerCase();
+  const httpScheme = (scheme.scheme || "").toLowerCase();
+
+  if ((type === "http" && httpScheme === "basic") || type === "basic") {
+    request.authType = "basic";
+    request.basicUsername = "{{username}}";
+    request.basicPassword = "{{password}}";
+  } else if (type === "http" || type === "oauth2" || type === "openidconnect") {
+    request.authType = "bearer";
+    request.bearerToken = type === "http" ? "{{bearerToken}}" : "{{accessToken}}";
+  } else if (type === "apikey" && scheme.name) {
+    if (scheme.in === "query") {
+      request.params.push({ key: scheme.name, value: "{{apiKey}}" });
+    } else if (scheme.in === "cookie") {
+      request.headers.push({ key: "Cookie", value: `${scheme.name}={{apiKey}}` });
+    } else {
+      request.headers.push({ key: scheme.name, value: "{{apiKey}}" });
+    }
+  }
+}
+
+// ────────────────────────────────────────────────────────────
+// Request bodies
+// ────────────────────────────────────────────────────────────
+
+// Pick the JSON media type when there is one, otherwise the first
+function pickContentType(contentTypes) {
+  return (
+    contentTypes.find((t) => t === "application/json") ||
+    contentTypes.find((t) => /[/+]json\b/.test(t)) ||
+    contentTypes[0]
+  );
+}
+
+// Example object → [{ key, value }] rows
+const toFieldPairs = (value) =>
+  value && typeof value === "object"
+    ? Object.entries(value).map(([key, v]) => ({ key, value: toPairValue(v) }))
+    : [];
+
+// --------------------------------------------------
+// Fill the request's body fields from an example.
+// Form bodies become urlencoded / form-data rows
+// (`fileKeys` are file fields, left for the user to
+// attach); other types are raw with a content type.
+// --------------------------------------------------
+function setBody(request, contentType, example, fileKeys = []) {
+  if (contentType === "multipart/form-data") {
+    const fields = toFieldPairs(example).map(({ key, value }) =>
+      fileKeys.includes(key)
+        ? { key, type: "file", fileName: "", contentType: "", size: 0, data: "" }
+        : { key, type: "text", value }
+    );
+    if (fields.length === 0) return;
+    request.bodyType = "form-data";
+    request.formFields = fields;
+    return;
+  }
+  if (contentType === "application/x-www-form-urlencoded") {
+    const fields = toFieldPairs(example);
+    if (fields.length === 0) return;
+    request.bodyType = "urlencoded";
+    request.urlencodedFields = fields;
+    return;
+  }
+
+  if (example === undefined || example === null) return;
+
+  request.bodyType = "raw";
+  if (/json/.test(contentType)) {
+    request.bodyContent = JSON.stringify(example, null, 2);
+  } else {
+    request.bodyContent = typeof example === "string" ? example : JSON.stringify(example, null, 2);
+  }
+  const rawType = RAW_CONTENT_TYPES.find((t) => t.value === contentType);
+  if (rawType) {
+    request.rawContentType = rawType.value;
+  } else if (contentType && !request.headers.some((h) => h.key.toLowerCase() === "content-type")) {
+    request.headers.push({ key: "Content-Type", value: contentType });
+  }
+}
+
+// OpenAPI 3 requestBody
+function applyRequestBody3(spec, request, requestBody) {
+  const body = deref(spec, requestBody);
+  const content = body.content || {};
+  const contentType = pickContentType(Object.keys(content));
+  if (!contentType) return;
+  const media = content[contentType];
+  // Binary properties of a multipart schema are file fields
+  const properties = media?.schema ? deref(spec, media.schema).properties || {} : {};
+  const fileKeys = Object.keys(properties).filter((key) =>
+    ["binary", "base64"].includes(deref(spec, properties[key]).format)
+  );
+  setBody(request, contentType, exampleFromMedia(spec, media), fileKeys);
+}
+
+// Swagger 2 `in: body` / `in: formData` parameters
+function applyRequestBody2(spec, request, op, bodyParams, formParams) {
+  const consumes = op.consumes || spec.consumes || [];
+
+  if (bodyParams.length) {
+    const param = bodyParams[0];
+    const contentType = pickContentType(consumes) || "application/json";
+    const example = param["x-example"] ?? exampleFromSchema(spec, param.schema);
+    setBody(request, contentType, example);
+  } else if (formParams.length) {
+    const fields = {};
+    formParams.forEach((p) => {
+      fields[p.name] = explicitExample(p) ?? p["x-example"] ?? "";
+    });
+    const fileKeys = formParams.filter((p) => p.type === "file").map((p) => p.name);
+    const multipart = fileKeys.length > 0 || consumes.includes("multipart/form-data");
+    setBody(request, multipart ? "multipart/form-data" : "application/x-www-form-urlencoded", fields, fileKeys);
+  }
+}
+
+// ────────────────────────────────────────────────────────────
+// Response schemas
+// ────────────────────────────────────────────────────────────
+
+// Response to validate against: the lowest 2xx code, else
+// 2XX, else default
+function pickResponseCode(responses) {
+  const codes = Object.keys(responses || {});
+  return (
+    codes.filter((code) => /^2\d\d$/.test(code)).sort()[0] ||
+    codes.find((code) => code.toUpperCase() === "2XX") ||
+    codes.find((code) => code === "default")
+  );
+}
+
+// --------------------------------------------------
+// Copy of a schema plus every definition it references
+// (transitively), placed at the same JSON pointer — local
+// $refs then resolve within the copy on its own
+// --------------------------------------------------
+function bundleSchema(spec, schema) {
+  const bundle = JSON.parse(JSON.stringify(schema));
+  const seen = new Set();
+
+  const place = (ref, target) => {
+    const keys = ref
+      .slice(2)
+      .split("/")
+      .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"));
+    let node = bundle;
+    for (const key of keys.slice(0, -1)) {
+      if (node[key] === undefined) node[key] = {};
+      if (!node[key] || typeof node[key] !== "object") return;
+      node = node[key];
+    }
+    node[keys[keys.length - 1]] = target;
+  };
+
+  const visit = (node) => {
+    if (!node || typeof node !== "object") return;
+    if (typeof node.$ref === "string" && !seen.has(node.$ref)) {
+      seen.add(node.$ref);
+      const target = lookupRef(spec, node.$ref);
+      if (target !== undefined) {
+        place(node.$ref, target);
+        visit(target);
+      }
+    }
+    Object.values(node).forEach(visit);
+  };
+
+  visit(schema);
+  return bundle;
+}
+
+// The success response's JSON Schema as a request
+// `responseSchema` ({ text, source, label }), or null
+function responseSchemaFor(spec, op, isV3, method, path) {
+  const code = pickResponseCode(op.responses);
+  if (!code) return null;
+  const response = deref(spec, op.responses[code]);
+
+  let schema;
+  if (isV3) {
+    const content = response.content || {};
+    const contentType = Object.keys(content).find((t) => /[/+]json\b/.test(t) || t === "*/*");
+    schema = contentType ? content[contentType]?.schema : undefined;
+  } else {
+    schema = response.schema;
+  }
+  if (!schema) return null;
+
+  try {
+    return {
+      source: "openapi",
+      text: JSON.stringify(bundleSchema(spec, schema), null, 2),
+      label: `${code} response of ${method.toUpperCase()} ${path}`,
+    };
+  } catch {
+    // Circular YAML anchors can't be serialised
+    return null;
+  }
+}
+
+// --------------------------------------------------
+// The success response as { status, contentType, body }
+// for a mock route — the documented example, else one
+// generated from the schema. `body` is text.
+// --------------------------------------------------
+function exampleResponseFor(spec, op, isV3) {
+  const code = pickResponseCode(op.responses);
+  const status = /^\d{3}$/.test(code || "") ? Number(code) : 200;
+  const response = code ? deref(spec, op.responses[code]) : {};
+
+  let contentType = "";
+  let example;
+  if (isV3) {
+    const content = response.content || {};
+    contentType = pickContentType(Object.keys(content)) || "";
+    example = exampleFromMedia(spec, content[contentType]);
+  } else {
+    contentType = pickContentType(op.produces || spec.produces || []) || (response.schema ? "application/json" : "");
+    example = response.examples?.[contentType] ?? (response.schema ? exampleFromSchema(spec, response.schema) : undefined);
+  }
+
+  let body = "";
+  if (example !== undefined && example !== null) {
+    body = typeof example === "string" && !/json/.test(contentType) ? example : JSON.stringify(example, null, 2);
+  }
+  return { status, contentType: body ? contentType : "", body };
+}
+
+// ────────────────────────────────────────────────────────────
+// Operations
+// ────────────────────────────────────────────────────────────
+
+// Operation-level parameters override path-level ones (name + in)
+function mergeParameters(spec, pathParams = [], opParams = []) {
+  const merged = new Map();
+  [...pathParams, ...opParams].forEach((raw) => {
+    const param = deref(spec, raw);
+    if (param.name && param.in) merged.set(`${param.in}:${param.name}`, param);
+  });
+  return [...merged.values()];
+}
+
+// Example value for a query / header / path parameter
+function parameterExample(spec, param) {
+  const explicit = param.example ?? param["x-example"] ?? explicitExample(param);
+  if (explicit !== undefined) return explicit;
+  const firstExample = Object.values(param.examples || {})[0];
+  if (firstExample) return deref(spec, firstExample).value;
+  return explicitExample(deref(spec, param.schema));
+}
+
+// --------------------------------------------------
+// Convert a parsed spec into saved-request objects.
+// Returns { title, description, requests, responses,
+// skipped } — responses[i] is the example response of
+// requests[i] (exampleResponseFor), skipped counts
+// operations with unsupported methods.
+// --------------------------------------------------
+export function openApiToRequests(spec) {
+  const isV3 = String(spec.openapi || "").startsWith("3");
+  const securitySchemes = isV3 ? spec.components?.securitySchemes : spec.securityDefinitions;
+  const resolvedSchemes = {};
+  Object.entries(securitySchemes || {}).forEach(([name, scheme]) => {
+    resolvedSchemes[name] = deref(spec, scheme);
+  });
+
+  const requests = [];
+  const responses = [];
+  let skipped = 0;
+
+  Object.entries(spec.paths || {}).forEach(([path, rawPathItem]) => {
+    const pathItem = deref(spec, rawPathItem);
+
+    Object.entries(pathItem).forEach(([method, op]) => {
+      if (!HTTP_METHODS.includes(method)) return;
+      if (!SUPPORTED_METHODS.includes(method)) {
+        skipped += 1;
+        return;
+      }
+
+      const baseUrl = isV3
+        ? serverUrl3(op.servers || pathItem.servers || spec.servers)
+        : serverUrl2(spec);
+
+      const request = {
+        name: op.summary || op.operationId || `${method.toUpperCase()} ${path}`,
+        description: op.description || "",
+        method: method.toUpperCase(),
+        url: "",
+        params: [],
+        headers: [],
+        bodyType: "none",
+        bodyContent: "",
+        authType: "none",
+      };
+
+      // Path params become {{name}}; query / header / cookie become rows
+      let resolvedPath = path;
+      const cookies = [];
+      const bodyParams = [];
+      const formParams = [];
+
+      mergeParameters(spec, pathItem.parameters, op.parameters).forEach((param) => {
+        const value = toPairValue(parameterExample(spec, param));
+        if (param.in === "path") {
+          resolvedPath = resolvedPath.split(`{${param.name}}`).join(`{{${param.name}}}`);
+        } else if (param.in === "query") {
+          request.params.push({ key: param.name, value });
+        } else if (param.in === "header") {
+          request.headers.push({ key: param.name, value });
+        } else if (param.in === "cookie") {
+          cookies.push(`${param.name}=${value}`);
+        } else if (param.in === "body") {
+          bodyParams.push(param);
+        } else if (param.in === "formData") {
+          formParams.push(param);
+        }
+      });
+
+      // Any path templates without a declared parameter
+      resolvedPath = resolvedPath.replace(/(^|[^{])\{([^{}]+)\}(?!\})/g, "$1{{$2}}");
+      request.url = `${baseUrl.replace(/\/+$/, "")}${resolvedPath}`;
+      if (cookies.length) request.headers.push({ key: "Cookie", value: cookies.join("; ") });
+
+      if (isV3) {
+        if (op.requestBody) applyRequestBody3(spec, request, op.requestBody);
+      } else {
+        applyRequestBody2(spec, request, op, bodyParams, formParams);
+      }
+
+      applySecurity(request, op.security ?? spec.security, resolvedSchemes);
+      request.responseSchema = responseSchemaFor(spec, op, isV3, method, path);
+      requests.push(normalizeRequest(request));
+      responses.push(exampleResponseFor(spec, op, isV3));
+    });
+  });
+
+  return {
+    title: spec.info?.title || "Imported API",
+    description: spec.info?.description || "",
+    requests,
+    responses,
+    skipped,
+  };
+}
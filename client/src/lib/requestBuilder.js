@@ -0,0 +1,398 @@
+// ============================================================
+// requestBuilder.js — Shared Request Building & Execution
+// ============================================================
+// Single source of truth for turning a saved request (the
+// fields RequestBuilder.handleSave writes) into a proxy call.
+// Used by RequestBuilder.handleSend and every Visualizer run
+// path so a node run is identical to a Workspace send:
+//   • normalizeRequest   — fill defaults, upgrade legacy shapes
+//   • buildProxyPayload  — auth, params, headers, body, {{vars}}
+//   • sendProxyRequest   — POST /api/proxy with error shaping
+//                          (signed with the user's ID token)
+//   • executeRequest     — pre-request script → send → tests
+//                          → snapshot match → schema check
+// Monitors build payloads with a port of normalizeRequest /
+// buildProxyPayload (server/requestPayload.js, checked by
+// serverParity.test.js).
+// ============================================================
+
+import axios from "axios";
+import { auth } from "./firebase";
+import { resolveVariables } from "./variables";
+import { runScript } from "./scriptRunner";
+import { matchSnapshot } from "./expectedSnapshot";
+import { validateResponseSchema } from "./jsonSchema";
+
+// Proxy server URL from env (with fallback)
+export const PROXY_URL = import.meta.env.VITE_PROXY_URL || "http://localhost:5000";
+
+// Firebase ID token of the signed-in user (refreshed by the SDK
+// when it has expired), or null when signed out. The proxy
+// derives the uid for logs and rate limits from it.
+export const getProxyToken = async () => (auth.currentUser ? auth.currentUser.getIdToken() : null);
+
+// Body types RequestBuilder offers
+export const BODY_TYPES = [
+  { id: "none", label: "None" },
+  { id: "raw", label: "Raw" },
+  { id: "form-data", label: "Form Data" },
+  { id: "urlencoded", label: "x-www-form-urlencoded" },
+  { id: "binary", label: "Binary" },
+  { id: "graphql", label: "GraphQL" },
+];
+
+// Content types for raw bodies (the selector in the Body tab)
+export const RAW_CONTENT_TYPES = [
+  { value: "application/json", label: "JSON" },
+  { value: "text/plain", label: "Text" },
+  { value: "application/xml", label: "XML" },
+  { value: "text/html", label: "HTML" },
+  { value: "application/javascript", label: "JavaScript" },
+];
+
+// Per-request proxy settings (the Settings tab). The proxy
+// clamps numbers to the same ranges (REQUEST_SETTING_LIMITS
+// in server.js).
+export const DEFAULT_REQUEST_SETTINGS = {
+  followRedirects: true,
+  maxRedirects: 10,
+  timeoutMs: 30000,
+  verifyTls: true,
+  maxResponseMB: 5,
+  httpVersion: "1.1",
+};
+
+export const REQUEST_SETTING_LIMITS = {
+  maxRedirects: { min: 0, max: 20 },
+  timeoutMs: { min: 1000, max: 120000 },
+  maxResponseMB: { min: 0.1, max: 50 },
+};
+
+export const HTTP_VERSIONS = [
+  { value: "1.1", label: "HTTP/1.1" },
+  { value: "2", label: "HTTP/2" },
+];
+
+// True when any setting differs from the defaults
+export const hasCustomSettings = (settings = {}) =>
+  Object.entries(DEFAULT_REQUEST_SETTINGS).some(
+    ([key, value]) => settings[key] !== undefined && String(settings[key]) !== String(value)
+  );
+
+// --------------------------------------------------
+// Key-value pair helpers
+// --------------------------------------------------
+
+// Convert key-value pair arrays to plain objects
+// (filters out empty rows)
+export const pairsToObject = (pairs = []) => {
+  const obj = {};
+  pairs.forEach(({ key, value }) => {
+    if (key?.trim()) obj[key.trim()] = value ?? "";
+  });
+  return obj;
+};
+
+// Convert a plain object back to key-value pairs
+export const objectToPairs = (obj = {}) =>
+  Object.entries(obj).map(([key, value]) => ({ key, value: value == null ? "" : String(value) }));
+
+// --------------------------------------------------
+// Fill in defaults for every field RequestBuilder saves
+// (requests saved before the Settings tab get the defaults).
+// Also upgrades the legacy Visualizer node shape that
+// stored the body under `body` instead of `bodyContent`.
+// Raw bodies saved before rawContentType existed are JSON.
+// --------------------------------------------------
+export function normalizeRequest(req = {}) {
+  let bodyContent = req.bodyContent ?? req.body ?? "";
+  if (bodyContent && typeof bodyContent !== "string") {
+    bodyContent = JSON.stringify(bodyContent, null, 2);
+  }
+
+  return {
+    ...req,
+    method: (req.method || "GET").toUpperCase(),
+    url: req.url || "",
+    params: req.params?.length ? req.params : [],
+    headers: req.headers?.length ? req.headers : [],
+    bodyType: req.bodyType || (bodyContent ? "raw" : "none"),
+    bodyContent,
+    rawContentType: req.rawContentType || "application/json",
+    formFields: req.formFields?.length ? req.formFields : [],
+    urlencodedFields: req.urlencodedFields?.length ? req.urlencodedFields : [],
+    binaryFile: req.binaryFile || null,
+    graphqlQuery: req.graphqlQuery || "",
+    graphqlVariables: req.graphqlVariables || "",
+    graphqlOperationName: req.graphqlOperationName || "",
+    authType: req.authType || "none",
+    bearerToken: req.bearerToken || "",
+    basicUsername: req.basicUsername || "",
+    basicPassword: req.basicPassword || "",
+    preRequestScript: req.preRequestScript || "",
+    testScript: req.testScript || "",
+    settings: { ...DEFAULT_REQUEST_SETTINGS, ...req.settings },
+    expectedSnapshot: req.expectedSnapshot || null,
+    responseSchema: req.responseSchema || null,
+    examples: Array.isArray(req.examples) ? req.examples : [],
+    description: req.description || "",
+  };
+}
+
+// Case-insensitive check for a header on a plain object
+const hasHeader = (headers, name) =>
+  Object.keys(headers).some((h) => h.toLowerCase() === name.toLowerCase());
+
+// --------------------------------------------------
+// Build the proxy `body` / `bodyEncoding` for the
+// request's body type (see BODY_ENCODINGS in the
+// server). Raw non-JSON bodies get a Content-Type
+// header from rawContentType unless one is set.
+// Files without data (not re-attached) are skipped.
+// Throws when GraphQL variables aren't valid JSON.
+// --------------------------------------------------
+function buildBody(req, resolve, headers) {
+  switch (req.bodyType) {
+    case "raw": {
+      const rawBody = resolve(req.bodyContent);
+      if (!rawBody.trim()) return { body: null, bodyEncoding: "json" };
+      if (req.rawContentType === "application/json") {
+        try {
+          return { body: JSON.parse(rawBody), bodyEncoding: "json" };
+        } catch {
+          // If JSON is invalid, send as raw text (proxy defaults to text/plain)
+        }
+      } else if (!hasHeader(headers, "Content-Type")) {
+        headers["Content-Type"] = req.rawContentType;
+      }
+      return { body: rawBody, bodyEncoding: "text" };
+    }
+
+    case "urlencoded": {
+      const fields = Object.entries(pairsToObject(req.urlencodedFields)).map(([key, value]) => ({
+        key: resolve(key),
+        value: resolve(value),
+      }));
+      return { body: fields.length ? fields : null, bodyEncoding: "urlencoded" };
+    }
+
+    case "form-data": {
+      const fields = req.formFields
+        .filter((f) => f.key?.trim() && (f.type !== "file" || f.data))
+        .map((f) =>
+          f.type === "file"
+            ? { key: resolve(f.key.trim()), type: "file", fileName: f.fileName, contentType: f.contentType, data: f.data }
+            : { key: resolve(f.key.trim()), type: "text", value: resolve(f.value ?? "") }
+        );
+      return { body: fields.length ? fields : null, bodyEncoding: "form-data" };
+    }
+
+    case "binary": {
+      const file = req.binaryFile;
+      if (!file?.data) return { body: null, bodyEncoding: "binary" };
+      return {
+        body: { fileName: file.fileName, contentType: file.contentType, data: file.data },
+        bodyEncoding: "binary",
+      };
+    }
+
+    case "graphql": {
+      // Standard GraphQL-over-HTTP body: { query, variables, operationName }
+      const body = { query: resolve(req.graphqlQuery) };
+      const variablesText = resolve(req.graphqlVariables).trim();
+      if (variablesText) {
+        try {
+          body.variables = JSON.parse(variablesText);
+        } catch {
+          throw new Error("GraphQL variables must be valid JSON");
+        }
+      }
+      // Only send an operation name the document still defines
+      const operationName = req.graphqlOperationName;
+      const defined =
+        /^[_A-Za-z]\w*$/.test(operationName) &&
+        new RegExp(`\\b(query|mutation|subscription)\\s+${operationName}\\b`).test(body.query);
+      if (defined) body.operationName = operationName;
+      if (!hasHeader(headers, "Content-Type")) headers["Content-Type"] = "application/json";
+      return { body, bodyEncoding: "json" };
+    }
+
+    default:
+      return { body: null, bodyEncoding: "json" };
+  }
+}
+
+// --------------------------------------------------
+// Build the POST /api/proxy payload for a request,
+// resolving {{variable}} placeholders in every field
+// --------------------------------------------------
+export function buildProxyPayload(request, { variables = {} } = {}) {
+  const req = normalizeRequest(request);
+  const resolve = (value) => resolveVariables(value, variables);
+
+  // Headers from the key-value editor
+  const headers = {};
+  Object.entries(pairsToObject(req.headers)).forEach(([key, value]) => {
+    headers[resolve(key)] = resolve(value);
+  });
+
+  // Add auth headers automatically based on auth type
+  const token = resolve(req.bearerToken);
+  const username = resolve(req.basicUsername);
+  const password = resolve(req.basicPassword);
+  if (req.authType === "bearer" && token.trim()) {
+    headers["Authorization"] = `Bearer ${token.trim()}`;
+  } else if (req.authType === "basic" && username.trim()) {
+    // Encode username:password in Base64 for Basic Auth
+    headers["Authorization"] = `Basic ${btoa(`${username}:${password}`)}`;
+  }
+
+  // Query params
+  const params = {};
+  Object.entries(pairsToObject(req.params)).forEach(([key, value]) => {
+    params[resolve(key)] = resolve(value);
+  });
+
+  // Body + the encoding the proxy should forward it with
+  const { body, bodyEncoding } = buildBody(req, resolve, headers);
+  return {
+    method: req.method,
+    url: resolve(req.url.trim()),
+    headers,
+    body,
+    bodyEncoding,
+    params,
+    settings: req.settings,
+  };
+}
+
+// --------------------------------------------------
+// Send a payload through the proxy. Always resolves —
+// network / proxy failures come back in response shape.
+// --------------------------------------------------
+export async function sendProxyRequest(payload) {
+  try {
+    const token = await getProxyToken();
+    const response = await axios.post(`${PROXY_URL}/api/proxy`, payload, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+    return { ...response.data, receivedAt: Date.now() };
+  } catch (err) {
+    return {
+      status: err.response?.status || 0,
+      statusText: err.response?.statusText || "Network Error",
+      headers: err.response?.headers || {},
+      data: err.response?.data || { error: err.message },
+      responseTime: 0,
+      responseSize: 0,
+      // Set when the redirect limit was hit
+      redirects: err.response?.data?.redirects,
+      proxyError: true,
+    };
+  }
+}
+
+// --------------------------------------------------
+// Full request lifecycle shared by Workspace and Visualizer:
+//   1. pre-request script (may mutate request + variables)
+//   2. build payload & send through the proxy
+//   3. test script against the response
+//   4. match against the expected snapshot
+//   5. validate against the response JSON Schema
+// Resolves with { payload, response, variables,
+// environmentUpdates } — response.testResults is set when
+// the request has a test script, response.snapshotResult
+// when it has an expected snapshot and response.schemaResult
+// when it has a response schema. `send` replaces the proxy
+// round trip (the CLI sends directly); it takes the payload
+// and resolves in sendProxyRequest's response shape.
+// --------------------------------------------------
+export async function executeRequest(request, { variables = {}, send = sendProxyRequest } = {}) {
+  const req = normalizeRequest(request);
+  const environmentUpdates = {};
+
+  // 1. Pre-request script
+  const pre = await runScript(req.preRequestScript, {
+    request: {
+      method: req.method,
+      url: req.url.trim(),
+      headers: pairsToObject(req.headers),
+      params: pairsToObject(req.params),
+      body: req.bodyType === "raw" ? req.bodyContent : "",
+    },
+    variables,
+  });
+
+  if (pre.error) {
+    return {
+      payload: null,
+      variables,
+      environmentUpdates,
+      response: {
+        status: 0,
+        statusText: "Pre-request Script Error",
+        headers: {},
+        data: { error: pre.error },
+        responseTime: 0,
+        responseSize: 0,
+        testResults: { tests: [], logs: pre.logs, error: pre.error },
+      },
+    };
+  }
+
+  Object.assign(environmentUpdates, pre.environmentUpdates);
+  let vars = pre.variables;
+
+  // 2. Build from the (possibly mutated) request and send
+  let payload;
+  try {
+    payload = buildProxyPayload(
+      {
+        ...req,
+        method: pre.request.method || req.method,
+        url: pre.request.url || req.url,
+        headers: objectToPairs(pre.request.headers),
+        params: objectToPairs(pre.request.params),
+        bodyContent: pre.request.body ?? req.bodyContent,
+      },
+      { variables: vars }
+    );
+  } catch (err) {
+    return {
+      payload: null,
+      variables: vars,
+      environmentUpdates,
+      response: {
+        status: 0,
+        statusText: "Invalid Request",
+        headers: {},
+        data: { error: err.message },
+        responseTime: 0,
+        responseSize: 0,
+      },
+    };
+  }
+  const response = await send(payload);
+  // Lets ResponseViewer split GraphQL `errors` from `data`
+  if (req.bodyType === "graphql") response.graphql = true;
+  // Labels the response in diffs and names saved bodies
+  response.request = { method: payload.method, url: payload.url };
+
+  // 3. Test script (skipped when the proxy itself failed)
+  if (req.testScript.trim() && !response.proxyError) {
+    const result = await runScript(req.testScript, { request: payload, response, variables: vars });
+    Object.assign(environmentUpdates, result.environmentUpdates);
+    vars = result.variables;
+    response.testResults = { tests: result.tests, logs: result.logs, error: result.error };
+  }
+
+  // 4. Expected snapshot (a failed send is a mismatch too)
+  if (req.expectedSnapshot) response.snapshotResult = matchSnapshot(req.expectedSnapshot, response);
+
+  // 5. Response schema (skipped when the proxy itself failed)
+  if (req.responseSchema?.text?.trim() && !response.proxyError) {
+    response.schemaResult = validateResponseSchema(req.responseSchema, response);
+  }
+
+  return { payload, response, variables: vars, environmentUpdates };
+}
@@ -0,0 +1,195 @@
+// ============================================================
+// responseBody.js — Response Body Kinds, Previews & Downloads
+// ============================================================
+// The proxy returns textual bodies as strings / parsed JSON
+// and everything else base64-encoded (`encoding: "base64"`)
+// with the upstream `contentType`. ResponseViewer uses these
+// helpers to pick a view for each body:
+//   • responseKind     — json | xml | html | image | text | binary
+//   • formatXml        — indent well-formed XML
+//   • hexDump          — offset / hex / ASCII rows
+//   • downloadResponse — save the body to a file
+// ============================================================
+
+// Hex view shows this many bytes at most (16 per row)
+export const HEX_VIEW_LIMIT = 64 * 1024;
+
+// File extensions for "Save response"
+const EXTENSIONS = {
+  "application/json": "json",
+  "application/xml": "xml",
+  "text/xml": "xml",
+  "text/html": "html",
+  "text/plain": "txt",
+  "text/csv": "csv",
+  "text/css": "css",
+  "application/javascript": "js",
+  "text/javascript": "js",
+  "application/pdf": "pdf",
+  "application/zip": "zip",
+  "application/octet-stream": "bin",
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/svg+xml": "svg",
+  "image/x-icon": "ico",
+};
+
+// Media type without parameters, lower-cased
+export const mediaType = (contentType) => String(contentType || "").split(";")[0].trim().toLowerCase();
+
+export const isBinaryResponse = (response) => response?.encoding === "base64";
+
+// --------------------------------------------------
+// Which view a response body gets. `body` is the
+// displayed body (GraphQL `data` for GraphQL requests).
+// --------------------------------------------------
+export function responseKind(response, body) {
+  const type = mediaType(response?.contentType);
+  if (type.startsWith("image/")) return "image";
+  if (isBinaryResponse(response)) return "binary";
+  if (typeof body === "object" && body !== null) return "json";
+  if (type === "text/html" || type === "application/xhtml+xml") return "html";
+  if (type.endsWith("/xml") || type.endsWith("+xml")) return "xml";
+  if (typeof body === "string") {
+    try {
+      JSON.parse(body);
+      return "json";
+    } catch {
+      // not JSON
+    }
+    if (!type && /^\s*<\?xml/.test(body)) return "xml";
+  }
+  return "text";
+}
+
+// base64 → bytes
+export function base64ToBytes(base64) {
+  const binary = atob(base64 || "");
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// <img> source for image bodies (SVG may come back as text)
+export function imageSource(response) {
+  const type = mediaType(response.contentType);
+  if (isBinaryResponse(response)) return `data:${type};base64,${response.data}`;
+  return `data:${type};charset=utf-8,${encodeURIComponent(String(response.data ?? ""))}`;
+}
+
+// --------------------------------------------------
+// Pretty-print XML. Returns the input unchanged when it
+// isn't well-formed.
+// --------------------------------------------------
+export function formatXml(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) return text;
+
+  const escapeText = (value) => value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const escapeAttr = (value) => escapeText(value).replace(/"/g, "&quot;");
+  const lines = [];
+
+  const walk = (node, depth) => {
+    const pad = "  ".repeat(depth);
+    switch (node.nodeType) {
+      case Node.ELEMENT_NODE: {
+        const attrs = Array.from(node.attributes)
+          .map((a) => ` ${a.name}="${escapeAttr(a.value)}"`)
+          .join("");
+        const children = Array.from(node.childNodes).filter(
+          (child) => child.nodeType !== Node.TEXT_NODE || child.nodeValue.trim()
+        );
+        if (!children.length) {
+          lines.push(`${pad}<${node.nodeName}${attrs}/>`);
+        } else if (children.length === 1 && children[0].nodeType === Node.TEXT_NODE) {
+          lines.push(`${pad}<${node.nodeName}${attrs}>${escapeText(children[0].nodeValue.trim())}</${node.nodeName}>`);
+        } else {
+          lines.push(`${pad}<${node.nodeName}${attrs}>`);
+          children.forEach((child) => walk(child, depth + 1));
+          lines.push(`${pad}</${node.nodeName}>`);
+        }
+        break;
+      }
+      case Node.TEXT_NODE:
+        lines.push(pad + escapeText(node.nodeValue.trim()));
+        break;
+      case Node.CDATA_SECTION_NODE:
+        lines.push(`${pad}<![CDATA[${node.nodeValue}]]>`);
+        break;
+      case Node.COMMENT_NODE:
+        lines.push(`${pad}<!--${node.nodeValue}-->`);
+        break;
+      case Node.PROCESSING_INSTRUCTION_NODE:
+        lines.push(`${pad}<?${node.target} ${node.data}?>`);
+        break;
+      default:
+        break;
+    }
+  };
+
+  Array.from(doc.childNodes).forEach((child) => walk(child, 0));
+  const declaration = text.match(/^\s*(<\?xml[^?]*\?>)/)?.[1];
+  return (declaration ? [declaration, ...lines] : lines).join("\n");
+}
+
+// --------------------------------------------------
+// Hex dump rows: { offset, hex, ascii } for the first
+// `limit` bytes
+// --------------------------------------------------
+export function hexDump(bytes, limit = HEX_VIEW_LIMIT) {
+  const rows = [];
+  const end = Math.min(bytes.length, limit);
+  for (let offset = 0; offset < end; offset += 16) {
+    const chunk = Array.from(bytes.subarray(offset, Math.min(offset + 16, end)));
+    rows.push({
+      offset: offset.toString(16).padStart(8, "0"),
+      hex: chunk.map((b) => b.toString(16).padStart(2, "0")).join(" "),
+      ascii: chunk.map((b) => (b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : ".")).join(""),
+    });
+  }
+  return rows;
+}
+
+// Bytes of any body (text is UTF-8 encoded) — for the hex view
+export function responseBytes(response) {
+  if (isBinaryResponse(response)) return base64ToBytes(response.data);
+  const text = typeof response.data === "string" ? response.data : JSON.stringify(response.data, null, 2);
+  return new TextEncoder().encode(text ?? "");
+}
+
+// File name for a download: Content-Disposition filename,
+// else the last URL path segment, else "response"; an
+// extension is added from the content type when missing
+export function responseFileName(response, url = "") {
+  const disposition = response.headers?.["content-disposition"] || "";
+  const fromHeader = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i)?.[1];
+  let name = fromHeader ? decodeURIComponent(fromHeader) : "";
+  if (!name) {
+    try {
+      name = decodeURIComponent(new URL(response.finalUrl || url).pathname.split("/").pop() || "");
+    } catch {
+      name = "";
+    }
+  }
+  name = name.replace(/[\\/:*?"<>|]/g, "_") || "response";
+  const extension = EXTENSIONS[mediaType(response.contentType)];
+  return extension && !name.includes(".") ? `${name}.${extension}` : name;
+}
+
+// Save the response body as a file
+export function downloadResponse(response, url) {
+  const type = mediaType(response.contentType) || "application/octet-stream";
+  const blob = isBinaryResponse(response)
+    ? new Blob([base64ToBytes(response.data)], { type })
+    : new Blob([typeof response.data === "string" ? response.data : JSON.stringify(response.data, null, 2)], {
+        type,
+      });
+  const href = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = href;
+  link.download = responseFileName(response, url);
+  link.click();
+  URL.revokeObjectURL(href);
+}
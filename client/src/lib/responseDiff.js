@@ -0,0 +1,177 @@
+// ============================================================
+// responseDiff.js — Compare Two Responses
+// ============================================================
+// Responses from ResponseViewer and entries from request_logs
+// are first turned into the same snapshot shape:
+//   { label, status, statusText, headers, body, responseTime,
+//     responseSize, timings, takenAt }
+// compareSnapshots then reports:
+//   • status  — before / after
+//   • body    — structural JSON diff: added / removed /
+//               changed paths (arrays compared by index)
+//   • headers — case-insensitive, added / removed / changed
+//   • timing  — total and per-phase deltas (server/timings.js)
+// Logs written before headers were recorded have
+// `headers: null`, which is reported as "not recorded".
+// ============================================================
+
+import { formatJsonPath } from "./jsonPath";
+
+// Body diffs stop after this many entries
+export const MAX_DIFF_ENTRIES = 2000;
+
+// Headers that differ on every call — hidden by default
+export const VOLATILE_HEADERS = [
+  "date", "age", "expires", "last-modified", "etag", "set-cookie", "x-request-id", "x-amzn-requestid",
+  "x-amz-cf-id", "cf-ray", "x-cache", "x-served-by", "x-timer", "report-to", "nel",
+];
+
+// Timing rows: total first, then the proxy's phases
+const TIMING_ROWS = [
+  { key: "dns", label: "DNS Lookup" },
+  { key: "tcp", label: "TCP Connect" },
+  { key: "tls", label: "TLS Handshake" },
+  { key: "ttfb", label: "Waiting (TTFB)" },
+  { key: "download", label: "Content Download" },
+];
+
+const toMillis = (ts) => (ts?.toDate?.() || new Date(ts || 0)).getTime();
+
+// --------------------------------------------------
+// Snapshots
+// --------------------------------------------------
+
+// From a proxy response (executeRequest sets `request`)
+export function snapshotFromResponse(response) {
+  return {
+    label: [response.request?.method, response.request?.url].filter(Boolean).join(" ") || "Response",
+    status: response.status,
+    statusText: response.statusText || "",
+    headers: response.headers || {},
+    body: response.data,
+    responseTime: response.responseTime ?? null,
+    responseSize: response.responseSize ?? null,
+    timings: response.timings || null,
+    takenAt: response.receivedAt ?? Date.now(),
+  };
+}
+
+// From a request_logs entry (non-JSON bodies are logged as
+// { raw }, binary ones as { binary: { contentType, size } })
+export function snapshotFromLog(log) {
+  const body = log.response_body;
+  const isRaw = body && typeof body === "object" && !Array.isArray(body) && Object.keys(body).join() === "raw";
+  return {
+    label: `${log.method || "GET"} ${log.url || ""}`.trim(),
+    status: log.status_code ?? null,
+    statusText: "",
+    headers: log.response_headers || null,
+    body: isRaw ? body.raw : body ?? null,
+    responseTime: log.response_time_ms ?? null,
+    responseSize: log.response_size_bytes ?? null,
+    timings: log.timings || null,
+    takenAt: toMillis(log.timestamp),
+  };
+}
+
+// --------------------------------------------------
+// Structural JSON diff. Returns { entries, truncated }
+// with entries { path, type: "added" | "removed" |
+// "changed", before, after }.
+// --------------------------------------------------
+export function diffJson(before, after) {
+  const entries = [];
+  let truncated = false;
+
+  const push = (entry) => {
+    if (entries.length >= MAX_DIFF_ENTRIES) {
+      truncated = true;
+      return;
+    }
+    entries.push(entry);
+  };
+
+  const walk = (a, b, path) => {
+    if (truncated) return;
+    const aContainer = a !== null && typeof a === "object";
+    const bContainer = b !== null && typeof b === "object";
+
+    // Same kind of container — compare children
+    if (aContainer && bContainer && Array.isArray(a) === Array.isArray(b)) {
+      if (Array.isArray(a)) {
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+          if (i >= b.length) push({ path: formatJsonPath([...path, i]), type: "removed", before: a[i] });
+          else if (i >= a.length) push({ path: formatJsonPath([...path, i]), type: "added", after: b[i] });
+          else walk(a[i], b[i], [...path, i]);
+        }
+        return;
+      }
+      const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+      keys.forEach((key) => {
+        const inA = Object.prototype.hasOwnProperty.call(a, key);
+        const inB = Object.prototype.hasOwnProperty.call(b, key);
+        if (!inB) push({ path: formatJsonPath([...path, key]), type: "removed", before: a[key] });
+        else if (!inA) push({ path: formatJsonPath([...path, key]), type: "added", after: b[key] });
+        else walk(a[key], b[key], [...path, key]);
+      });
+      return;
+    }
+
+    // Primitives, or the value changed type
+    if (!Object.is(a, b)) push({ path: formatJsonPath(path), type: "changed", before: a, after: b });
+  };
+
+  walk(before, after, []);
+  return { entries, truncated };
+}
+
+// --------------------------------------------------
+// Header diff (names compared case-insensitively).
+// Returns null when either side wasn't recorded.
+// --------------------------------------------------
+export function diffHeaders(before, after) {
+  if (!before || !after) return null;
+  const lower = (headers) =>
+    Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), String(value)]));
+  const a = lower(before);
+  const b = lower(after);
+
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .sort()
+    .flatMap((name) => {
+      if (!(name in b)) return [{ name, type: "removed", before: a[name] }];
+      if (!(name in a)) return [{ name, type: "added", after: b[name] }];
+      return a[name] !== b[name] ? [{ name, type: "changed", before: a[name], after: b[name] }] : [];
+    });
+}
+
+// Timing rows { label, before, after, delta } (null when a
+// side has no value)
+export function compareTimings(before, after) {
+  const row = (label, a, b) => ({
+    label,
+    before: a ?? null,
+    after: b ?? null,
+    delta: a != null && b != null ? Math.round((b - a) * 10) / 10 : null,
+  });
+  const rows = [row("Total", before.responseTime, after.responseTime)];
+  if (before.timings || after.timings) {
+    TIMING_ROWS.forEach(({ key, label }) => rows.push(row(label, before.timings?.[key], after.timings?.[key])));
+  }
+  return rows;
+}
+
+// --------------------------------------------------
+// Full comparison of two snapshots
+// --------------------------------------------------
+export function compareSnapshots(before, after) {
+  const body = diffJson(before.body, after.body);
+  const headers = diffHeaders(before.headers, after.headers);
+  return {
+    status: { before: before.status, after: after.status, changed: before.status !== after.status },
+    body,
+    headers,
+    timing: compareTimings(before, after),
+    size: { before: before.responseSize, after: after.responseSize },
+  };
+}
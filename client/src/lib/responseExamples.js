@@ -0,0 +1,136 @@
+// ============================================================
+// responseExamples.js — Saved Example Responses
+// ============================================================
+// A saved request can keep named example responses ("200
+// success", "404 not found") in an `examples` array:
+//   { id, name, status, statusText, contentType,
+//     headers: [{ key, value }], body, savedAt }
+// `body` is text — JSON bodies are stored pretty-printed.
+// Examples are saved from ResponseViewer, browsed on the
+// Collections page, exported as Postman `response` entries
+// (lib/collectionFormats) and used as the response of mock
+// routes (lib/mocks) and as expected snapshots.
+// ============================================================
+
+import { createExpectedSnapshot } from "./expectedSnapshot";
+import { isBinaryResponse } from "./responseBody";
+
+// Per example, and for all of a request's examples together
+// (request documents are limited to 1 MiB)
+export const MAX_EXAMPLE_BYTES = 256 * 1024;
+export const MAX_EXAMPLES_BYTES = 640 * 1024;
+export const MAX_EXAMPLES = 20;
+
+// Response headers that describe one exchange, not the API
+const SKIPPED_HEADERS = ["date", "set-cookie", "connection", "keep-alive", "transfer-encoding", "content-length"];
+
+const byteLength = (value) => new TextEncoder().encode(JSON.stringify(value)).length;
+
+// A short unique id for an example
+const exampleId = () => `ex-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Default name for an example of this response
+export const suggestExampleName = (response) =>
+  `${response.status}${response.statusText ? ` ${response.statusText}` : ""}`;
+
+// --------------------------------------------------
+// Example from a proxy response. Throws for binary
+// bodies and bodies over MAX_EXAMPLE_BYTES.
+// --------------------------------------------------
+export function createResponseExample(response, name) {
+  if (isBinaryResponse(response)) throw new Error("Binary responses can't be saved as examples");
+
+  const data = response.data ?? "";
+  const body = typeof data === "object" ? JSON.stringify(data, null, 2) : String(data);
+  if (new TextEncoder().encode(body).length > MAX_EXAMPLE_BYTES) {
+    throw new Error(`Responses over ${MAX_EXAMPLE_BYTES / 1024} KB can't be saved as examples`);
+  }
+
+  const headers = Object.entries(response.headers || {})
+    .filter(([key, value]) => !SKIPPED_HEADERS.includes(key.toLowerCase()) && value != null && typeof value !== "object")
+    .map(([key, value]) => ({ key, value: String(value) }));
+
+  return {
+    id: exampleId(),
+    name: (name || "").trim() || suggestExampleName(response),
+    status: response.status,
+    statusText: response.statusText || "",
+    contentType: response.contentType || "",
+    headers,
+    body,
+    savedAt: new Date().toISOString(),
+  };
+}
+
+// --------------------------------------------------
+// A request's examples with one more. Throws when the
+// request already holds too many or too much.
+// --------------------------------------------------
+export function addResponseExample(examples = [], example) {
+  if (examples.length >= MAX_EXAMPLES) {
+    throw new Error(`A request can keep up to ${MAX_EXAMPLES} examples — delete one first`);
+  }
+  const next = [...examples, example];
+  if (byteLength(next) > MAX_EXAMPLES_BYTES) {
+    throw new Error("This request's examples are too large to add another — delete one first");
+  }
+  return next;
+}
+
+// The example body parsed as JSON, else the text
+export function exampleData(example) {
+  try {
+    return JSON.parse(example.body);
+  } catch {
+    return example.body ?? "";
+  }
+}
+
+// The example as an expected snapshot (lib/expectedSnapshot),
+// tagged with the example's id
+export const snapshotFromExample = (example, ignorePaths = []) => ({
+  ...createExpectedSnapshot({ status: example.status, data: exampleData(example) }, ignorePaths),
+  exampleId: example.id,
+});
+
+// The example a mock or docs page shows first: the first
+// 2xx one, else the first
+export const primaryExample = (examples = []) =>
+  examples.find((example) => example.status >= 200 && example.status < 300) || examples[0] || null;
+
+// Content-Type of an example (header first, then the proxy's)
+export const exampleContentType = (example) =>
+  example.headers?.find((h) => h.key.toLowerCase() === "content-type")?.value || example.contentType || "";
+
+// --------------------------------------------------
+// Postman `response` entries ↔ examples (collection
+// import / export)
+// --------------------------------------------------
+export function toPostmanResponse(example) {
+  return {
+    name: example.name,
+    code: example.status,
+    status: example.statusText,
+    header: example.headers || [],
+    body: example.body,
+    _postman_previewlanguage: /json/.test(exampleContentType(example)) ? "json" : "text",
+  };
+}
+
+export function fromPostmanResponse(response) {
+  if (!response || typeof response !== "object") return null;
+  const headers = (Array.isArray(response.header) ? response.header : [])
+    .filter((h) => h && h.key && !h.disabled)
+    .map((h) => ({ key: String(h.key), value: h.value == null ? "" : String(h.value) }));
+  const status = Number(response.code) || 200;
+  return {
+    id: exampleId(),
+    name: response.name || String(status),
+    status,
+    statusText: response.status || "",
+    contentType: headers.find((h) => h.key.toLowerCase() === "content-type")?.value || "",
+    headers,
+    body: typeof response.body === "string" ? response.body : "",
+    savedAt: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,197 @@
+// ============================================================
+// runReports.js — Collection Run Report Exports
+// ============================================================
+// Turns a collectionRunner report into a downloadable file:
+//   • json   — the report as-is
+//   • junit  — JUnit XML for CI: one <testsuite> per
+//              iteration, one <testcase> per request (flow
+//              steps that never ran are <skipped/>)
+//   • html   — a self-contained page with the summary and
+//              per-request results
+// ============================================================
+
+export const REPORT_FORMATS = [
+  { id: "json", label: "JSON", extension: "json", type: "application/json" },
+  { id: "junit", label: "JUnit XML", extension: "xml", type: "application/xml" },
+  { id: "html", label: "HTML", extension: "html", type: "text/html" },
+];
+
+// Escape text for XML / HTML content and attributes
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+
+const STOPPED_LABEL = {
+  failure: "Stopped at the first failure",
+  cancelled: "Cancelled",
+};
+
+// --------------------------------------------------
+// JUnit XML
+// --------------------------------------------------
+export function reportToJUnit(report) {
+  const { collection, summary } = report;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(collection.name)}" tests="${summary.requests + (summary.skipped || 0)}" failures="${summary.failed}" skipped="${summary.skipped || 0}" time="${seconds(report.durationMs)}">`,
+  ];
+
+  report.iterations.forEach((iteration) => {
+    const failures = iteration.results.filter((result) => !result.passed).length;
+    const skipped = iteration.skipped || [];
+    const time = iteration.results.reduce((sum, result) => sum + result.responseTime, 0);
+    lines.push(
+      `  <testsuite name="${escapeXml(`${collection.name} — iteration ${iteration.index}`)}" tests="${iteration.results.length + skipped.length}" failures="${failures}" skipped="${skipped.length}" time="${seconds(time)}" timestamp="${escapeXml(report.startedAt)}">`
+    );
+
+    iteration.results.forEach((result) => {
+      lines.push(
+        `    <testcase name="${escapeXml(result.name)}" classname="${escapeXml(collection.name)}" time="${seconds(result.responseTime)}">`
+      );
+      if (!result.passed) {
+        const details = [
+          `${result.method} ${result.url} → ${result.status || "no response"}`,
+          ...result.assertions.filter((a) => !a.passed).map((a) => `✗ ${a.name}${a.error ? `: ${a.error}` : ""}`),
+        ].join("\n");
+        lines.push(`      <failure message="${escapeXml(result.error)}">${escapeXml(details)}</failure>`);
+      }
+      lines.push("    </testcase>");
+    });
+
+    skipped.forEach((step) => {
+      lines.push(`    <testcase name="${escapeXml(step.name)}" classname="${escapeXml(collection.name)}" time="0.000">`);
+      lines.push(`      <skipped message="${escapeXml(step.reason)}"/>`);
+      lines.push("    </testcase>");
+    });
+
+    lines.push("  </testsuite>");
+  });
+
+  lines.push("</testsuites>");
+  return lines.join("\n");
+}
+
+// --------------------------------------------------
+// Standalone HTML page
+// --------------------------------------------------
+export function reportToHtml(report) {
+  const { collection, summary, options } = report;
+  const statusClass = (result) => (result.passed ? "pass" : "fail");
+
+  const iterationsHtml = report.iterations
+    .map((iteration) => {
+      const rows = iteration.results
+        .map((result) => {
+          const assertions = result.assertions
+            .map(
+              (a) =>
+                `<li class="${a.passed ? "pass" : "fail"}">${a.passed ? "✓" : "✗"} ${escapeXml(a.name)}${
+                  a.error && !a.passed ? ` — <span class="muted">${escapeXml(a.error)}</span>` : ""
+                }</li>`
+            )
+            .join("");
+          return `<tr>
+  <td><span class="badge ${statusClass(result)}">${result.passed ? "PASS" : "FAIL"}</span></td>
+  <td><strong>${escapeXml(result.name)}</strong><div class="muted mono">${escapeXml(result.method)} ${escapeXml(result.url)}</div>${
+    result.error ? `<div class="fail">${escapeXml(result.error)}</div>` : ""
+  }${assertions ? `<ul>${assertions}</ul>` : ""}</td>
+  <td class="mono">${result.status || "—"}</td>
+  <td class="mono">${result.responseTime} ms</td>
+</tr>`;
+        })
+        .join("\n");
+      const skippedRows = (iteration.skipped || [])
+        .map(
+          (step) => `<tr>
+  <td><span class="badge muted">SKIP</span></td>
+  <td><strong>${escapeXml(step.name)}</strong><div class="muted">${escapeXml(step.reason)}</div></td>
+  <td class="mono">—</td>
+  <td class="mono">—</td>
+</tr>`
+        )
+        .join("\n");
+      const data = iteration.data
+        ? `<p class="muted mono">${escapeXml(JSON.stringify(iteration.data))}</p>`
+        : "";
+      return `<h2>Iteration ${iteration.index}</h2>${data}
+<table><thead><tr><th></th><th>Request</th><th>Status</th><th>Time</th></tr></thead><tbody>
+${rows}${skippedRows ? `\n${skippedRows}` : ""}
+</tbody></table>`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(collection.name)} — run report</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #111827; color: #f9fafb; margin: 2rem; }
+  h1 { font-size: 1.4rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1rem; margin-top: 2rem; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+  th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid #374151; vertical-align: top; }
+  th { color: #9ca3af; font-weight: 500; }
+  ul { margin: 0.25rem 0 0; padding-left: 1rem; }
+  .muted { color: #9ca3af; }
+  .mono { font-family: ui-monospace, monospace; }
+  .pass { color: #4ade80; }
+  .fail { color: #f87171; }
+  .badge { border: 1px solid currentColor; border-radius: 4px; padding: 0 0.4rem; font-size: 0.75rem; font-weight: 700; }
+  .stats { display: flex; gap: 1.5rem; margin: 1rem 0; }
+  .stats div { background: #1f2937; border: 1px solid #374151; border-radius: 8px; padding: 0.75rem 1rem; }
+  .stats strong { display: block; font-size: 1.3rem; }
+</style>
+</head>
+<body>
+<h1>${escapeXml(collection.name)}</h1>
+<p class="muted">${escapeXml(new Date(report.startedAt).toLocaleString())} · ${options.iterations} iteration${
+    options.iterations !== 1 ? "s" : ""
+  }${report.environment ? ` · environment ${escapeXml(report.environment)}` : ""}${
+    options.dataFile ? ` · data ${escapeXml(options.dataFile)} (${options.dataRows} rows)` : ""
+  }${report.stopped ? ` · <span class="fail">${STOPPED_LABEL[report.stopped]}</span>` : ""}</p>
+<div class="stats">
+  <div><strong>${summary.requests}</strong><span class="muted">requests</span></div>
+  <div><strong class="pass">${summary.passed}</strong><span class="muted">passed</span></div>
+  <div><strong class="fail">${summary.failed}</strong><span class="muted">failed</span></div>${
+    summary.skipped ? `\n  <div><strong>${summary.skipped}</strong><span class="muted">skipped</span></div>` : ""
+  }
+  <div><strong>${summary.assertions - summary.failedAssertions}/${summary.assertions}</strong><span class="muted">assertions passed</span></div>
+  <div><strong>${summary.averageResponseTime} ms</strong><span class="muted">average response time</span></div>
+  <div><strong>${seconds(report.durationMs)} s</strong><span class="muted">duration</span></div>
+</div>
+${iterationsHtml}
+</body>
+</html>`;
+}
+
+// Report → file contents for a format id
+export function formatReport(report, format) {
+  if (format === "junit") return reportToJUnit(report);
+  if (format === "html") return reportToHtml(report);
+  return JSON.stringify(report, null, 2);
+}
+
+const formatFor = (format) => REPORT_FORMATS.find((f) => f.id === format) || REPORT_FORMATS[0];
+
+// "<name>-run-<timestamp>.<extension>"
+export function reportFileName(report, format) {
+  const base = `${(report.collection.name || "collection").replace(/[^\w.-]+/g, "_")}-run-${report.startedAt.slice(0, 19).replace(/[:T]/g, "-")}`;
+  return `${base}.${formatFor(format).extension}`;
+}
+
+// Save the report as a file
+export function downloadReport(report, format) {
+  const href = URL.createObjectURL(new Blob([formatReport(report, format)], { type: formatFor(format).type }));
+  const link = document.createElement("a");
+  link.href = href;
+  link.download = reportFileName(report, format);
+  link.click();
+  URL.revokeObjectURL(href);
+}
@@ -0,0 +1,306 @@
+// ============================================================
+// scriptRunner.js — Sandboxed Pre-request & Test Scripts
+// ============================================================
+// Runs user scripts inside a throwaway Web Worker so they
+// can't touch the DOM or the app's state, with the worker's
+// network and storage APIs removed (sandboxWorker) so they
+// can't read the Firebase session or call out with fetch /
+// XHR / sockets. Each
+// run gets a Postman-style `pm` object:
+//   • pm.request      — mutable method / url / headers / params / body
+//   • pm.variables    — get / set / unset runtime variables
+//   • pm.environment  — same, but changes are written back to
+//                       the active environment
+//   • pm.response     — status, headers, json(), text() (tests only)
+//   • pm.test / pm.expect — chai-like assertions
+// The worker is terminated after every run (or on timeout).
+// ============================================================
+
+// Maximum time a script may run before the worker is killed
+const SCRIPT_TIMEOUT_MS = 5000;
+
+// --------------------------------------------------
+// Worker body — stringified into a Blob, so it must be
+// completely self-contained (no closures over this module).
+// Exported for the CLI, which runs it in a node:vm context.
+// --------------------------------------------------
+export function sandboxWorker() {
+  // Network, storage and messaging APIs. Shadowing the names
+  // isn't enough — globalThis.fetch or Function("return this")()
+  // still reach them, and the worker shares the app's origin,
+  // so IndexedDB holds the Firebase session — so they are
+  // removed from the worker scope before any script runs.
+  const BLOCKED_GLOBALS = [
+    "fetch",
+    "XMLHttpRequest",
+    "WebSocket",
+    "WebSocketStream",
+    "WebTransport",
+    "EventSource",
+    "indexedDB",
+    "caches",
+    "cookieStore",
+    "navigator",
+    "importScripts",
+    "BroadcastChannel",
+    "Worker",
+    "SharedWorker",
+    "postMessage",
+  ];
+  const post = self.postMessage.bind(self);
+  BLOCKED_GLOBALS.forEach((name) => {
+    for (let scope = globalThis; scope; scope = Object.getPrototypeOf(scope)) {
+      if (Object.prototype.hasOwnProperty.call(scope, name)) Reflect.deleteProperty(scope, name);
+    }
+  });
+  // Anything the browser wouldn't let go of keeps scripts off
+  const exposed = BLOCKED_GLOBALS.filter((name) => typeof globalThis[name] !== "undefined");
+
+  // Deep equality for .eql() assertions
+  const deepEqual = (a, b) => {
+    if (a === b) return true;
+    if (typeof a !== "object" || typeof b !== "object" || !a || !b) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    return keysA.every((k) => deepEqual(a[k], b[k]));
+  };
+
+  const show = (value) => {
+    try {
+      return typeof value === "string" ? `"${value}"` : JSON.stringify(value);
+    } catch {
+      return String(value);
+    }
+  };
+
+  // Minimal chai-style expect(): expect(x).to.equal(y), .not, etc.
+  const expect = (actual) => {
+    const build = (negate) => {
+      const check = (pass, message) => {
+        if (negate ? pass : !pass) {
+          throw new Error(negate ? message.replace(" to ", " not to ") : message);
+        }
+      };
+
+      const assertion = {
+        equal: (expected) =>
+          check(actual === expected, `expected ${show(actual)} to equal ${show(expected)}`),
+        eql: (expected) =>
+          check(deepEqual(actual, expected), `expected ${show(actual)} to deeply equal ${show(expected)}`),
+        above: (n) => check(actual > n, `expected ${show(actual)} to be above ${n}`),
+        below: (n) => check(actual < n, `expected ${show(actual)} to be below ${n}`),
+        least: (n) => check(actual >= n, `expected ${show(actual)} to be at least ${n}`),
+        most: (n) => check(actual <= n, `expected ${show(actual)} to be at most ${n}`),
+        include: (item) =>
+          check(
+            actual != null && (typeof actual === "string" || Array.isArray(actual))
+              ? actual.includes(item)
+              : actual != null && typeof actual === "object" && item in actual,
+            `expected ${show(actual)} to include ${show(item)}`
+          ),
+        property: (name, value) =>
+          check(
+            actual != null &&
+              Object.prototype.hasOwnProperty.call(Object(actual), name) &&
+              (value === undefined || deepEqual(actual[name], value)),
+            `expected ${show(actual)} to have property "${name}"`
+          ),
+        lengthOf: (n) =>
+          check(actual?.length === n, `expected ${show(actual)} to have length ${n}`),
+        a: (type) =>
+          check(
+            (Array.isArray(actual) ? "array" : actual === null ? "null" : typeof actual) === type,
+            `expected ${show(actual)} to be a ${type}`
+          ),
+        match: (re) => check(re.test(actual), `expected ${show(actual)} to match ${re}`),
+        oneOf: (list) => check(list.includes(actual), `expected ${show(actual)} to be one of ${show(list)}`),
+      };
+      assertion.equals = assertion.equal;
+      assertion.eq = assertion.equal;
+      assertion.an = assertion.a;
+      assertion.contain = assertion.include;
+      assertion.greaterThan = assertion.above;
+      assertion.lessThan = assertion.below;
+
+      // Property-style assertions (expect(x).to.be.ok)
+      Object.defineProperties(assertion, {
+        ok: { get: () => check(Boolean(actual), `expected ${show(actual)} to be truthy`) },
+        true: { get: () => check(actual === true, `expected ${show(actual)} to be true`) },
+        false: { get: () => check(actual === false, `expected ${show(actual)} to be false`) },
+        null: { get: () => check(actual === null, `expected ${show(actual)} to be null`) },
+        undefined: { get: () => check(actual === undefined, `expected ${show(actual)} to be undefined`) },
+        empty: {
+          get: () =>
+            check(
+              actual != null &&
+                (typeof actual === "object" && !Array.isArray(actual)
+                  ? Object.keys(actual).length === 0
+                  : actual.length === 0),
+              `expected ${show(actual)} to be empty`
+            ),
+        },
+      });
+
+      // Language chains — all return the same assertion
+      ["to", "be", "been", "is", "that", "which", "and", "has", "have", "with", "at", "of"].forEach(
+        (chain) => Object.defineProperty(assertion, chain, { get: () => assertion })
+      );
+      Object.defineProperty(assertion, "not", { get: () => build(!negate) });
+
+      // .deep switches equal() to structural comparison
+      const deep = Object.create(assertion);
+      deep.equal = deep.equals = deep.eq = assertion.eql;
+      Object.defineProperty(assertion, "deep", { get: () => deep });
+      return assertion;
+    };
+    return build(false);
+  };
+
+  self.onmessage = (event) => {
+    const { code, context } = event.data;
+    if (exposed.length) {
+      post({
+        request: context.request,
+        variables: context.variables,
+        environmentUpdates: {},
+        tests: [],
+        logs: [],
+        error: `Scripts can't run safely in this browser (${exposed.join(", ")} can't be removed)`,
+      });
+      return;
+    }
+    const tests = [];
+    const logs = [];
+    const variables = { ...context.variables };
+    const environmentUpdates = {};
+    const request = context.request;
+
+    // Capture console output for the Tests tab
+    const capture = (level) => (...args) =>
+      logs.push({ level, message: args.map((a) => (typeof a === "string" ? a : show(a))).join(" ") });
+
+    const variableScope = (persist) => ({
+      get: (key) => variables[key],
+      has: (key) => Object.prototype.hasOwnProperty.call(variables, key),
+      set: (key, value) => {
+        variables[key] = value == null ? "" : String(value);
+        if (persist) environmentUpdates[key] = variables[key];
+      },
+      unset: (key) => {
+        delete variables[key];
+        if (persist) environmentUpdates[key] = null;
+      },
+      toObject: () => ({ ...variables }),
+    });
+
+    let response;
+    if (context.response) {
+      const res = context.response;
+      response = {
+        code: res.status,
+        status: res.statusText,
+        headers: res.headers || {},
+        responseTime: res.responseTime,
+        responseSize: res.responseSize,
+        json: () => (typeof res.data === "string" ? JSON.parse(res.data) : res.data),
+        text: () => (typeof res.data === "string" ? res.data : JSON.stringify(res.data)),
+      };
+      // pm.response.to.have.status(200) shorthand
+      response.to = {
+        have: {
+          status: (code) => expect(res.status).to.equal(code),
+          header: (name) =>
+            expect(Object.keys(response.headers).map((h) => h.toLowerCase())).to.include(name.toLowerCase()),
+        },
+        be: {
+          get ok() {
+            return expect(res.status >= 200 && res.status < 300).to.be.true;
+          },
+        },
+      };
+    }
+
+    const pm = {
+      request,
+      response,
+      variables: variableScope(false),
+      environment: variableScope(true),
+      expect,
+      test: (name, fn) => {
+        try {
+          fn();
+          tests.push({ name, passed: true });
+        } catch (err) {
+          tests.push({ name, passed: false, error: err.message });
+        }
+      },
+    };
+
+    let error = null;
+    try {
+      const run = new Function("pm", "expect", "console", `"use strict";\n${code}`);
+      run(pm, expect, { log: capture("log"), info: capture("info"), warn: capture("warn"), error: capture("error") });
+    } catch (err) {
+      error = err.message;
+    }
+
+    post({ request, variables, environmentUpdates, tests, logs, error });
+  };
+}
+
+// Lazily-built Blob URL for the worker source
+let workerUrl = null;
+const getWorkerUrl = () => {
+  if (!workerUrl) {
+    const source = `(${sandboxWorker.toString()})();`;
+    workerUrl = URL.createObjectURL(new Blob([source], { type: "application/javascript" }));
+  }
+  return workerUrl;
+};
+
+// --------------------------------------------------
+// Run a script in a fresh worker.
+// context: { request, variables, response? }
+// Resolves with { request, variables, environmentUpdates,
+// tests, logs, error } — never rejects.
+// --------------------------------------------------
+export function runScript(code, context, { timeout = SCRIPT_TIMEOUT_MS } = {}) {
+  return new Promise((resolve) => {
+    const empty = {
+      request: context.request,
+      variables: context.variables,
+      environmentUpdates: {},
+      tests: [],
+      logs: [],
+    };
+
+    if (!code?.trim()) {
+      resolve({ ...empty, error: null });
+      return;
+    }
+
+    const worker = new Worker(getWorkerUrl());
+    const timer = setTimeout(() => {
+      worker.terminate();
+      resolve({ ...empty, error: `Script timed out after ${timeout / 1000}s` });
+    }, timeout);
+
+    worker.onmessage = (event) => {
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(event.data);
+    };
+
+    worker.onerror = (event) => {
+      clearTimeout(timer);
+      worker.terminate();
+      event.preventDefault();
+      resolve({ ...empty, error: event.message || "Script failed to run" });
+    };
+
+    // Structured clone drops anything non-serialisable
+    worker.postMessage({ code, context: JSON.parse(JSON.stringify(context)) });
+  });
+}
@@ -0,0 +1,228 @@
+// The proxy server keeps CommonJS ports of a few client modules
+// for the runs it makes on its own (monitors, mock match rules).
+// Every case here goes through both copies and must agree.
+
+import { createRequire } from "node:module";
+import { describe, expect, it } from "vitest";
+import { getJsonPathValue, queryJsonPath } from "./jsonPath";
+import { applyExtractions, getExecutionOrder } from "./flowRunner";
+import { buildProxyPayload } from "./requestBuilder";
+import { variablesToObject } from "./variables";
+import { isStreamRequest } from "./streamClient";
+import { cronMatches, parseCron, shortestInterval } from "./cron";
+
+const require = createRequire(import.meta.url);
+const server = {
+  ...require("../../../server/jsonPath.js"),
+  ...require("../../../server/flowRunner.js"),
+  ...require("../../../server/requestPayload.js"),
+  ...require("../../../server/cron.js"),
+};
+
+// The value or error message a call ends with
+const outcome = (fn) => {
+  try {
+    return { value: fn() };
+  } catch (err) {
+    return { error: err.message };
+  }
+};
+
+const DATA = {
+  id: 1,
+  data: {
+    items: [
+      { id: 1, name: "first", tags: ["a", "b"] },
+      { id: 2, name: "second", "first name": "Ada" },
+    ],
+    total: 2,
+    next: null,
+  },
+  meta: { id: "meta-1" },
+};
+
+const PATHS = [
+  "$",
+  "$.id",
+  "id",
+  "data.total",
+  "$.data.items[0].name",
+  "$.data.items[-1].name",
+  "$.data.items[5].name",
+  "$.data.items[1]['first name']",
+  '$["data"]["total"]',
+  "$.data.items[*].id",
+  "$.data.items[*]",
+  "$.data.items.*",
+  "$..id",
+  "$..name",
+  "$..tags[1]",
+  "$..*",
+  "$.data.next",
+  "$.missing",
+  "$.data.items[",
+  "$.data.items[?(@.id)]",
+  "$.",
+  "$..",
+];
+
+describe("jsonPath — server/jsonPath.js", () => {
+  it.each(PATHS)("%s", (path) => {
+    expect(outcome(() => server.queryJsonPath(DATA, path))).toEqual(outcome(() => queryJsonPath(DATA, path)));
+    expect(server.getJsonPathValue(DATA, path)).toEqual(getJsonPathValue(DATA, path));
+  });
+
+  it("reads recursive descent and wildcards", () => {
+    expect(server.getJsonPathValue(DATA, "$..id")).toBe(1);
+    expect(server.getJsonPathValue(DATA, "$.data.items[*].id")).toBe(1);
+    expect(server.queryJsonPath(DATA, "$..id")).toEqual([1, 1, 2, "meta-1"]);
+  });
+});
+
+describe("flow helpers — server/flowRunner.js", () => {
+  const nodes = ["a", "b", "c", "d"].map((id) => ({ id }));
+
+  it.each([
+    ["no edges", []],
+    ["a chain", [{ source: "c", target: "b" }, { source: "b", target: "a" }]],
+    ["a fan-in", [{ source: "a", target: "d" }, { source: "c", target: "d" }]],
+    ["edges to unknown nodes", [{ source: "a", target: "x" }]],
+    ["a cycle", [{ source: "a", target: "b" }, { source: "b", target: "a" }]],
+  ])("orders %s the same", (_, edges) => {
+    expect(outcome(() => server.getExecutionOrder(nodes, edges))).toEqual(
+      outcome(() => getExecutionOrder(nodes, edges))
+    );
+  });
+
+  const rules = [
+    { source: "body", path: "$..id", variable: "firstId" },
+    { source: "body", path: "$.data.items[*].name", variable: "name" },
+    { source: "body", path: "$.data.items", variable: "items" },
+    { source: "body", path: "$.missing", variable: "missing" },
+    { source: "header", path: "X-Request-Id", variable: "requestId" },
+    { source: "header", path: "X-Absent", variable: "absent" },
+    { source: "status", variable: "status" },
+    { source: "body", path: "$.id", variable: "  " },
+  ];
+
+  it.each([
+    ["a JSON body", DATA],
+    ["a JSON string body", JSON.stringify(DATA)],
+    ["a text body", "plain text"],
+  ])("extracts from %s the same", (_, data) => {
+    const response = { status: 201, headers: { "x-request-id": "req-9" }, data };
+    expect(server.applyExtractions(rules, response)).toEqual(applyExtractions(rules, response));
+  });
+});
+
+describe("proxy payloads — server/requestPayload.js", () => {
+  const variables = { baseUrl: "https://api.example.com", token: "t0k", user: "ada", id: 42 };
+
+  const REQUESTS = {
+    "a bare GET": { method: "get", url: " {{baseUrl}}/users/{{id}} " },
+    "params, headers and bearer auth": {
+      method: "GET",
+      url: "{{baseUrl}}/search",
+      params: [{ key: "q", value: "{{user}}" }, { key: "", value: "dropped" }, { key: "unknown", value: "{{nope}}" }],
+      headers: [{ key: "X-Trace", value: "1" }],
+      authType: "bearer",
+      bearerToken: " {{token}} ",
+      settings: { timeoutMs: 5000 },
+    },
+    "basic auth": { method: "GET", url: "{{baseUrl}}", authType: "basic", basicUsername: "{{user}}", basicPassword: "pässword" },
+    "a JSON body": { method: "POST", url: "{{baseUrl}}", bodyType: "raw", bodyContent: '{"id": {{id}}}' },
+    "invalid JSON": { method: "POST", url: "{{baseUrl}}", bodyType: "raw", bodyContent: "{oops" },
+    "an XML body": {
+      method: "POST",
+      url: "{{baseUrl}}",
+      bodyType: "raw",
+      rawContentType: "application/xml",
+      bodyContent: "<id>{{id}}</id>",
+    },
+    "a legacy Visualizer body": { method: "POST", url: "{{baseUrl}}", body: { user: "{{user}}" } },
+    "urlencoded fields": {
+      method: "POST",
+      url: "{{baseUrl}}",
+      bodyType: "urlencoded",
+      urlencodedFields: [{ key: "user", value: "{{user}}" }, { key: "", value: "x" }],
+    },
+    "form-data fields": {
+      method: "POST",
+      url: "{{baseUrl}}",
+      bodyType: "form-data",
+      formFields: [
+        { key: "name", type: "text", value: "{{user}}" },
+        { key: "avatar", type: "file", fileName: "a.png", contentType: "image/png", data: "iVBOR" },
+        { key: "missing", type: "file", fileName: "b.png" },
+      ],
+    },
+    "a binary body": {
+      method: "PUT",
+      url: "{{baseUrl}}",
+      bodyType: "binary",
+      binaryFile: { fileName: "a.bin", contentType: "application/octet-stream", data: "AAEC" },
+    },
+    "a GraphQL body": {
+      method: "POST",
+      url: "{{baseUrl}}/graphql",
+      bodyType: "graphql",
+      graphqlQuery: "query GetUser { user(id: {{id}}) { name } }",
+      graphqlVariables: '{"id": {{id}}}',
+      graphqlOperationName: "GetUser",
+    },
+    "invalid GraphQL variables": {
+      method: "POST",
+      url: "{{baseUrl}}/graphql",
+      bodyType: "graphql",
+      graphqlQuery: "{ me { id } }",
+      graphqlVariables: "{oops",
+    },
+  };
+
+  it.each(Object.entries(REQUESTS))("builds %s the same", (_, request) => {
+    expect(outcome(() => server.buildProxyPayload(request, { variables }))).toEqual(
+      outcome(() => buildProxyPayload(request, { variables }))
+    );
+  });
+
+  it("reads environments and stream requests the same", () => {
+    const pairs = [{ key: " baseUrl ", value: "x" }, { key: "", value: "y" }, { key: "empty" }];
+    expect(server.variablesToObject(pairs)).toEqual(variablesToObject(pairs));
+    ["websocket", "sse", "http", undefined].forEach((type) =>
+      expect(server.isStreamRequest({ type })).toBe(isStreamRequest({ type }))
+    );
+  });
+});
+
+describe("cron — server/cron.js", () => {
+  const EXPRESSIONS = [
+    "* * * * *",
+    "*/5 * * * *",
+    "5/15 9-17 * * 1-5",
+    "0 0 1,15 * *",
+    "0 12 * * 7",
+    "58,2 * * * *",
+    "0,58 0 * * *",
+    "0 9,10 * * *",
+    "30 6 13 * 5",
+    "0 0 * 2 0",
+    "61 * * * *",
+    "* * *",
+    "*/0 * * * *",
+    "a * * * *",
+  ];
+  // Every 37 minutes across a few weeks, in UTC
+  const start = Date.UTC(2026, 0, 1);
+  const dates = Array.from({ length: 1500 }, (_, i) => new Date(start + i * 37 * 60 * 1000));
+
+  it.each(EXPRESSIONS)("%s", (expression) => {
+    const serverCron = outcome(() => server.parseCron(expression));
+    const clientCron = outcome(() => parseCron(expression));
+    expect(serverCron.error).toEqual(clientCron.error);
+    if (clientCron.error) return;
+    expect(server.shortestInterval(serverCron.value)).toBe(shortestInterval(clientCron.value));
+    dates.forEach((date) =>
+      expect(server.cronMatches(serverCron.value, date)).toBe(cronMatches(clientCron.value, date))
+    );
+  });
+});
@@ -0,0 +1,220 @@
+// ============================================================
+// streamClient.js — WebSocket & SSE Sessions via the Proxy
+// ============================================================
+// Browser side of server/streamRelay.js:
+//   • openWebSocketSession — connect to /api/stream/ws and
+//     speak the relay's JSON envelope protocol
+//   • openSseSession       — POST /api/stream/sse and parse
+//     the relayed text/event-stream
+// Both report everything through one `onEvent` callback as
+// log entries { direction, kind, data, binary, size, event,
+// time } where direction is "in" | "out" | "system".
+// Streaming sessions are saved to collections as requests
+// with `type: "websocket" | "sse"`. Both relays identify the
+// user by Firebase ID token, like POST /api/proxy.
+// ============================================================
+
+import { PROXY_URL, getProxyToken } from "./requestBuilder";
+
+export const STREAM_TYPES = [
+  { id: "websocket", label: "WebSocket", badge: "WS" },
+  { id: "sse", label: "Server-Sent Events", badge: "SSE" },
+];
+
+// Log entries kept in memory / saved with a session
+export const MAX_LOG_ENTRIES = 1000;
+export const MAX_SAVED_ENTRIES = 200;
+// Saved entry payloads are truncated (Firestore 1 MB docs)
+export const MAX_SAVED_DATA_CHARS = 2000;
+
+// True for saved requests that open in the Realtime page
+export const isStreamRequest = (request) => STREAM_TYPES.some((t) => t.id === request?.type);
+
+// Sidebar / collection badge for a saved stream request
+export const streamBadge = (request) => STREAM_TYPES.find((t) => t.id === request?.type)?.badge || null;
+
+// Relay WebSocket endpoint on the proxy server
+const relayWebSocketUrl = () => `${PROXY_URL.replace(/^http/, "ws")}/api/stream/ws`;
+
+// --------------------------------------------------
+// Open a WebSocket session through the relay. Returns
+// { send(data), close() }. The upstream connection is
+// requested once the relay socket opens, with the ID
+// token in the connect envelope (WebSocket handshakes
+// can't carry an Authorization header).
+// --------------------------------------------------
+export function openWebSocketSession({ url, headers = {}, protocols = [] }, { onEvent }) {
+  const socket = new WebSocket(relayWebSocketUrl());
+  let closed = false;
+
+  const emit = (entry) => onEvent({ time: Date.now(), ...entry });
+  const finish = (entry) => {
+    if (closed) return;
+    closed = true;
+    emit(entry);
+  };
+
+  socket.onopen = async () => {
+    const token = await getProxyToken().catch(() => null);
+    if (socket.readyState !== WebSocket.OPEN) return;
+    socket.send(JSON.stringify({ type: "connect", url, headers, protocols, token }));
+  };
+
+  socket.onmessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch {
+      return;
+    }
+    if (message.type === "open") {
+      emit({
+        direction: "system",
+        kind: "open",
+        data: message.protocol ? `Connected (protocol: ${message.protocol})` : "Connected",
+        time: message.time,
+      });
+    } else if (message.type === "message") {
+      emit({
+        direction: "in",
+        kind: "message",
+        data: message.data,
+        binary: message.binary,
+        size: message.size,
+        time: message.time,
+      });
+    } else if (message.type === "error") {
+      emit({ direction: "system", kind: "error", data: message.message, time: message.time });
+    } else if (message.type === "close") {
+      finish({
+        direction: "system",
+        kind: "close",
+        data: `Closed (${message.code}${message.reason ? `: ${message.reason}` : ""})`,
+        time: message.time,
+      });
+    }
+  };
+
+  socket.onerror = () => {
+    emit({ direction: "system", kind: "error", data: "Could not reach the proxy server" });
+  };
+
+  socket.onclose = (event) => {
+    finish({ direction: "system", kind: "close", data: `Closed (${event.code})` });
+  };
+
+  return {
+    send(data) {
+      if (socket.readyState !== WebSocket.OPEN) return false;
+      socket.send(JSON.stringify({ type: "send", data }));
+      emit({ direction: "out", kind: "message", data, size: new Blob([data]).size });
+      return true;
+    },
+    close() {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: "close", code: 1000 }));
+      } else if (socket.readyState === WebSocket.CONNECTING) {
+        socket.close();
+      }
+    },
+  };
+}
+
+// --------------------------------------------------
+// Incremental text/event-stream parser. Calls
+// onMessage({ event, data, id }) per dispatched event
+// (comments and retry fields are ignored).
+// --------------------------------------------------
+export function createSseParser(onMessage) {
+  let buffer = "";
+  let data = [];
+  let event = "";
+  let id = "";
+
+  const dispatch = () => {
+    if (data.length) onMessage({ event: event || "message", data: data.join("\n"), id });
+    data = [];
+    event = "";
+  };
+
+  return (chunk) => {
+    buffer += chunk;
+    // A trailing \r may be the first half of a \r\n split
+    // across chunks — hold it back until the next one
+    const held = buffer.endsWith("\r") ? "\r" : "";
+    const lines = (held ? buffer.slice(0, -1) : buffer).split(/\r\n|\r|\n/);
+    buffer = lines.pop() + held; // incomplete line
+    lines.forEach((line) => {
+      if (line === "") {
+        dispatch();
+        return;
+      }
+      if (line.startsWith(":")) return;
+      const index = line.indexOf(":");
+      const field = index === -1 ? line : line.slice(0, index);
+      let value = index === -1 ? "" : line.slice(index + 1);
+      if (value.startsWith(" ")) value = value.slice(1);
+      if (field === "data") data.push(value);
+      else if (field === "event") event = value;
+      else if (field === "id") id = value;
+    });
+  };
+}
+
+// --------------------------------------------------
+// Open an SSE session through the relay. Returns
+// { close() }.
+// --------------------------------------------------
+export function openSseSession({ url, headers = {} }, { onEvent }) {
+  const controller = new AbortController();
+  const emit = (entry) => onEvent({ time: Date.now(), ...entry });
+
+  const parse = createSseParser(({ event, data, id }) => {
+    emit({ direction: "in", kind: "message", event, id, data, size: new Blob([data]).size });
+  });
+
+  (async () => {
+    try {
+      const token = await getProxyToken();
+      const response = await fetch(`${PROXY_URL}/api/stream/sse`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: JSON.stringify({ url, headers }),
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        emit({ direction: "system", kind: "error", data: body.error || `Proxy responded ${response.status}` });
+        emit({ direction: "system", kind: "close", data: "Closed" });
+        return;
+      }
+
+      emit({ direction: "system", kind: "open", data: "Connected" });
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parse(decoder.decode(value, { stream: true }));
+      }
+      emit({ direction: "system", kind: "close", data: "Stream ended" });
+    } catch (err) {
+      if (err.name === "AbortError") {
+        emit({ direction: "system", kind: "close", data: "Disconnected" });
+      } else {
+        emit({ direction: "system", kind: "error", data: "Could not reach the proxy server" });
+        emit({ direction: "system", kind: "close", data: "Closed" });
+      }
+    }
+  })();
+
+  return {
+    close() {
+      controller.abort();
+    },
+  };
+}
@@ -0,0 +1,36 @@
+import { describe, expect, it } from "vitest";
+import { createSseParser } from "./streamClient";
+
+// Events dispatched after feeding `chunks` in order
+const parseChunks = (chunks) => {
+  const events = [];
+  const parse = createSseParser((message) => events.push(message));
+  chunks.forEach((chunk) => parse(chunk));
+  return events;
+};
+
+describe("createSseParser", () => {
+  it("parses events, fields and comments", () => {
+    expect(parseChunks([": ping\n", "event: update\nid: 7\ndata: a\ndata:b\n\n", "data: c\n\n"])).toEqual([
+      { event: "update", data: "a\nb", id: "7" },
+      { event: "message", data: "c", id: "7" },
+    ]);
+  });
+
+  it("accepts \\r\\n, \\r and \\n line endings", () => {
+    expect(parseChunks(["data: a\r\n\r\ndata: b\r\rdata: c\n\n"]).map((e) => e.data)).toEqual(["a", "b", "c"]);
+  });
+
+  it("keeps a \\r\\n split across chunks as one line break", () => {
+    expect(parseChunks(["data: a\r", "\ndata: b\r\n\r\n"])).toEqual([{ event: "message", data: "a\nb", id: "" }]);
+    expect(parseChunks(["data: a\r\n\r", "\n"])).toEqual([{ event: "message", data: "a", id: "" }]);
+  });
+
+  it("waits for the rest of a line split across chunks", () => {
+    expect(parseChunks(["da", "ta: he", "llo\n", "\n"])).toEqual([{ event: "message", data: "hello", id: "" }]);
+  });
+
+  it("treats a lone \\r at the end of a chunk as a line break once more arrives", () => {
+    expect(parseChunks(["data: a\r", "\r", "data: b\n\n"]).map((e) => e.data)).toEqual(["a", "b"]);
+  });
+});
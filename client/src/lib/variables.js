@@ -0,0 +1,62 @@
+// ============================================================
+// variables.js — {{variable}} Substitution Helpers
+// ============================================================
+// Resolves `{{name}}` placeholders against the key-value pairs
+// of the active environment. Used when RequestBuilder builds
+// the proxy payload so saved requests can reference values
+// like {{baseUrl}} instead of hard-coding a host.
+// ============================================================
+
+// Matches {{name}} — whitespace inside the braces is allowed
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Convert an environment's key-value pair array to a plain
+// object (filters out empty keys, later keys win)
+export function variablesToObject(pairs = []) {
+  const vars = {};
+  pairs.forEach(({ key, value }) => {
+    if (key?.trim()) vars[key.trim()] = value ?? "";
+  });
+  return vars;
+}
+
+// Look up the active environment and return its variables
+// as a plain object ({} when no environment is selected)
+export function getActiveVariables(environments, activeEnvironmentId) {
+  const env = environments.find((e) => e.id === activeEnvironmentId);
+  return env ? variablesToObject(env.variables) : {};
+}
+
+// Replace every {{name}} in a string. Unknown variables are
+// left untouched so the user can see what failed to resolve.
+export function resolveVariables(value, vars) {
+  if (typeof value !== "string" || !value.includes("{{")) return value;
+  return value.replace(VARIABLE_PATTERN, (match, name) =>
+    Object.prototype.hasOwnProperty.call(vars, name) ? String(vars[name]) : match
+  );
+}
+
+// Resolve both the key and the value of every pair
+export function resolvePairs(pairs = [], vars) {
+  return pairs.map((pair) => ({
+    ...pair,
+    key: resolveVariables(pair.key, vars),
+    value: resolveVariables(pair.value, vars),
+  }));
+}
+
+// Resolve both the keys and the values of a plain object
+export function resolveObject(obj = {}, vars) {
+  const resolved = {};
+  Object.entries(obj).forEach(([key, value]) => {
+    resolved[resolveVariables(key, vars)] = resolveVariables(value, vars);
+  });
+  return resolved;
+}
+
+// List the variable names referenced in a string
+// (used to flag unresolved placeholders in the UI)
+export function findVariables(value) {
+  if (typeof value !== "string") return [];
+  return [...value.matchAll(VARIABLE_PATTERN)].map((m) => m[1]);
+}
@@ -0,0 +1,91 @@
+// ============================================================
+// zip.js — Minimal ZIP Archive Writer
+// ============================================================
+// Packs a few generated files into a .zip Blob for download
+// (the API docs bundle). Entries are stored uncompressed —
+// the files are small text and every unzip tool reads stored
+// entries — so no compression library is needed. File names
+// are flagged as UTF-8.
+// ============================================================
+
+// CRC-32 (IEEE) lookup table
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time / date fields for a Date
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// Little-endian header writer
+function header(size, fields) {
+  const view = new DataView(new ArrayBuffer(size));
+  let offset = 0;
+  fields.forEach(([bytes, value]) => {
+    if (bytes === 2) view.setUint16(offset, value, true);
+    else view.setUint32(offset, value, true);
+    offset += bytes;
+  });
+  return new Uint8Array(view.buffer);
+}
+
+const UTF8_FLAG = 0x0800;
+const VERSION = 20;
+
+// --------------------------------------------------
+// [{ name, data }] → application/zip Blob. `data` is a
+// string (written as UTF-8) or a Uint8Array.
+// --------------------------------------------------
+export function createZip(files, modified = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime(modified);
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach((file) => {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === "string" ? encoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+
+    const local = header(30, [
+      [4, 0x04034b50], [2, VERSION], [2, UTF8_FLAG], [2, 0], [2, time], [2, date],
+      [4, crc], [4, data.length], [4, data.length], [2, name.length], [2, 0],
+    ]);
+    parts.push(local, name, data);
+
+    central.push(
+      header(46, [
+        [4, 0x02014b50], [2, VERSION], [2, VERSION], [2, UTF8_FLAG], [2, 0], [2, time], [2, date],
+        [4, crc], [4, data.length], [4, data.length], [2, name.length], [2, 0], [2, 0],
+        [2, 0], [2, 0], [4, 0], [4, offset],
+      ]),
+      name
+    );
+    offset += local.length + name.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const end = header(22, [
+    [4, 0x06054b50], [2, 0], [2, 0], [2, files.length], [2, files.length],
+    [4, centralSize], [4, offset], [2, 0],
+  ]);
+
+  return new Blob([...parts, ...central, end], { type: "application/zip" });
+}
@@ -7,6 +7,11 @@
 // and Framer Motion animations throughout.
 // Now reads from global Zustand store so Collections page
 // and Workspace sidebar stay in sync without duplicate fetches.
+// The play button opens CollectionRunnerModal to run a whole
+// collection with iterations, data files and exportable reports.
+// Requests with saved example responses expand to list them
+// (RequestExamples). The docs button opens PublishDocsModal to
+// download or publish the collection's API documentation.
 // ============================================================
 
 import { useEffect, useState, useMemo } from "react";
@@ -25,6 +30,15 @@ import useStore from "../store/useStore";
 import { useCollections } from "../hooks/useCollections";
 import { useNavigate } from "react-router-dom";
 import Navbar from "../components/Navbar";
+import ImportOpenApiModal from "../components/ImportOpenApiModal";
+import ImportPostmanModal from "../components/ImportPostmanModal";
+import CollectionRunnerModal from "../components/CollectionRunnerModal";
+import PublishDocsModal from "../components/PublishDocsModal";
+import RequestExamples from "../components/RequestExamples";
+import { toPostmanCollection } from "../lib/collectionFormats";
+import { normalizeRequest } from "../lib/requestBuilder";
+import { snapshotFromExample } from "../lib/responseExamples";
+import { isStreamRequest, streamBadge } from "../lib/streamClient";
 import { motion, AnimatePresence } from "framer-motion";
 
 // ────────────────────────────────────────────────────────────
@@ -45,6 +59,7 @@ function Collections() {
   const navigate = useNavigate();
   const user = useStore((s) => s.user);
   const setActiveRequest = useStore((s) => s.setActiveRequest);
+  const setActiveStreamSession = useStore((s) => s.setActiveStreamSession);
 
   // ── Global state from Zustand (shared with CollectionSidebar) ──
   const collections = useCollections();
@@ -54,6 +69,7 @@ function Collections() {
   const updateCollection = useStore((s) => s.updateCollection);
   const removeCollection = useStore((s) => s.removeCollection);
   const removeRequest = useStore((s) => s.removeRequest);
+  const updateCachedRequest = useStore((s) => s.updateRequest);
   const setCollectionRequests = useStore((s) => s.setCollectionRequests);
 
   // ── Local UI state ───────────────────────────────────────
@@ -62,6 +78,7 @@ function Collections() {
 
   // Expanded card
   const [expandedId, setExpandedId] = useState(null);
+  const [examplesOpenId, setExamplesOpenId] = useState(null);
 
   // Modal state (null = closed, 'new' = create, or collection object for edit)
   const [modalData, setModalData] = useState(null);
@@ -69,6 +86,15 @@ function Collections() {
   const [modalDesc, setModalDesc] = useState("");
   const [modalError, setModalError] = useState("");
 
+  // Import modals (null = closed, "openapi" or "postman")
+  const [importSource, setImportSource] = useState(null);
+
+  // Collection runner (collection object while open)
+  const [runnerCollection, setRunnerCollection] = useState(null);
+
+  // Publish docs (collection object and its ordered requests while open)
+  const [docsTarget, setDocsTarget] = useState(null);
+
   // Search
   const [searchTerm, setSearchTerm] = useState("");
 
@@ -221,6 +247,9 @@ function Collections() {
   // Delete a collection and all its requests — Firestore + global Zustand state
   const handleDeleteCollection = async (collectionId) => {
     try {
+      // 0. Take down its published docs
+      const publishedId = collections.find((c) => c.id === collectionId)?.published_docs_id;
+      if (publishedId) await deleteDoc(doc(db, "published_docs", publishedId));
       // 1. Delete all requests in this collection
       const q = query(
         collection(db, "requests"),
@@ -262,21 +291,34 @@ function Collections() {
     }
   };
 
-  // Open request in Workspace
+  // Update a saved request — Firestore + global Zustand state
+  const patchRequest = async (collectionId, requestId, patch) => {
+    try {
+      await updateDoc(doc(db, "requests", requestId), patch);
+      updateCachedRequest(collectionId, requestId, patch);
+    } catch (err) {
+      console.error("Failed to update request:", err.message);
+    }
+  };
+
+  const handleDeleteExample = (collectionId, req, exampleId) =>
+    patchRequest(collectionId, req.id, { examples: req.examples.filter((ex) => ex.id !== exampleId) });
+
+  // The example becomes the request's expected snapshot
+  const handleExampleAsSnapshot = (collectionId, req, example) =>
+    patchRequest(collectionId, req.id, {
+      expectedSnapshot: snapshotFromExample(example, req.expectedSnapshot?.ignorePaths),
+    });
+
+  // Open request in Workspace (stream sessions in Realtime)
   const handleOpenInWorkspace = (e, request) => {
     e.stopPropagation();
-    setActiveRequest({
-      method: request.method || "GET",
-      url: request.url || "",
-      headers: request.headers?.length ? request.headers : [{ key: "", value: "" }],
-      params: request.params?.length ? request.params : [{ key: "", value: "" }],
-      bodyType: request.body ? "raw" : "none",
-      bodyContent: request.body ? JSON.stringify(request.body, null, 2) : "",
-      authType: "none",
-      bearerToken: "",
-      basicUsername: "",
-      basicPassword: "",
-    });
+    if (isStreamRequest(request)) {
+      setActiveStreamSession(request);
+      navigate("/realtime");
+      return;
+    }
+    setActiveRequest(normalizeRequest(request));
     navigate("/workspace");
   };
 
@@ -304,6 +346,65 @@ function Collections() {
     setModalError("");
   };
 
+  // Collection imported — show it expanded
+  const handleImported = (collectionId, count) => {
+    setRequestCounts((prev) => ({ ...prev, [collectionId]: count }));
+    setExpandedId(collectionId);
+  };
+
+  // ── A collection's requests in the runner's saved order,
+  // then creation order (the cache is newest first) — the
+  // order the CLI runs them in ─────────────────────────────
+  const loadOrderedRequests = async (col) => {
+    let items = requests[col.id];
+    if (!items) {
+      const q = query(collection(db, "requests"), where("collection_id", "==", col.id));
+      const snapshot = await getDocs(q);
+      items = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+    }
+    const runOrder = col.run_order || [];
+    const rank = (r) => (runOrder.includes(r.id) ? runOrder.indexOf(r.id) : runOrder.length);
+    return [...items].sort((a, b) => {
+      const dateA = a.created_at?.toDate?.() || new Date(a.created_at);
+      const dateB = b.created_at?.toDate?.() || new Date(b.created_at);
+      return rank(a) - rank(b) || dateA - dateB;
+    });
+  };
+
+  // ── Export a collection as Postman v2.1 JSON ─────────────
+  const handleExport = async (e, col) => {
+    e.stopPropagation();
+    try {
+      const ordered = await loadOrderedRequests(col);
+      const json = JSON.stringify(toPostmanCollection(col, ordered), null, 2);
+      const url = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${(col.name || "collection").replace(/[^\w.-]+/g, "_")}.postman_collection.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Failed to export collection:", err.message);
+    }
+  };
+
+  // ── Open the docs modal (requests loaded first) ─────────
+  const openDocs = async (e, col) => {
+    e.stopPropagation();
+    try {
+      setDocsTarget({ id: col.id, requests: await loadOrderedRequests(col) });
+    } catch (err) {
+      console.error("Failed to load requests for docs:", err.message);
+    }
+  };
+
+  // ── Open the collection runner (requests loaded first) ──
+  const openRunner = async (e, col) => {
+    e.stopPropagation();
+    if (!requests[col.id]) await fetchRequests(col.id);
+    setRunnerCollection(col);
+  };
+
   // ── Toggle card expansion ────────────────────────────────
   const toggleExpand = (id) => {
     if (expandedId === id) {
@@ -370,16 +471,36 @@ function Collections() {
               </p>
             </div>
 
-            {/* Right — New Collection button */}
-            <button
-              onClick={openNewModal}
-              className="bg-green-600 hover:bg-green-700 text-gray-50 px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2"
-            >
-              <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
-                <path strokeLinecap="round" strokeLinejoin="round" d="M12 4v16m8-8H4" />
-              </svg>
-              New Collection
-            </button>
+            {/* Right — Import / New Collection buttons */}
+            <div className="flex items-center gap-3">
+              <button
+                onClick={() => setImportSource("postman")}
+                className="border border-gray-700 text-gray-400 hover:bg-gray-700 hover:text-gray-50 px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2"
+              >
+                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                  <path strokeLinecap="round" strokeLinejoin="round" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                </svg>
+                Import Postman / Insomnia
+              </button>
+              <button
+                onClick={() => setImportSource("openapi")}
+                className="border border-gray-700 text-gray-400 hover:bg-gray-700 hover:text-gray-50 px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2"
+              >
+                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                  <path strokeLinecap="round" strokeLinejoin="round" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                </svg>
+                Import OpenAPI
+              </button>
+              <button
+                onClick={openNewModal}
+                className="bg-green-600 hover:bg-green-700 text-gray-50 px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2"
+              >
+                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                  <path strokeLinecap="round" strokeLinejoin="round" d="M12 4v16m8-8H4" />
+                </svg>
+                New Collection
+              </button>
+            </div>
           </div>
 
           {/* ── Stats Row ─────────────────────────────────── */}
@@ -496,6 +617,37 @@ function Collections() {
                           </div>
                         ) : (
                           <>
+                            {/* Run button — play icon (collection runner) */}
+                            <button
+                              onClick={(e) => openRunner(e, col)}
+                              title="Run collection"
+                              className="text-gray-400 hover:text-green-400 p-1 rounded"
+                            >
+                              <svg className="w-3.5 h-3.5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                                <path strokeLinecap="round" strokeLinejoin="round" d="M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664z" />
+                                <path strokeLinecap="round" strokeLinejoin="round" d="M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                              </svg>
+                            </button>
+                            {/* Export button — download icon (Postman v2.1) */}
+                            <button
+                              onClick={(e) => handleExport(e, col)}
+                              title="Export as Postman collection"
+                              className="text-gray-400 hover:text-gray-50 p-1 rounded"
+                            >
+                              <svg className="w-3.5 h-3.5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                                <path strokeLinecap="round" strokeLinejoin="round" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                              </svg>
+                            </button>
+                            {/* Docs button — document icon (publish API docs) */}
+                            <button
+                              onClick={(e) => openDocs(e, col)}
+                              title={col.published_docs_id ? "API docs (published)" : "Publish API docs"}
+                              className={`${col.published_docs_id ? "text-green-400" : "text-gray-400"} hover:text-gray-50 p-1 rounded`}
+                            >
+                              <svg className="w-3.5 h-3.5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                                <path strokeLinecap="round" strokeLinejoin="round" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                              </svg>
+                            </button>
                             {/* Edit button — pencil icon */}
                             <button
                               onClick={(e) => openEditModal(e, col)}
@@ -559,46 +711,65 @@ function Collections() {
                           {/* Requests rows */}
                           {requests[col.id] &&
                             requests[col.id].map((req) => (
-                              <div
-                                key={req.id}
-                                className="bg-gray-700/50 rounded-lg px-4 py-3 mb-2 flex items-center justify-between"
-                              >
-                                {/* Left — method + name + url */}
-                                <div className="min-w-0 flex-1">
-                                  <div className="flex items-center gap-2">
-                                    <span
-                                      className={`${METHOD_COLOR[req.method] || "text-gray-400"} font-mono text-xs font-bold w-14 shrink-0`}
+                              <div key={req.id} className="bg-gray-700/50 rounded-lg px-4 py-3 mb-2">
+                                <div className="flex items-center justify-between">
+                                  {/* Left — method + name + url */}
+                                  <div className="min-w-0 flex-1">
+                                    <div className="flex items-center gap-2">
+                                      <span
+                                        className={`${METHOD_COLOR[req.method] || "text-gray-400"} font-mono text-xs font-bold w-14 shrink-0`}
+                                      >
+                                        {streamBadge(req) || req.method || "GET"}
+                                      </span>
+                                      <span className="text-gray-50 text-sm font-medium truncate">
+                                        {req.folder && <span className="text-gray-500 font-normal">{req.folder} / </span>}
+                                        {req.name || req.url || "Untitled"}
+                                      </span>
+                                    </div>
+                                    {req.url && (
+                                      <p className="text-gray-400 text-xs font-mono truncate max-w-xs mt-0.5 ml-16">
+                                        {req.url}
+                                      </p>
+                                    )}
+                                  </div>
+
+                                  {/* Right — actions */}
+                                  <div className="flex gap-2 items-center ml-3 shrink-0">
+                                    {req.examples?.length > 0 && (
+                                      <button
+                                        onClick={() => setExamplesOpenId(examplesOpenId === req.id ? null : req.id)}
+                                        className="text-gray-400 hover:text-gray-50 text-xs px-2 py-1 transition-colors"
+                                      >
+                                        {req.examples.length} example{req.examples.length !== 1 ? "s" : ""}
+                                        {examplesOpenId === req.id ? " ▴" : " ▾"}
+                                      </button>
+                                    )}
+                                    <button
+                                      onClick={(e) => handleOpenInWorkspace(e, req)}
+                                      className="text-gray-400 hover:text-gray-50 text-xs border border-gray-600 hover:border-gray-500 px-2 py-1 rounded transition-colors"
                                     >
-                                      {req.method || "GET"}
-                                    </span>
-                                    <span className="text-gray-50 text-sm font-medium truncate">
-                                      {req.name || req.url || "Untitled"}
-                                    </span>
+                                      {isStreamRequest(req) ? "Open in Realtime" : "Open in Workspace"}
+                                    </button>
+                                    <button
+                                      onClick={(e) => handleDeleteRequest(e, req.id, col.id)}
+                                      className="text-gray-600 hover:text-red-400 transition-colors"
+                                    >
+                                      <svg className="w-3 h-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                                        <path strokeLinecap="round" strokeLinejoin="round" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6M1 7h22M8 7V4a1 1 0 011-1h6a1 1 0 011 1v3" />
+                                      </svg>
+                                    </button>
                                   </div>
-                                  {req.url && (
-                                    <p className="text-gray-400 text-xs font-mono truncate max-w-xs mt-0.5 ml-16">
-                                      {req.url}
-                                    </p>
-                                  )}
                                 </div>
 
-                                {/* Right — actions */}
-                                <div className="flex gap-2 items-center ml-3 shrink-0">
-                                  <button
-                                    onClick={(e) => handleOpenInWorkspace(e, req)}
-                                    className="text-gray-400 hover:text-gray-50 text-xs border border-gray-600 hover:border-gray-500 px-2 py-1 rounded transition-colors"
-                                  >
-                                    Open in Workspace
-                                  </button>
-                                  <button
-                                    onClick={(e) => handleDeleteRequest(e, req.id, col.id)}
-                                    className="text-gray-600 hover:text-red-400 transition-colors"
-                                  >
-                                    <svg className="w-3 h-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
-                                      <path strokeLinecap="round" strokeLinejoin="round" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6M1 7h22M8 7V4a1 1 0 011-1h6a1 1 0 011 1v3" />
-                                    </svg>
-                                  </button>
-                                </div>
+                                {/* Saved example responses */}
+                                {examplesOpenId === req.id && req.examples?.length > 0 && (
+                                  <RequestExamples
+                                    examples={req.examples}
+                                    snapshotExampleId={req.expectedSnapshot?.exampleId}
+                                    onUseAsSnapshot={(example) => handleExampleAsSnapshot(col.id, req, example)}
+                                    onDelete={(exampleId) => handleDeleteExample(col.id, req, exampleId)}
+                                  />
+                                )}
                               </div>
                             ))}
                         </div>
@@ -612,6 +783,48 @@ function Collections() {
         </div>
       </div>
 
+      {/* ── Import Modals ─────────────────────────────────── */}
+      <AnimatePresence>
+        {importSource === "openapi" && (
+          <ImportOpenApiModal
+            key="openapi-modal"
+            onClose={() => setImportSource(null)}
+            onImported={handleImported}
+          />
+        )}
+        {importSource === "postman" && (
+          <ImportPostmanModal
+            key="postman-modal"
+            onClose={() => setImportSource(null)}
+            onImported={handleImported}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* ── Collection Runner Modal ──────────────────────── */}
+      <AnimatePresence>
+        {runnerCollection && (
+          <CollectionRunnerModal
+            key="runner-modal"
+            collection={collections.find((c) => c.id === runnerCollection.id) || runnerCollection}
+            requests={requests[runnerCollection.id] || []}
+            onClose={() => setRunnerCollection(null)}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* ── Publish Docs Modal ───────────────────────────── */}
+      <AnimatePresence>
+        {docsTarget && collections.some((c) => c.id === docsTarget.id) && (
+          <PublishDocsModal
+            key="docs-modal"
+            collection={collections.find((c) => c.id === docsTarget.id)}
+            requests={docsTarget.requests}
+            onClose={() => setDocsTarget(null)}
+          />
+        )}
+      </AnimatePresence>
+
       {/* ── New / Edit Collection Modal ──────────────────── */}
       <AnimatePresence>
         {modalData && (
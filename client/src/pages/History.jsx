@@ -21,6 +21,9 @@ import { db } from "../lib/firebase";
 import useStore from "../store/useStore";
 import { useNavigate } from "react-router-dom";
 import Navbar from "../components/Navbar";
+import TimingWaterfall from "../components/TimingWaterfall";
+import ResponseDiffModal from "../components/ResponseDiffModal";
+import { snapshotFromLog } from "../lib/responseDiff";
 import { motion, AnimatePresence } from "framer-motion";
 
 // ────────────────────────────────────────────────────────────
@@ -105,6 +108,7 @@ function History() {
   const navigate = useNavigate();
   const user = useStore((s) => s.user);
   const setActiveRequest = useStore((s) => s.setActiveRequest);
+  const setBaselineResponse = useStore((s) => s.setBaselineResponse);
 
   // ── Local state ──────────────────────────────────────────
   const [logs, setLogs] = useState([]);
@@ -122,9 +126,13 @@ function History() {
   // Pagination
   const [page, setPage] = useState(1);
 
-  // Clear history confirmation
+  // Clear history confirmation + header notice ("History cleared", …)
   const [confirmClear, setConfirmClear] = useState(false);
-  const [clearMsg, setClearMsg] = useState("");
+  const [notice, setNotice] = useState("");
+
+  // Response comparison — first pick, then the pair in the modal
+  const [compareBase, setCompareBase] = useState(null);
+  const [comparePair, setComparePair] = useState(null);
 
   // ── Fetch logs on mount ──────────────────────────────────
   useEffect(() => {
@@ -172,13 +180,37 @@ function History() {
       await Promise.all(deletePromises);
       setLogs([]);
       setConfirmClear(false);
-      setClearMsg("History cleared");
-      setTimeout(() => setClearMsg(""), 2000);
+      setNotice("History cleared");
+      setTimeout(() => setNotice(""), 2000);
     } catch (err) {
       console.error("Failed to clear history:", err.message);
     }
   };
 
+  // Logged form / binary bodies (see describeBodyForLog on the
+  // server) map back to their body type; files need re-attaching
+  const bodyFromLog = (body) => {
+    if (!body) return { bodyType: "none", bodyContent: "" };
+    if (Array.isArray(body.form_data)) {
+      return {
+        bodyType: "form-data",
+        formFields: body.form_data.map((f) =>
+          "file" in f
+            ? { key: f.key, type: "file", fileName: f.file, contentType: "", size: 0, data: "" }
+            : { key: f.key, type: "text", value: f.value }
+        ),
+      };
+    }
+    if (Array.isArray(body.urlencoded)) return { bodyType: "urlencoded", urlencodedFields: body.urlencoded };
+    if (body.binary) {
+      return { bodyType: "binary", binaryFile: { fileName: body.binary.fileName || "file", contentType: body.binary.contentType || "", size: 0, data: "" } };
+    }
+    return {
+      bodyType: "raw",
+      bodyContent: typeof body === "string" ? body : JSON.stringify(body, null, 2),
+    };
+  };
+
   // ── Re-run request in Workspace ──────────────────────────
   const handleRerun = (log) => {
     setActiveRequest({
@@ -186,12 +218,7 @@ function History() {
       url: log.url || "",
       headers: log.headers?.length ? log.headers : [{ key: "", value: "" }],
       params: log.params?.length ? log.params : [{ key: "", value: "" }],
-      bodyType: log.request_body ? "raw" : "none",
-      bodyContent: log.request_body
-        ? typeof log.request_body === "string"
-          ? log.request_body
-          : JSON.stringify(log.request_body, null, 2)
-        : "",
+      ...bodyFromLog(log.request_body),
       authType: "none",
       bearerToken: "",
       basicUsername: "",
@@ -280,13 +307,20 @@ function History() {
       (sum, l) => sum + (l.response_size_bytes || 0),
       0
     );
-    return { total, successRate, avgTime, totalData };
+    // Only logs written since phase timings were recorded
+    const timed = logs.filter((l) => l.timings);
+    const avgTtfb =
+      timed.length > 0
+        ? Math.round(timed.reduce((sum, l) => sum + (l.timings.ttfb || 0), 0) / timed.length)
+        : null;
+    return { total, successRate, avgTime, totalData, avgTtfb };
   }, [logs]);
 
   const statCards = [
     { value: stats.total, label: "Total Requests" },
     { value: `${stats.successRate}%`, label: "Success Rate" },
     { value: fmtTime(stats.avgTime), label: "Avg Response Time" },
+    { value: fmtTime(stats.avgTtfb), label: "Avg Time to First Byte" },
     { value: fmtTotalSize(stats.totalData), label: "Total Data" },
   ];
 
@@ -312,14 +346,14 @@ function History() {
 
             {/* Right — Clear History / confirmation */}
             <div className="flex items-center gap-2">
-              {clearMsg && (
+              {notice && (
                 <motion.span
                   initial={{ opacity: 0 }}
                   animate={{ opacity: 1 }}
                   exit={{ opacity: 0 }}
                   className="text-green-500 text-sm"
                 >
-                  {clearMsg}
+                  {notice}
                 </motion.span>
               )}
 
@@ -406,6 +440,25 @@ function History() {
                 ))}
               </div>
 
+              {/* ── Compare selection banner ─────────────── */}
+              {compareBase && (
+                <div className="flex items-center justify-between bg-gray-800 border border-green-800 rounded-lg px-4 py-2.5 mb-6 text-sm">
+                  <span className="text-gray-400 min-w-0 truncate">
+                    Comparing{" "}
+                    <span className="font-mono text-gray-50">
+                      {compareBase.method} {compareBase.url}
+                    </span>{" "}
+                    — expand another entry and choose “Compare with selected”
+                  </span>
+                  <button
+                    onClick={() => setCompareBase(null)}
+                    className="text-gray-400 hover:text-gray-50 ml-4 shrink-0"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              )}
+
               {/* ── Filter & Search Row ────────────────────── */}
               <div className="flex gap-3 mb-6 items-center">
                 {/* Search input */}
@@ -599,16 +652,60 @@ function History() {
                                     <p className="text-gray-500 text-xs">No response body</p>
                                   )}
 
-                                  {/* Re-run button */}
-                                  <button
-                                    onClick={(e) => {
-                                      e.stopPropagation();
-                                      handleRerun(log);
-                                    }}
-                                    className="mt-3 border border-gray-700 text-gray-400 text-xs px-3 py-1.5 rounded hover:bg-gray-700 hover:text-gray-50 transition-colors"
-                                  >
-                                    Re-run in Workspace
-                                  </button>
+                                  {/* Phase timings (logged since the Timing tab) */}
+                                  {log.timings && (
+                                    <div className="mt-3">
+                                      <p className="text-gray-500 text-xs uppercase tracking-wider mb-2">
+                                        Timing
+                                      </p>
+                                      <TimingWaterfall timings={log.timings} />
+                                    </div>
+                                  )}
+
+                                  {/* Row actions */}
+                                  <div className="flex flex-wrap gap-2 mt-3">
+                                    <button
+                                      onClick={(e) => {
+                                        e.stopPropagation();
+                                        handleRerun(log);
+                                      }}
+                                      className="border border-gray-700 text-gray-400 text-xs px-3 py-1.5 rounded hover:bg-gray-700 hover:text-gray-50 transition-colors"
+                                    >
+                                      Re-run in Workspace
+                                    </button>
+                                    {compareBase && compareBase.id !== log.id ? (
+                                      <button
+                                        onClick={(e) => {
+                                          e.stopPropagation();
+                                          setComparePair([compareBase, log]);
+                                        }}
+                                        className="border border-green-800 text-green-400 text-xs px-3 py-1.5 rounded hover:bg-gray-700 transition-colors"
+                                      >
+                                        Compare with selected
+                                      </button>
+                                    ) : (
+                                      <button
+                                        onClick={(e) => {
+                                          e.stopPropagation();
+                                          setCompareBase(compareBase ? null : log);
+                                        }}
+                                        className="border border-gray-700 text-gray-400 text-xs px-3 py-1.5 rounded hover:bg-gray-700 hover:text-gray-50 transition-colors"
+                                      >
+                                        {compareBase ? "Deselect" : "Select for compare"}
+                                      </button>
+                                    )}
+                                    <button
+                                      onClick={(e) => {
+                                        e.stopPropagation();
+                                        setBaselineResponse(snapshotFromLog(log));
+                                        setNotice("Pinned as baseline — see the Diff tab in the Workspace");
+                                        setTimeout(() => setNotice(""), 3000);
+                                      }}
+                                      className="border border-gray-700 text-gray-400 text-xs px-3 py-1.5 rounded hover:bg-gray-700 hover:text-gray-50 transition-colors"
+                                    >
+                                      Pin as baseline
+                                    </button>
+                                  </div>
                                 </div>
                               </div>
                             </motion.div>
@@ -646,6 +743,11 @@ function History() {
           )}
         </div>
       </div>
+
+      {/* Compare modal */}
+      <AnimatePresence>
+        {comparePair && <ResponseDiffModal logs={comparePair} onClose={() => setComparePair(null)} />}
+      </AnimatePresence>
     </div>
   );
 }
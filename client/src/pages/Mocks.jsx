@@ -0,0 +1,340 @@
+// ============================================================
+// Mocks.jsx — Hosted Mock APIs Page
+// ============================================================
+// Lists the user's mock APIs — routes built from a collection
+// or an OpenAPI spec that the server answers at a public URL
+// (server/mockServer.js), so a frontend can be built before
+// the real backend exists. Each card shows the base URL (with
+// a copy button), where the routes came from and the routes
+// themselves. Mocks can be created, edited, switched off and
+// deleted.
+// ============================================================
+
+import { useState, useEffect } from "react";
+import {
+  collection,
+  query,
+  where,
+  getDocs,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  doc,
+} from "firebase/firestore";
+import { db } from "../lib/firebase";
+import useStore from "../store/useStore";
+import { useCollections } from "../hooks/useCollections";
+import Navbar from "../components/Navbar";
+import MockModal from "../components/MockModal";
+import { mockUrl } from "../lib/mocks";
+import { motion, AnimatePresence } from "framer-motion";
+
+// Method text colors (no backgrounds)
+const METHOD_COLOR = {
+  GET: "text-green-400",
+  POST: "text-blue-400",
+  PUT: "text-yellow-400",
+  DELETE: "text-red-400",
+  PATCH: "text-orange-400",
+};
+
+// Routes listed on a card before "show all"
+const PREVIEW_ROUTES = 6;
+
+const toDate = (ts) => (ts?.toDate?.() || new Date(ts));
+
+// ============================================================
+// Mocks Component
+// ============================================================
+function Mocks() {
+  const user = useStore((s) => s.user);
+  const collections = useCollections();
+
+  // ── Data ─────────────────────────────────────────────────
+  const [mocks, setMocks] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // ── UI state ─────────────────────────────────────────────
+  const [editing, setEditing] = useState(null); // null | "new" | mock
+  const [expandedIds, setExpandedIds] = useState(new Set());
+  const [confirmingDelete, setConfirmingDelete] = useState(null);
+  const [notice, setNotice] = useState("");
+
+  // ── Load mocks ───────────────────────────────────────────
+  useEffect(() => {
+    if (!user?.uid) return;
+    const fetchMocks = async () => {
+      try {
+        const snap = await getDocs(query(collection(db, "mocks"), where("user_id", "==", user.uid)));
+        setMocks(
+          snap.docs
+            .map((d) => ({ id: d.id, ...d.data() }))
+            .sort((a, b) => toDate(b.created_at) - toDate(a.created_at))
+        );
+      } catch (err) {
+        console.error("Failed to load mocks:", err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchMocks();
+  }, [user?.uid]);
+
+  const flashNotice = (message) => {
+    setNotice(message);
+    setTimeout(() => setNotice(""), 3000);
+  };
+
+  const copyUrl = async (mock) => {
+    try {
+      await navigator.clipboard.writeText(mockUrl(mock.id));
+      flashNotice("Mock URL copied");
+    } catch {
+      flashNotice("Couldn't copy — select the URL instead");
+    }
+  };
+
+  const toggleExpanded = (mockId) =>
+    setExpandedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(mockId)) next.delete(mockId);
+      else next.add(mockId);
+      return next;
+    });
+
+  // ── Create / update ──────────────────────────────────────
+  const handleSave = async (fields) => {
+    const data = { ...fields, updated_at: new Date() };
+    if (editing === "new") {
+      const created = { ...data, user_id: user.uid, created_at: new Date() };
+      const ref = await addDoc(collection(db, "mocks"), created);
+      setMocks((prev) => [{ id: ref.id, ...created }, ...prev]);
+    } else {
+      await updateDoc(doc(db, "mocks", editing.id), data);
+      setMocks((prev) => prev.map((m) => (m.id === editing.id ? { ...m, ...data } : m)));
+    }
+    setEditing(null);
+  };
+
+  // ── Switch on / off ──────────────────────────────────────
+  const toggleEnabled = async (mock) => {
+    const enabled = mock.enabled === false;
+    setMocks((prev) => prev.map((m) => (m.id === mock.id ? { ...m, enabled } : m)));
+    try {
+      await updateDoc(doc(db, "mocks", mock.id), { enabled });
+    } catch (err) {
+      console.error("Failed to update mock:", err.message);
+      setMocks((prev) => prev.map((m) => (m.id === mock.id ? { ...m, enabled: !enabled } : m)));
+    }
+  };
+
+  // ── Delete ───────────────────────────────────────────────
+  const handleDelete = async (mockId) => {
+    try {
+      await deleteDoc(doc(db, "mocks", mockId));
+      setMocks((prev) => prev.filter((m) => m.id !== mockId));
+    } catch (err) {
+      console.error("Failed to delete mock:", err.message);
+    } finally {
+      setConfirmingDelete(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900">
+      <Navbar />
+
+      <div className="pt-14">
+        <div className="max-w-6xl mx-auto px-6 py-8">
+
+          {/* ── Page Header ───────────────────────────────── */}
+          <div className="flex justify-between items-center mb-8">
+            <div>
+              <h1 className="text-gray-50 font-bold text-2xl">Mocks</h1>
+              <p className="text-gray-400 text-sm mt-1">
+                Hosted mock APIs built from a collection or an OpenAPI spec — point your frontend at them
+              </p>
+            </div>
+
+            <div className="flex items-center gap-3">
+              {notice && (
+                <motion.span initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="text-green-500 text-sm">
+                  {notice}
+                </motion.span>
+              )}
+              <button
+                onClick={() => setEditing("new")}
+                className="bg-green-600 hover:bg-green-700 text-gray-50 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+              >
+                + New Mock
+              </button>
+            </div>
+          </div>
+
+          {/* ── Loading Spinner ────────────────────────────── */}
+          {loading && (
+            <div className="flex justify-center py-20">
+              <div className="w-6 h-6 border-2 border-gray-700 border-t-green-600 rounded-full animate-spin" />
+            </div>
+          )}
+
+          {/* ── Empty State ───────────────────────────────── */}
+          {!loading && mocks.length === 0 && (
+            <div className="text-center py-20">
+              <svg className="w-12 h-12 text-gray-600 mx-auto mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={1.5}>
+                <path strokeLinecap="round" strokeLinejoin="round" d="M5 12h14M5 12a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v4a2 2 0 01-2 2M5 12a2 2 0 00-2 2v4a2 2 0 002 2h14a2 2 0 002-2v-4a2 2 0 00-2-2m-2-4h.01M17 16h.01" />
+              </svg>
+              <p className="text-gray-400">No mocks yet</p>
+              <p className="text-gray-500 text-sm mt-1">
+                Serve a collection&apos;s saved responses, or an OpenAPI spec&apos;s examples, from a public URL
+              </p>
+            </div>
+          )}
+
+          {/* ── Mock Cards ────────────────────────────────── */}
+          <div className="space-y-4">
+            {!loading &&
+              mocks.map((mock) => {
+                const off = mock.enabled === false;
+                const routes = mock.routes || [];
+                const expanded = expandedIds.has(mock.id);
+                const shown = expanded ? routes : routes.slice(0, PREVIEW_ROUTES);
+                const baseUrl = mockUrl(mock.id);
+
+                return (
+                  <motion.div
+                    key={mock.id}
+                    layout
+                    initial={{ opacity: 0, y: 10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    className={`bg-gray-800 border border-gray-700 rounded-xl p-5 ${off ? "opacity-60" : ""}`}
+                  >
+                    {/* Title row */}
+                    <div className="flex items-start gap-3">
+                      <span
+                        className={`w-2.5 h-2.5 rounded-full mt-1.5 shrink-0 ${off ? "bg-gray-600" : "bg-green-500"}`}
+                        title={off ? "Off" : "Serving"}
+                      />
+                      <div className="flex-1 min-w-0">
+                        <div className="flex items-center gap-2">
+                          <h2 className="text-gray-50 font-semibold truncate">{mock.name}</h2>
+                          {off && <span className="text-gray-500 text-xs">Off</span>}
+                        </div>
+                        <p className="text-gray-400 text-xs mt-0.5">
+                          {mock.source === "openapi" ? "OpenAPI spec" : "Collection"}{" "}
+                          <span className="text-gray-300">
+                            {(mock.source === "openapi" ? mock.spec_title : mock.collection_name) || "—"}
+                          </span>
+                          {" · "}
+                          {routes.length} route{routes.length !== 1 ? "s" : ""}
+                          {mock.delay_ms ? ` · ${mock.delay_ms} ms delay` : ""}
+                          {mock.status_override ? ` · every route answers ${mock.status_override}` : ""}
+                        </p>
+                      </div>
+
+                      {/* Actions */}
+                      {confirmingDelete === mock.id ? (
+                        <div className="flex items-center gap-2">
+                          <span className="text-gray-400 text-xs">Delete this mock?</span>
+                          <button onClick={() => handleDelete(mock.id)} className="text-red-400 text-xs hover:text-red-300">
+                            Yes
+                          </button>
+                          <button onClick={() => setConfirmingDelete(null)} className="text-gray-400 text-xs hover:text-gray-50">
+                            No
+                          </button>
+                        </div>
+                      ) : (
+                        <div className="flex items-center gap-2 shrink-0">
+                          <button
+                            onClick={() => toggleEnabled(mock)}
+                            className="border border-gray-700 text-gray-400 text-xs px-3 py-1.5 rounded hover:bg-gray-700 hover:text-gray-50 transition-colors"
+                          >
+                            {off ? "Switch on" : "Switch off"}
+                          </button>
+                          <button
+                            onClick={() => setEditing(mock)}
+                            className="border border-gray-700 text-gray-400 text-xs px-3 py-1.5 rounded hover:bg-gray-700 hover:text-gray-50 transition-colors"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => setConfirmingDelete(mock.id)}
+                            className="text-gray-400 hover:text-red-400 p-1 rounded"
+                            title="Delete mock"
+                          >
+                            <svg className="w-3.5 h-3.5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                              <path strokeLinecap="round" strokeLinejoin="round" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                            </svg>
+                          </button>
+                        </div>
+                      )}
+                    </div>
+
+                    {/* Base URL */}
+                    <div className="flex items-center gap-2 mt-4 bg-gray-900 border border-gray-700 rounded-lg px-3 py-2">
+                      <span className="text-gray-500 text-xs shrink-0">Base URL</span>
+                      <span className="text-gray-50 font-mono text-xs truncate flex-1 select-all">{baseUrl}</span>
+                      <button
+                        onClick={() => copyUrl(mock)}
+                        className="text-gray-400 hover:text-gray-50 text-xs shrink-0"
+                      >
+                        Copy
+                      </button>
+                    </div>
+
+                    {/* Routes */}
+                    {routes.length > 0 && (
+                      <div className="mt-4 border-t border-gray-700 pt-3 space-y-1">
+                        {shown.map((route) => (
+                          <div key={route.id} className={`flex items-center gap-3 py-1 ${route.enabled === false ? "opacity-50" : ""}`}>
+                            <span className={`${METHOD_COLOR[route.method] || "text-gray-400"} font-mono text-xs font-bold w-14 shrink-0`}>
+                              {route.method}
+                            </span>
+                            <span className="text-gray-50 font-mono text-xs truncate flex-1" title={`${baseUrl}${route.path}`}>
+                              {route.path}
+                            </span>
+                            <span className="text-gray-500 text-xs truncate max-w-[14rem]">{route.name}</span>
+                            {route.match?.length > 0 && (
+                              <span className="text-gray-400 text-xs shrink-0">
+                                {route.match.length} rule{route.match.length !== 1 ? "s" : ""}
+                              </span>
+                            )}
+                            <span className="text-gray-300 font-mono text-xs w-8 text-right shrink-0">
+                              {route.status_override ?? route.status}
+                            </span>
+                          </div>
+                        ))}
+                        {routes.length > PREVIEW_ROUTES && (
+                          <button
+                            onClick={() => toggleExpanded(mock.id)}
+                            className="text-gray-400 hover:text-gray-50 text-xs pt-1"
+                          >
+                            {expanded ? "Show fewer" : `Show all ${routes.length} routes`}
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </motion.div>
+                );
+              })}
+          </div>
+        </div>
+      </div>
+
+      {/* ── New / Edit Mock Modal ────────────────────────── */}
+      <AnimatePresence>
+        {editing && (
+          <MockModal
+            key="mock-modal"
+            mock={editing === "new" ? null : editing}
+            collections={collections}
+            onSave={handleSave}
+            onClose={() => setEditing(null)}
+          />
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+export default Mocks;
@@ -0,0 +1,418 @@
+// ============================================================
+// Monitors.jsx — Scheduled Monitors Page
+// ============================================================
+// Lists the user's monitors — collections or flow graphs the
+// server runs on a cron schedule (server/monitors.js), so
+// checks keep going with no browser open. Each card shows
+// the latest status, uptime over the stored runs, a strip of
+// recent runs and per-endpoint uptime with a latency
+// sparkline. Monitors can be created, edited, paused, run
+// now and deleted. Runs are read from `monitor_runs` and
+// sorted client-side (no orderBy, no composite index).
+// ============================================================
+
+import { useState, useEffect, useMemo } from "react";
+import {
+  collection,
+  query,
+  where,
+  getDocs,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  doc,
+} from "firebase/firestore";
+import { db } from "../lib/firebase";
+import useStore from "../store/useStore";
+import { useCollections } from "../hooks/useCollections";
+import { useEnvironments } from "../hooks/useEnvironments";
+import Navbar from "../components/Navbar";
+import MonitorModal from "../components/MonitorModal";
+import LatencySparkline from "../components/LatencySparkline";
+import {
+  describeSchedule,
+  runMonitorNow,
+  summarizeMonitorRuns,
+  validateSchedule,
+  MAX_MONITORS,
+  MONITOR_STATUS,
+} from "../lib/monitors";
+import { motion, AnimatePresence } from "framer-motion";
+
+// Method text colors (no backgrounds)
+const METHOD_COLOR = {
+  GET: "text-green-400",
+  POST: "text-blue-400",
+  PUT: "text-yellow-400",
+  DELETE: "text-red-400",
+  PATCH: "text-orange-400",
+};
+
+// Runs drawn in a card's status strip
+const STRIP_RUNS = 48;
+
+const toDate = (ts) => (ts?.toDate?.() || new Date(ts));
+
+const fmtDate = (ts) =>
+  ts
+    ? toDate(ts).toLocaleDateString("en-US", { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" })
+    : "Never";
+
+const fmtPercent = (value) => (value == null ? "—" : `${value}%`);
+const fmtMs = (value) => (value == null ? "—" : `${value} ms`);
+
+// ============================================================
+// Monitors Component
+// ============================================================
+function Monitors() {
+  const user = useStore((s) => s.user);
+  const collections = useCollections();
+  const environments = useEnvironments();
+
+  // ── Data ─────────────────────────────────────────────────
+  const [monitors, setMonitors] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [flows, setFlows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // ── UI state ─────────────────────────────────────────────
+  const [editing, setEditing] = useState(null); // null | "new" | monitor
+  const [runningId, setRunningId] = useState(null);
+  const [confirmingDelete, setConfirmingDelete] = useState(null);
+  const [notice, setNotice] = useState("");
+
+  // ── Load monitors, their runs and the saved flow graphs ──
+  useEffect(() => {
+    if (!user?.uid) return;
+    const byUser = (name) => query(collection(db, name), where("user_id", "==", user.uid));
+    const fetchAll = async () => {
+      try {
+        const [monitorSnap, runSnap, flowSnap] = await Promise.all([
+          getDocs(byUser("monitors")),
+          getDocs(byUser("monitor_runs")),
+          getDocs(byUser("flow_graphs")),
+        ]);
+        const rows = (snap) => snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+        setMonitors(rows(monitorSnap).sort((a, b) => toDate(b.created_at) - toDate(a.created_at)));
+        setRuns(rows(runSnap));
+        setFlows(rows(flowSnap).sort((a, b) => (a.name || "").localeCompare(b.name || "")));
+      } catch (err) {
+        console.error("Failed to load monitors:", err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchAll();
+  }, [user?.uid, reloadKey]);
+
+  // Runs grouped by monitor, summarised for the cards
+  const summaries = useMemo(() => {
+    const grouped = {};
+    runs.forEach((run) => {
+      (grouped[run.monitor_id] ||= []).push(run);
+    });
+    return Object.fromEntries(
+      monitors.map((m) => [m.id, summarizeMonitorRuns(grouped[m.id] || [])])
+    );
+  }, [monitors, runs]);
+
+  const flashNotice = (message) => {
+    setNotice(message);
+    setTimeout(() => setNotice(""), 3000);
+  };
+
+  // ── Create / update ──────────────────────────────────────
+  const handleSave = async (fields) => {
+    if (editing === "new") {
+      if (monitors.length >= MAX_MONITORS) throw new Error(`You can have up to ${MAX_MONITORS} monitors`);
+      const data = { ...fields, user_id: user.uid, last_status: null, last_run_at: null, created_at: new Date() };
+      const ref = await addDoc(collection(db, "monitors"), data);
+      setMonitors((prev) => [{ id: ref.id, ...data }, ...prev]);
+    } else {
+      await updateDoc(doc(db, "monitors", editing.id), fields);
+      setMonitors((prev) => prev.map((m) => (m.id === editing.id ? { ...m, ...fields } : m)));
+    }
+    setEditing(null);
+  };
+
+  // ── Pause / resume ───────────────────────────────────────
+  const toggleEnabled = async (monitor) => {
+    const enabled = monitor.enabled === false;
+    setMonitors((prev) => prev.map((m) => (m.id === monitor.id ? { ...m, enabled } : m)));
+    try {
+      await updateDoc(doc(db, "monitors", monitor.id), { enabled });
+    } catch (err) {
+      console.error("Failed to update monitor:", err.message);
+      setMonitors((prev) => prev.map((m) => (m.id === monitor.id ? { ...m, enabled: !enabled } : m)));
+    }
+  };
+
+  // ── Run now (on the server) ──────────────────────────────
+  const handleRunNow = async (monitor) => {
+    setRunningId(monitor.id);
+    try {
+      const run = await runMonitorNow(monitor.id);
+      setRuns((prev) => [...prev, run]);
+      setMonitors((prev) =>
+        prev.map((m) => (m.id === monitor.id ? { ...m, last_status: run.status, last_run_at: run.started_at } : m))
+      );
+      flashNotice(`${monitor.name}: ${MONITOR_STATUS[run.status]?.label || run.status}`);
+    } catch (err) {
+      flashNotice(`Run failed — ${err.message}`);
+    } finally {
+      setRunningId(null);
+    }
+  };
+
+  // ── Delete (the monitor and its runs) ────────────────────
+  const handleDelete = async (monitorId) => {
+    try {
+      await deleteDoc(doc(db, "monitors", monitorId));
+      const owned = runs.filter((r) => r.monitor_id === monitorId);
+      await Promise.all(owned.map((r) => deleteDoc(doc(db, "monitor_runs", r.id))));
+      setMonitors((prev) => prev.filter((m) => m.id !== monitorId));
+      setRuns((prev) => prev.filter((r) => r.monitor_id !== monitorId));
+    } catch (err) {
+      console.error("Failed to delete monitor:", err.message);
+    } finally {
+      setConfirmingDelete(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900">
+      <Navbar />
+
+      <div className="pt-14">
+        <div className="max-w-6xl mx-auto px-6 py-8">
+
+          {/* ── Page Header ───────────────────────────────── */}
+          <div className="flex justify-between items-center mb-8">
+            <div>
+              <h1 className="text-gray-50 font-bold text-2xl">Monitors</h1>
+              <p className="text-gray-400 text-sm mt-1">
+                Collections and flows the server runs on a schedule — no open tab needed
+              </p>
+            </div>
+
+            <div className="flex items-center gap-3">
+              {notice && (
+                <motion.span initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="text-green-500 text-sm">
+                  {notice}
+                </motion.span>
+              )}
+              <button
+                onClick={() => setReloadKey((k) => k + 1)}
+                className="border border-gray-700 text-gray-400 text-sm px-4 py-2 rounded-lg hover:bg-gray-700 hover:text-gray-50 transition-colors"
+              >
+                Refresh
+              </button>
+              <button
+                onClick={() => setEditing("new")}
+                disabled={monitors.length >= MAX_MONITORS}
+                title={monitors.length >= MAX_MONITORS ? `You can have up to ${MAX_MONITORS} monitors` : undefined}
+                className="bg-green-600 hover:bg-green-700 disabled:opacity-40 disabled:cursor-not-allowed text-gray-50 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+              >
+                + New Monitor
+              </button>
+            </div>
+          </div>
+
+          {/* ── Loading Spinner ────────────────────────────── */}
+          {loading && (
+            <div className="flex justify-center py-20">
+              <div className="w-6 h-6 border-2 border-gray-700 border-t-green-600 rounded-full animate-spin" />
+            </div>
+          )}
+
+          {/* ── Empty State ───────────────────────────────── */}
+          {!loading && monitors.length === 0 && (
+            <div className="text-center py-20">
+              <svg className="w-12 h-12 text-gray-600 mx-auto mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={1.5}>
+                <path strokeLinecap="round" strokeLinejoin="round" d="M3 12h4l3-8 4 16 3-8h4" />
+              </svg>
+              <p className="text-gray-400">No monitors yet</p>
+              <p className="text-gray-500 text-sm mt-1">
+                Run a collection or flow every few minutes and get a webhook when it breaks
+              </p>
+            </div>
+          )}
+
+          {/* ── Monitor Cards ─────────────────────────────── */}
+          <div className="space-y-4">
+            {!loading &&
+              monitors.map((monitor) => {
+                const summary = summaries[monitor.id];
+                const status = MONITOR_STATUS[monitor.last_status];
+                const paused = monitor.enabled === false;
+                const lastRun = summary.runs[summary.runs.length - 1];
+
+                return (
+                  <motion.div
+                    key={monitor.id}
+                    layout
+                    initial={{ opacity: 0, y: 10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    className={`bg-gray-800 border border-gray-700 rounded-xl p-5 ${paused ? "opacity-60" : ""}`}
+                  >
+                    {/* Title row */}
+                    <div className="flex items-start gap-3">
+                      <span
+                        className={`w-2.5 h-2.5 rounded-full mt-1.5 shrink-0 ${status ? status.bar : "bg-gray-600"}`}
+                        title={status?.label || "Not run yet"}
+                      />
+                      <div className="flex-1 min-w-0">
+                        <div className="flex items-center gap-2">
+                          <h2 className="text-gray-50 font-semibold truncate">{monitor.name}</h2>
+                          {status && <span className={`text-xs font-medium ${status.text}`}>{status.label}</span>}
+                          {paused && <span className="text-gray-500 text-xs">Paused</span>}
+                        </div>
+                        <p className="text-gray-400 text-xs mt-0.5">
+                          {monitor.target_type === "flow" ? "Flow" : "Collection"}{" "}
+                          <span className="text-gray-300">{monitor.target_name || "—"}</span>
+                          {" · "}
+                          {describeSchedule(monitor.schedule)}
+                          {validateSchedule(monitor.schedule) && (
+                            <span className="text-yellow-400"> ({validateSchedule(monitor.schedule)} — not running)</span>
+                          )}
+                          {monitor.environment_id &&
+                            ` · ${environments.find((e) => e.id === monitor.environment_id)?.name || "deleted environment"}`}
+                          {monitor.latency_threshold_ms && ` · alert over ${monitor.latency_threshold_ms} ms`}
+                          {monitor.webhook_url && " · webhook"}
+                        </p>
+                      </div>
+
+                      {/* Actions */}
+                      {confirmingDelete === monitor.id ? (
+                        <div className="flex items-center gap-2">
+                          <span className="text-gray-400 text-xs">Delete monitor and its runs?</span>
+                          <button onClick={() => handleDelete(monitor.id)} className="text-red-400 text-xs hover:text-red-300">
+                            Yes
+                          </button>
+                          <button onClick={() => setConfirmingDelete(null)} className="text-gray-400 text-xs hover:text-gray-50">
+                            No
+                          </button>
+                        </div>
+                      ) : (
+                        <div className="flex items-center gap-2 shrink-0">
+                          <button
+                            onClick={() => handleRunNow(monitor)}
+                            disabled={runningId === monitor.id}
+                            className="border border-gray-700 text-gray-400 text-xs px-3 py-1.5 rounded hover:bg-gray-700 hover:text-gray-50 transition-colors disabled:opacity-50"
+                          >
+                            {runningId === monitor.id ? "Running…" : "Run now"}
+                          </button>
+                          <button
+                            onClick={() => toggleEnabled(monitor)}
+                            className="border border-gray-700 text-gray-400 text-xs px-3 py-1.5 rounded hover:bg-gray-700 hover:text-gray-50 transition-colors"
+                          >
+                            {paused ? "Resume" : "Pause"}
+                          </button>
+                          <button
+                            onClick={() => setEditing(monitor)}
+                            className="border border-gray-700 text-gray-400 text-xs px-3 py-1.5 rounded hover:bg-gray-700 hover:text-gray-50 transition-colors"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => setConfirmingDelete(monitor.id)}
+                            className="text-gray-400 hover:text-red-400 p-1 rounded"
+                            title="Delete monitor"
+                          >
+                            <svg className="w-3.5 h-3.5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                              <path strokeLinecap="round" strokeLinejoin="round" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                            </svg>
+                          </button>
+                        </div>
+                      )}
+                    </div>
+
+                    {/* Stats + recent runs strip */}
+                    <div className="flex items-center gap-6 mt-4 text-xs">
+                      <span className="text-gray-400">
+                        Uptime <span className="text-gray-50 font-mono">{fmtPercent(summary.uptime)}</span>
+                      </span>
+                      <span className="text-gray-400">
+                        Avg <span className="text-gray-50 font-mono">{fmtMs(summary.averageMs)}</span>
+                      </span>
+                      <span className="text-gray-400">
+                        Last run <span className="text-gray-50">{fmtDate(monitor.last_run_at)}</span>
+                      </span>
+                      <span className="text-gray-500">{summary.runs.length} runs stored</span>
+                      <div className="flex items-end gap-px ml-auto h-5">
+                        {summary.runs.slice(-STRIP_RUNS).map((run) => (
+                          <span
+                            key={run.id}
+                            className={`w-1.5 h-full rounded-sm ${MONITOR_STATUS[run.status]?.bar || "bg-gray-600"}`}
+                            title={`${fmtDate(run.started_at)} — ${MONITOR_STATUS[run.status]?.label || run.status}${
+                              run.error ? `: ${run.error}` : ""
+                            }`}
+                          />
+                        ))}
+                      </div>
+                    </div>
+
+                    {/* Latest run problems */}
+                    {lastRun?.error && <p className="text-red-400 text-xs mt-2">{lastRun.error}</p>}
+                    {lastRun?.notification && !lastRun.notification.ok && (
+                      <p className="text-yellow-400 text-xs mt-2">Webhook failed: {lastRun.notification.error}</p>
+                    )}
+
+                    {/* Per-endpoint uptime + latency */}
+                    {summary.endpoints.length > 0 && (
+                      <div className="mt-4 border-t border-gray-700 pt-3 space-y-1">
+                        {summary.endpoints.map((endpoint) => {
+                          const latest = lastRun?.results?.find((r) => (r.id || r.name) === endpoint.key);
+                          return (
+                            <div key={endpoint.key} className="flex items-center gap-3 py-1">
+                              <span className={`${METHOD_COLOR[endpoint.method] || "text-gray-400"} font-mono text-xs font-bold w-14 shrink-0`}>
+                                {endpoint.method}
+                              </span>
+                              <span className="text-gray-50 text-xs truncate flex-1" title={latest?.error || undefined}>
+                                {endpoint.name}
+                                {latest && !latest.passed && <span className="text-red-400 ml-2">{latest.error}</span>}
+                              </span>
+                              <span className="text-gray-400 text-xs font-mono w-16 text-right">{fmtPercent(endpoint.uptime)}</span>
+                              <LatencySparkline
+                                points={endpoint.points.slice(-STRIP_RUNS)}
+                                threshold={monitor.latency_threshold_ms}
+                              />
+                              <span
+                                className={`text-xs font-mono w-16 text-right ${
+                                  latest?.latency_breached ? "text-yellow-400" : "text-green-500"
+                                }`}
+                              >
+                                {latest ? `${latest.response_time_ms} ms` : "—"}
+                              </span>
+                            </div>
+                          );
+                        })}
+                      </div>
+                    )}
+                  </motion.div>
+                );
+              })}
+          </div>
+        </div>
+      </div>
+
+      {/* ── New / Edit Monitor Modal ─────────────────────── */}
+      <AnimatePresence>
+        {editing && (
+          <MonitorModal
+            key="monitor-modal"
+            monitor={editing === "new" ? null : editing}
+            collections={collections}
+            flows={flows}
+            environments={environments}
+            onSave={handleSave}
+            onClose={() => setEditing(null)}
+          />
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+export default Monitors;
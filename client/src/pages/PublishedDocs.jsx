@@ -0,0 +1,92 @@
+// ============================================================
+// PublishedDocs.jsx — Public API Docs Page
+// ============================================================
+// Read-only view of docs published from the Collections page,
+// at /docs/:docId — no sign-in needed. The page comes from
+// the proxy server (GET /api/docs/:id) and is shown in a
+// sandboxed iframe: its scripts (the snippet tabs) run, but it
+// can't reach the app or the visitor's session.
+// ============================================================
+
+import { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import axios from "axios";
+import { PROXY_URL } from "../lib/requestBuilder";
+
+function PublishedDocs() {
+  const { docId } = useParams();
+  const [docs, setDocs] = useState(null); // { name, html, updated_at }
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchDocs = async () => {
+      try {
+        const response = await axios.get(`${PROXY_URL}/api/docs/${encodeURIComponent(docId)}`);
+        setDocs(response.data);
+        document.title = `${response.data.name || "API"} — API Reference`;
+      } catch (err) {
+        setError(
+          err.response?.status === 404
+            ? "These docs don't exist or were unpublished."
+            : err.response?.data?.error || "Couldn't load the docs — try again later."
+        );
+      }
+    };
+    fetchDocs();
+  }, [docId]);
+
+  // Save the page as a standalone file
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([docs.html], { type: "text/html" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${(docs.name || "api-docs").replace(/[^\w.-]+/g, "_")}.html`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-900 flex items-center justify-center">
+        <p className="text-gray-400 text-sm">{error}</p>
+      </div>
+    );
+  }
+
+  if (!docs) {
+    return (
+      <div className="min-h-screen bg-gray-900 flex items-center justify-center">
+        <div className="flex flex-col items-center gap-4">
+          <div className="w-10 h-10 border-4 border-green-800 border-t-transparent rounded-full animate-spin" />
+          <p className="text-gray-400 text-sm">Loading docs...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="h-screen bg-gray-900 flex flex-col">
+      {/* Top bar */}
+      <div className="flex items-center justify-between gap-4 px-4 py-2 border-b border-gray-700 bg-gray-800">
+        <div className="min-w-0">
+          <span className="text-gray-50 text-sm font-semibold truncate">{docs.name || "API docs"}</span>
+          {docs.updated_at && (
+            <span className="text-gray-500 text-xs ml-3">
+              Updated {new Date(docs.updated_at).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" })}
+            </span>
+          )}
+        </div>
+        <button
+          onClick={handleDownload}
+          className="border border-gray-700 text-gray-300 px-3 py-1 rounded-lg text-xs hover:bg-gray-700 transition-colors shrink-0"
+        >
+          Download HTML
+        </button>
+      </div>
+
+      <iframe title={docs.name || "API docs"} sandbox="allow-scripts" srcDoc={docs.html} className="flex-1 w-full border-0" />
+    </div>
+  );
+}
+
+export default PublishedDocs;
@@ -0,0 +1,478 @@
+// ============================================================
+// Realtime.jsx — WebSocket & Server-Sent Events Sessions
+// ============================================================
+// Connects to realtime endpoints through the proxy's stream
+// relay (lib/streamClient). Shows a timestamped message log
+// with text / direction filters, a composer for WebSocket
+// frames, and saves sessions (URL, headers, protocols and the
+// last messages) to a collection. Saved sessions open here
+// from the sidebar and Collections page.
+// ============================================================
+
+import { useEffect, useRef, useState } from "react";
+import { collection, addDoc } from "firebase/firestore";
+import { motion, AnimatePresence } from "framer-motion";
+import { db } from "../lib/firebase";
+import useStore from "../store/useStore";
+import Navbar from "../components/Navbar";
+import KeyValueEditor from "../components/KeyValueEditor";
+import { useCollections } from "../hooks/useCollections";
+import { useActiveEnvironment } from "../hooks/useActiveEnvironment";
+import { pairsToObject } from "../lib/requestBuilder";
+import { resolveVariables } from "../lib/variables";
+import {
+  STREAM_TYPES,
+  MAX_LOG_ENTRIES,
+  MAX_SAVED_ENTRIES,
+  MAX_SAVED_DATA_CHARS,
+  openWebSocketSession,
+  openSseSession,
+} from "../lib/streamClient";
+
+// Direction filter buttons
+const DIRECTION_FILTERS = [
+  { id: "all", label: "All" },
+  { id: "out", label: "Sent" },
+  { id: "in", label: "Received" },
+  { id: "system", label: "Events" },
+];
+
+// Log row arrow + color per direction
+const DIRECTION_STYLE = {
+  out: { icon: "↑", className: "text-green-400" },
+  in: { icon: "↓", className: "text-blue-400" },
+  system: { icon: "•", className: "text-gray-500" },
+};
+
+// HH:MM:SS.mmm
+const formatTime = (time) => {
+  const date = new Date(time);
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+};
+
+// Pretty-print JSON payloads, leave anything else as-is
+const formatData = (data) => {
+  try {
+    return JSON.stringify(JSON.parse(data), null, 2);
+  } catch {
+    return data;
+  }
+};
+
+const withEmptyRow = (pairs) => (pairs?.length ? pairs : [{ key: "", value: "" }]);
+
+// ============================================================
+// Realtime Page
+// ============================================================
+
+function Realtime() {
+  const user = useStore((s) => s.user);
+  const savedSession = useStore((s) => s.activeStreamSession);
+  const addRequestToStore = useStore((s) => s.addRequest);
+  const collections = useCollections();
+  const { variables: activeVars } = useActiveEnvironment();
+
+  // ── Connection settings (seeded from a saved session) ──
+  const [type, setType] = useState(savedSession?.type || "websocket");
+  const [url, setUrl] = useState(savedSession?.url || "");
+  const [headers, setHeaders] = useState(withEmptyRow(savedSession?.headers));
+  const [protocols, setProtocols] = useState(savedSession?.protocols || "");
+  const [settingsTab, setSettingsTab] = useState("Headers");
+
+  // ── Session state ──
+  const [status, setStatus] = useState("idle"); // "idle" | "connecting" | "open" | "closed"
+  const [entries, setEntries] = useState(savedSession?.messages || []);
+  const [composer, setComposer] = useState("");
+  const sessionRef = useRef(null);
+  const logEndRef = useRef(null);
+  const nextId = useRef((savedSession?.messages?.length || 0) + 1);
+
+  // ── Log filters ──
+  const [search, setSearch] = useState("");
+  const [direction, setDirection] = useState("all");
+  const [expanded, setExpanded] = useState(null);
+
+  // ── Save modal ──
+  const [saveOpen, setSaveOpen] = useState(false);
+  const [saveName, setSaveName] = useState(savedSession?.name || "");
+  const [saveCollection, setSaveCollection] = useState(savedSession?.collection_id || "");
+  const [saveError, setSaveError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  // Close the session when leaving the page
+  useEffect(() => () => sessionRef.current?.close(), []);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    logEndRef.current?.scrollIntoView({ block: "nearest" });
+  }, [entries.length]);
+
+  // --------------------------------------------------
+  // Session events → log entries + connection status
+  // --------------------------------------------------
+  const handleEvent = (entry) => {
+    if (entry.kind === "open") setStatus("open");
+    if (entry.kind === "close") {
+      setStatus("closed");
+      sessionRef.current = null;
+    }
+    const id = nextId.current;
+    nextId.current += 1;
+    setEntries((prev) => [...prev, { id, ...entry }].slice(-MAX_LOG_ENTRIES));
+  };
+
+  const handleConnect = () => {
+    if (!url.trim()) return;
+    const resolve = (value) => resolveVariables(value, activeVars);
+    const resolvedHeaders = {};
+    Object.entries(pairsToObject(headers)).forEach(([key, value]) => {
+      resolvedHeaders[resolve(key)] = resolve(value);
+    });
+    const target = { url: resolve(url.trim()), headers: resolvedHeaders };
+
+    setStatus("connecting");
+    handleEvent({ direction: "system", kind: "connecting", data: `Connecting to ${target.url}`, time: Date.now() });
+    sessionRef.current =
+      type === "websocket"
+        ? openWebSocketSession(
+            { ...target, protocols: protocols.split(",").map((p) => p.trim()).filter(Boolean) },
+            { onEvent: handleEvent }
+          )
+        : openSseSession(target, { onEvent: handleEvent });
+  };
+
+  const handleDisconnect = () => sessionRef.current?.close();
+
+  const handleSend = () => {
+    if (!composer || !sessionRef.current?.send) return;
+    if (sessionRef.current.send(resolveVariables(composer, activeVars))) setComposer("");
+  };
+
+  // --------------------------------------------------
+  // Save URL, headers, protocols and the latest log
+  // entries as a request of type websocket / sse
+  // --------------------------------------------------
+  const handleSave = async () => {
+    if (!saveName.trim()) {
+      setSaveError("Please enter a name");
+      return;
+    }
+    if (!saveCollection) {
+      setSaveError("Please select a collection");
+      return;
+    }
+    setSaving(true);
+    setSaveError("");
+    try {
+      const requestData = {
+        name: saveName.trim(),
+        type,
+        method: "GET",
+        url: url.trim(),
+        headers,
+        protocols: type === "websocket" ? protocols : "",
+        messages: entries.slice(-MAX_SAVED_ENTRIES).map((entry) => ({
+          ...entry,
+          data: String(entry.data ?? "").slice(0, MAX_SAVED_DATA_CHARS),
+        })),
+        collection_id: saveCollection,
+        user_id: user?.uid,
+        created_at: new Date(),
+      };
+      const docRef = await addDoc(collection(db, "requests"), requestData);
+      addRequestToStore(saveCollection, { id: docRef.id, ...requestData });
+      setSaveOpen(false);
+    } catch (err) {
+      setSaveError("Failed to save. Try again.");
+      console.error("Save session error:", err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openSaveModal = () => {
+    if (!saveName && url.trim()) setSaveName(url.trim());
+    if (!saveCollection && collections.length === 1) setSaveCollection(collections[0].id);
+    setSaveError("");
+    setSaveOpen(true);
+  };
+
+  const connected = status === "open" || status === "connecting";
+  const term = search.trim().toLowerCase();
+  const visibleEntries = entries.filter(
+    (entry) =>
+      (direction === "all" || entry.direction === direction) &&
+      (!term ||
+        String(entry.data ?? "").toLowerCase().includes(term) ||
+        (entry.event || "").toLowerCase().includes(term))
+  );
+
+  return (
+    <div className="h-screen flex flex-col bg-gray-900 overflow-hidden pt-14">
+      <Navbar />
+
+      <div className="flex-1 flex flex-col min-h-0 p-4 gap-3">
+        {/* Top row: type + URL + connect + save */}
+        <div className="flex items-center gap-2">
+          <select
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+            disabled={connected}
+            className="bg-gray-700 border border-gray-700 text-gray-50 font-bold text-sm rounded px-3 py-2
+                       focus:border-green-800 focus:outline-none disabled:opacity-50"
+          >
+            {STREAM_TYPES.map((t) => (
+              <option key={t.id} value={t.id}>{t.label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && !connected && handleConnect()}
+            disabled={connected}
+            placeholder={type === "websocket" ? "wss://echo.example.com/socket" : "https://api.example.com/events"}
+            className="flex-1 bg-gray-700 border border-gray-700 text-gray-50 rounded px-3 py-2 text-sm
+                       placeholder-gray-500 focus:border-green-800 focus:outline-none transition-colors
+                       disabled:opacity-50"
+          />
+          {connected ? (
+            <button
+              onClick={handleDisconnect}
+              className="border border-red-400/40 text-red-400 hover:bg-red-400/10 px-5 py-2 rounded text-sm font-medium transition-colors"
+            >
+              {status === "connecting" ? "Cancel" : "Disconnect"}
+            </button>
+          ) : (
+            <button
+              onClick={handleConnect}
+              disabled={!url.trim()}
+              className="bg-green-800 hover:bg-green-700 disabled:opacity-40 disabled:cursor-not-allowed text-gray-50 px-5 py-2 rounded text-sm font-medium transition-colors"
+            >
+              Connect
+            </button>
+          )}
+          <button
+            onClick={openSaveModal}
+            className="border border-gray-700 text-gray-400 hover:text-gray-50 hover:bg-gray-700 px-4 py-2 rounded text-sm transition-colors"
+          >
+            Save
+          </button>
+        </div>
+
+        {/* Connection settings — headers / subprotocols */}
+        <div>
+          <div className="flex items-center border-b border-gray-700 mb-2">
+            {(type === "websocket" ? ["Headers", "Protocols"] : ["Headers"]).map((tab) => (
+              <button
+                key={tab}
+                onClick={() => setSettingsTab(tab)}
+                className={`px-4 py-2 text-sm transition-colors border-b-2 -mb-px ${
+                  settingsTab === tab || type !== "websocket"
+                    ? "text-gray-50 border-green-800"
+                    : "text-gray-400 border-transparent hover:text-gray-50"
+                }`}
+              >
+                {tab}
+              </button>
+            ))}
+            <span className={`ml-auto text-xs ${status === "open" ? "text-green-400" : "text-gray-500"}`}>
+              {status === "idle" ? "Not connected" : status === "open" ? "Connected" : status === "connecting" ? "Connecting..." : "Closed"}
+            </span>
+          </div>
+          <div className="max-h-40 overflow-y-auto">
+            {settingsTab === "Protocols" && type === "websocket" ? (
+              <input
+                type="text"
+                value={protocols}
+                onChange={(e) => setProtocols(e.target.value)}
+                disabled={connected}
+                placeholder="Subprotocols, comma separated (e.g. graphql-transport-ws)"
+                className="w-full bg-gray-700 border border-gray-700 text-gray-50 rounded px-3 py-2 text-sm
+                           placeholder-gray-500 focus:border-green-800 focus:outline-none disabled:opacity-50"
+              />
+            ) : (
+              <KeyValueEditor pairs={headers} onChange={setHeaders} />
+            )}
+          </div>
+        </div>
+
+        {/* Log toolbar — search + direction filter */}
+        <div className="flex items-center gap-2 flex-wrap">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Filter messages"
+            className="w-64 bg-gray-700 border border-gray-700 text-gray-50 rounded px-3 py-1.5 text-sm
+                       placeholder-gray-500 focus:border-green-800 focus:outline-none"
+          />
+          <div className="flex gap-1">
+            {DIRECTION_FILTERS.map((filter) => (
+              <button
+                key={filter.id}
+                onClick={() => setDirection(filter.id)}
+                className={`px-3 py-1 rounded text-xs transition-colors ${
+                  direction === filter.id ? "bg-gray-700 text-gray-50" : "text-gray-400 hover:text-gray-50"
+                }`}
+              >
+                {filter.label}
+              </button>
+            ))}
+          </div>
+          <span className="text-gray-500 text-xs ml-auto">
+            {visibleEntries.length} of {entries.length} messages
+          </span>
+          <button
+            onClick={() => setEntries([])}
+            disabled={entries.length === 0}
+            className="text-gray-400 hover:text-gray-50 disabled:opacity-40 text-xs transition-colors"
+          >
+            Clear
+          </button>
+        </div>
+
+        {/* Message log */}
+        <div className="flex-1 min-h-0 overflow-y-auto bg-gray-800 border border-gray-700 rounded">
+          {visibleEntries.length === 0 ? (
+            <p className="text-gray-500 text-sm text-center py-12">
+              {entries.length === 0 ? "Connect to start the session" : "No messages match the filter"}
+            </p>
+          ) : (
+            visibleEntries.map((entry) => {
+              const style = DIRECTION_STYLE[entry.direction] || DIRECTION_STYLE.system;
+              const isExpanded = expanded === entry.id;
+              return (
+                <div
+                  key={entry.id}
+                  onClick={() => setExpanded(isExpanded ? null : entry.id)}
+                  className="flex items-start gap-3 px-3 py-1.5 border-b border-gray-700/60 cursor-pointer hover:bg-gray-700/30"
+                >
+                  <span className="text-gray-500 text-xs font-mono shrink-0 pt-0.5">{formatTime(entry.time)}</span>
+                  <span className={`text-sm font-bold shrink-0 w-3 ${style.className}`}>{style.icon}</span>
+                  {entry.event && entry.event !== "message" && (
+                    <span className="text-yellow-400 text-xs font-mono shrink-0 pt-0.5">{entry.event}</span>
+                  )}
+                  <pre
+                    className={`flex-1 min-w-0 text-xs font-mono whitespace-pre-wrap break-all pt-0.5 ${
+                      entry.kind === "error" ? "text-red-400" : entry.direction === "system" ? "text-gray-400" : "text-gray-50"
+                    } ${isExpanded ? "" : "line-clamp-2"}`}
+                  >
+                    {entry.binary ? `[binary, base64] ${entry.data}` : isExpanded ? formatData(entry.data) : entry.data}
+                  </pre>
+                  {entry.size != null && (
+                    <span className="text-gray-500 text-xs font-mono shrink-0 pt-0.5">{entry.size} B</span>
+                  )}
+                </div>
+              );
+            })
+          )}
+          <div ref={logEndRef} />
+        </div>
+
+        {/* Composer — WebSocket frames only */}
+        {type === "websocket" && (
+          <div className="flex items-end gap-2">
+            <textarea
+              value={composer}
+              onChange={(e) => setComposer(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+                  e.preventDefault();
+                  handleSend();
+                }
+              }}
+              disabled={status !== "open"}
+              placeholder={status === "open" ? "Message to send (Ctrl+Enter)" : "Connect to send messages"}
+              rows={3}
+              className="flex-1 bg-gray-700 border border-gray-700 text-green-400 font-mono text-sm rounded p-3
+                         placeholder-gray-500 focus:border-green-800 focus:outline-none resize-none disabled:opacity-50"
+            />
+            <button
+              onClick={handleSend}
+              disabled={status !== "open" || !composer}
+              className="bg-green-800 hover:bg-green-700 disabled:opacity-40 disabled:cursor-not-allowed text-gray-50 px-5 py-2 rounded text-sm font-medium transition-colors"
+            >
+              Send
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Save session modal */}
+      <AnimatePresence>
+        {saveOpen && (
+          <motion.div
+            className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm flex items-center justify-center"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={() => setSaveOpen(false)}
+          >
+            <motion.div
+              className="bg-gray-800 border border-gray-700 rounded-xl p-6 w-full max-w-md mx-4"
+              initial={{ opacity: 0, scale: 0.95, y: 20 }}
+              animate={{ opacity: 1, scale: 1, y: 0 }}
+              exit={{ opacity: 0, scale: 0.95, y: 20 }}
+              transition={{ duration: 0.2 }}
+              onClick={(e) => e.stopPropagation()}
+            >
+              <h3 className="text-gray-50 font-bold text-lg mb-1">Save Session</h3>
+              <p className="text-gray-400 text-xs mb-5">
+                Saves the connection settings and the last {MAX_SAVED_ENTRIES} messages.
+              </p>
+
+              <label className="text-gray-400 text-xs mb-1.5 block">Name</label>
+              <input
+                type="text"
+                value={saveName}
+                onChange={(e) => setSaveName(e.target.value)}
+                placeholder="e.g. Price ticker"
+                className="w-full bg-gray-700 border border-gray-700 text-gray-50 placeholder-gray-500 rounded-lg p-3 text-sm focus:border-green-600 focus:outline-none mb-4"
+              />
+
+              <label className="text-gray-400 text-xs mb-1.5 block">Save to Collection</label>
+              {collections.length === 0 ? (
+                <p className="text-gray-500 text-sm bg-gray-700/50 rounded-lg p-4 text-center">
+                  No collections yet. Create one first in the Collections page.
+                </p>
+              ) : (
+                <select
+                  value={saveCollection}
+                  onChange={(e) => setSaveCollection(e.target.value)}
+                  className="w-full bg-gray-700 border border-gray-700 text-gray-50 rounded-lg p-3 text-sm focus:border-green-600 focus:outline-none"
+                >
+                  <option value="">Select a collection…</option>
+                  {collections.map((col) => (
+                    <option key={col.id} value={col.id}>{col.name}</option>
+                  ))}
+                </select>
+              )}
+
+              {saveError && <p className="text-red-400 text-sm mt-3">{saveError}</p>}
+
+              <div className="flex justify-end gap-3 mt-6">
+                <button
+                  onClick={() => setSaveOpen(false)}
+                  className="border border-gray-700 text-gray-400 px-4 py-2 rounded-lg text-sm hover:bg-gray-700 transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSave}
+                  disabled={saving}
+                  className="bg-green-600 hover:bg-green-700 disabled:opacity-40 text-gray-50 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+                >
+                  {saving ? "Saving..." : "Save"}
+                </button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+export default Realtime;
@@ -9,6 +9,8 @@
 //   • Add / edit / delete nodes manually
 //   • Connect nodes with edges to model dependencies
 //   • Run All — fire every endpoint sequentially
+//   • Run Flow — execute nodes in topological order, passing
+//     values extracted from each response down the edges
 //   • Simulate Flow — animate the execution order
 //   • Save & load named graphs to Firestore
 //   • Right-side detail panel for the selected node
@@ -30,7 +32,6 @@ import { Group, Panel as ResizablePanel, Separator } from "react-resizable-panel
 import { useState, useCallback, useEffect, useRef, useMemo } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { useNavigate } from "react-router-dom";
-import axios from "axios";
 import { db } from "../lib/firebase";
 import {
   collection as fbCollection,
@@ -47,13 +48,16 @@ import Navbar from "../components/Navbar";
 import EndpointNode from "../components/visualizer/EndpointNode";
 import RunAllPanel from "../components/visualizer/RunAllPanel";
 import ImportCollectionModal from "../components/visualizer/ImportCollectionModal";
+import { getExecutionOrder, applyExtractions, toFlowExport } from "../lib/flowRunner";
+import { executeRequest, normalizeRequest } from "../lib/requestBuilder";
+import { describeSnapshotMismatch } from "../lib/expectedSnapshot";
+import { describeSchemaFailures } from "../lib/jsonSchema";
+import { useActiveEnvironment } from "../hooks/useActiveEnvironment";
 
 // ────────────────────────────────────────────────────────────
 // Constants
 // ────────────────────────────────────────────────────────────
 
-const PROXY_URL = import.meta.env.VITE_PROXY_URL || "http://localhost:5000";
-
 // Method badge colours for inline node details
 const METHOD_BG = {
   GET: "bg-green-500/20 text-green-400",
@@ -82,6 +86,8 @@ function Visualizer() {
   // ── Zustand state ──
   const user = useStore((s) => s.user);
   const setActiveRequest = useStore((s) => s.setActiveRequest);
+  const { variables: environmentVars, persistUpdates: persistEnvironmentUpdates } =
+    useActiveEnvironment();
 
   // ── React Flow state ──
   const [nodes, setNodes, onNodesChange] = useNodesState([]);
@@ -101,6 +107,10 @@ function Visualizer() {
   const [runResults, setRunResults] = useState(null);
   const [showRunPanel, setShowRunPanel] = useState(false);
 
+  // ── Run Flow state ──
+  const [isRunningFlow, setIsRunningFlow] = useState(false);
+  const [flowVariables, setFlowVariables] = useState({});
+
   // ── Simulation state ──
   const [isSimulating, setIsSimulating] = useState(false);
   const simulatingRef = useRef(false);
@@ -313,16 +323,7 @@ function Visualizer() {
   // ────────────────────────────────────────────────────────
 
   const handleTestInWorkspace = (node) => {
-    const req = node.data.fullRequest || {};
-    setActiveRequest({
-      method: req.method || node.data.method || "GET",
-      url: req.url || node.data.url || "",
-      headers: req.headers || [],
-      bodyContent: req.body || "",
-      params: req.params || [],
-      authType: req.authType || "none",
-      bearerToken: req.bearerToken || "",
-    });
+    setActiveRequest(getNodeRequest(node));
     navigate("/workspace");
   };
 
@@ -340,6 +341,48 @@ function Visualizer() {
   // Run All
   // ────────────────────────────────────────────────────────
 
+  /** Set data fields on a single node */
+  const patchNodeData = (nodeId, patch) => {
+    setNodes((prev) =>
+      prev.map((n) => (n.id === nodeId ? { ...n, data: { ...n.data, ...patch } } : n))
+    );
+  };
+
+  /**
+   * The saved request behind a node — the same fields RequestBuilder
+   * saves — falling back to the node's own method / url for nodes
+   * that were added manually.
+   */
+  const getNodeRequest = (node) => {
+    const req = node.data.fullRequest || {};
+    return normalizeRequest({
+      ...req,
+      method: req.method || node.data.method,
+      url: req.url || node.data.url,
+    });
+  };
+
+  /** Summarise failing test-script assertions for the results panel */
+  const describeTestFailures = (response) => {
+    const tests = response.testResults?.tests || [];
+    const failedTests = tests.filter((t) => !t.passed);
+    if (response.testResults?.error) return `Test script error: ${response.testResults.error}`;
+    if (failedTests.length === 0) return null;
+    return `${failedTests.length}/${tests.length} tests failed: ${failedTests.map((t) => t.name).join(", ")}`;
+  };
+
+  /** Failing tests and / or an expected-snapshot mismatch, or null */
+  const describeAssertionFailures = (response) =>
+    [describeTestFailures(response), describeSnapshotMismatch(response.snapshotResult)]
+      .filter(Boolean)
+      .join("; ") || null;
+
+  /** Expected-snapshot outcome shown on the node's status dot */
+  const nodeSnapshotState = (response) =>
+    response.snapshotResult
+      ? { matched: response.snapshotResult.matched, summary: describeSnapshotMismatch(response.snapshotResult) }
+      : null;
+
   const handleRunAll = async () => {
     if (isRunningAll) return;
 
@@ -352,99 +395,203 @@ function Visualizer() {
     setRunResults(null);
     setShowRunPanel(false);
 
-    const results = { passed: [], failed: [], warned: [] };
+    // Schema violations are reported on their own, next to
+    // status / test failures
+    const results = { passed: [], failed: [], warned: [], schemaFailed: [] };
+    // Script variables carry from one node to the next; environment
+    // writes are persisted once at the end (persistUpdates is not
+    // cumulative within a single render)
+    let vars = { ...environmentVars };
+    const environmentUpdates = {};
 
     for (const node of nodesWithUrls) {
       // Mark node as running
-      setNodes((prev) =>
-        prev.map((n) =>
-          n.id === node.id ? { ...n, data: { ...n.data, isRunning: true } } : n
-        )
-      );
+      patchNodeData(node.id, { isRunning: true });
+
+      // Same lifecycle as a Workspace send (scripts, auth, params, body)
+      const result = await executeRequest(getNodeRequest(node), { variables: vars });
+      const response = result.response;
+      vars = result.variables;
+      Object.assign(environmentUpdates, result.environmentUpdates);
+
+      const status = response.status;
+      const responseTime = response.responseTime;
+      const name = node.data.name || node.data.path;
+
+      // Update node with result
+      patchNodeData(node.id, {
+        isRunning: false,
+        lastStatus: status,
+        lastResponse: response.data,
+        lastResponseTime: responseTime,
+        lastTested: new Date().toISOString(),
+        lastSnapshot: nodeSnapshotState(response),
+      });
 
-      try {
-        const req = node.data.fullRequest || {};
+      // Categorise result
+      const testFailure = describeAssertionFailures(response);
+      const schemaFailure = describeSchemaFailures(response.schemaResult);
+      if (schemaFailure) results.schemaFailed.push({ name, status, responseTime, error: schemaFailure });
+      if (testFailure) {
+        results.failed.push({ name, status, responseTime, error: testFailure });
+      } else if (status >= 200 && status < 300) {
+        if (!schemaFailure) results.passed.push({ name, status, responseTime });
+      } else if (status >= 400 && status < 500) {
+        results.warned.push({ name, status, responseTime });
+      } else {
+        results.failed.push({ name, status, responseTime, error: status ? undefined : response.data?.error });
+      }
 
-        // Build headers (include auth)
-        const headers = {};
-        if (req.authType === "bearer" && req.bearerToken) {
-          headers["Authorization"] = `Bearer ${req.bearerToken}`;
-        }
+      // Small delay between requests
+      await new Promise((r) => setTimeout(r, 300));
+    }
 
-        const response = await axios.post(`${PROXY_URL}/api/proxy`, {
-          method: req.method || node.data.method || "GET",
-          url: req.url || node.data.url,
-          headers,
-          body: req.body || null,
-          params: {},
-          user_id: user?.uid,
-        });
+    persistEnvironmentUpdates(environmentUpdates);
+    setIsRunningAll(false);
+    setRunResults(results);
+    setShowRunPanel(true);
+  };
 
-        const status = response.data.status;
-        const responseTime = response.data.responseTime;
-
-        // Update node with result
-        setNodes((prev) =>
-          prev.map((n) =>
-            n.id === node.id
-              ? {
-                  ...n,
-                  data: {
-                    ...n.data,
-                    isRunning: false,
-                    lastStatus: status,
-                    lastResponse: response.data.data,
-                    lastResponseTime: responseTime,
-                    lastTested: new Date().toISOString(),
-                  },
-                }
-              : n
-          )
-        );
+  // ────────────────────────────────────────────────────────
+  // Run Flow (request chaining)
+  // ────────────────────────────────────────────────────────
 
-        // Categorise result
-        if (status >= 200 && status < 300) {
-          results.passed.push({ name: node.data.name || node.data.path, status, responseTime });
-        } else if (status >= 400 && status < 500) {
-          results.warned.push({ name: node.data.name || node.data.path, status, responseTime });
-        } else {
-          results.failed.push({ name: node.data.name || node.data.path, status, responseTime });
-        }
-      } catch (err) {
-        // Update node with error state
-        setNodes((prev) =>
-          prev.map((n) =>
-            n.id === node.id
-              ? {
-                  ...n,
-                  data: {
-                    ...n.data,
-                    isRunning: false,
-                    lastStatus: 0,
-                    lastResponse: { error: err.message },
-                    lastTested: new Date().toISOString(),
-                  },
-                }
-              : n
-          )
-        );
+  /**
+   * Execute every node in topological order. Values extracted
+   * by an edge's rules become {{variables}} for all downstream
+   * nodes. Stops at the first failed request or extraction.
+   */
+  const handleRunFlow = async () => {
+    if (isRunningFlow || isRunningAll || nodes.length === 0) return;
 
+    let order;
+    try {
+      order = getExecutionOrder(nodes, edges);
+    } catch (err) {
+      setRunResults({ title: "Flow Not Started", passed: [], failed: [{ name: "Flow", status: 0, error: err.message }], warned: [] });
+      setShowRunPanel(true);
+      return;
+    }
+
+    setIsRunningFlow(true);
+    setRunResults(null);
+    setShowRunPanel(false);
+
+    const results = { title: "Flow Complete", passed: [], failed: [], warned: [], skipped: [], schemaFailed: [] };
+    let vars = { ...environmentVars };
+    const environmentUpdates = {};
+    let stopped = false;
+
+    for (const nodeId of order) {
+      const node = nodes.find((n) => n.id === nodeId);
+      const name = node.data.name || node.data.path;
+
+      if (stopped) {
+        results.skipped.push({ name });
+        continue;
+      }
+      if (!node.data.fullRequest?.url && !node.data.url) {
+        results.skipped.push({ name, error: "No URL" });
+        continue;
+      }
+
+      // Highlight the running node and its outgoing edges
+      patchNodeData(nodeId, { isRunning: true });
+      setEdges((prev) =>
+        prev.map((e) => ({
+          ...e,
+          animated: e.source === nodeId,
+          style: {
+            ...e.style,
+            stroke: e.source === nodeId ? "rgba(52,211,153,0.6)" : "rgba(255,255,255,0.08)",
+          },
+        }))
+      );
+
+      // Same lifecycle as a Workspace send; script variables carry forward
+      const result = await executeRequest(getNodeRequest(node), { variables: vars });
+      const response = result.response;
+      vars = result.variables;
+      Object.assign(environmentUpdates, result.environmentUpdates);
+
+      patchNodeData(nodeId, {
+        isRunning: false,
+        lastStatus: response.status,
+        lastResponse: response.data,
+        lastResponseTime: response.responseTime,
+        lastTested: new Date().toISOString(),
+        lastSnapshot: nodeSnapshotState(response),
+      });
+
+      const testFailure = describeAssertionFailures(response);
+      if (!response.status || response.status >= 400 || testFailure) {
         results.failed.push({
-          name: node.data.name || node.data.path,
-          status: 0,
-          error: err.message,
+          name,
+          status: response.status,
+          responseTime: response.responseTime,
+          error: testFailure || (response.status ? undefined : response.data?.error),
         });
+        stopped = true;
+        continue;
       }
 
-      // Small delay between requests
-      await new Promise((r) => setTimeout(r, 300));
+      // A response that breaks its schema also stops the flow
+      const schemaFailure = describeSchemaFailures(response.schemaResult);
+      if (schemaFailure) {
+        results.schemaFailed.push({
+          name,
+          status: response.status,
+          responseTime: response.responseTime,
+          error: schemaFailure,
+        });
+        stopped = true;
+        continue;
+      }
+
+      // Pull values out of the response for downstream nodes
+      const extractionErrors = [];
+      edges
+        .filter((e) => e.source === nodeId)
+        .forEach((edge) => {
+          const { variables, errors } = applyExtractions(edge.data?.extractions, response);
+          vars = { ...vars, ...variables };
+          extractionErrors.push(...errors);
+        });
+
+      if (extractionErrors.length > 0) {
+        results.failed.push({ name, status: response.status, error: extractionErrors.join("; ") });
+        stopped = true;
+        continue;
+      }
+
+      results.passed.push({ name, status: response.status, responseTime: response.responseTime });
     }
 
-    setIsRunningAll(false);
+    // Reset edge highlighting
+    setEdges((prev) =>
+      prev.map((e) => ({
+        ...e,
+        animated: false,
+        style: { ...e.style, stroke: "rgba(255,255,255,0.08)" },
+      }))
+    );
+
+    if (stopped) results.title = "Flow Stopped";
+    persistEnvironmentUpdates(environmentUpdates);
+    setFlowVariables(vars);
+    setIsRunningFlow(false);
     setRunResults(results);
     setShowRunPanel(true);
   };
 
+  /** Replace the extraction rules stored on an edge */
+  const updateEdgeExtractions = (edgeId, extractions) => {
+    setEdges((prev) =>
+      prev.map((e) => (e.id === edgeId ? { ...e, data: { ...e.data, extractions } } : e))
+    );
+    setSelectedEdge((prev) => (prev ? { ...prev, data: { ...prev.data, extractions } } : prev));
+  };
+
   // ────────────────────────────────────────────────────────
   // Flow Simulation (topological BFS)
   // ────────────────────────────────────────────────────────
@@ -609,6 +756,18 @@ function Visualizer() {
     setTimeout(() => setHasUnsavedChanges(false), 0);
   };
 
+  /** Download the canvas as a flow file for the CLI runner */
+  const handleExportGraph = () => {
+    const name = graphName.trim() || "flow";
+    const json = JSON.stringify(toFlowExport(name, nodes, edges), null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${name.replace(/[^\w.-]+/g, "_")}.apicanvas_flow.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
   /** Starts a fresh unnamed graph */
   const handleNewGraph = () => {
     setNodes([]);
@@ -1019,6 +1178,14 @@ function Visualizer() {
                         <span className="w-1.5 h-1.5 rounded-full bg-amber-400 ml-1 flex-shrink-0" />
                       )}
                     </button>
+                    <button
+                      onClick={handleExportGraph}
+                      disabled={nodes.length === 0}
+                      title="Download as JSON for the apicanvas CLI"
+                      className="border border-gray-700 text-gray-400 hover:text-gray-50 disabled:opacity-40 disabled:cursor-not-allowed text-xs px-3 py-1.5 rounded-lg flex-1 transition-colors"
+                    >
+                      Export
+                    </button>
                     <button
                       onClick={handleClearCanvas}
                       className="border border-gray-700 text-gray-400 hover:border-red-900/50 hover:text-red-400 text-xs px-3 py-1.5 rounded-lg flex-1 transition-colors"
@@ -1084,7 +1251,7 @@ function Visualizer() {
                   {/* Run All */}
                   <button
                     onClick={handleRunAll}
-                    disabled={isRunningAll}
+                    disabled={isRunningAll || isRunningFlow}
                     className="bg-green-600 hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed text-gray-50 text-xs px-3 py-2.5 rounded-lg w-full transition-colors flex items-center justify-center gap-2"
                   >
                     {isRunningAll ? (
@@ -1117,6 +1284,42 @@ function Visualizer() {
                     </svg>
                     {isSimulating ? "Stop Simulation" : "Simulate Flow"}
                   </button>
+
+                  {/* Run Flow — real requests with value chaining */}
+                  <button
+                    onClick={handleRunFlow}
+                    disabled={isRunningFlow || isRunningAll || nodes.length === 0}
+                    className="border border-sky-600/40 text-sky-400 hover:bg-sky-600/10 disabled:opacity-40 disabled:cursor-not-allowed text-xs px-3 py-2.5 rounded-lg w-full transition-colors mt-2 flex items-center justify-center gap-2"
+                  >
+                    {isRunningFlow ? (
+                      <>
+                        <div className="w-3.5 h-3.5 border-2 border-sky-400 border-t-transparent rounded-full animate-spin" />
+                        Running Flow...
+                      </>
+                    ) : (
+                      <>
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.5 4.5L21 12m0 0l-7.5 7.5M21 12H3" />
+                        </svg>
+                        Run Flow
+                      </>
+                    )}
+                  </button>
+
+                  {/* Variables extracted by the last flow run */}
+                  {Object.keys(flowVariables).length > 0 && (
+                    <div className="bg-gray-700/30 rounded-lg p-2.5 mt-3">
+                      <p className="text-gray-500 text-xs mb-1.5">Flow variables</p>
+                      <div className="space-y-1 max-h-28 overflow-y-auto">
+                        {Object.entries(flowVariables).map(([key, value]) => (
+                          <div key={key} className="flex items-center gap-2 text-xs font-mono">
+                            <span className="text-sky-400 shrink-0">{`{{${key}}}`}</span>
+                            <span className="text-gray-400 truncate">{value}</span>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
                 </div>
 
                 {/* ── Section 4 — Canvas Stats ── */}
@@ -1414,6 +1617,82 @@ function Visualizer() {
                         </div>
                       </div>
 
+                      {/* Extraction rules — values passed to downstream nodes */}
+                      <div className="mb-4">
+                        <label className="text-gray-500 text-xs block mb-1.5">Extract Variables</label>
+                        <div className="space-y-2">
+                          {(selectedEdge.data?.extractions || []).map((rule, idx) => {
+                            const rules = selectedEdge.data?.extractions || [];
+                            const updateRule = (field, value) =>
+                              updateEdgeExtractions(
+                                selectedEdge.id,
+                                rules.map((r, i) => (i === idx ? { ...r, [field]: value } : r))
+                              );
+                            return (
+                              <div key={idx} className="bg-gray-700/30 rounded-lg p-2 space-y-1.5">
+                                <div className="flex items-center gap-1.5">
+                                  <select
+                                    value={rule.source || "body"}
+                                    onChange={(e) => updateRule("source", e.target.value)}
+                                    className="bg-gray-700 border border-gray-700 text-gray-300 text-xs rounded px-1.5 py-1.5 focus:outline-none focus:ring-1 focus:ring-green-600"
+                                  >
+                                    <option value="body">Body</option>
+                                    <option value="header">Header</option>
+                                    <option value="status">Status</option>
+                                  </select>
+                                  {rule.source !== "status" && (
+                                    <input
+                                      type="text"
+                                      value={rule.path || ""}
+                                      onChange={(e) => updateRule("path", e.target.value)}
+                                      placeholder={rule.source === "header" ? "x-auth-token" : "$.token"}
+                                      className="flex-1 min-w-0 bg-gray-700 border border-gray-700 text-gray-300 text-xs font-mono rounded px-2 py-1.5 focus:outline-none focus:ring-1 focus:ring-green-600 placeholder:text-gray-600"
+                                    />
+                                  )}
+                                  <button
+                                    onClick={() =>
+                                      updateEdgeExtractions(
+                                        selectedEdge.id,
+                                        rules.filter((_, i) => i !== idx)
+                                      )
+                                    }
+                                    className="text-gray-600 hover:text-red-400 transition-colors p-1"
+                                  >
+                                    <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                                    </svg>
+                                  </button>
+                                </div>
+                                <div className="flex items-center gap-1.5">
+                                  <span className="text-gray-600 text-xs">→</span>
+                                  <input
+                                    type="text"
+                                    value={rule.variable || ""}
+                                    onChange={(e) => updateRule("variable", e.target.value)}
+                                    placeholder="variable name"
+                                    className="flex-1 min-w-0 bg-gray-700 border border-gray-700 text-sky-400 text-xs font-mono rounded px-2 py-1.5 focus:outline-none focus:ring-1 focus:ring-green-600 placeholder:text-gray-600"
+                                  />
+                                </div>
+                              </div>
+                            );
+                          })}
+                        </div>
+                        <button
+                          onClick={() =>
+                            updateEdgeExtractions(selectedEdge.id, [
+                              ...(selectedEdge.data?.extractions || []),
+                              { source: "body", path: "", variable: "" },
+                            ])
+                          }
+                          className="text-xs text-gray-400 hover:text-gray-50 transition-colors mt-2"
+                        >
+                          + Add rule
+                        </button>
+                        <p className="text-gray-600 text-xs mt-1">
+                          Use {"{{variable}}"} in downstream URLs, headers or bodies
+                        </p>
+                      </div>
+
                       {/* Delete Edge */}
                       <button
                         onClick={() => {
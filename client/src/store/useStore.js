@@ -23,12 +23,30 @@ const useStore = create((set) => ({
   // The last response received from the proxy server
   activeResponse: null,
 
+  // Pinned response snapshot the Diff tab compares against
+  // (see lib/responseDiff — pinned from ResponseViewer or History)
+  baselineResponse: null,
+
+  // Expected snapshot of the request open in the Workspace
+  // (lib/expectedSnapshot — saved from ResponseViewer)
+  expectedSnapshot: null,
+
+  // Saved WebSocket / SSE session opened in the Realtime page
+  activeStreamSession: null,
+
   // The currently selected collection in the sidebar
   activeCollection: null,
 
-  // List of environment variable key-value pairs
+  // Named environments: [{ id, name, variables: [{ key, value }] }]
   environments: [],
 
+  // Id of the environment whose variables resolve {{placeholders}}
+  // (null = no environment, placeholders are sent as-is)
+  activeEnvironmentId: null,
+
+  // Tracks whether environments have already been fetched from Firestore
+  environmentsLoaded: false,
+
   // Global loading flag for async operations
   isLoading: false,
 
@@ -55,11 +73,46 @@ const useStore = create((set) => ({
   // Store the latest proxy response
   setActiveResponse: (response) => set({ activeResponse: response }),
 
+  // Pin (or clear, with null) the diff baseline
+  setBaselineResponse: (snapshot) => set({ baselineResponse: snapshot }),
+
+  // Set (or clear, with null) the Workspace request's expected snapshot
+  setExpectedSnapshot: (snapshot) => set({ expectedSnapshot: snapshot }),
+
+  // Set the saved stream session the Realtime page should load
+  setActiveStreamSession: (session) => set({ activeStreamSession: session }),
+
   // Set the currently selected collection
   setActiveCollection: (collection) => set({ activeCollection: collection }),
 
   // Replace the entire environments list
-  setEnvironments: (environments) => set({ environments }),
+  setEnvironments: (environments) =>
+    set({ environments, environmentsLoaded: true }),
+
+  // Add a single new environment to the end of the list
+  addEnvironment: (environment) =>
+    set((state) => ({
+      environments: [...state.environments, environment],
+    })),
+
+  // Update a single environment by id with partial updates
+  updateEnvironment: (id, updates) =>
+    set((state) => ({
+      environments: state.environments.map((e) =>
+        e.id === id ? { ...e, ...updates } : e
+      ),
+    })),
+
+  // Remove an environment by id (clears the selection if it was active)
+  removeEnvironment: (id) =>
+    set((state) => ({
+      environments: state.environments.filter((e) => e.id !== id),
+      activeEnvironmentId:
+        state.activeEnvironmentId === id ? null : state.activeEnvironmentId,
+    })),
+
+  // Select the environment used for {{variable}} substitution
+  setActiveEnvironmentId: (id) => set({ activeEnvironmentId: id }),
 
   // Toggle the global loading spinner
   setIsLoading: (bool) => set({ isLoading: bool }),
@@ -117,6 +170,17 @@ const useStore = create((set) => ({
       },
     })),
 
+  // Merge fields into a cached request
+  updateRequest: (collectionId, requestId, patch) =>
+    set((state) => ({
+      requests: {
+        ...state.requests,
+        [collectionId]: (state.requests[collectionId] || []).map((r) =>
+          r.id === requestId ? { ...r, ...patch } : r
+        ),
+      },
+    })),
+
   // Remove a request by id from a specific collection
   removeRequest: (collectionId, requestId) =>
     set((state) => ({
@@ -136,6 +200,9 @@ const useStore = create((set) => ({
       collections: [],
       requests: {},
       collectionsLoaded: false,
+      environments: [],
+      activeEnvironmentId: null,
+      environmentsLoaded: false,
     }),
 }));
 
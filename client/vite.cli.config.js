@@ -0,0 +1,42 @@
+import { fileURLToPath } from 'node:url'
+import { defineConfig } from 'vite'
+
+// Browser-only modules and their Node stand-ins for the CLI
+const PLATFORM_SWAPS = {
+  'src/lib/firebase.js': 'cli/platform/firebase.js',
+  'src/lib/scriptRunner.js': 'cli/platform/scriptRunner.js',
+}
+
+const fromRoot = (file) => fileURLToPath(new URL(`./${file}`, import.meta.url))
+
+// Resolve the swapped modules to their stand-ins, except for
+// imports made by the stand-ins themselves
+function nodePlatform() {
+  return {
+    name: 'apicanvas-node-platform',
+    enforce: 'pre',
+    async resolveId(source, importer, options) {
+      if (!importer || importer.includes('/cli/platform/')) return null
+      const resolved = await this.resolve(source, importer, { ...options, skipSelf: true })
+      const swap = resolved && Object.keys(PLATFORM_SWAPS).find((file) => resolved.id.endsWith(file))
+      return swap ? fromRoot(PLATFORM_SWAPS[swap]) : null
+    },
+  }
+}
+
+// `npm run build:cli` → dist-cli/apicanvas.mjs (the apicanvas bin)
+export default defineConfig({
+  plugins: [nodePlatform()],
+  build: {
+    ssr: 'cli/apicanvas.js',
+    outDir: 'dist-cli',
+    emptyOutDir: true,
+    target: 'node18',
+    rollupOptions: {
+      output: {
+        entryFileNames: 'apicanvas.mjs',
+        banner: '#!/usr/bin/env node',
+      },
+    },
+  },
+})
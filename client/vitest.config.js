@@ -0,0 +1,12 @@
+import { defineConfig } from 'vitest/config'
+import cliConfig from './vite.cli.config.js'
+
+// `npm test` — lib modules are tested on Node with the same
+// platform stand-ins as the CLI build (no Firebase app, the
+// node:vm script sandbox)
+export default defineConfig({
+  plugins: cliConfig.plugins,
+  test: {
+    include: ['src/**/*.test.js', 'cli/**/*.test.js'],
+  },
+})
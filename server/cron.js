@@ -0,0 +1,107 @@
+// ============================================================
+// cron.js — Five-Field Cron Expressions
+// ============================================================
+// Parses the schedules monitors run on (and how often they
+// run, for the minimum interval):
+//   minute  hour  day-of-month  month  day-of-week
+// Each field takes `*`, numbers, ranges (1-5), lists (1,15)
+// and steps (*/5, 10-50/10). Day-of-week is 0-6 from Sunday
+// (7 is also Sunday). When both day fields are restricted a
+// time matches either, as in classic cron. Schedules are
+// evaluated in UTC so they don't move with the server's zone.
+// The client keeps a copy in lib/cron.js for validation;
+// client/src/lib/serverParity.test.js checks they agree.
+// ============================================================
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+// Error for a malformed expression
+class CronError extends Error {}
+
+// Expand one field into the set of values it allows
+const parseField = (text, { name, min, max }) => {
+  const values = new Set();
+
+  text.split(",").forEach((part) => {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new CronError(`Invalid ${name} "${part}"`);
+
+    const step = match[4] ? Number(match[4]) : 1;
+    let from = min;
+    let to = max;
+    if (match[2] !== undefined) {
+      from = Number(match[2]);
+      // "5/15" means 5, 20, 35, 50 — a start with a step runs to the end
+      to = match[3] !== undefined ? Number(match[3]) : match[4] ? max : from;
+    }
+    if (from < min || to > max || from > to) throw new CronError(`${name} must be ${min}-${max}, got "${part}"`);
+    if (step < 1) throw new CronError(`Invalid step in ${name} "${part}"`);
+
+    for (let value = from; value <= to; value += step) values.add(value);
+  });
+
+  return values;
+};
+
+// --------------------------------------------------
+// Parse an expression into { minute, hour, dayOfMonth,
+// month, dayOfWeek } value sets plus whether each day
+// field is restricted. Throws CronError.
+// --------------------------------------------------
+const parseCron = (expression) => {
+  const parts = String(expression || "").trim().split(/\s+/);
+  if (parts.length !== 5 || !parts[0]) {
+    throw new CronError("A schedule needs five fields: minute hour day-of-month month day-of-week");
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  // 7 and 0 are both Sunday
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    dayOfMonthRestricted: parts[2] !== "*",
+    dayOfWeekRestricted: parts[4] !== "*",
+  };
+};
+
+// Does the (parsed) schedule fire in the UTC minute of `date`?
+const cronMatches = (cron, date) => {
+  if (!cron.minute.has(date.getUTCMinutes())) return false;
+  if (!cron.hour.has(date.getUTCHours())) return false;
+  if (!cron.month.has(date.getUTCMonth() + 1)) return false;
+
+  const domMatch = cron.dayOfMonth.has(date.getUTCDate());
+  const dowMatch = cron.dayOfWeek.has(date.getUTCDay());
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return domMatch || dowMatch;
+  return domMatch && dowMatch;
+};
+
+// --------------------------------------------------
+// Shortest gap in minutes between two runs of a (parsed)
+// schedule. Runs in the same hour are compared, and the
+// last and first minute when two consecutive hours are
+// allowed; schedules that run at most hourly give 60.
+// --------------------------------------------------
+const shortestInterval = (cron) => {
+  const minutes = [...cron.minute].sort((a, b) => a - b);
+  const consecutiveHours = [...cron.hour].some((hour) => cron.hour.has((hour + 1) % 24));
+  let shortest = 60;
+  minutes.forEach((minute, i) => {
+    const next = i + 1 < minutes.length ? minutes[i + 1] : consecutiveHours ? minutes[0] + 60 : minute + 60;
+    shortest = Math.min(shortest, next - minute);
+  });
+  return shortest;
+};
+
+module.exports = { parseCron, cronMatches, shortestInterval, CronError };
@@ -0,0 +1,24 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCron, shortestInterval } = require("./cron");
+
+const interval = (expression) => shortestInterval(parseCron(expression));
+
+test("measures the gap between runs in the same hour", () => {
+  assert.equal(interval("* * * * *"), 1);
+  assert.equal(interval("*/5 * * * *"), 5);
+  assert.equal(interval("0,10,12 * * * *"), 2);
+  assert.equal(interval("*/15 9-17 * * 1-5"), 15);
+});
+
+test("measures the gap across the hour when consecutive hours run", () => {
+  assert.equal(interval("58,2 * * * *"), 4);
+  assert.equal(interval("57 23,0 * * *"), 60);
+  assert.equal(interval("0 * * * *"), 60);
+});
+
+test("caps schedules that run at most hourly at 60", () => {
+  assert.equal(interval("0,58 0 * * *"), 58);
+  assert.equal(interval("58 9 * * *"), 60);
+  assert.equal(interval("0 9,17 * * *"), 60);
+});
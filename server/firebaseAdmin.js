@@ -2,9 +2,12 @@
 // firebaseAdmin.js — Firebase Admin SDK Initialization
 // ============================================================
 // Initializes the Firebase Admin SDK using a service account
-// key file and exports a Firestore database instance. This is
-// used server-side to write request logs to the
-// `request_logs` Firestore collection.
+// key file and exports:
+//   • db   — Firestore, used to write the `request_logs`
+//            collection and to run scheduled monitors
+//   • auth — Admin Auth, used to verify the Firebase ID tokens
+//            the client sends in the Authorization header
+// Both are null when the service account can't be loaded.
 // ============================================================
 
 const admin = require("firebase-admin");
@@ -15,6 +18,7 @@ const serviceAccountPath = path.join(__dirname, "serviceAccountKey.json");
 
 // Validate that the service account file exists
 let db = null;
+let auth = null;
 
 try {
   const serviceAccount = require(serviceAccountPath);
@@ -27,12 +31,13 @@ try {
     });
   }
 
-  // Export the Firestore database instance
+  // Export the Firestore database + Auth instances
   db = admin.firestore();
-  console.log("✅ Firebase Admin initialized — Firestore logging enabled");
+  auth = admin.auth();
+  console.log("✅ Firebase Admin initialized — Firestore logging and token verification enabled");
 } catch (error) {
   console.error("⚠️  Failed to initialize Firebase Admin:", error.message);
-  console.error("   Firestore logging will be disabled.");
+  console.error("   Firestore logging and ID token verification will be disabled.");
 }
 
-module.exports = db;
+module.exports = { db, auth };
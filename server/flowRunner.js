@@ -0,0 +1,105 @@
+// ============================================================
+// flowRunner.js — Flow Helpers for Server-side Runs
+// ============================================================
+// Port of the client's Run Flow helpers
+// (client/src/lib/flowRunner.js) used by scheduled monitors,
+// so a flow passes or fails on the server exactly as it does
+// in the Visualizer and the CLI:
+//   • getExecutionOrder — topological order of the graph
+//     (Kahn's algorithm), rejecting cycles
+//   • applyExtractions  — evaluate an edge's extraction rules
+//     against a node's response and return the new variables
+// Extraction rules live on `edge.data.extractions`:
+//   [{ source: "body" | "header" | "status", path, variable }]
+// client/src/lib/serverParity.test.js runs both copies over
+// the same cases; change them together.
+// ============================================================
+
+const { getJsonPathValue } = require("./jsonPath");
+
+// Error for a graph that can't be run
+class FlowCycleError extends Error {}
+
+// --------------------------------------------------
+// Topologically sort nodes so every node runs after all
+// of its upstream dependencies. Disconnected nodes keep
+// their canvas order. Throws FlowCycleError on a cycle.
+// --------------------------------------------------
+const getExecutionOrder = (nodes, edges) => {
+  const nodeIds = new Set(nodes.map((n) => n.id));
+  const inDegree = new Map(nodes.map((n) => [n.id, 0]));
+  const outgoing = new Map(nodes.map((n) => [n.id, []]));
+
+  edges.forEach((edge) => {
+    if (!nodeIds.has(edge.source) || !nodeIds.has(edge.target)) return;
+    outgoing.get(edge.source).push(edge.target);
+    inDegree.set(edge.target, inDegree.get(edge.target) + 1);
+  });
+
+  const queue = nodes.filter((n) => inDegree.get(n.id) === 0).map((n) => n.id);
+  const order = [];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+    outgoing.get(id).forEach((targetId) => {
+      inDegree.set(targetId, inDegree.get(targetId) - 1);
+      if (inDegree.get(targetId) === 0) queue.push(targetId);
+    });
+  }
+
+  if (order.length !== nodes.length) {
+    throw new FlowCycleError("The flow contains a cycle — remove a connection to run it");
+  }
+
+  return order;
+};
+
+// Case-insensitive response header lookup
+const findHeader = (headers = {}, name) => {
+  const key = Object.keys(headers).find((h) => h.toLowerCase() === name.trim().toLowerCase());
+  return key ? headers[key] : undefined;
+};
+
+// --------------------------------------------------
+// Run an edge's extraction rules against a proxy response.
+// Returns { variables, errors } — errors list rules whose
+// path matched nothing so the flow can stop.
+// --------------------------------------------------
+const applyExtractions = (rules = [], response) => {
+  const variables = {};
+  const errors = [];
+
+  rules.forEach((rule) => {
+    if (!rule.variable?.trim()) return;
+
+    let value;
+    if (rule.source === "header") {
+      value = findHeader(response.headers, rule.path || "");
+    } else if (rule.source === "status") {
+      value = response.status;
+    } else {
+      let body = response.data;
+      if (typeof body === "string") {
+        try {
+          body = JSON.parse(body);
+        } catch {
+          // Leave non-JSON bodies as strings — only `$` can match them
+        }
+      }
+      value = getJsonPathValue(body, rule.path || "$");
+    }
+
+    if (value === undefined) {
+      errors.push(`${rule.path || rule.source} matched nothing for {{${rule.variable.trim()}}}`);
+      return;
+    }
+
+    variables[rule.variable.trim()] =
+      typeof value === "object" && value !== null ? JSON.stringify(value) : String(value);
+  });
+
+  return { variables, errors };
+};
+
+module.exports = { getExecutionOrder, applyExtractions, FlowCycleError };
@@ -0,0 +1,176 @@
+// ============================================================
+// http2Client.js — Single HTTP/2 Request for the Proxy
+// ============================================================
+// Used by forwardRequest when a request's Settings choose
+// HTTP/2. axios' built-in HTTP/2 transport keeps its sessions
+// private with no error listener, so a bad certificate or a
+// GOAWAY would crash the server — here every session is
+// opened, guarded and closed per request.
+//
+// Resolves with an axios-like { status, statusText, headers,
+// data } (data is the decompressed body as a Buffer). Errors
+// reuse the codes / messages the proxy already maps: TLS
+// error codes, ECONNREFUSED, ECONNABORTED (timeout) and
+// "maxContentLength ... exceeded".
+//
+// The TCP / TLS socket is opened here (createConnection) so an
+// optional phase timer (timings.js) can watch it.
+// ============================================================
+
+const http2 = require("http2");
+const net = require("net");
+const tls = require("tls");
+const zlib = require("zlib");
+
+// Connection-specific headers HTTP/2 forbids
+const FORBIDDEN_HEADERS = [
+  "host", "connection", "keep-alive", "proxy-connection", "transfer-encoding", "upgrade", "te",
+];
+
+const sizeError = (limit) => new Error(`maxContentLength size of ${limit} exceeded`);
+
+// --------------------------------------------------
+// Serialise a proxy body the way axios would: Buffers and
+// strings as-is, FormData as multipart (boundary header
+// included), anything else as JSON.
+// --------------------------------------------------
+const serializeBody = async (data, headers) => {
+  const hasContentType = Object.keys(headers).some((h) => h.toLowerCase() === "content-type");
+  if (data === undefined || data === null) return { body: null, contentType: null };
+  if (Buffer.isBuffer(data) || typeof data === "string") return { body: data, contentType: null };
+  if (data instanceof FormData) {
+    const encoded = new Request("http://localhost/", { method: "POST", body: data });
+    return {
+      body: Buffer.from(await encoded.arrayBuffer()),
+      contentType: encoded.headers.get("content-type"),
+    };
+  }
+  return { body: JSON.stringify(data), contentType: hasContentType ? null : "application/json" };
+};
+
+// Decompress a response body (gzip / deflate / br), capped at maxBytes
+const decodeBody = (buffer, encoding, maxBytes) => {
+  const options = { maxOutputLength: maxBytes };
+  try {
+    switch (String(encoding || "").toLowerCase()) {
+      case "gzip":
+      case "x-gzip":
+        return zlib.gunzipSync(buffer, options);
+      case "deflate":
+        return zlib.inflateSync(buffer, options);
+      case "br":
+        return zlib.brotliDecompressSync(buffer, options);
+      default:
+        return buffer;
+    }
+  } catch (error) {
+    if (error.code === "ERR_BUFFER_TOO_LARGE") throw sizeError(maxBytes);
+    throw error;
+  }
+};
+
+// TLS (h2) or cleartext (h2c) socket to the target's origin
+const openSocket = (target, { lookup, rejectUnauthorized }) => {
+  const host = target.hostname.replace(/^\[|\]$/g, "");
+  if (target.protocol === "http:") {
+    return net.connect({ host, port: Number(target.port) || 80, lookup });
+  }
+  return tls.connect({
+    host,
+    port: Number(target.port) || 443,
+    servername: net.isIP(host) ? undefined : host, // SNI takes names only
+    ALPNProtocols: ["h2"],
+    rejectUnauthorized,
+    lookup,
+  });
+};
+
+// --------------------------------------------------
+// Send one request over a fresh HTTP/2 session.
+// `url` already includes the query string.
+// --------------------------------------------------
+const sendHttp2Request = async (
+  { method, url, headers = {}, data },
+  { timeout, maxContentLength, rejectUnauthorized = true, lookup, timer }
+) => {
+  const target = new URL(url);
+  const { body, contentType } = await serializeBody(data, headers);
+
+  const requestHeaders = {
+    ":method": method,
+    ":path": `${target.pathname}${target.search}`,
+    "accept-encoding": "gzip, deflate, br",
+  };
+  Object.entries(headers).forEach(([key, value]) => {
+    const name = key.toLowerCase();
+    if (!FORBIDDEN_HEADERS.includes(name) && value !== undefined) requestHeaders[name] = value;
+  });
+  if (contentType) requestHeaders["content-type"] = contentType;
+  if (body !== null) requestHeaders["content-length"] = Buffer.byteLength(body);
+
+  return new Promise((resolve, reject) => {
+    const socket = openSocket(target, { lookup, rejectUnauthorized });
+    timer?.watchSocket(socket);
+    const session = http2.connect(target.origin, { createConnection: () => socket });
+    let settled = false;
+
+    const finish = (error, response) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeoutId);
+      session.destroy();
+      if (error) reject(error);
+      else resolve(response);
+    };
+
+    const timeoutId = setTimeout(() => {
+      const error = new Error(`timeout of ${timeout}ms exceeded`);
+      error.code = "ECONNABORTED";
+      finish(error);
+    }, timeout);
+
+    session.on("error", (error) => finish(error));
+
+    const stream = session.request(requestHeaders);
+    stream.on("error", (error) => finish(error));
+
+    stream.on("response", (responseHeaders) => {
+      timer?.mark("firstByte");
+      const chunks = [];
+      let received = 0;
+
+      stream.on("data", (chunk) => {
+        received += chunk.length;
+        if (received > maxContentLength) {
+          finish(sizeError(maxContentLength));
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      stream.on("end", () => {
+        timer?.mark("end");
+        try {
+          const decoded = decodeBody(Buffer.concat(chunks), responseHeaders["content-encoding"], maxContentLength);
+          // Pseudo headers are dropped, and content-encoding once decoded (as axios does)
+          const responseHeadersOut = {};
+          Object.entries(responseHeaders).forEach(([key, value]) => {
+            if (!key.startsWith(":") && key !== "content-encoding") responseHeadersOut[key] = value;
+          });
+          finish(null, {
+            status: Number(responseHeaders[":status"]),
+            statusText: "",
+            headers: responseHeadersOut,
+            data: decoded,
+          });
+        } catch (error) {
+          finish(error);
+        }
+      });
+    });
+
+    stream.end(body === null ? undefined : body);
+  });
+};
+
+module.exports = { sendHttp2Request };
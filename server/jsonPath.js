@@ -0,0 +1,125 @@
+// ============================================================
+// jsonPath.js — JSONPath Evaluator for Server-side Lookups
+// ============================================================
+// Port of the client's evaluator (client/src/lib/jsonPath.js)
+// so monitors resolve flow edge extractions exactly as the
+// Visualizer's Run Flow and the CLI do, and mock body match
+// rules read paths the way the Mocks page describes them:
+//   $                 root
+//   .key / ['key']    child member
+//   [0] / [-1]        array index (negative counts from end)
+//   [*] / .*          every child
+//   ..key             recursive descent
+// No filter or script expressions — keeps evaluation safe.
+// client/src/lib/serverParity.test.js runs both evaluators
+// over the same cases; change them together.
+// ============================================================
+
+// Split a path like $.data.items[0]['first name'] into tokens
+const tokenize = (path) => {
+  const tokens = [];
+  let i = path.startsWith("$") ? 1 : 0;
+
+  while (i < path.length) {
+    const ch = path[i];
+
+    if (ch === ".") {
+      // Recursive descent `..key` / `..*`
+      if (path[i + 1] === ".") {
+        i += 2;
+        const match = /^(\*|[^.[\]]+)/.exec(path.slice(i));
+        if (!match) throw new Error(`Invalid JSONPath near "${path.slice(i - 2)}"`);
+        tokens.push({ type: "descend", key: match[1] });
+        i += match[1].length;
+        continue;
+      }
+      i += 1;
+      const match = /^(\*|[^.[\]]+)/.exec(path.slice(i));
+      if (!match) throw new Error(`Invalid JSONPath near "${path.slice(i - 1)}"`);
+      tokens.push(match[1] === "*" ? { type: "wildcard" } : { type: "key", key: match[1] });
+      i += match[1].length;
+      continue;
+    }
+
+    if (ch === "[") {
+      const end = path.indexOf("]", i);
+      if (end === -1) throw new Error("Unclosed [ in JSONPath");
+      const inner = path.slice(i + 1, end).trim();
+      if (inner === "*") {
+        tokens.push({ type: "wildcard" });
+      } else if (/^-?\d+$/.test(inner)) {
+        tokens.push({ type: "index", index: Number(inner) });
+      } else if (/^(['"]).*\1$/.test(inner)) {
+        tokens.push({ type: "key", key: inner.slice(1, -1) });
+      } else {
+        throw new Error(`Unsupported JSONPath segment [${inner}]`);
+      }
+      i = end + 1;
+      continue;
+    }
+
+    // Bare leading key (e.g. "data.token" without the $.)
+    const match = /^[^.[\]]+/.exec(path.slice(i));
+    tokens.push({ type: "key", key: match[0] });
+    i += match[0].length;
+  }
+
+  return tokens;
+};
+
+// Every child value of an object / array
+const childrenOf = (value) =>
+  value && typeof value === "object" ? Object.keys(value).map((key) => value[key]) : [];
+
+// Collect `key` matches at any depth below `value`
+const descend = (value, key, out) => {
+  if (!value || typeof value !== "object") return;
+  if (key === "*") {
+    childrenOf(value).forEach((child) => {
+      out.push(child);
+      descend(child, key, out);
+    });
+    return;
+  }
+  if (!Array.isArray(value) && Object.prototype.hasOwnProperty.call(value, key)) out.push(value[key]);
+  childrenOf(value).forEach((child) => descend(child, key, out));
+};
+
+// Every value matching `path` (throws on a malformed path)
+const queryJsonPath = (data, path) => {
+  let current = [data];
+
+  tokenize(path.trim()).forEach((token) => {
+    const next = [];
+    current.forEach((value) => {
+      if (token.type === "key") {
+        if (value && typeof value === "object" && Object.prototype.hasOwnProperty.call(value, token.key)) {
+          next.push(value[token.key]);
+        }
+      } else if (token.type === "index") {
+        if (Array.isArray(value)) {
+          const idx = token.index < 0 ? value.length + token.index : token.index;
+          if (idx >= 0 && idx < value.length) next.push(value[idx]);
+        }
+      } else if (token.type === "wildcard") {
+        next.push(...childrenOf(value));
+      } else if (token.type === "descend") {
+        descend(value, token.key, next);
+      }
+    });
+    current = next;
+  });
+
+  return current;
+};
+
+// The first match, or undefined (never throws)
+const getJsonPathValue = (data, path) => {
+  try {
+    return queryJsonPath(data, path)[0];
+  } catch {
+    return undefined;
+  }
+};
+
+module.exports = { queryJsonPath, getJsonPathValue };
@@ -0,0 +1,251 @@
+// ============================================================
+// mockServer.js — Hosted Mock APIs
+// ============================================================
+// Serves the mock APIs defined on the client's Mocks page at
+//   ANY /mock/:mockId/<path>
+// so a frontend can point its base URL at ApiCanvas before
+// the real backend exists. A `mocks` document looks like:
+//   { user_id, name, enabled, source, delay_ms,
+//     status_override,
+//     routes: [{ id, name, method, path: "/users/:id",
+//                status, headers, body, enabled, delay_ms,
+//                status_override,
+//                match: [{ source: "header" | "query" | "body",
+//                          key, operator, value }] }] }
+// Routes are built in the browser from a collection's saved
+// requests or an OpenAPI spec (client/src/lib/mocks.js); this
+// module only matches and replays them:
+//   • a ":name" path segment matches any one segment
+//   • every match rule of a route must pass — body keys are
+//     JSONPath (jsonPath.js), an empty key is the raw body
+//   • of the routes that match, the one with the most literal
+//     segments wins, then the one with more rules, then the
+//     earlier one
+//   • a route's delay / status override beats the mock's
+// There is no regex operator: patterns evaluated on a public
+// endpoint could be used to stall the server.
+// Mock URLs are public — anyone with the id can call them —
+// and answer any origin, so a route can't set cookies, CORS or
+// security-policy headers. Documents are cached for a few
+// seconds, so edits show up almost immediately.
+// ============================================================
+
+const { db } = require("./firebaseAdmin");
+const { getJsonPathValue } = require("./jsonPath");
+
+const CACHE_TTL_MS = 5 * 1000;
+const MAX_CACHED_MOCKS = 200;
+const MAX_DELAY_MS = 30 * 1000;
+const MOCK_ID_PATTERN = /^[\w-]{1,128}$/;
+
+// Response headers a route can't set: Express / Node own the
+// framing ones, and the rest would act on the proxy's own origin
+// (cookies, CORS, CSP, HSTS…) since mocks are served from it
+const RESERVED_HEADERS = [
+  "content-length",
+  "transfer-encoding",
+  "connection",
+  "keep-alive",
+  "set-cookie",
+  "set-cookie2",
+  "clear-site-data",
+  "content-security-policy",
+  "content-security-policy-report-only",
+  "strict-transport-security",
+  "permissions-policy",
+  "service-worker-allowed",
+];
+const RESERVED_HEADER_PREFIXES = ["access-control-", "cross-origin-"];
+
+// Whether a route may send response header `name`
+const isAllowedRouteHeader = (name) => {
+  const lower = String(name || "").trim().toLowerCase();
+  if (!lower || RESERVED_HEADERS.includes(lower)) return false;
+  return !RESERVED_HEADER_PREFIXES.some((prefix) => lower.startsWith(prefix));
+};
+
+// Cached mock documents: id → { mock, expires }
+const cache = new Map();
+
+const loadMock = async (id) => {
+  const hit = cache.get(id);
+  if (hit && hit.expires > Date.now()) return hit.mock;
+
+  const snap = await db.collection("mocks").doc(id).get();
+  const mock = snap.exists ? snap.data() : null;
+  if (cache.size >= MAX_CACHED_MOCKS) cache.delete(cache.keys().next().value);
+  cache.set(id, { mock, expires: Date.now() + CACHE_TTL_MS });
+  return mock;
+};
+
+// --------------------------------------------------
+// Matching
+// --------------------------------------------------
+
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+const toSegments = (path) => String(path || "").split("/").filter(Boolean).map(decodeSegment);
+
+const isParamSegment = (segment) => segment.length > 1 && segment.startsWith(":");
+
+// Do the route's segments match the request's?
+const matchPath = (routeSegments, requestSegments) =>
+  routeSegments.length === requestSegments.length &&
+  routeSegments.every((segment, i) => isParamSegment(segment) || segment === requestSegments[i]);
+
+// The text a rule compares against (undefined when absent)
+const ruleInput = (rule, incoming) => {
+  const key = String(rule.key || "").trim();
+  if (rule.source === "header") return key ? incoming.headers[key.toLowerCase()] : undefined;
+  if (rule.source === "query") return incoming.query.get(key) ?? undefined;
+  if (rule.source === "body") {
+    if (!key || key === "$") return incoming.body || undefined;
+    if (incoming.json === undefined) return undefined;
+    const value = getJsonPathValue(incoming.json, key);
+    return value !== null && typeof value === "object" ? JSON.stringify(value) : value;
+  }
+  return undefined;
+};
+
+const ruleMatches = (rule, input) => {
+  const present = input !== undefined && input !== null;
+  const expected = String(rule.value ?? "");
+  switch (rule.operator) {
+    case "exists":
+      return present;
+    case "absent":
+      return !present;
+    case "contains":
+      return present && String(input).includes(expected);
+    default:
+      return present && String(input) === expected;
+  }
+};
+
+// The best route for a request, or null
+const findRoute = (routes, incoming) => {
+  const segments = toSegments(incoming.path);
+  let best = null;
+
+  routes.forEach((route) => {
+    if (!route || route.enabled === false) return;
+    const method = String(route.method || "GET").toUpperCase();
+    if (method !== incoming.method && !(incoming.method === "HEAD" && method === "GET")) return;
+
+    const routeSegments = toSegments(route.path);
+    if (!matchPath(routeSegments, segments)) return;
+
+    const rules = (Array.isArray(route.match) ? route.match : []).filter((rule) => rule?.source);
+    if (!rules.every((rule) => ruleMatches(rule, ruleInput(rule, incoming)))) return;
+
+    const literal = routeSegments.filter((segment) => !isParamSegment(segment)).length;
+    if (!best || literal > best.literal || (literal === best.literal && rules.length > best.rules)) {
+      best = { route, literal, rules: rules.length };
+    }
+  });
+
+  return best?.route || null;
+};
+
+// A whole-number HTTP status, or null
+const toStatus = (value) => {
+  const status = Number(value);
+  return Number.isInteger(status) && status >= 100 && status <= 599 ? status : null;
+};
+
+const toDelay = (value) => {
+  const delay = Number(value);
+  return Number.isFinite(delay) && delay > 0 ? Math.min(delay, MAX_DELAY_MS) : 0;
+};
+
+const isJson = (text) => {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// --------------------------------------------------
+// Build the mock server. Mount handleMockRequest on
+// /mock/:mockId and /mock/:mockId/* with the raw body
+// as text (express.text) and open CORS.
+// --------------------------------------------------
+const createMockServer = () => {
+  const handleMockRequest = async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Mocks need Firestore — the server has no service account" });
+
+    const { mockId } = req.params;
+    if (!MOCK_ID_PATTERN.test(mockId)) return res.status(404).json({ error: "Mock not found" });
+
+    let mock;
+    try {
+      mock = await loadMock(mockId);
+    } catch (error) {
+      console.error("[MOCK LOAD ERROR]", error.message);
+      return res.status(500).json({ error: "Failed to load the mock" });
+    }
+    if (!mock) return res.status(404).json({ error: "Mock not found" });
+    if (mock.enabled === false) return res.status(503).json({ error: `The mock "${mock.name}" is switched off` });
+
+    const text = typeof req.body === "string" ? req.body : "";
+    let json;
+    try {
+      json = text ? JSON.parse(text) : undefined;
+    } catch {
+      json = undefined;
+    }
+
+    const incoming = {
+      method: req.method.toUpperCase(),
+      path: req.path.slice(`/mock/${mockId}`.length) || "/",
+      headers: req.headers,
+      query: new URL(req.originalUrl, "http://mock.local").searchParams,
+      body: text,
+      json,
+    };
+
+    const route = findRoute(Array.isArray(mock.routes) ? mock.routes : [], incoming);
+    if (!route) {
+      return res.status(404).json({
+        error: `No mock route matches ${incoming.method} ${incoming.path}`,
+        routes: (mock.routes || [])
+          .filter((route) => route && route.enabled !== false)
+          .map((route) => `${String(route.method || "GET").toUpperCase()} ${route.path}`),
+      });
+    }
+
+    const delay = toDelay(route.delay_ms ?? mock.delay_ms);
+    if (delay) await wait(delay);
+
+    const status = toStatus(route.status_override) ?? toStatus(mock.status_override) ?? toStatus(route.status) ?? 200;
+    const headers = route.headers && typeof route.headers === "object" ? route.headers : {};
+    Object.entries(headers).forEach(([name, value]) => {
+      if (!isAllowedRouteHeader(name)) return;
+      try {
+        res.set(name, String(value ?? ""));
+      } catch {
+        // Invalid header name / value — leave it out
+      }
+    });
+    if (!res.get("Content-Type")) res.type(isJson(route.body) ? "application/json" : "text/plain");
+    // Let pages on other origins use the responses
+    res.set("Cross-Origin-Resource-Policy", "cross-origin");
+    if (route.id) res.set("X-Mock-Route", String(route.id));
+
+    return res.status(status).send(status === 204 || status === 304 ? undefined : String(route.body ?? ""));
+  };
+
+  return { handleMockRequest };
+};
+
+module.exports = { createMockServer, isAllowedRouteHeader };
@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { isAllowedRouteHeader } = require("./mockServer");
+
+test("lets routes send ordinary response headers", () => {
+  ["Content-Type", "Cache-Control", "Location", "X-Request-Id", "ETag"].forEach((name) =>
+    assert.equal(isAllowedRouteHeader(name), true, name)
+  );
+});
+
+test("keeps headers that act on the server's origin out of routes", () => {
+  [
+    "Set-Cookie",
+    "set-cookie",
+    " Set-Cookie ",
+    "Clear-Site-Data",
+    "Access-Control-Allow-Origin",
+    "access-control-allow-credentials",
+    "Content-Security-Policy",
+    "Content-Security-Policy-Report-Only",
+    "Strict-Transport-Security",
+    "Cross-Origin-Resource-Policy",
+  ].forEach((name) => assert.equal(isAllowedRouteHeader(name), false, name));
+});
+
+test("keeps framing headers and empty names out of routes", () => {
+  ["Content-Length", "Transfer-Encoding", "Connection", "", undefined].forEach((name) =>
+    assert.equal(isAllowedRouteHeader(name), false, String(name))
+  );
+});
@@ -0,0 +1,412 @@
+// ============================================================
+// monitors.js — Scheduled Collection & Flow Monitors
+// ============================================================
+// Runs saved collections and Visualizer flows on a cron
+// schedule, server-side, so checks keep going with no browser
+// open. A `monitors` document (written by the client's
+// Monitors page) looks like:
+//   { user_id, name, enabled, schedule: "*/5 * * * *",
+//     target_type: "collection" | "flow", target_id,
+//     target_name, environment_id, latency_threshold_ms,
+//     webhook_url }
+// and the scheduler keeps last_run_at / last_status /
+// last_slot on it. Every run is written to `monitor_runs`:
+//   { monitor_id, user_id, trigger, started_at, duration_ms,
+//     status: "up" | "degraded" | "down", error,
+//     results: [{ id, name, method, url, status,
+//                 response_time_ms, passed, error,
+//                 latency_breached }],
+//     skipped, notification }
+// A request is down on a network error or a 4xx / 5xx
+// status, and slow when it takes longer than the latency
+// threshold. The webhook is POSTed when the monitor's
+// status changes (down, degraded or recovered) — with a
+// Slack-style `text` line plus the run details.
+//
+// The scheduler ticks once a minute. Each run claims its
+// minute on the monitor document in a transaction, so
+// several server instances never run the same slot twice.
+// Monitor documents are written by the client, so the limits
+// are enforced here: a user's oldest MAX_MONITORS_PER_USER
+// enabled monitors run, schedules that run more often than
+// every MIN_INTERVAL_MINUTES are skipped, and every request
+// counts against the owner's proxy rate limit.
+// Requests are built by requestPayload.js and flows ordered
+// and chained by flowRunner.js — ports of the client modules
+// the Workspace, Visualizer and CLI use, so a monitor agrees
+// with them. Scripts, snapshots and schema checks run in the
+// browser only and are not part of a monitor run.
+// ============================================================
+
+const axios = require("axios");
+const { db } = require("./firebaseAdmin");
+const { assertPublicUrl, safeLookup, findSsrfError } = require("./ssrf");
+const { logBlockedUrl } = require("./securityLog");
+const { parseCron, cronMatches, shortestInterval } = require("./cron");
+const { buildProxyPayload, variablesToObject, isStreamRequest } = require("./requestPayload");
+const { getExecutionOrder, applyExtractions, FlowCycleError } = require("./flowRunner");
+
+const TICK_MS = 60 * 1000;
+const MAX_CONCURRENT_RUNS = 4;      // monitors running at once per instance
+const MAX_RUNS_KEPT = 200;          // per monitor, oldest pruned
+const MAX_REQUESTS_PER_RUN = 100;
+const MAX_MONITORS_PER_USER = 20;   // enabled monitors the scheduler runs, oldest first
+const MIN_INTERVAL_MINUTES = 5;     // schedules that run more often are skipped
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// Error for a target that can't be run — recorded on the run
+// rather than logged as a server fault
+class MonitorError extends Error {}
+
+const toMillis = (value) => (value?.toDate?.() || new Date(value || 0)).getTime();
+
+// --------------------------------------------------
+// The enabled monitor documents due in the minute of `now`:
+// a user's oldest MAX_MONITORS_PER_USER only, and none whose
+// schedule runs more often than every MIN_INTERVAL_MINUTES.
+// --------------------------------------------------
+const selectDueMonitors = (docs, now) => {
+  const perUser = new Map();
+  return [...docs]
+    .sort((a, b) => toMillis(a.get("created_at")) - toMillis(b.get("created_at")))
+    .filter((d) => {
+      const count = (perUser.get(d.get("user_id")) || 0) + 1;
+      perUser.set(d.get("user_id"), count);
+      if (count > MAX_MONITORS_PER_USER) return false;
+      try {
+        const cron = parseCron(d.get("schedule"));
+        return shortestInterval(cron) >= MIN_INTERVAL_MINUTES && cronMatches(cron, now);
+      } catch {
+        return false; // invalid schedules are flagged in the client
+      }
+    });
+};
+
+// ============================================================
+// Scheduler
+// ============================================================
+
+// --------------------------------------------------
+// Build the scheduler. `sendRequest(payload, { userId })`
+// is the server's own proxy pipeline (SSRF checks,
+// redirects, settings) and resolves with
+// { status, statusText, headers, data, responseTime,
+//   error } — status 0 when nothing came back.
+// `allowRequest(userId)` counts one request against the
+// user's proxy rate limit and resolves false once it's spent.
+// --------------------------------------------------
+const createMonitorScheduler = ({ sendRequest, allowRequest }) => {
+  const running = new Set(); // monitor ids mid-run
+  let timer = null;
+
+  // ── Load what a monitor runs (owner-checked) ──────────
+  const loadOwnedDoc = async (collectionName, id, userId, label) => {
+    const snap = id ? await db.collection(collectionName).doc(id).get() : null;
+    if (!snap?.exists || snap.data().user_id !== userId) {
+      throw new MonitorError(`The monitored ${label} no longer exists`);
+    }
+    return { id: snap.id, ...snap.data() };
+  };
+
+  // Collection requests in the runner's saved order
+  // (run_order first, then oldest first; run_skipped left out)
+  const loadCollectionSteps = async (monitor) => {
+    const col = await loadOwnedDoc("collections", monitor.target_id, monitor.user_id, "collection");
+    const snapshot = await db.collection("requests").where("collection_id", "==", col.id).get();
+    const skipped = col.run_skipped || [];
+    const requests = snapshot.docs
+      .map((d) => ({ id: d.id, ...d.data() }))
+      .filter((r) => r.user_id === monitor.user_id && !isStreamRequest(r) && !skipped.includes(r.id))
+      .sort((a, b) => toMillis(a.created_at) - toMillis(b.created_at));
+
+    const order = col.run_order || [];
+    const position = (r) => (order.includes(r.id) ? order.indexOf(r.id) : order.length);
+    return requests
+      .map((request, index) => ({ request, index }))
+      .sort((a, b) => position(a.request) - position(b.request) || a.index - b.index)
+      .map(({ request }) => ({ id: request.id, name: request.name || `${request.method} ${request.url}`, request }));
+  };
+
+  // Flow nodes in execution order, with outgoing edges
+  const loadFlowSteps = async (monitor) => {
+    const graph = await loadOwnedDoc("flow_graphs", monitor.target_id, monitor.user_id, "flow");
+    const nodes = graph.nodes || [];
+    const edges = graph.edges || [];
+    return getExecutionOrder(nodes, edges).map((nodeId) => {
+      const node = nodes.find((n) => n.id === nodeId);
+      const saved = node.data?.fullRequest || {};
+      return {
+        id: nodeId,
+        name: node.data?.name || node.data?.path || nodeId,
+        request: { ...saved, method: saved.method || node.data?.method, url: saved.url || node.data?.url },
+        edges: edges.filter((e) => e.source === nodeId),
+      };
+    });
+  };
+
+  const loadVariables = async (monitor) => {
+    if (!monitor.environment_id) return {};
+    const env = await loadOwnedDoc("environments", monitor.environment_id, monitor.user_id, "environment");
+    return variablesToObject(env.variables);
+  };
+
+  // ── Execute the steps ─────────────────────────────────
+  const runSteps = async (monitor, steps, variables) => {
+    const isFlow = monitor.target_type === "flow";
+    const threshold = Number(monitor.latency_threshold_ms) || 0;
+    const results = [];
+    const skipped = [];
+    let vars = { ...variables };
+    let stopped = false;
+    let runError = null;
+
+    for (const step of steps.slice(0, MAX_REQUESTS_PER_RUN)) {
+      if (stopped || !step.request.url) {
+        skipped.push(step.name);
+        continue;
+      }
+      if (!(await allowRequest(monitor.user_id))) {
+        runError = "Rate limit reached — the rest of the run was skipped. Monitor requests count against your proxy limit";
+        stopped = true;
+        skipped.push(step.name);
+        continue;
+      }
+
+      let payload = null;
+      let response;
+      try {
+        payload = buildProxyPayload(step.request, { variables: vars });
+        response = await sendRequest(payload, { userId: monitor.user_id });
+      } catch (error) {
+        response = { status: 0, error: error.message, responseTime: 0, headers: {} };
+      }
+
+      const statusOk = response.status >= 100 && response.status < 400;
+      let error = response.error || (statusOk ? null : `HTTP ${response.status} ${response.statusText || ""}`.trim());
+
+      // A flow passes extracted values downstream and stops at the first failure
+      if (isFlow && !error) {
+        const extractionErrors = [];
+        step.edges.forEach((edge) => {
+          const extracted = applyExtractions(edge.data?.extractions || [], response);
+          vars = { ...vars, ...extracted.variables };
+          extractionErrors.push(...extracted.errors);
+        });
+        if (extractionErrors.length) error = extractionErrors.join("; ");
+      }
+      if (isFlow && error) stopped = true;
+
+      results.push({
+        id: step.id,
+        name: step.name,
+        method: payload?.method || step.request.method || "GET",
+        url: payload?.url || step.request.url,
+        status: response.status || 0,
+        response_time_ms: response.responseTime || 0,
+        passed: !error,
+        error: error ? String(error).slice(0, 500) : null,
+        latency_breached: Boolean(threshold && response.responseTime > threshold),
+      });
+    }
+
+    return { results, skipped, error: runError };
+  };
+
+  // ── Webhook notification ──────────────────────────────
+  const STATUS_TEXT = { up: "recovered", degraded: "is slow", down: "is down" };
+  const STATUS_ICON = { up: "🟢", degraded: "🟡", down: "🔴" };
+
+  const notify = async (monitor, run) => {
+    const failures = run.results.filter((r) => !r.passed);
+    const slow = run.results.filter((r) => r.passed && r.latency_breached);
+    const detail =
+      run.error ||
+      (failures.length
+        ? `${failures.length} of ${run.results.length} requests failed: ${failures.map((r) => `${r.name} (${r.error})`).join(", ")}`
+        : slow.length
+          ? `${slow.length} request${slow.length !== 1 ? "s" : ""} over ${monitor.latency_threshold_ms} ms: ${slow.map((r) => `${r.name} (${r.response_time_ms} ms)`).join(", ")}`
+          : `All ${run.results.length} requests passed`);
+
+    const event = { up: "monitor.recovered", degraded: "monitor.degraded", down: "monitor.down" }[run.status];
+    const body = {
+      text: `${STATUS_ICON[run.status]} Monitor "${monitor.name}" ${STATUS_TEXT[run.status]} — ${detail}`,
+      event,
+      monitor: { id: run.monitor_id, name: monitor.name, target_type: monitor.target_type, target_name: monitor.target_name || "" },
+      run: {
+        id: run.id,
+        status: run.status,
+        previous_status: monitor.last_status || null,
+        started_at: run.started_at.toISOString(),
+        duration_ms: run.duration_ms,
+        failures: failures.map(({ name, status, error }) => ({ name, status, error })),
+        slow: slow.map(({ name, response_time_ms }) => ({ name, response_time_ms })),
+      },
+    };
+
+    try {
+      await assertPublicUrl(monitor.webhook_url);
+      const response = await axios.post(monitor.webhook_url, body, {
+        timeout: WEBHOOK_TIMEOUT_MS,
+        maxRedirects: 0,
+        lookup: safeLookup,
+        proxy: false,
+        validateStatus: () => true,
+      });
+      const ok = response.status >= 200 && response.status < 300;
+      return { event, ok, error: ok ? null : `Webhook answered ${response.status}` };
+    } catch (error) {
+      const ssrfError = findSsrfError(error);
+      if (ssrfError?.status === 403) {
+        logBlockedUrl(ssrfError, { source: "monitor", url: monitor.webhook_url, userId: monitor.user_id });
+      }
+      return { event, ok: false, error: ssrfError ? ssrfError.message : error.message };
+    }
+  };
+
+  // Keep the newest MAX_RUNS_KEPT runs of a monitor
+  const pruneRuns = async (monitorId) => {
+    const snapshot = await db.collection("monitor_runs").where("monitor_id", "==", monitorId).select("started_at").get();
+    if (snapshot.size <= MAX_RUNS_KEPT) return;
+    const oldest = snapshot.docs
+      .sort((a, b) => toMillis(b.get("started_at")) - toMillis(a.get("started_at")))
+      .slice(MAX_RUNS_KEPT);
+    const batch = db.batch();
+    oldest.forEach((d) => batch.delete(d.ref));
+    await batch.commit();
+  };
+
+  // --------------------------------------------------
+  // Run one monitor now and record the run. Resolves
+  // with the stored run (dates as ISO strings).
+  // --------------------------------------------------
+  const runMonitor = async (ref, monitor, trigger) => {
+    running.add(ref.id);
+    const startedAt = new Date();
+    const runRef = db.collection("monitor_runs").doc();
+
+    try {
+      let results = [];
+      let skipped = [];
+      let error = null;
+      try {
+        const [steps, variables] = await Promise.all([
+          monitor.target_type === "flow" ? loadFlowSteps(monitor) : loadCollectionSteps(monitor),
+          loadVariables(monitor),
+        ]);
+        if (steps.length === 0) throw new MonitorError("Nothing to run — the target has no requests");
+        ({ results, skipped, error } = await runSteps(monitor, steps, variables));
+      } catch (err) {
+        if (!(err instanceof MonitorError || err instanceof FlowCycleError)) console.error(`[MONITOR ERROR] ${ref.id}:`, err.message);
+        error = err.message;
+      }
+
+      const status =
+        error || results.some((r) => !r.passed) ? "down" : results.some((r) => r.latency_breached) ? "degraded" : "up";
+      const record = {
+        monitor_id: ref.id,
+        user_id: monitor.user_id,
+        trigger,
+        started_at: startedAt,
+        duration_ms: Date.now() - startedAt.getTime(),
+        status,
+        error,
+        results,
+        skipped,
+        notification: null,
+      };
+
+      // Notify on a change of status (a first run that's up is quiet)
+      const previous = monitor.last_status || null;
+      if (monitor.webhook_url && status !== previous && (previous || status !== "up")) {
+        record.notification = await notify(monitor, { id: runRef.id, ...record });
+      }
+
+      await runRef.set(record);
+      await ref.update({ last_run_at: startedAt, last_status: status, last_run_id: runRef.id });
+      pruneRuns(ref.id).catch((err) => console.error("[MONITOR PRUNE ERROR]", err.message));
+
+      console.log(`[MONITOR] ${monitor.name} (${ref.id}) — ${status} in ${record.duration_ms} ms`);
+      return { id: runRef.id, ...record, started_at: startedAt.toISOString() };
+    } finally {
+      running.delete(ref.id);
+    }
+  };
+
+  // Claim this minute's slot so only one instance runs it
+  const claimSlot = (ref, slot) =>
+    db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists || !snap.get("enabled") || snap.get("last_slot") === slot) return null;
+      tx.update(ref, { last_slot: slot });
+      return snap.data();
+    });
+
+  // ── One scheduler tick: run every monitor due this minute ──
+  const tick = async (now) => {
+    const slot = now.toISOString();
+    const snapshot = await db.collection("monitors").where("enabled", "==", true).get();
+    const due = selectDueMonitors(snapshot.docs, now);
+
+    const worker = async () => {
+      while (due.length > 0) {
+        const docSnap = due.shift();
+        if (running.has(docSnap.id)) continue;
+        try {
+          const monitor = await claimSlot(docSnap.ref, slot);
+          if (monitor) await runMonitor(docSnap.ref, monitor, "schedule");
+        } catch (err) {
+          console.error(`[MONITOR ERROR] ${docSnap.id}:`, err.message);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(MAX_CONCURRENT_RUNS, due.length) }, worker));
+  };
+
+  // Tick just after each minute boundary; a slow tick
+  // doesn't hold up the next one
+  const scheduleTick = () => {
+    const delay = TICK_MS - (Date.now() % TICK_MS) + 500;
+    timer = setTimeout(() => {
+      const now = new Date();
+      now.setUTCSeconds(0, 0);
+      scheduleTick();
+      tick(now).catch((err) => console.error("[MONITOR TICK ERROR]", err.message));
+    }, delay);
+  };
+
+  const start = () => {
+    if (!db || timer) return;
+    scheduleTick();
+    console.log("✅ Monitor scheduler started");
+  };
+
+  const stop = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  // ── POST /api/monitors/:id/run — run now (owner only) ──
+  const handleRunNow = async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Monitors need Firestore — the server has no service account" });
+    if (!req.user) return res.status(401).json({ error: "Sign in to run monitors" });
+
+    try {
+      const ref = db.collection("monitors").doc(String(req.params.id));
+      const snap = await ref.get();
+      if (!snap.exists || snap.get("user_id") !== req.user.uid) {
+        return res.status(404).json({ error: "Monitor not found" });
+      }
+      if (running.has(ref.id)) return res.status(409).json({ error: "This monitor is already running" });
+
+      const run = await runMonitor(ref, snap.data(), "manual");
+      return res.json(run);
+    } catch (error) {
+      console.error("[MONITOR RUN ERROR]", error.message);
+      return res.status(500).json({ error: "Failed to run the monitor" });
+    }
+  };
+
+  return { start, stop, handleRunNow };
+};
+
+module.exports = { createMonitorScheduler, selectDueMonitors, MAX_MONITORS_PER_USER, MIN_INTERVAL_MINUTES };
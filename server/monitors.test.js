@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { selectDueMonitors, MAX_MONITORS_PER_USER } = require("./monitors");
+
+// Stand-in for a Firestore document snapshot
+const monitorDoc = (id, fields) => ({ id, get: (field) => fields[field] });
+
+const NOW = new Date(Date.UTC(2026, 0, 5, 10, 0));
+const ids = (docs) => docs.map((d) => d.id);
+
+test("skips schedules that run more often than the minimum interval", () => {
+  const docs = [
+    monitorDoc("every-minute", { user_id: "u1", schedule: "* * * * *" }),
+    monitorDoc("two-minutes", { user_id: "u1", schedule: "*/2 * * * *" }),
+    monitorDoc("close-pair", { user_id: "u1", schedule: "0,3 * * * *" }),
+    monitorDoc("every-five", { user_id: "u1", schedule: "*/5 * * * *" }),
+    monitorDoc("hourly", { user_id: "u1", schedule: "0 * * * *" }),
+    monitorDoc("invalid", { user_id: "u1", schedule: "every minute" }),
+  ];
+  assert.deepEqual(ids(selectDueMonitors(docs, NOW)), ["every-five", "hourly"]);
+});
+
+test("runs only a user's oldest monitors past the cap", () => {
+  const docs = Array.from({ length: MAX_MONITORS_PER_USER + 2 }, (_, i) =>
+    monitorDoc(`m${i}`, { user_id: "u1", schedule: "*/5 * * * *", created_at: new Date(Date.UTC(2026, 0, 1) + i * 1000) })
+  ).reverse();
+  docs.push(monitorDoc("other-user", { user_id: "u2", schedule: "*/5 * * * *", created_at: new Date(Date.UTC(2026, 0, 2)) }));
+
+  const due = ids(selectDueMonitors(docs, NOW));
+  assert.equal(due.length, MAX_MONITORS_PER_USER + 1);
+  assert.ok(due.includes("other-user"));
+  assert.ok(!due.includes(`m${MAX_MONITORS_PER_USER}`));
+  assert.ok(!due.includes(`m${MAX_MONITORS_PER_USER + 1}`));
+});
@@ -0,0 +1,48 @@
+// ============================================================
+// publishedDocs.js — Public API Documentation Pages
+// ============================================================
+// Serves the docs a user published from the Collections page
+//   GET /api/docs/:id
+// to anyone with the link — the client's /docs/:id page shows
+// them without signing in. A `published_docs` document holds
+// the page the browser generated (client/src/lib/apiDocs.js):
+//   { user_id, collection_id, name, html, updated_at }
+// Credentials were already swapped for placeholders when the
+// page was built; this module only hands the page out.
+// ============================================================
+
+const { db } = require("./firebaseAdmin");
+
+const DOCS_ID_PATTERN = /^[\w-]{1,128}$/;
+
+// --------------------------------------------------
+// Build the docs handler. Mount handleGetDocs on
+// GET /api/docs/:id (no authentication).
+// --------------------------------------------------
+const createPublishedDocs = () => {
+  const handleGetDocs = async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Published docs need Firestore — the server has no service account" });
+
+    const { id } = req.params;
+    if (!DOCS_ID_PATTERN.test(id)) return res.status(404).json({ error: "Docs not found" });
+
+    try {
+      const snap = await db.collection("published_docs").doc(id).get();
+      if (!snap.exists) return res.status(404).json({ error: "Docs not found" });
+
+      const { name, html, updated_at: updatedAt } = snap.data();
+      return res.json({
+        name: name || "",
+        html: html || "",
+        updated_at: updatedAt?.toDate?.().toISOString() ?? null,
+      });
+    } catch (error) {
+      console.error("[DOCS LOAD ERROR]", error.message);
+      return res.status(500).json({ error: "Failed to load the docs" });
+    }
+  };
+
+  return { handleGetDocs };
+};
+
+module.exports = { createPublishedDocs };
@@ -0,0 +1,211 @@
+// ============================================================
+// requestPayload.js — Saved Request → Proxy Payload
+// ============================================================
+// Port of the client's request building
+// (client/src/lib/requestBuilder.js and lib/variables.js) for
+// requests the server sends on its own — scheduled monitors.
+// Takes a saved `requests` document (or a Visualizer node's
+// request) and the environment variables, and returns the
+// same { method, url, headers, body, bodyEncoding, params,
+// settings } payload POST /api/proxy receives from the app.
+// Pre-request / test scripts are not run here — they run in
+// the browser's script sandbox only.
+// client/src/lib/serverParity.test.js builds payloads with
+// both copies from the same requests; change them together.
+// ============================================================
+
+// Matches {{name}} — whitespace inside the braces is allowed
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Saved request types that open a stream instead
+const STREAM_TYPES = ["websocket", "sse"];
+
+const isStreamRequest = (request) => STREAM_TYPES.includes(request?.type);
+
+// Environment [{ key, value }] pairs → plain object
+const variablesToObject = (pairs = []) => {
+  const vars = {};
+  (pairs || []).forEach(({ key, value }) => {
+    if (key?.trim()) vars[key.trim()] = value ?? "";
+  });
+  return vars;
+};
+
+// Replace every {{name}}; unknown variables are left as-is
+const resolveVariables = (value, vars) => {
+  if (typeof value !== "string" || !value.includes("{{")) return value;
+  return value.replace(VARIABLE_PATTERN, (match, name) =>
+    Object.prototype.hasOwnProperty.call(vars, name) ? String(vars[name]) : match
+  );
+};
+
+// Key-value pair array → plain object (empty keys dropped)
+const pairsToObject = (pairs = []) => {
+  const obj = {};
+  (pairs || []).forEach(({ key, value }) => {
+    if (key?.trim()) obj[key.trim()] = value ?? "";
+  });
+  return obj;
+};
+
+// Per-request proxy settings a request saved before the
+// Settings tab gets (DEFAULT_REQUEST_SETTINGS on the client)
+const DEFAULT_REQUEST_SETTINGS = {
+  followRedirects: true,
+  maxRedirects: 10,
+  timeoutMs: 30000,
+  verifyTls: true,
+  maxResponseMB: 5,
+  httpVersion: "1.1",
+};
+
+// --------------------------------------------------
+// Fill in defaults for every field the payload reads.
+// Upgrades the legacy Visualizer node shape that stored
+// the body under `body`; raw bodies saved before
+// rawContentType existed are JSON.
+// --------------------------------------------------
+const normalizeRequest = (req = {}) => {
+  let bodyContent = req.bodyContent ?? req.body ?? "";
+  if (bodyContent && typeof bodyContent !== "string") {
+    bodyContent = JSON.stringify(bodyContent, null, 2);
+  }
+
+  return {
+    ...req,
+    method: (req.method || "GET").toUpperCase(),
+    url: req.url || "",
+    params: req.params?.length ? req.params : [],
+    headers: req.headers?.length ? req.headers : [],
+    bodyType: req.bodyType || (bodyContent ? "raw" : "none"),
+    bodyContent,
+    rawContentType: req.rawContentType || "application/json",
+    formFields: req.formFields?.length ? req.formFields : [],
+    urlencodedFields: req.urlencodedFields?.length ? req.urlencodedFields : [],
+    binaryFile: req.binaryFile || null,
+    graphqlQuery: req.graphqlQuery || "",
+    graphqlVariables: req.graphqlVariables || "",
+    graphqlOperationName: req.graphqlOperationName || "",
+    authType: req.authType || "none",
+    bearerToken: req.bearerToken || "",
+    basicUsername: req.basicUsername || "",
+    basicPassword: req.basicPassword || "",
+    settings: { ...DEFAULT_REQUEST_SETTINGS, ...req.settings },
+  };
+};
+
+const hasHeader = (headers, name) =>
+  Object.keys(headers).some((h) => h.toLowerCase() === name.toLowerCase());
+
+// --------------------------------------------------
+// Body + encoding for the (normalized) request's body
+// type. Throws when GraphQL variables aren't valid JSON.
+// --------------------------------------------------
+const buildBody = (req, resolve, headers) => {
+  switch (req.bodyType) {
+    case "raw": {
+      const rawBody = resolve(req.bodyContent);
+      if (!rawBody.trim()) return { body: null, bodyEncoding: "json" };
+      if (req.rawContentType === "application/json") {
+        try {
+          return { body: JSON.parse(rawBody), bodyEncoding: "json" };
+        } catch {
+          // Invalid JSON goes out as text
+        }
+      } else if (!hasHeader(headers, "Content-Type")) {
+        headers["Content-Type"] = req.rawContentType;
+      }
+      return { body: rawBody, bodyEncoding: "text" };
+    }
+
+    case "urlencoded": {
+      const fields = Object.entries(pairsToObject(req.urlencodedFields)).map(([key, value]) => ({
+        key: resolve(key),
+        value: resolve(value),
+      }));
+      return { body: fields.length ? fields : null, bodyEncoding: "urlencoded" };
+    }
+
+    case "form-data": {
+      const fields = req.formFields
+        .filter((f) => f.key?.trim() && (f.type !== "file" || f.data))
+        .map((f) =>
+          f.type === "file"
+            ? { key: resolve(f.key.trim()), type: "file", fileName: f.fileName, contentType: f.contentType, data: f.data }
+            : { key: resolve(f.key.trim()), type: "text", value: resolve(f.value ?? "") }
+        );
+      return { body: fields.length ? fields : null, bodyEncoding: "form-data" };
+    }
+
+    case "binary": {
+      const file = req.binaryFile;
+      if (!file?.data) return { body: null, bodyEncoding: "binary" };
+      return { body: { fileName: file.fileName, contentType: file.contentType, data: file.data }, bodyEncoding: "binary" };
+    }
+
+    case "graphql": {
+      const body = { query: resolve(req.graphqlQuery) };
+      const variablesText = resolve(req.graphqlVariables).trim();
+      if (variablesText) {
+        try {
+          body.variables = JSON.parse(variablesText);
+        } catch {
+          throw new Error("GraphQL variables must be valid JSON");
+        }
+      }
+      const operationName = req.graphqlOperationName;
+      const defined =
+        /^[_A-Za-z]\w*$/.test(operationName) &&
+        new RegExp(`\\b(query|mutation|subscription)\\s+${operationName}\\b`).test(body.query);
+      if (defined) body.operationName = operationName;
+      if (!hasHeader(headers, "Content-Type")) headers["Content-Type"] = "application/json";
+      return { body, bodyEncoding: "json" };
+    }
+
+    default:
+      return { body: null, bodyEncoding: "json" };
+  }
+};
+
+// --------------------------------------------------
+// Build the proxy payload for a saved request,
+// resolving {{variables}} in every field
+// --------------------------------------------------
+const buildProxyPayload = (request, { variables = {} } = {}) => {
+  const req = normalizeRequest(request);
+  const resolve = (value) => resolveVariables(value, variables);
+
+  const headers = {};
+  Object.entries(pairsToObject(req.headers)).forEach(([key, value]) => {
+    headers[resolve(key)] = resolve(value);
+  });
+
+  // Auth headers from the Auth tab (btoa, as in the browser —
+  // Latin-1 credentials only)
+  const token = resolve(req.bearerToken);
+  const username = resolve(req.basicUsername);
+  const password = resolve(req.basicPassword);
+  if (req.authType === "bearer" && token.trim()) {
+    headers["Authorization"] = `Bearer ${token.trim()}`;
+  } else if (req.authType === "basic" && username.trim()) {
+    headers["Authorization"] = `Basic ${btoa(`${username}:${password}`)}`;
+  }
+
+  const params = {};
+  Object.entries(pairsToObject(req.params)).forEach(([key, value]) => {
+    params[resolve(key)] = resolve(value);
+  });
+
+  const { body, bodyEncoding } = buildBody(req, resolve, headers);
+  return {
+    method: req.method,
+    url: resolve(req.url.trim()),
+    headers,
+    body,
+    bodyEncoding,
+    params,
+    settings: req.settings,
+  };
+};
+
+module.exports = { buildProxyPayload, normalizeRequest, variablesToObject, isStreamRequest };
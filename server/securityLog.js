@@ -0,0 +1,41 @@
+// ============================================================
+// securityLog.js — Security Event Log
+// ============================================================
+// Records blocked upstream connections (SSRF attempts) to the
+// `security_logs` Firestore collection, fire-and-forget, so
+// they can be reviewed per user / IP. Each entry:
+//   { type, source, url, hostname, address, reason,
+//     user_id, ip, timestamp }
+// `source` is "proxy", "websocket", "sse" or "monitor".
+// ============================================================
+
+const { db } = require("./firebaseAdmin");
+
+// --------------------------------------------------
+// Record an SsrfError (see ssrf.js) with its request
+// context. Also written to the console.
+// --------------------------------------------------
+const logBlockedUrl = (error, { source, url, userId = null, ip = "" }) => {
+  console.warn(
+    `[SECURITY] Blocked ${source} URL: ${url} (${error.reason || error.message}) from ${userId ? `user ${userId}` : `anonymous ${ip}`}`
+  );
+  if (!db) return;
+
+  db.collection("security_logs")
+    .add({
+      type: "ssrf_blocked",
+      source,
+      url: String(url || "").slice(0, 2048),
+      hostname: error.hostname || "",
+      address: error.address || "",
+      reason: error.reason || error.message,
+      user_id: userId,
+      ip,
+      timestamp: new Date(),
+    })
+    .catch((err) => {
+      console.error("[FIRESTORE SECURITY LOG ERROR]", err.message);
+    });
+};
+
+module.exports = { logBlockedUrl };
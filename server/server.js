@@ -7,8 +7,24 @@
 //   2. Log every request/response to a Firestore `request_logs` collection
 //   3. Enforce security best-practices (helmet, rate limiting,
 //      SSRF protection, strict CORS, input validation, etc.)
+//      Blocked SSRF attempts are recorded to `security_logs`.
 //
-// Single endpoint:  POST /api/proxy
+// Callers identify themselves with a Firebase ID token
+// (`Authorization: Bearer <token>`), verified with the Admin
+// SDK. The uid from the token — never a body field — is what
+// request logs and per-user rate limits are keyed on. Requests
+// without a token run in anonymous mode with stricter limits.
+//
+// Endpoints:  POST /api/proxy              — one-shot HTTP requests
+//             POST /api/stream/sse         — Server-Sent Events relay
+//             WS   /api/stream/ws          — WebSocket relay
+//             POST /api/monitors/:id/run   — run a monitor now
+//             ANY  /mock/:id/*             — hosted mock APIs (public)
+//             GET  /api/docs/:id           — published API docs (public)
+// (streaming relays live in streamRelay.js, the HTTP/2
+// transport for the proxy in http2Client.js, scheduled
+// monitors in monitors.js, mock APIs in mockServer.js,
+// published docs in publishedDocs.js)
 // ============================================================
 
 // --------------------------------------------------
@@ -20,12 +36,22 @@ require("dotenv").config();
 // 2. Import dependencies
 // --------------------------------------------------
 const express = require("express");
+const http = require("http");
+const https = require("https");
 const cors = require("cors");
 const helmet = require("helmet");               // SECURITY: Secure HTTP headers
 const rateLimit = require("express-rate-limit"); // SECURITY: Rate limiting
 const axios = require("axios");
 const { body, validationResult } = require("express-validator");
-const db = require("./firebaseAdmin");
+const { db, auth: adminAuth } = require("./firebaseAdmin");
+const { createStreamRelay } = require("./streamRelay");
+const { createMonitorScheduler } = require("./monitors");
+const { createMockServer } = require("./mockServer");
+const { createPublishedDocs } = require("./publishedDocs");
+const { assertPublicUrl, safeLookup, findSsrfError } = require("./ssrf");
+const { logBlockedUrl } = require("./securityLog");
+const { sendHttp2Request } = require("./http2Client");
+const { createPhaseTimer, timedTransport, round } = require("./timings");
 
 // --------------------------------------------------
 // 3. Initialize Express app
@@ -58,37 +84,119 @@ const allowedOrigins = [
   process.env.CLIENT_URL,
 ].filter(Boolean);
 
+const isAllowedOrigin = (origin) => allowedOrigins.includes(origin);
+
 const corsOptions = {
   origin: (origin, callback) => {
     // Allow requests with no origin (mobile apps, curl, Postman)
     if (!origin) return callback(null, true);
-    if (allowedOrigins.includes(origin)) {
+    if (isAllowedOrigin(origin)) {
       callback(null, true);
     } else {
       callback(new Error("Not allowed by CORS"));
     }
   },
   methods: ["POST"],
-  allowedHeaders: ["Content-Type"],
+  allowedHeaders: ["Content-Type", "Authorization"],
 };
 
-app.use(cors(corsOptions));
+// Mock APIs are called by frontends on any origin, with any
+// method — they get an open policy instead
+const isMockRoute = (req) => req.path.startsWith("/mock/");
+const strictCors = cors(corsOptions);
+const openCors = cors({ origin: "*", exposedHeaders: ["X-Mock-Route"] });
+
+app.use((req, res, next) => (isMockRoute(req) ? openCors : strictCors)(req, res, next));
 
 // --------------------------------------------------
 // 6. Security: Request size limits
 // --------------------------------------------------
+// Outgoing request bodies (decoded) are capped at 5 MB — the
+// same limit axios enforces via maxBodyLength below
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// The proxy endpoint carries file uploads as base64 (≈4/3 the
+// decoded size), so it gets a larger JSON limit. Registered
+// before the global parser, which then skips parsed bodies.
+app.use("/api/proxy", express.json({ limit: "8mb" }));
+
+// Mock match rules need the raw body, whatever its type
+app.use("/mock", express.text({ type: () => true, limit: "1mb" }));
+
 // Prevent excessively large payloads from being sent to the server
 app.use(express.json({ limit: "1mb" }));
 app.use(express.urlencoded({ limit: "1mb", extended: true }));
 
 // --------------------------------------------------
-// 7. Security: Rate limiting
+// 7. Security: Authentication — Firebase ID tokens
+// --------------------------------------------------
+// Set ALLOW_ANONYMOUS_PROXY=false to require a signed-in user
+const ALLOW_ANONYMOUS = process.env.ALLOW_ANONYMOUS_PROXY !== "false";
+
+if (!adminAuth) {
+  console.warn(
+    ALLOW_ANONYMOUS
+      ? "⚠️  ID tokens can't be verified — all proxy traffic is treated as anonymous"
+      : "⚠️  ID tokens can't be verified and anonymous access is off — all proxy traffic is rejected"
+  );
+}
+
+// Error for a rejected caller — carries the HTTP status
+class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Resolve an ID token to { uid }, or null for an anonymous
+// caller. Throws AuthError when the token is invalid or
+// anonymous access is disabled. Shared with the stream relay.
+const identifyToken = async (token) => {
+  if (!token) {
+    if (!ALLOW_ANONYMOUS) throw new AuthError(401, "Sign in to use the proxy");
+    return null;
+  }
+  if (!adminAuth) {
+    // A token that can't be checked is no better than none
+    if (ALLOW_ANONYMOUS) return null;
+    throw new AuthError(503, "Sign-in can't be verified — the server has no service account");
+  }
+  try {
+    const decoded = await adminAuth.verifyIdToken(token);
+    return { uid: decoded.uid };
+  } catch (error) {
+    throw new AuthError(401, error.code === "auth/id-token-expired"
+      ? "ID token has expired — refresh it and try again"
+      : "Invalid ID token");
+  }
+};
+
+// Middleware — sets req.user to { uid } or null (anonymous)
+const authenticate = async (req, res, next) => {
+  const match = (req.headers.authorization || "").match(/^Bearer\s+(\S+)$/i);
+  try {
+    req.user = await identifyToken(match ? match[1] : null);
+    next();
+  } catch (error) {
+    if (!(error instanceof AuthError)) return next(error);
+    console.warn(`[SECURITY] Rejected proxy caller ${req.ip}: ${error.message}`);
+    res.status(error.status).json({ error: error.message });
+  }
+};
+
+// --------------------------------------------------
+// 8. Security: Rate limiting
 // --------------------------------------------------
 
-// General rate limiter — applies to ALL routes
+// Proxy + stream routes are limited per user by proxyLimiter
+const isProxyRoute = (req) => req.path.startsWith("/api/proxy") || req.path.startsWith("/api/stream");
+
+// General rate limiter — applies to all other routes
 const generalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15-minute window
   max: 50,                  // max 50 requests per window per IP
+  skip: (req) => isProxyRoute(req) || isMockRoute(req),
   message: {
     error: "Too many requests from this IP, please try again after 15 minutes",
   },
@@ -100,29 +208,57 @@ const generalLimiter = rateLimit({
   },
 });
 
-// Strict rate limiter — only for the proxy endpoint
+// Proxy rate limiter — per uid for signed-in users, per IP
+// (stricter) for anonymous callers. Runs after authenticate.
+const PROXY_LIMIT_USER = 100;     // per 15 minutes
+const PROXY_LIMIT_ANONYMOUS = 20; // per 15 minutes
+
+// Shared with the monitor scheduler, whose requests count
+// against their owner's limit
+const proxyLimitStore = new rateLimit.MemoryStore();
+
 const proxyLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15-minute window
-  max: 50,                  // max 50 proxy requests per window per IP
-  message: {
-    error: "Too many proxy requests, please try again after 15 minutes",
+  store: proxyLimitStore,
+  limit: (req) => (req.user ? PROXY_LIMIT_USER : PROXY_LIMIT_ANONYMOUS),
+  keyGenerator: (req) => (req.user ? `user:${req.user.uid}` : `ip:${rateLimit.ipKeyGenerator(req.ip)}`),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    console.warn(`[SECURITY] Proxy rate limit hit: ${req.user ? `user ${req.user.uid}` : `anonymous ${req.ip}`}`);
+    res.status(options.statusCode).json({
+      error: req.user
+        ? "Too many proxy requests, please try again after 15 minutes"
+        : "Too many anonymous proxy requests — sign in for a higher limit, or try again after 15 minutes",
+    });
   },
+});
+
+// Mock limiter — per IP; a frontend under development calls
+// its mock far more often than the rest of the API
+const MOCK_LIMIT = 600; // per 15 minutes
+
+const mockLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: MOCK_LIMIT,
   standardHeaders: true,
   legacyHeaders: false,
   handler: (req, res, next, options) => {
-    console.warn(`[SECURITY] Proxy rate limit hit: ${req.ip}`);
-    res.status(options.statusCode).json(options.message);
+    console.warn(`[SECURITY] Mock rate limit hit: ${req.ip}`);
+    res.status(options.statusCode).json({ error: "Too many mock requests, please try again after 15 minutes" });
   },
 });
 
 // Apply general limiter to all routes
 app.use(generalLimiter);
+app.use("/mock", mockLimiter);
 
-// Apply strict limiter specifically to the proxy endpoint
-app.use("/api/proxy", proxyLimiter);
+// Identify the caller, then apply the per-user limiter to
+// the proxy endpoints
+app.use(["/api/proxy", "/api/stream"], authenticate, proxyLimiter);
 
 // --------------------------------------------------
-// 8. Validation & security helper functions
+// 9. Validation & security helper functions
 // --------------------------------------------------
 
 // Check if a URL has a valid http/https format
@@ -135,45 +271,137 @@ const isValidUrl = (url) => {
   }
 };
 
-// Check if a URL points to a private/internal network (SSRF protection)
-// Blocks requests to localhost, private IP ranges, and cloud metadata endpoints
-const isPrivateUrl = (url) => {
-  try {
-    const parsed = new URL(url);
-    const hostname = parsed.hostname.toLowerCase();
-
-    // Exact hostnames that must be blocked
-    const blockedPatterns = [
-      "localhost",
-      "127.0.0.1",
-      "0.0.0.0",
-      "::1",
-      "metadata.google.internal",
-      "169.254.169.254", // AWS / GCP metadata endpoint
-      "100.100.100.200", // Alibaba Cloud metadata endpoint
-    ];
-
-    // Private IP range prefixes (RFC 1918 + link-local)
-    const blockedPrefixes = [
-      "192.168.",
-      "10.",
-      "172.16.", "172.17.", "172.18.", "172.19.",
-      "172.20.", "172.21.", "172.22.", "172.23.",
-      "172.24.", "172.25.", "172.26.", "172.27.",
-      "172.28.", "172.29.", "172.30.", "172.31.",
-    ];
-
-    if (blockedPatterns.includes(hostname)) return true;
-    if (blockedPrefixes.some((prefix) => hostname.startsWith(prefix))) return true;
+// SSRF protection (DNS-resolving, IPv4 + IPv6, redirects)
+// lives in ssrf.js — see assertPublicUrl / safeLookup
 
-    return false;
-  } catch {
-    return true; // Block if URL cannot be parsed
+// Whitelist of allowed HTTP methods
+const ALLOWED_METHODS = ["GET", "POST", "PUT", "DELETE", "PATCH"];
+
+// Request body encodings the proxy understands.
+//   json        — `body` is any JSON value (sent as application/json)
+//   text        — `body` is a string sent verbatim (raw text / XML / HTML)
+//   urlencoded  — `body` is [{ key, value }]
+//   form-data   — `body` is [{ key, type: "text", value }
+//                           | { key, type: "file", fileName, contentType, data }]
+//   binary      — `body` is { fileName, contentType, data }
+// File `data` is base64.
+const BODY_ENCODINGS = ["json", "text", "urlencoded", "form-data", "binary"];
+
+// Error for a malformed / oversized body — carries the HTTP status
+class BodyError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Decode a base64 file payload, rejecting malformed data
+const decodeBase64 = (data, label) => {
+  if (typeof data !== "string" || !/^[A-Za-z0-9+/]*={0,2}$/.test(data)) {
+    throw new BodyError(400, `${label} must be base64 encoded`);
   }
+  return Buffer.from(data, "base64");
 };
 
-// Whitelist of allowed HTTP methods
-const ALLOWED_METHODS = ["GET", "POST", "PUT", "DELETE", "PATCH"];
+// Case-insensitive header lookup / removal on a plain object
+const findHeaderKey = (headers, name) =>
+  Object.keys(headers).find((h) => h.toLowerCase() === name.toLowerCase());
+
+const setDefaultHeader = (headers, name, value) => {
+  if (!findHeaderKey(headers, name)) headers[name] = value;
+};
+
+// --------------------------------------------------
+// Build the outgoing axios `data` + headers for a body
+// encoding. Throws BodyError on invalid input or when
+// the decoded body exceeds MAX_BODY_BYTES.
+// --------------------------------------------------
+const buildOutgoingBody = (encoding, reqBody, incomingHeaders) => {
+  const headers = { ...(incomingHeaders || {}) };
+
+  if (reqBody === undefined || reqBody === null || reqBody === "") {
+    return { data: undefined, headers, size: 0 };
+  }
+
+  switch (encoding) {
+    case "text": {
+      const data = String(reqBody);
+      setDefaultHeader(headers, "Content-Type", "text/plain");
+      return { data, headers, size: Buffer.byteLength(data, "utf-8") };
+    }
+
+    case "urlencoded": {
+      if (!Array.isArray(reqBody)) throw new BodyError(400, "urlencoded body must be a list of fields");
+      const data = new URLSearchParams(
+        reqBody.filter((f) => f && f.key).map((f) => [String(f.key), String(f.value ?? "")])
+      ).toString();
+      setDefaultHeader(headers, "Content-Type", "application/x-www-form-urlencoded");
+      return { data, headers, size: Buffer.byteLength(data, "utf-8") };
+    }
+
+    case "form-data": {
+      if (!Array.isArray(reqBody)) throw new BodyError(400, "form-data body must be a list of fields");
+      const form = new FormData();
+      let size = 0;
+      reqBody.forEach((field) => {
+        if (!field || !field.key) return;
+        if (field.type === "file") {
+          const buffer = decodeBase64(field.data, `File "${field.fileName || field.key}"`);
+          size += buffer.length;
+          form.append(
+            String(field.key),
+            new Blob([buffer], { type: field.contentType || "application/octet-stream" }),
+            field.fileName || "file"
+          );
+        } else {
+          const value = String(field.value ?? "");
+          size += Buffer.byteLength(value, "utf-8");
+          form.append(String(field.key), value);
+        }
+      });
+      // axios sets multipart/form-data with the boundary itself
+      const contentTypeKey = findHeaderKey(headers, "Content-Type");
+      if (contentTypeKey) delete headers[contentTypeKey];
+      return { data: form, headers, size };
+    }
+
+    case "binary": {
+      const buffer = decodeBase64(reqBody.data, "Binary body");
+      setDefaultHeader(headers, "Content-Type", reqBody.contentType || "application/octet-stream");
+      return { data: buffer, headers, size: buffer.length };
+    }
+
+    default: {
+      // json — previous behaviour: axios serialises objects as JSON
+      const size = Buffer.byteLength(
+        typeof reqBody === "string" ? reqBody : JSON.stringify(reqBody),
+        "utf-8"
+      );
+      return { data: reqBody, headers, size };
+    }
+  }
+};
+
+// Loggable summary of a request body (file contents are not stored)
+const describeBodyForLog = (encoding, reqBody) => {
+  if (reqBody === undefined || reqBody === null || reqBody === "") return null;
+  if (encoding === "binary") {
+    return { binary: { fileName: reqBody.fileName || null, contentType: reqBody.contentType || null } };
+  }
+  if (encoding === "form-data" && Array.isArray(reqBody)) {
+    return {
+      form_data: reqBody.map((f) =>
+        f.type === "file"
+          ? { key: f.key, file: f.fileName || "file" }
+          : { key: f.key, value: f.value ?? "" }
+      ),
+    };
+  }
+  if (encoding === "urlencoded" && Array.isArray(reqBody)) {
+    return { urlencoded: reqBody };
+  }
+  return reqBody;
+};
 
 // Remove sensitive internal headers from the proxied response
 // before forwarding back to the frontend
@@ -197,17 +425,283 @@ const sanitizeHeaders = (headers) => {
 };
 
 // --------------------------------------------------
-// 9. Health-check route (useful for debugging)
+// Response bodies arrive as raw bytes. Textual content
+// types are decoded (honouring `charset`) and JSON is
+// parsed; anything else — or an untyped body that isn't
+// valid UTF-8 — goes back base64-encoded so images, PDFs
+// and protobuf survive the JSON round trip.
+// Returns { data, encoding: "utf-8" | "base64" }.
+// --------------------------------------------------
+const TEXT_CONTENT_TYPES = [
+  /^text\//,
+  /^application\/(json|xml|javascript|ecmascript|x-www-form-urlencoded|graphql|x-yaml|yaml|x-ndjson)\b/,
+  /\+(json|xml)\b/,
+  /^image\/svg\+xml\b/,
+];
+
+const isTextContentType = (contentType) => TEXT_CONTENT_TYPES.some((pattern) => pattern.test(contentType));
+
+const decodeText = (buffer, charset, fatal = false) => {
+  try {
+    return new TextDecoder(charset || "utf-8", { fatal }).decode(buffer);
+  } catch (error) {
+    if (fatal) throw error;
+    return new TextDecoder("utf-8").decode(buffer); // unknown charset label
+  }
+};
+
+const decodeResponseBody = (buffer, contentType) => {
+  const type = String(contentType || "").toLowerCase();
+  const charset = type.match(/charset="?([\w.:-]+)"?/)?.[1];
+  let text = null;
+
+  if (isTextContentType(type)) {
+    text = decodeText(buffer, charset);
+  } else if (!type && !buffer.subarray(0, 1024).includes(0)) {
+    // Untyped: text only if it decodes cleanly
+    try {
+      text = decodeText(buffer, "utf-8", true);
+    } catch {
+      text = null;
+    }
+  }
+
+  if (text === null) return { data: buffer.toString("base64"), encoding: "base64" };
+  try {
+    return { data: JSON.parse(text), encoding: "utf-8" };
+  } catch {
+    return { data: text, encoding: "utf-8" };
+  }
+};
+
+// --------------------------------------------------
+// Per-request settings (RequestBuilder's Settings tab).
+// Missing or invalid values fall back to the defaults
+// and numbers are clamped to the server's limits.
+// --------------------------------------------------
+const REQUEST_SETTING_LIMITS = {
+  maxRedirects: { fallback: 10, min: 0, max: 20 },
+  timeoutMs: { fallback: 30000, min: 1000, max: 120000 },
+  maxResponseMB: { fallback: 5, min: 0.1, max: 50 },
+};
+const HTTP_VERSIONS = ["1.1", "2"];
+
+const parseRequestSettings = (raw) => {
+  const settings = raw && typeof raw === "object" ? raw : {};
+  const number = (key) => {
+    const { fallback, min, max } = REQUEST_SETTING_LIMITS[key];
+    const value = settings[key] === "" || settings[key] == null ? NaN : Number(settings[key]);
+    return Number.isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+  };
+
+  return {
+    followRedirects: settings.followRedirects !== false,
+    maxRedirects: Math.round(number("maxRedirects")),
+    timeoutMs: Math.round(number("timeoutMs")),
+    verifyTls: settings.verifyTls !== false,
+    maxResponseMB: number("maxResponseMB"),
+    httpVersion: HTTP_VERSIONS.includes(String(settings.httpVersion)) ? String(settings.httpVersion) : "1.1",
+  };
+};
+
+// --------------------------------------------------
+// Forwarding. Redirects are followed here rather than by
+// axios so every hop is SSRF-checked (assertPublicUrl +
+// safeLookup) and recorded in the redirect chain.
+// --------------------------------------------------
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Only used when the request turns TLS verification off
+const insecureHttpsAgent = new https.Agent({ rejectUnauthorized: false });
+
+// Error when a redirect chain exceeds maxRedirects
+class RedirectLimitError extends Error {
+  constructor(maxRedirects, redirects) {
+    super(`Stopped after ${maxRedirects} redirect${maxRedirects !== 1 ? "s" : ""} — raise the limit in Settings`);
+    this.redirects = redirects;
+  }
+}
+
+// Send a single hop (no automatic redirects), recording its
+// phases on `timer`
+const sendHop = (hop, settings, timeout, timer) => {
+  const isHttps = new URL(hop.url).protocol === "https:";
+
+  if (settings.httpVersion === "2") {
+    return sendHttp2Request(
+      { method: hop.method, url: axios.getUri({ url: hop.url, params: hop.params }), headers: hop.headers, data: hop.data },
+      {
+        timeout,
+        maxContentLength: Math.round(settings.maxResponseMB * 1024 * 1024),
+        rejectUnauthorized: settings.verifyTls,
+        lookup: safeLookup,
+        timer,
+      }
+    );
+  }
+
+  return axios({
+    method: hop.method,
+    url: hop.url,
+    headers: hop.headers,
+    data: hop.data,
+    params: hop.params,
+    timeout,
+    validateStatus: () => true,  // Don't throw on 4xx/5xx responses
+    // Raw bytes — decodeResponseBody decides text vs binary
+    responseType: "arraybuffer",
+    transformResponse: [(data) => data],
+    maxContentLength: Math.round(settings.maxResponseMB * 1024 * 1024),
+    maxBodyLength: MAX_BODY_BYTES,
+    maxRedirects: 0,
+    // SSRF: connect to the vetted, pinned address only
+    lookup: safeLookup,
+    // Ignore HTTP(S)_PROXY env vars — a proxy would connect
+    // on our behalf and bypass safeLookup
+    proxy: false,
+    ...(settings.verifyTls ? {} : { httpsAgent: insecureHttpsAgent }),
+    // Plain http / https (no follow-redirects) with socket timings
+    transport: timedTransport(isHttps ? https : http, timer),
+  });
+};
+
+// Method / body / credential changes for the next hop,
+// matching browsers (RFC 9110 §15.4)
+const nextHop = (hop, status, fromUrl, toUrl) => {
+  const headers = { ...hop.headers };
+  const dropHeaders = (names) =>
+    names.forEach((name) => {
+      const key = findHeaderKey(headers, name);
+      if (key) delete headers[key];
+    });
+
+  let { method, data } = hop;
+  if (status === 303 || ((status === 301 || status === 302) && method === "POST")) {
+    method = "GET";
+    data = undefined;
+    dropHeaders(["content-type", "content-length"]);
+  }
+  // Don't leak credentials to another host
+  if (new URL(fromUrl).host !== new URL(toUrl).host) {
+    dropHeaders(["authorization", "cookie", "proxy-authorization"]);
+  }
+  return { method, url: toUrl, headers, data, params: {} };
+};
+
+// Forward a request, following redirects per `settings`.
+// Resolves with { response, redirects, finalUrl, timings }
+// where redirects is [{ status, url, location }] and timings
+// are the final hop's phases (see timings.js) plus
+// `redirect`, the time spent on earlier hops. `timeoutMs`
+// covers the whole chain.
+const forwardRequest = async (request, settings) => {
+  const deadline = Date.now() + settings.timeoutMs;
+  const redirects = [];
+  let chainStart = null;
+  let hop = request;
+  let currentUrl = axios.getUri({ url: request.url, params: request.params });
+
+  for (;;) {
+    const timer = createPhaseTimer();
+    chainStart ??= timer.start;
+    const response = await sendHop(hop, settings, Math.max(deadline - Date.now(), 1), timer);
+    const location = response.headers.location;
+    if (!settings.followRedirects || !REDIRECT_STATUSES.includes(response.status) || !location) {
+      const timings = { redirect: round(timer.start - chainStart), ...timer.phases() };
+      return { response, redirects, finalUrl: currentUrl, timings };
+    }
+
+    if (redirects.length >= settings.maxRedirects) {
+      throw new RedirectLimitError(settings.maxRedirects, redirects);
+    }
+    const nextUrl = new URL(location, currentUrl).toString();
+    redirects.push({ status: response.status, url: currentUrl, location: nextUrl });
+    await assertPublicUrl(nextUrl);
+
+    hop = nextHop(hop, response.status, currentUrl, nextUrl);
+    currentUrl = nextUrl;
+  }
+};
+
+// TLS certificate failures worth a hint about the Settings tab
+const TLS_ERROR_CODES = [
+  "DEPTH_ZERO_SELF_SIGNED_CERT",
+  "SELF_SIGNED_CERT_IN_CHAIN",
+  "UNABLE_TO_VERIFY_LEAF_SIGNATURE",
+  "UNABLE_TO_GET_ISSUER_CERT_LOCALLY",
+  "CERT_HAS_EXPIRED",
+  "ERR_TLS_CERT_ALTNAME_INVALID",
+];
+
+// --------------------------------------------------
+// Send a payload from the server itself (scheduled
+// monitors) through the same checks and forwarding as
+// the proxy route. Always resolves — failures come back
+// as { status: 0, error }.
+// --------------------------------------------------
+const sendServerRequest = async (payload, { userId = null } = {}) => {
+  const { method = "", url, headers, body: reqBody, params } = payload;
+  const settings = parseRequestSettings(payload.settings);
+  const bodyEncoding = payload.bodyEncoding || "json";
+  const failed = (error, responseTime = 0) => ({ status: 0, statusText: "", headers: {}, data: null, responseTime, error });
+
+  if (!ALLOWED_METHODS.includes(method.toUpperCase())) return failed(`Unsupported method ${method}`);
+  if (!isValidUrl(url)) return failed("Invalid URL — must start with http:// or https://");
+  if (!BODY_ENCODINGS.includes(bodyEncoding)) return failed(`Unsupported body encoding ${bodyEncoding}`);
+
+  const startTime = Date.now();
+  try {
+    await assertPublicUrl(url);
+    const outgoing = buildOutgoingBody(bodyEncoding, reqBody, headers);
+    if (outgoing.size > MAX_BODY_BYTES) return failed("Request body exceeds the size limit");
+
+    const { response } = await forwardRequest(
+      { method: method.toUpperCase(), url, headers: outgoing.headers, data: outgoing.data, params: params || {} },
+      settings
+    );
+    const rawBody = Buffer.from(response.data);
+    const { data } = decodeResponseBody(rawBody, response.headers["content-type"]);
+    return {
+      status: response.status,
+      statusText: response.statusText || http.STATUS_CODES[response.status] || "",
+      headers: sanitizeHeaders(response.headers),
+      data,
+      responseTime: Date.now() - startTime,
+      error: null,
+    };
+  } catch (error) {
+    const responseTime = Date.now() - startTime;
+    const ssrfError = findSsrfError(error);
+    if (ssrfError) {
+      if (ssrfError.status === 403) logBlockedUrl(ssrfError, { source: "monitor", url, userId });
+      return failed(ssrfError.message, responseTime);
+    }
+    if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT" || error.message?.includes("timeout")) {
+      return failed(`Request timed out after ${settings.timeoutMs / 1000}s`, responseTime);
+    }
+    if (error.code === "ENOTFOUND" || error.code === "ECONNREFUSED") {
+      return failed("Unable to reach the API", responseTime);
+    }
+    return failed(error.message, responseTime);
+  }
+};
+
+// --------------------------------------------------
+// 10. Health-check route (useful for debugging)
 // --------------------------------------------------
 app.get("/", (_req, res) => {
   res.json({ status: "ok", message: "ApiCanvas proxy server is running" });
 });
 
 // --------------------------------------------------
-// 10. POST /api/proxy — Main proxy endpoint
+// 11. POST /api/proxy — Main proxy endpoint
 // --------------------------------------------------
 app.post("/api/proxy", async (req, res) => {
-  const { method, url, headers, body: reqBody, params, user_id } = req.body;
+  const { method, url, headers, body: reqBody, params } = req.body;
+  const settings = parseRequestSettings(req.body.settings);
+  // Verified uid from the ID token (null when anonymous)
+  const userId = req.user?.uid || null;
+  const bodyEncoding = req.body.bodyEncoding || "json";
 
   // --- INPUT VALIDATION ---
 
@@ -234,13 +728,43 @@ app.post("/api/proxy", async (req, res) => {
     });
   }
 
-  // SSRF protection — block private/internal URLs
-  if (isPrivateUrl(url)) {
-    console.warn(
-      `[SECURITY] Blocked private URL attempt: ${url} from user: ${user_id || "anonymous"}`
-    );
-    return res.status(403).json({
-      error: "Requests to private or internal URLs are not allowed",
+  // SSRF protection — resolve DNS and block private/internal
+  // addresses (the connection itself is pinned by safeLookup)
+  try {
+    await assertPublicUrl(url);
+  } catch (error) {
+    const ssrfError = findSsrfError(error);
+    if (ssrfError) {
+      if (ssrfError.status === 403) logBlockedUrl(ssrfError, { source: "proxy", url, userId, ip: req.ip });
+      return res.status(ssrfError.status).json({ error: ssrfError.message });
+    }
+    console.error(`[PROXY NETWORK ERROR] ${method} ${url} — ${error.message}`);
+    return res.status(502).json({
+      error: "Unable to reach the API. Check the URL and try again.",
+      responseTime: 0,
+    });
+  }
+
+  // Check body encoding and build the outgoing body
+  if (!BODY_ENCODINGS.includes(bodyEncoding)) {
+    return res.status(400).json({
+      error: `bodyEncoding must be one of: ${BODY_ENCODINGS.join(", ")}`,
+    });
+  }
+
+  let outgoing;
+  try {
+    outgoing = buildOutgoingBody(bodyEncoding, reqBody, headers);
+  } catch (error) {
+    if (error instanceof BodyError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    throw error;
+  }
+
+  if (outgoing.size > MAX_BODY_BYTES) {
+    return res.status(413).json({
+      error: `Request body exceeds the ${MAX_BODY_BYTES / (1024 * 1024)} MB limit`,
     });
   }
 
@@ -252,54 +776,46 @@ app.post("/api/proxy", async (req, res) => {
   const startTime = Date.now();
 
   try {
-    const axiosResponse = await axios({
-      method: method.toUpperCase(),
-      url,
-      headers: headers || {},
-      data: reqBody || undefined,
-      params: params || {},
-      timeout: 30000,              // 30-second timeout
-      validateStatus: () => true,  // Don't throw on 4xx/5xx responses
-      // Return raw data — avoid Axios auto-parsing issues
-      transformResponse: [(data) => data],
-      // Limit response size to 5 MB
-      maxContentLength: 5 * 1024 * 1024,
-      maxBodyLength: 5 * 1024 * 1024,
-    });
+    const { response: axiosResponse, redirects, finalUrl, timings } = await forwardRequest(
+      {
+        method: method.toUpperCase(),
+        url,
+        headers: outgoing.headers,
+        data: outgoing.data,
+        params: params || {},
+      },
+      settings
+    );
 
     const responseTime = Date.now() - startTime;
 
-    // Parse the raw response data
-    let responseData;
-    try {
-      responseData = JSON.parse(axiosResponse.data);
-    } catch {
-      // If it's not JSON, keep it as a raw string
-      responseData = axiosResponse.data;
-    }
+    // Decode the raw bytes (JSON, text or base64 for binary)
+    const rawBody = Buffer.from(axiosResponse.data);
+    const contentType = axiosResponse.headers["content-type"] || "";
+    const { data: responseData, encoding } = decodeResponseBody(rawBody, contentType);
 
-    // Calculate response size in bytes
-    const responseSize = Buffer.byteLength(
-      typeof axiosResponse.data === "string"
-        ? axiosResponse.data
-        : JSON.stringify(axiosResponse.data),
-      "utf-8"
-    );
+    // Response size in bytes (after decompression)
+    const responseSize = rawBody.length;
 
     // Log to Firestore asynchronously (fire-and-forget)
     // This does NOT block or delay the response to the frontend.
-    if (db && user_id) {
+    if (db && userId) {
       db.collection("request_logs")
         .add({
-          user_id,
+          user_id: userId,
           method: method.toUpperCase(),
           url,
           status_code: axiosResponse.status,
           response_time_ms: responseTime,
           response_size_bytes: responseSize,
+          response_headers: sanitizeHeaders(axiosResponse.headers),
+          timings,
+          // Binary bodies are summarised, not stored
           response_body:
-            typeof responseData === "object" ? responseData : { raw: responseData },
-          request_body: reqBody || null,
+            encoding === "base64"
+              ? { binary: { contentType, size: responseSize } }
+              : typeof responseData === "object" ? responseData : { raw: responseData },
+          request_body: describeBodyForLog(bodyEncoding, reqBody),
           timestamp: new Date(),
         })
         .then(() => {
@@ -313,21 +829,71 @@ app.post("/api/proxy", async (req, res) => {
     // Send sanitized response back to the frontend
     return res.status(200).json({
       status: axiosResponse.status,
-      statusText: axiosResponse.statusText,
+      // HTTP/2 has no reason phrase
+      statusText: axiosResponse.statusText || http.STATUS_CODES[axiosResponse.status] || "",
       headers: sanitizeHeaders(axiosResponse.headers),
       data: responseData,
+      // "base64" when `data` is an encoded binary body
+      encoding,
+      contentType,
       responseTime,
       responseSize,
+      redirects,
+      finalUrl,
+      httpVersion: settings.httpVersion,
+      timings,
     });
   } catch (error) {
     const responseTime = Date.now() - startTime;
 
     // Handle specific error types with appropriate status codes
 
-    if (error.code === "ECONNABORTED" || error.message?.includes("timeout")) {
-      console.error(`[PROXY TIMEOUT] ${method} ${url} — timed out after 30s`);
+    // A redirect hop (or a rebinding DNS answer) hit a blocked address
+    const ssrfError = findSsrfError(error);
+    if (ssrfError) {
+      logBlockedUrl(ssrfError, { source: "proxy", url, userId, ip: req.ip });
+      return res.status(ssrfError.status).json({
+        error: `${ssrfError.message} (redirect or DNS answer pointed to ${ssrfError.address || ssrfError.hostname})`,
+        responseTime,
+      });
+    }
+
+    if (error instanceof RedirectLimitError) {
+      return res.status(502).json({
+        error: error.message,
+        redirects: error.redirects,
+        responseTime,
+      });
+    }
+
+    if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT" || error.message?.includes("timeout")) {
+      const seconds = settings.timeoutMs / 1000;
+      console.error(`[PROXY TIMEOUT] ${method} ${url} — timed out after ${seconds}s`);
       return res.status(504).json({
-        error: "Request timed out after 30s",
+        error: `Request timed out after ${seconds}s`,
+        responseTime,
+      });
+    }
+
+    if (error.message?.includes("maxContentLength")) {
+      return res.status(502).json({
+        error: `Response exceeded the ${settings.maxResponseMB} MB limit — raise it in Settings`,
+        responseTime,
+      });
+    }
+
+    // HTTP/2 reports certificate failures as the cause of a cancelled stream
+    const tlsError = [error, error.cause].find((e) => TLS_ERROR_CODES.includes(e?.code));
+    if (tlsError) {
+      return res.status(502).json({
+        error: `TLS certificate error: ${tlsError.message}. For self-signed test certificates, turn off certificate verification in Settings.`,
+        responseTime,
+      });
+    }
+
+    if (error.code?.startsWith("ERR_HTTP2")) {
+      return res.status(502).json({
+        error: `HTTP/2 connection failed: ${error.message}. Try HTTP/1.1 in Settings.`,
         responseTime,
       });
     }
@@ -356,7 +922,42 @@ app.post("/api/proxy", async (req, res) => {
 });
 
 // --------------------------------------------------
-// 11. Global error-handling middleware
+// 12. Streaming relays — SSE route + WebSocket upgrade
+// --------------------------------------------------
+// Same SSRF, origin and ID token rules as the proxy endpoint
+const streamRelay = createStreamRelay({ isAllowedOrigin, identifyToken });
+
+app.post("/api/stream/sse", streamRelay.handleSse);
+
+// --------------------------------------------------
+// 13. Scheduled monitors — run-now route
+// --------------------------------------------------
+// The scheduler itself starts with the server (below).
+// Set MONITORS_ENABLED=false to keep an instance from
+// running schedules; run-now still works there.
+const monitorScheduler = createMonitorScheduler({
+  sendRequest: sendServerRequest,
+  allowRequest: async (userId) => (await proxyLimitStore.increment(`user:${userId}`)).totalHits <= PROXY_LIMIT_USER,
+});
+
+app.post("/api/monitors/:id/run", authenticate, monitorScheduler.handleRunNow);
+
+// --------------------------------------------------
+// 14. Mock APIs — every method, any path under the mock
+// --------------------------------------------------
+const mockServer = createMockServer();
+
+app.all(["/mock/:mockId", "/mock/:mockId/*"], mockServer.handleMockRequest);
+
+// --------------------------------------------------
+// 15. Published API docs — read-only, no sign-in
+// --------------------------------------------------
+const publishedDocs = createPublishedDocs();
+
+app.get("/api/docs/:id", publishedDocs.handleGetDocs);
+
+// --------------------------------------------------
+// 16. Global error-handling middleware
 // --------------------------------------------------
 // Express recognises this as an error handler because it has 4 parameters.
 app.use((err, _req, res, _next) => {
@@ -368,8 +969,13 @@ app.use((err, _req, res, _next) => {
 });
 
 // --------------------------------------------------
-// 12. Start the server
+// 17. Start the server
 // --------------------------------------------------
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`✅ ApiCanvas proxy server is running on http://localhost:${PORT}`);
 });
+
+// WebSocket connections arrive as HTTP upgrades on the same port
+streamRelay.attachWebSocketRelay(server);
+
+if (process.env.MONITORS_ENABLED !== "false") monitorScheduler.start();
@@ -0,0 +1,245 @@
+// ============================================================
+// ssrf.js — SSRF Protection for Outgoing Connections
+// ============================================================
+// Every upstream connection the server makes (proxy requests,
+// redirects, WebSocket and SSE relays) goes through here:
+//   • assertPublicUrl — parse the URL (the WHATWG parser
+//     already normalises decimal / octal / hex IPv4 forms),
+//     reject blocked hostnames, and resolve DNS up front so
+//     the caller gets a clear 403
+//   • safeLookup      — dns.lookup replacement passed to the
+//     HTTP / WebSocket clients. It re-checks every resolved
+//     address at connect time and hands the vetted address to
+//     the socket, so the IP that was checked is the IP that is
+//     dialled (no DNS-rebinding window)
+// The proxy follows redirects itself and runs every hop
+// through assertPublicUrl (see forwardRequest in server.js).
+// Blocked attempts throw SsrfError; findSsrfError digs it out
+// of the wrapping axios errors.
+// ============================================================
+
+const dns = require("dns");
+const net = require("net");
+
+// Hostnames that never go through the resolver check alone
+// (they may be answered from /etc/hosts or cloud metadata DNS)
+const BLOCKED_HOSTNAMES = ["localhost", "metadata.google.internal", "metadata"];
+const BLOCKED_SUFFIXES = [".localhost", ".internal", ".local"];
+
+// IANA special-purpose IPv4 ranges (RFC 6890 and successors)
+const IPV4_RANGES = [
+  ["0.0.0.0", 8, "this network"],
+  ["10.0.0.0", 8, "private network"],
+  ["100.64.0.0", 10, "carrier-grade NAT"],
+  ["127.0.0.0", 8, "loopback"],
+  ["169.254.0.0", 16, "link-local / cloud metadata"],
+  ["172.16.0.0", 12, "private network"],
+  ["192.0.0.0", 24, "IETF protocol assignments"],
+  ["192.0.2.0", 24, "documentation"],
+  ["192.88.99.0", 24, "6to4 relay anycast"],
+  ["192.168.0.0", 16, "private network"],
+  ["198.18.0.0", 15, "benchmarking"],
+  ["198.51.100.0", 24, "documentation"],
+  ["203.0.113.0", 24, "documentation"],
+  ["224.0.0.0", 4, "multicast"],
+  ["240.0.0.0", 4, "reserved"],
+];
+
+// IANA special-purpose IPv6 ranges. IPv4-mapped, NAT64 and
+// 6to4 addresses are checked by their embedded IPv4 instead;
+// the deprecated IPv4-compatible (::a.b.c.d) and SIIT
+// IPv4-translated (::ffff:0:a.b.c.d) forms are blocked outright.
+const IPV6_RANGES = [
+  ["::", 128, "unspecified"],
+  ["::1", 128, "loopback"],
+  ["::", 96, "IPv4-compatible (deprecated)"],
+  ["::ffff:0:0:0", 96, "IPv4-translated"],
+  ["64:ff9b:1::", 48, "local-use NAT64"],
+  ["100::", 64, "discard-only"],
+  ["2001::", 23, "IETF protocol assignments (incl. Teredo)"],
+  ["2001:db8::", 32, "documentation"],
+  ["3fff::", 20, "documentation"],
+  ["fc00::", 7, "unique local"],
+  ["fe80::", 10, "link-local"],
+  ["fec0::", 10, "site-local"],
+  ["ff00::", 8, "multicast"],
+];
+
+const blockLists = { ipv4: [], ipv6: [] };
+IPV4_RANGES.forEach(([address, prefix, reason]) => {
+  const list = new net.BlockList();
+  list.addSubnet(address, prefix, "ipv4");
+  blockLists.ipv4.push({ list, reason: `${reason} (${address}/${prefix})` });
+});
+IPV6_RANGES.forEach(([address, prefix, reason]) => {
+  const list = new net.BlockList();
+  list.addSubnet(address, prefix, "ipv6");
+  blockLists.ipv6.push({ list, reason: `${reason} (${address}/${prefix})` });
+});
+
+// Error for a rejected destination — carries the HTTP status
+// (403 blocked, 400 malformed) and what was blocked, for the
+// security log
+class SsrfError extends Error {
+  constructor(message, { status = 403, hostname = "", address = "", reason = "" } = {}) {
+    super(message);
+    this.status = status;
+    this.hostname = hostname;
+    this.address = address;
+    this.reason = reason;
+  }
+}
+
+// --------------------------------------------------
+// IPv6 helpers
+// --------------------------------------------------
+
+// Expand an IPv6 address to eight 16-bit groups
+// (handles "::" and a dotted IPv4 tail)
+const ipv6Groups = (address) => {
+  let text = address.split("%")[0].toLowerCase(); // drop zone id
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted[1].split(".").map(Number);
+    text = text.slice(0, -dotted[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const fill = text.includes("::") ? 8 - headGroups.length - tailGroups.length : 0;
+  return [...headGroups, ...Array(fill).fill("0"), ...tailGroups].map((g) => parseInt(g, 16) || 0);
+};
+
+const groupsToIPv4 = (high, low) => `${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`;
+
+// IPv4 address embedded in an IPv4-mapped (::ffff:0:0/96),
+// NAT64 (64:ff9b::/96) or 6to4 (2002::/16) address
+const embeddedIPv4 = (address) => {
+  const g = ipv6Groups(address);
+  const zeroPrefix = (n) => g.slice(0, n).every((x) => x === 0);
+  if (zeroPrefix(5) && g[5] === 0xffff) return groupsToIPv4(g[6], g[7]);
+  if (g[0] === 0x64 && g[1] === 0xff9b && g.slice(2, 6).every((x) => x === 0)) return groupsToIPv4(g[6], g[7]);
+  if (g[0] === 0x2002) return groupsToIPv4(g[1], g[2]);
+  return null;
+};
+
+// --------------------------------------------------
+// Why an IP address is off-limits, or null if it is a
+// public unicast address
+// --------------------------------------------------
+const blockedAddressReason = (address) => {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return blockLists.ipv4.find(({ list }) => list.check(address, "ipv4"))?.reason || null;
+  }
+  if (family === 6) {
+    const v4 = embeddedIPv4(address);
+    if (v4) return blockedAddressReason(v4);
+    return blockLists.ipv6.find(({ list }) => list.check(address, "ipv6"))?.reason || null;
+  }
+  return "not an IP address";
+};
+
+// Hostname from a URL / request options, without IPv6
+// brackets or a trailing dot
+const normalizeHostname = (hostname) =>
+  String(hostname || "").toLowerCase().replace(/^\[|\]$/g, "").replace(/\.$/, "");
+
+// Throws SsrfError for blocked names and literal IPs
+const checkHostname = (hostname) => {
+  const host = normalizeHostname(hostname);
+  if (!host) throw new SsrfError("URL has no host", { status: 400, reason: "empty host" });
+  if (BLOCKED_HOSTNAMES.includes(host) || BLOCKED_SUFFIXES.some((suffix) => host.endsWith(suffix))) {
+    throw new SsrfError("Requests to private or internal URLs are not allowed", {
+      hostname: host,
+      reason: "internal hostname",
+    });
+  }
+  if (net.isIP(host)) {
+    const reason = blockedAddressReason(host);
+    if (reason) {
+      throw new SsrfError("Requests to private or internal URLs are not allowed", { hostname: host, address: host, reason });
+    }
+  }
+  return host;
+};
+
+// Resolve every address for a hostname and throw if any of
+// them is blocked (a mixed answer is a rebinding attempt)
+const resolvePublic = (hostname, family = 0) =>
+  new Promise((resolve, reject) => {
+    dns.lookup(hostname, { all: true, family, verbatim: true }, (error, addresses) => {
+      if (error) return reject(error);
+      const blocked = addresses.find(({ address }) => blockedAddressReason(address));
+      if (blocked) {
+        return reject(
+          new SsrfError("Requests to private or internal URLs are not allowed", {
+            hostname,
+            address: blocked.address,
+            reason: `resolves to ${blockedAddressReason(blocked.address)}`,
+          })
+        );
+      }
+      resolve(addresses);
+    });
+  });
+
+// --------------------------------------------------
+// Validate a URL before connecting. Resolves with
+// { hostname, addresses } or rejects with SsrfError
+// (blocked) / a DNS error (unresolvable host).
+// --------------------------------------------------
+const assertPublicUrl = async (url, protocols = ["http:", "https:"]) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new SsrfError("Invalid URL", { status: 400, reason: "unparseable URL" });
+  }
+  if (!protocols.includes(parsed.protocol)) {
+    throw new SsrfError(`URL must start with ${protocols.map((p) => `${p}//`).join(" or ")}`, {
+      status: 400,
+      hostname: parsed.hostname,
+      reason: `protocol ${parsed.protocol}`,
+    });
+  }
+  const hostname = checkHostname(parsed.hostname);
+  if (net.isIP(hostname)) return { hostname, addresses: [{ address: hostname, family: net.isIP(hostname) }] };
+  return { hostname, addresses: await resolvePublic(hostname) };
+};
+
+// --------------------------------------------------
+// dns.lookup-compatible resolver for http / https / ws
+// clients (`lookup` option). Supports `all: true`, which
+// Node 20's happy-eyeballs connect uses.
+// --------------------------------------------------
+const safeLookup = (hostname, options, callback) => {
+  const opts = typeof options === "number" ? { family: options } : options || {};
+  try {
+    checkHostname(hostname);
+  } catch (error) {
+    return process.nextTick(callback, error);
+  }
+  resolvePublic(normalizeHostname(hostname), opts.family || 0)
+    .then((addresses) => {
+      if (opts.all) callback(null, addresses);
+      else callback(null, addresses[0].address, addresses[0].family);
+    })
+    .catch((error) => callback(error));
+};
+
+// Find an SsrfError in an error's `cause` chain
+const findSsrfError = (error) => {
+  for (let current = error; current; current = current.cause) {
+    if (current instanceof SsrfError) return current;
+  }
+  return null;
+};
+
+module.exports = {
+  SsrfError,
+  assertPublicUrl,
+  safeLookup,
+  findSsrfError,
+  blockedAddressReason,
+};
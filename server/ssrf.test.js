@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { assertPublicUrl, blockedAddressReason, SsrfError } = require("./ssrf");
+
+// Literal IPs are checked without a DNS lookup
+const assertBlocked = (url) => assert.rejects(assertPublicUrl(url), SsrfError);
+
+test("blocks private and loopback IPv4 literals", async () => {
+  await assertBlocked("http://127.0.0.1/");
+  await assertBlocked("http://10.1.2.3/");
+  await assertBlocked("http://169.254.169.254/latest/meta-data/");
+  // Decimal and hex forms are normalised by the URL parser
+  await assertBlocked("http://2130706433/");
+  await assertBlocked("http://0x7f.0.0.1/");
+});
+
+test("blocks IPv6 loopback and IPv4-mapped addresses", async () => {
+  await assertBlocked("http://[::1]/");
+  await assertBlocked("http://[::ffff:127.0.0.1]/");
+  await assertBlocked("http://[::ffff:169.254.169.254]/");
+  await assertBlocked("http://[64:ff9b::10.0.0.1]/");
+  await assertBlocked("http://[2002:7f00:1::]/");
+});
+
+test("blocks IPv4-compatible and IPv4-translated addresses", async () => {
+  await assertBlocked("http://[::127.0.0.1]/");
+  await assertBlocked("http://[::7f00:1]/");
+  await assertBlocked("http://[::8.8.8.8]/");
+  await assertBlocked("http://[::ffff:0:127.0.0.1]/");
+});
+
+test("blocks internal hostnames", async () => {
+  await assertBlocked("http://localhost:5000/");
+  await assertBlocked("http://metadata.google.internal/");
+  await assertBlocked("http://printer.local/");
+});
+
+test("allows public addresses", async () => {
+  assert.equal(blockedAddressReason("8.8.8.8"), null);
+  assert.equal(blockedAddressReason("2606:4700:4700::1111"), null);
+  const { addresses } = await assertPublicUrl("https://1.1.1.1/");
+  assert.deepEqual(addresses, [{ address: "1.1.1.1", family: 4 }]);
+});
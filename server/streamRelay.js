@@ -0,0 +1,420 @@
+// ============================================================
+// streamRelay.js — WebSocket & Server-Sent Events Relays
+// ============================================================
+// Streaming counterpart to POST /api/proxy. Browsers can't set
+// headers on WebSocket / EventSource connections or reach
+// private-CORS endpoints, so the server opens the upstream
+// connection and relays frames.
+//
+//   WebSocket  — browser connects to ws(s)://<server>/api/stream/ws
+//                and speaks a small JSON envelope protocol:
+//     client → server  { type: "connect", url, headers, protocols, token }
+//                      { type: "send", data, binary }
+//                      { type: "close", code, reason }
+//     server → client  { type: "open", protocol, time }
+//                      { type: "message", data, binary, size, time }
+//                      { type: "error", message, time }
+//                      { type: "close", code, reason, time }
+//     Binary frames travel as base64.
+//
+//   SSE        — POST /api/stream/sse { url, headers } streams the
+//                upstream text/event-stream body back unchanged.
+//
+// Upstream URLs go through the same SSRF checks as the proxy
+// (ssrf.js — DNS resolved, connection pinned to the vetted IP)
+// and blocked attempts are written to the security log.
+// Callers are identified by Firebase ID token — the SSE route
+// sits behind the server's `authenticate` middleware, and the
+// WebSocket relay verifies the token sent with "connect"
+// (browsers can't set headers on a WebSocket handshake).
+// ============================================================
+
+const { WebSocketServer, WebSocket } = require("ws");
+const axios = require("axios");
+const { assertPublicUrl, safeLookup, findSsrfError } = require("./ssrf");
+const { logBlockedUrl } = require("./securityLog");
+
+const WS_PATH = "/api/stream/ws";
+
+const MAX_FRAME_BYTES = 1024 * 1024;          // per WebSocket frame
+const MAX_SSE_BYTES = 50 * 1024 * 1024;       // per SSE session
+const MAX_SESSIONS_PER_USER = 5;              // concurrent WS + SSE sessions
+const MAX_SESSIONS_ANONYMOUS = 2;             // per IP, without an ID token
+const MAX_SOCKETS_PER_IP = 10;                // relay sockets, before "connect"
+const CONNECT_TIMEOUT_MS = 10 * 1000;
+const IDLE_TIMEOUT_MS = 10 * 60 * 1000;       // no traffic either way
+
+// Headers the relay sets itself or that belong to the
+// browser ↔ server hop
+const HOP_HEADERS = [
+  "host", "connection", "upgrade", "content-length", "transfer-encoding",
+  "sec-websocket-key", "sec-websocket-version", "sec-websocket-extensions",
+  "sec-websocket-protocol",
+];
+
+// Drop hop-by-hop headers and non-string values
+const cleanHeaders = (headers) => {
+  const cleaned = {};
+  Object.entries(headers && typeof headers === "object" ? headers : {}).forEach(([key, value]) => {
+    if (!key || HOP_HEADERS.includes(key.toLowerCase())) return;
+    if (typeof value === "string" || typeof value === "number") cleaned[key] = String(value);
+  });
+  return cleaned;
+};
+
+// --------------------------------------------------
+// Build the relay. `isAllowedOrigin` and `identifyToken`
+// are the server's own checks, so both transports share
+// the proxy's CORS and auth rules.
+// --------------------------------------------------
+const createStreamRelay = ({ isAllowedOrigin, identifyToken }) => {
+  // Open slots per key ("user:<uid>", "ip:<ip>", "socket:<ip>")
+  const sessions = new Map();
+
+  const clientIp = (req) =>
+    req.ip || String(req.headers["x-forwarded-for"] || "").split(",").pop().trim() || req.socket.remoteAddress;
+
+  // Reserve a slot under `key`; returns a release function
+  // or null when `limit` slots are already open
+  const acquireSlot = (key, limit) => {
+    const count = sessions.get(key) || 0;
+    if (count >= limit) return null;
+    sessions.set(key, count + 1);
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const remaining = (sessions.get(key) || 1) - 1;
+      if (remaining <= 0) sessions.delete(key);
+      else sessions.set(key, remaining);
+    };
+  };
+
+  // Streaming session slot for a caller (user from the ID token, or anonymous by IP)
+  const acquireSession = (user, ip) =>
+    user
+      ? acquireSlot(`user:${user.uid}`, MAX_SESSIONS_PER_USER)
+      : acquireSlot(`ip:${ip}`, MAX_SESSIONS_ANONYMOUS);
+
+  const sessionLimitMessage = (user) =>
+    user
+      ? `At most ${MAX_SESSIONS_PER_USER} streaming sessions at a time`
+      : `At most ${MAX_SESSIONS_ANONYMOUS} anonymous streaming sessions at a time — sign in for more`;
+
+  // Validate an upstream URL for the given protocols.
+  // Resolves with null, or { status, message } when it must
+  // not be opened (blocked attempts are logged).
+  const checkUpstreamUrl = async (url, protocols, context) => {
+    try {
+      await assertPublicUrl(url, protocols);
+      return null;
+    } catch (error) {
+      const ssrfError = findSsrfError(error);
+      if (!ssrfError) return { status: 502, message: `Unable to resolve ${String(url)}` };
+      if (ssrfError.status === 403) logBlockedUrl(ssrfError, { url, ...context });
+      return { status: ssrfError.status, message: ssrfError.message };
+    }
+  };
+
+  // ────────────────────────────────────────────────────────────
+  // WebSocket relay
+  // ────────────────────────────────────────────────────────────
+
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_FRAME_BYTES });
+
+  // Relay one browser connection
+  const handleClient = (client, releaseSocket, ip) => {
+    let upstream = null;
+    let connecting = false;
+    let idleTimer = null;
+    let connectTimer = null;
+    let releaseSession = () => {};
+
+    const sendToClient = (message) => {
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(JSON.stringify({ ...message, time: Date.now() }));
+      }
+    };
+
+    const shutdown = (code = 1000, reason = "") => {
+      clearTimeout(idleTimer);
+      clearTimeout(connectTimer);
+      releaseSession();
+      releaseSocket();
+      if (upstream && upstream.readyState <= WebSocket.OPEN) upstream.terminate();
+      if (client.readyState <= WebSocket.OPEN) client.close(code, reason);
+    };
+
+    const touch = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        sendToClient({ type: "error", message: "Session closed after 10 minutes without traffic" });
+        shutdown(1001, "Idle timeout");
+      }, IDLE_TIMEOUT_MS);
+    };
+    touch();
+
+    // The "connect" envelope must arrive promptly
+    connectTimer = setTimeout(() => {
+      sendToClient({ type: "error", message: "No connect request received" });
+      shutdown(1008, "Connect timeout");
+    }, CONNECT_TIMEOUT_MS);
+
+    const connectUpstream = async ({ url, headers, protocols, token }) => {
+      connecting = true;
+      clearTimeout(connectTimer);
+
+      let user;
+      try {
+        user = await identifyToken(token || null);
+      } catch (error) {
+        console.warn(`[SECURITY] Rejected stream caller ${ip}: ${error.message}`);
+        sendToClient({ type: "error", message: error.message });
+        shutdown(1008, "Unauthorized");
+        return;
+      }
+      if (client.readyState !== WebSocket.OPEN) return;
+
+      const release = acquireSession(user, ip);
+      if (!release) {
+        console.warn(`[SECURITY] Stream session limit hit: ${user ? `user ${user.uid}` : `anonymous ${ip}`}`);
+        sendToClient({ type: "error", message: sessionLimitMessage(user) });
+        shutdown(1008, "Session limit");
+        return;
+      }
+      releaseSession = release;
+
+      const problem = await checkUpstreamUrl(url, ["ws:", "wss:"], { source: "websocket", userId: user?.uid, ip });
+      if (problem) {
+        sendToClient({ type: "error", message: problem.message });
+        shutdown(1008, "Rejected");
+        return;
+      }
+      if (client.readyState !== WebSocket.OPEN) return;
+
+      console.log(`[STREAM] WebSocket → ${url}`);
+      const subprotocols = (Array.isArray(protocols) ? protocols : [])
+        .map((p) => String(p).trim())
+        .filter(Boolean);
+
+      upstream = new WebSocket(url, subprotocols, {
+        headers: cleanHeaders(headers),
+        handshakeTimeout: CONNECT_TIMEOUT_MS,
+        maxPayload: MAX_FRAME_BYTES,
+        followRedirects: false, // a redirect could point at an internal host
+        lookup: safeLookup,     // connect to the vetted address only
+      });
+
+      upstream.on("open", () => sendToClient({ type: "open", protocol: upstream.protocol || "" }));
+      upstream.on("message", (data, isBinary) => {
+        touch();
+        const buffer = Buffer.isBuffer(data) ? data : Buffer.concat([].concat(data));
+        sendToClient({
+          type: "message",
+          data: isBinary ? buffer.toString("base64") : buffer.toString("utf-8"),
+          binary: isBinary,
+          size: buffer.length,
+        });
+      });
+      upstream.on("unexpected-response", (_req, res) => {
+        sendToClient({ type: "error", message: `Handshake failed: ${res.statusCode} ${res.statusMessage || ""}`.trim() });
+        shutdown(1011, "Handshake failed");
+      });
+      upstream.on("error", (error) => {
+        const ssrfError = findSsrfError(error);
+        if (ssrfError) logBlockedUrl(ssrfError, { source: "websocket", url, userId: user?.uid, ip });
+        sendToClient({ type: "error", message: error.message });
+        shutdown(1011, "Upstream error");
+      });
+      upstream.on("close", (code, reason) => {
+        sendToClient({ type: "close", code, reason: reason.toString() });
+        shutdown(1000, "Upstream closed");
+      });
+    };
+
+    client.on("message", (raw) => {
+      touch();
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch {
+        sendToClient({ type: "error", message: "Frames must be JSON envelopes" });
+        return;
+      }
+
+      if (message.type === "connect") {
+        if (upstream || connecting) {
+          sendToClient({ type: "error", message: "Already connected" });
+          return;
+        }
+        connectUpstream(message).catch(() => shutdown(1011, "Relay error"));
+      } else if (message.type === "send") {
+        if (!upstream || upstream.readyState !== WebSocket.OPEN) {
+          sendToClient({ type: "error", message: "Not connected" });
+          return;
+        }
+        const data = message.binary ? Buffer.from(String(message.data || ""), "base64") : String(message.data ?? "");
+        upstream.send(data, { binary: Boolean(message.binary) });
+      } else if (message.type === "close") {
+        if (upstream && upstream.readyState === WebSocket.OPEN) {
+          // 1000 or an application code (3000–4999) — others are reserved
+          const code = Number(message.code);
+          const valid = code === 1000 || (code >= 3000 && code <= 4999);
+          upstream.close(valid ? code : 1000, String(message.reason || "").slice(0, 120));
+        } else {
+          shutdown();
+        }
+      }
+    });
+
+    client.on("close", () => shutdown());
+    client.on("error", () => shutdown());
+  };
+
+  // --------------------------------------------------
+  // Hook the relay into the HTTP server's upgrade event
+  // --------------------------------------------------
+  const attachWebSocketRelay = (server) => {
+    server.on("upgrade", (req, socket, head) => {
+      const { pathname } = new URL(req.url, "http://localhost");
+      if (pathname !== WS_PATH) {
+        socket.destroy();
+        return;
+      }
+
+      const origin = req.headers.origin;
+      if (origin && !isAllowedOrigin(origin)) {
+        socket.write("HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n");
+        socket.destroy();
+        return;
+      }
+
+      // Per-IP cap on relay sockets; the per-user session
+      // limit applies once "connect" identifies the caller
+      const ip = clientIp(req);
+      const release = acquireSlot(`socket:${ip}`, MAX_SOCKETS_PER_IP);
+      if (!release) {
+        console.warn(`[SECURITY] Stream socket limit hit: ${ip}`);
+        socket.write("HTTP/1.1 429 Too Many Requests\r\nConnection: close\r\n\r\n");
+        socket.destroy();
+        return;
+      }
+
+      wss.handleUpgrade(req, socket, head, (client) => handleClient(client, release, ip));
+    });
+  };
+
+  // ────────────────────────────────────────────────────────────
+  // SSE relay
+  // ────────────────────────────────────────────────────────────
+
+  // POST /api/stream/sse — stream an event-stream back to the
+  // browser. `req.user` is set by the server's authenticate
+  // middleware.
+  const handleSse = async (req, res) => {
+    const { url, headers } = req.body || {};
+
+    if (!url) return res.status(400).json({ error: "URL is required" });
+    const problem = await checkUpstreamUrl(url, ["http:", "https:"], {
+      source: "sse",
+      userId: req.user?.uid,
+      ip: clientIp(req),
+    });
+    if (problem) return res.status(problem.status).json({ error: problem.message });
+
+    const release = acquireSession(req.user, clientIp(req));
+    if (!release) {
+      return res.status(429).json({ error: sessionLimitMessage(req.user) });
+    }
+
+    console.log(`[STREAM] SSE → ${url}`);
+    const controller = new AbortController();
+    // Abort if the upstream doesn't answer in time (the stream
+    // itself may stay open indefinitely)
+    const connectTimer = setTimeout(() => controller.abort(), CONNECT_TIMEOUT_MS);
+    let idleTimer = null;
+    const finish = () => {
+      clearTimeout(connectTimer);
+      clearTimeout(idleTimer);
+      controller.abort();
+      release();
+    };
+    // res "close" fires when the browser disconnects
+    res.on("close", finish);
+
+    try {
+      const upstream = await axios({
+        method: "GET",
+        url,
+        headers: { Accept: "text/event-stream", ...cleanHeaders(headers) },
+        responseType: "stream",
+        signal: controller.signal,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        decompress: true,
+        lookup: safeLookup, // connect to the vetted address only
+        proxy: false,
+      });
+      clearTimeout(connectTimer);
+
+      if (upstream.status < 200 || upstream.status >= 300) {
+        upstream.data.destroy();
+        finish();
+        return res.status(502).json({ error: `Upstream responded ${upstream.status} ${upstream.statusText}`.trim() });
+      }
+
+      res.status(200).set({
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache",
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+
+      let relayed = 0;
+      const touch = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+          res.end();
+          finish();
+        }, IDLE_TIMEOUT_MS);
+      };
+      touch();
+
+      upstream.data.on("data", (chunk) => {
+        touch();
+        relayed += chunk.length;
+        if (relayed > MAX_SSE_BYTES) {
+          res.end();
+          finish();
+          return;
+        }
+        res.write(chunk);
+      });
+      upstream.data.on("end", () => {
+        res.end();
+        finish();
+      });
+      upstream.data.on("error", () => {
+        res.end();
+        finish();
+      });
+    } catch (error) {
+      finish();
+      if (res.headersSent) return res.end();
+      const ssrfError = findSsrfError(error);
+      if (ssrfError) {
+        logBlockedUrl(ssrfError, { source: "sse", url, userId: req.user?.uid, ip: clientIp(req) });
+        return res.status(ssrfError.status).json({ error: ssrfError.message });
+      }
+      if (axios.isCancel(error) || error.code === "ERR_CANCELED") {
+        return res.status(504).json({ error: "Upstream did not respond in time" });
+      }
+      console.error(`[STREAM ERROR] SSE ${url} — ${error.message}`);
+      return res.status(502).json({ error: "Unable to reach the stream. Check the URL and try again." });
+    }
+  };
+
+  return { attachWebSocketRelay, handleSse };
+};
+
+module.exports = { createStreamRelay, WS_PATH };
@@ -0,0 +1,76 @@
+// ============================================================
+// timings.js — Phase Timings for Proxied Requests
+// ============================================================
+// One timer per hop records when each phase ended, from the
+// socket's own events:
+//   lookup        → DNS done (not emitted for IP literals)
+//   connect       → TCP connected
+//   secureConnect → TLS handshake done (https / h2 only)
+//   firstByte     → response headers arrived (marked by caller)
+//   end           → body fully received (marked by caller)
+// A socket reused from a keep-alive pool has no connection
+// phases; they are reported as 0 with `reused: true`.
+// Durations are in milliseconds, rounded to 0.1 ms.
+// ============================================================
+
+const { performance } = require("perf_hooks");
+
+const round = (ms) => Math.round(ms * 10) / 10;
+
+const createPhaseTimer = () => {
+  const start = performance.now();
+  const marks = {};
+  let reused = false;
+
+  // First mark wins (redirect hops get their own timer)
+  const mark = (name) => {
+    if (marks[name] === undefined) marks[name] = performance.now();
+  };
+
+  const watchSocket = (socket) => {
+    if (!socket.connecting) {
+      reused = true;
+      return;
+    }
+    socket.once("lookup", () => mark("lookup"));
+    socket.once("connect", () => mark("connect"));
+    socket.once("secureConnect", () => mark("secureConnect"));
+  };
+
+  // { dns, tcp, tls, ttfb, download, total, reused }. Missing
+  // marks collapse to the previous one, so phases never overlap.
+  const phases = () => {
+    const dnsEnd = marks.lookup ?? start;
+    const connectEnd = marks.connect ?? dnsEnd;
+    const tlsEnd = marks.secureConnect ?? connectEnd;
+    const firstByte = marks.firstByte ?? tlsEnd;
+    const end = marks.end ?? firstByte;
+    return {
+      dns: round(dnsEnd - start),
+      tcp: round(connectEnd - dnsEnd),
+      tls: round(tlsEnd - connectEnd),
+      ttfb: round(firstByte - tlsEnd),
+      download: round(end - firstByte),
+      total: round(end - start),
+      reused,
+    };
+  };
+
+  return { start, mark, watchSocket, phases };
+};
+
+// http / https stand-in for axios' `transport` option that
+// wires a request's socket and response into `timer`
+const timedTransport = (transport, timer) => ({
+  request(options, onResponse) {
+    const request = transport.request(options, (response) => {
+      timer.mark("firstByte");
+      response.once("end", () => timer.mark("end"));
+      onResponse(response);
+    });
+    request.once("socket", (socket) => timer.watchSocket(socket));
+    return request;
+  },
+});
+
+module.exports = { createPhaseTimer, timedTransport, round };